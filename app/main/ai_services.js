@@ -1,10 +1,16 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const axiosLib = require('axios');
 const {
   parseOpenAISSEChunk,
   createOpenAISSEParser,
+  createAnthropicSSEParser,
+  createOllamaNDJSONParser,
   createGeminiJsonObjectExtractor,
+  extractUsage,
+  extractFinishReason,
   parseFirstJsonObject,
   parseTagLines,
   toTagPlanFromJson,
@@ -13,21 +19,69 @@ const { createSceneTools } = require('./ipc/ai-scene-tools');
 const { createAssistantTools } = require('./ipc/ai-assistant-tools');
 const { createStoryTools } = require('./ipc/ai-story-tools');
 const { createInnerMonologueTool } = require('./ipc/ai-inner-monologue');
+const { createPromptTemplates } = require('./ipc/prompt-templates');
 const {
   PROVIDER_DEFAULTS,
   GEMINI_API_BASE,
   getProviderSettings: resolveProviderSettingsBase,
+  getProviderChain: resolveProviderChainBase,
+  getTaskRoute,
+  getEmbeddingSettings,
+  getReplaySettings,
+  requiresApiKey,
   authHeaders,
+  anthropicHeaders,
   getUtilitySettings: resolveUtilitySettingsBase,
   buildGeminiBody,
   buildChatCompletionsBody,
+  buildAnthropicBody,
+  buildOllamaChatBody,
+  ollamaRoot,
   geminiUrl,
 } = require('./ipc/ai-provider');
+const { resolveRetryPolicy, withRetry } = require('./ipc/ai-retry');
+const { createThinkTagSplitter, opensInTemplate, splitReasoning } = require('./ipc/ai-reasoning');
+const { buildContinuationMessages } = require('./ipc/ai-continue');
+const {
+  supportsVision,
+  collectImageUrls,
+  replaceImagesWithCaptions,
+  createCaptionCache,
+} = require('./ipc/ai-vision');
+const {
+  validateJson,
+  supportsJsonSchema,
+  buildRepairMessages,
+} = require('./ipc/ai-schemas');
+const {
+  supportsSceneTools,
+  toOpenAITools,
+  toGeminiTools,
+  createToolCallAccumulator,
+  fromGeminiFunctionCall,
+  toolCallsToSceneBlock,
+  toolResultMessages,
+} = require('./ipc/scene-tool-schema');
+const {
+  promptCacheEnabled,
+  systemPromptText,
+  usesCacheControl,
+  withCacheControl,
+  createGeminiContextCache,
+} = require('./ipc/prompt-cache');
+const traceLib = require('./ipc/trace');
+const { resolveTokenCounter } = require('./ipc/token-counter');
+const { resolveSamplerPreset, samplerForProvider } = require('./ipc/ai-samplers');
+const { getCassette, createChunkRecorder, playChunks } = require('./ipc/ai-replay');
+const { findScriptPath, loadScript, scriptedReply, scriptedTaskAnswer, chunkReply } = require('./ipc/ai-scripted');
 const {
   findEmbeddedModelPath,
   getEmbeddedLlamaState,
   generateEmbeddedCompletion,
+  generateEmbeddedEmbedding,
+  listEmbeddedModels,
 } = require('./ipc/ai-embedded');
+const { createModelCatalog } = require('./ipc/ai-models');
 
 /**
  * Shared axios instance so you can set defaults in one place (timeout, etc).
@@ -58,10 +112,25 @@ function getUtilitySettings(config) {
 async function preloadEmbeddedModel(config) {
   const modelName = config?.models?.embedded || PROVIDER_DEFAULTS.embedded.model;
   if (findEmbeddedModelPath(modelName)) {
-    await getEmbeddedLlamaState(modelName);
+    await getEmbeddedLlamaState(modelName, { sequences: config?.providerOptions?.embedded?.sequences });
   }
 }
 
+/**
+ * Token counter for the active provider (see ipc/token-counter).
+ * For `embedded` this loads the model so its own tokenizer can be used.
+ */
+async function getTokenCounter(config) {
+  const settings = getProviderSettings(config);
+  return resolveTokenCounter(settings, {
+    getEmbeddedModel: async (modelName) => {
+      if (!findEmbeddedModelPath(modelName)) return null;
+      const state = await getEmbeddedLlamaState(modelName, { sequences: settings.providerOptions?.sequences });
+      return state.model;
+    },
+  });
+}
+
 /**
  * Quick “ping” that avoids token spend but still exercises auth + route.
  */
@@ -72,14 +141,30 @@ async function testConnection(config) {
     return { success: false, message: 'No active provider selected.' };
   }
 
-  if (!settings.apiKey && settings.provider !== 'local' && settings.provider !== 'embedded') {
+  if (!settings.apiKey && requiresApiKey(settings.provider)) {
     return { success: false, message: `No API key found for ${settings.provider}.` };
   }
 
   try {
+    if (settings.provider === 'replay') {
+      const cassette = getReplaySettings(config)?.cassette;
+      return cassette && fs.existsSync(path.resolve(cassette))
+        ? { success: true, message: `Replaying ${cassette}` }
+        : { success: false, message: 'Replay cassette not found (config.replay.cassette).' };
+    }
+
+    if (settings.provider === 'scripted') {
+      try {
+        const script = loadPlaytestScript(settings);
+        return { success: true, message: `Playtest script loaded: ${script.turns.length} turns.` };
+      } catch (e) {
+        return { success: false, message: e.message };
+      }
+    }
+
     if (settings.provider === 'embedded') {
       try {
-        await getEmbeddedLlamaState(settings.model);
+        await getEmbeddedLlamaState(settings.model, { sequences: settings.providerOptions?.sequences });
         return { success: true, message: 'Embedded model loaded successfully!' };
       } catch (e) {
         return { success: false, message: e.message };
@@ -90,6 +175,21 @@ async function testConnection(config) {
       const url = geminiUrl(settings.model, settings.apiKey, false);
       // Minimal valid Gemini payload
       await axios.post(url, { contents: [{ parts: [{ text: 'Hello' }] }] });
+    } else if (settings.isAnthropic) {
+      await axios.post(
+        `${settings.baseURL}/messages`,
+        buildAnthropicBody([{ role: 'user', content: 'Hello' }], {
+          model: settings.model,
+          maxTokens: 1,
+          temperature: 0,
+        }),
+        { headers: anthropicHeaders(settings.apiKey) }
+      );
+    } else if (settings.isOllama) {
+      const models = await listOllamaModels(config);
+      if (settings.model && !models.some((m) => m.id === settings.model || m.id === `${settings.model}:latest`)) {
+        return { success: false, message: `Ollama is running, but model "${settings.model}" is not installed. Try: ollama pull ${settings.model}` };
+      }
     } else {
       await axios.post(
         `${settings.baseURL}/chat/completions`,
@@ -110,6 +210,9 @@ async function testConnection(config) {
     if (settings.provider === 'local' && (error.code === 'ECONNREFUSED' || error.message.includes('Network Error'))) {
       return { success: false, message: 'Connection refused. Is LM Studio (or Ollama) running? Ensure the Local Server is ON and listening on port 1234.' };
     }
+    if (settings.isOllama && (error.code === 'ECONNREFUSED' || error.message.includes('Network Error'))) {
+      return { success: false, message: `Connection refused. Is Ollama running? Start it with "ollama serve" (expected at ${ollamaRoot(settings.baseURL)}).` };
+    }
 
     const msg = error?.response?.data
       ? safeJsonStringify(error.response.data)
@@ -120,94 +223,293 @@ async function testConnection(config) {
 }
 
 /**
- * Non-stream completion helper.
+ * Non-stream completion helper. Retries transient errors per `config.retry`,
+ * then walks the provider failover chain.
+ * options.task names the sidecar task so `config.taskRouting` can pick its
+ * provider/model/temperature/max tokens.
+ * options.sampler (optional) is an explicit sampler preset; sidecar calls don't
+ * use the chat preset since stop sequences/penalties can break JSON output.
+ * options.runInfo (optional object) is filled with the provider that answered.
+ * options.trace (optional) receives retry log lines.
  * Returns: string|null
  */
 async function generateCompletion(config, messages, options = {}) {
-  // Use utility settings if requested, otherwise default
-  const settings = options.useUtility 
-    ? getUtilitySettings(config) 
-    : getProviderSettings(config);
+  const replay = getReplaySettings(config);
+  const replayRequest = { task: options.task ?? null, messages };
+  if (replay?.mode === 'replay') {
+    Object.assign(options.runInfo ?? {}, { provider: 'replay', model: replay.cassette, fallbackFrom: null });
+    return replayLookup(replay, 'completion', replayRequest)?.text ?? null;
+  }
 
-  if (!settings.apiKey && settings.provider !== 'local' && settings.provider !== 'embedded') return null;
+  const route = getTaskRoute(config, options.task);
 
-  const temperature = options.temperature ?? 0.5;
-  const maxTokens = options.max_tokens;
+  // Routed provider first, then utility settings if requested, otherwise default
+  let primary = route?.provider
+    ? getProviderSettings(config, route.provider)
+    : (options.useUtility ? getUtilitySettings(config) : getProviderSettings(config));
+  if (route?.model && (!route.provider || primary.provider === route.provider)) {
+    primary = { ...primary, model: route.model };
+  }
 
-  try {
-    if (settings.provider === 'embedded') {
-      return await generateEmbeddedCompletion(settings, messages, { maxTokens, temperature });
-    }
+  const chain = getProviderChain(config, primary, { includeActive: Boolean(options.useUtility || route?.provider) })
+    .filter((settings) => !options.requiresVision || supportsVision(settings));
+  if (!chain.length) return null;
 
-    if (settings.isGemini) {
-      const url = geminiUrl(settings.model, settings.apiKey, false);
-      const body = buildGeminiBody(messages, { maxTokens, temperature });
+  const temperature = route?.temperature ?? options.temperature ?? 0.5;
+  const maxTokens = route?.maxTokens ?? options.max_tokens;
 
-      const r = await axios.post(url, body);
-      const text =
-        r?.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  const policy = resolveRetryPolicy(config);
+  const log = createRetryLogger(options.trace, 'generate-completion');
+  const runInfo = options.runInfo ?? {};
+  let usage = null;
+
+  try {
+    const raw = await runWithFailover(
+      chain,
+      (settings) => withRetry(
+        async () => {
+          const run = (jsonSchema) => {
+            usage = null;
+            return completeWithSettings(settings, messages, {
+              maxTokens,
+              temperature,
+              sampler: samplerForProvider(options.sampler, settings.provider),
+              signal: options.signal,
+              priority: options.priority,
+              task: options.task,
+              jsonSchema,
+              onUsage: (u) => { usage = mergeUsage(usage, u); },
+            });
+          };
 
-      return typeof text === 'string' ? text : null;
+          const schemaKey = `${settings.provider}:${settings.model}`;
+          const jsonSchema = supportsJsonSchema(settings.provider) && !schemaRejectedBy.has(schemaKey)
+            ? options.jsonSchema
+            : undefined;
+          try {
+            return await run(jsonSchema);
+          } catch (e) {
+            if (!jsonSchema || !isSchemaRejection(e)) throw e;
+            // Plenty of models behind these hosts refuse response_format; the
+            // prompt plus validation/repair in generateJson still works.
+            schemaRejectedBy.add(schemaKey);
+            log('Provider rejected the JSON schema, retrying without it', { provider: settings.provider, model: settings.model });
+            return run(undefined);
+          }
+        },
+        { policy, signal: options.signal, log, label: settings.provider }
+      ),
+      { runInfo }
+    );
+    // Sidecar callers want the answer only; a reasoning model's <think> block would break their parsing.
+    const text = typeof raw === 'string' ? splitReasoning(raw).text : raw;
+    reportUsage(usage, runInfo, options, 'generate-completion');
+    if (replay?.mode === 'record' && typeof text === 'string') {
+      recordInteraction(replay, 'completion', replayRequest, { text }, runInfo);
     }
+    return text;
+  } catch (e) {
+    console.error('AI Completion Failed:', e?.message ?? e);
+    return null;
+  }
+}
 
-    const body = buildChatCompletionsBody(messages, {
-      model: settings.model,
+async function completeWithSettings(settings, messages, { maxTokens, temperature, sampler, signal, priority, task, jsonSchema, onUsage }) {
+  if (settings.provider === 'scripted') {
+    return scriptedTaskAnswer(loadPlaytestScript(settings), task);
+  }
+  if (settings.provider === 'embedded') {
+    return await generateEmbeddedCompletion(settings, messages, {
       maxTokens,
       temperature,
-      stream: false,
+      sampler,
+      signal,
+      priority: priority ?? 'utility',
+      jsonSchema,
     });
+  }
 
+  if (settings.isGemini) {
+    const url = geminiUrl(settings.model, settings.apiKey, false);
+    const body = buildGeminiBody(messages, { maxTokens, temperature, sampler, jsonSchema });
+
+    const r = await axios.post(url, body, { signal });
+    onUsage?.(extractUsage('gemini', r?.data));
+    const text =
+      r?.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    return typeof text === 'string' ? text : null;
+  }
+
+  if (settings.isAnthropic) {
+    const body = buildAnthropicBody(messages, { model: settings.model, maxTokens, temperature, sampler });
     const r = await axios.post(
-      `${settings.baseURL}/chat/completions`,
+      `${settings.baseURL}/messages`,
       body,
-      { headers: authHeaders(settings.apiKey) }
+      { headers: anthropicHeaders(settings.apiKey), signal }
     );
 
-    const text = r?.data?.choices?.[0]?.message?.content;
+    onUsage?.(extractUsage('anthropic', r?.data));
+    return extractAnthropicText(r?.data);
+  }
+
+  if (settings.isOllama) {
+    const body = buildOllamaChatBody(messages, {
+      model: settings.model,
+      maxTokens,
+      temperature,
+      sampler,
+      stream: false,
+      providerOptions: settings.providerOptions,
+      jsonSchema,
+    });
+    const r = await axios.post(`${ollamaRoot(settings.baseURL)}/api/chat`, body, { signal });
+    onUsage?.(extractUsage('ollama', r?.data));
+
+    const text = r?.data?.message?.content;
     return typeof text === 'string' ? text : null;
-  } catch (e) {
-    console.error('AI Completion Failed:', e?.message ?? e);
-    return null;
   }
+
+  const body = buildChatCompletionsBody(messages, {
+    model: settings.model,
+    maxTokens,
+    temperature,
+    sampler,
+    stream: false,
+    jsonSchema,
+  });
+
+  const r = await axios.post(
+    `${settings.baseURL}/chat/completions`,
+    body,
+    { headers: authHeaders(settings.apiKey), signal }
+  );
+  onUsage?.(extractUsage('openai', r?.data));
+
+  const text = r?.data?.choices?.[0]?.message?.content;
+  return typeof text === 'string' ? text : null;
+}
+
+const captionCache = createCaptionCache();
+
+/**
+ * Describes chat images for text-only models, through the `captionImage` task
+ * (utility provider unless routed) and only on vision-capable providers.
+ * Returns: Map dataUrl -> caption (missing when no provider could describe it)
+ */
+async function captionImages(config, urls, options = {}) {
+  const captions = new Map();
+  for (const url of new Set(urls)) {
+    let caption = captionCache.get(url);
+    if (!caption) {
+      const text = await generateCompletion(config, [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Describe this image for someone who cannot see it: subject, setting, any visible text. Two sentences at most.' },
+          { type: 'image_url', image_url: { url } },
+        ],
+      }], { temperature: 0.2, max_tokens: 120, useUtility: true, requiresVision: true, task: 'captionImage', trace: options.trace });
+      caption = typeof text === 'string' && text.trim() ? text.trim() : null;
+      if (caption) captionCache.set(url, caption);
+    }
+    if (caption) captions.set(url, caption);
+  }
+  return captions;
 }
 
 /**
- * Generate an embedding vector for the given text.
+ * Completion that must be JSON matching `schema` (see ai-schemas):
+ * - the schema is sent as the provider's constrained-output format where supported
+ * - the reply is parsed and validated; on failure the model gets one repair turn
+ * - options.coerce(value) may reshape legacy answers before validation
+ * Returns: { value, raw, errors } — value is null when still invalid after repair.
+ */
+async function generateJson(config, messages, { schema, schemaName, coerce, ...options } = {}) {
+  const name = schemaName || options.task || 'result';
+  const log = createRetryLogger(options.trace, `generate-json:${name}`);
+  const runInfo = options.runInfo ?? {};
+  const jsonSchema = { name, schema };
+
+  const attempt = async (payload) => {
+    const raw = await generateCompletion(config, payload, { ...options, runInfo, jsonSchema });
+    if (typeof raw !== 'string' || !raw.trim()) return { value: null, raw: raw ?? null, errors: ['empty reply'] };
+
+    let value = parseFirstJsonObject(raw);
+    if (value != null && coerce) value = coerce(value);
+    const errors = value == null ? ['reply is not JSON'] : validateJson(schema, value);
+    return { value: errors.length ? null : value, raw, errors };
+  };
+
+  const first = await attempt(messages);
+  if (!first.errors.length) return first;
+
+  // Canned answers can't be repaired, and a null reply means no provider answered.
+  if (first.raw == null || runInfo.provider === 'scripted' || runInfo.provider === 'replay') {
+    log('JSON output rejected', { schema: name, errors: first.errors.slice(0, 5) });
+    return first;
+  }
+
+  log('JSON output invalid, asking for a repair', { schema: name, errors: first.errors.slice(0, 5) });
+  const repaired = await attempt(buildRepairMessages(messages, first.raw, first.errors));
+  if (repaired.errors.length) {
+    log('JSON repair failed', { schema: name, errors: repaired.errors.slice(0, 5) });
+    return { ...repaired, raw: repaired.raw ?? first.raw };
+  }
+  return repaired;
+}
+
+/**
+ * Generate an embedding vector for the given text with the provider/model
+ * from `config.embedding` (never the chat model).
  * Returns: number[] | null
  */
 async function generateEmbedding(config, text) {
-  const settings = getProviderSettings(config);
-  if (!settings.apiKey && settings.provider !== 'local' && settings.provider !== 'embedded') return null;
+  const replay = getReplaySettings(config);
+  if (replay?.mode === 'replay') {
+    return replayLookup(replay, 'embedding', { text })?.vector ?? null;
+  }
+
+  const settings = getEmbeddingSettings(config);
+  if (!settings) return null;
+
+  const vector = await embedWithSettings(settings, text);
+  if (replay?.mode === 'record' && vector) {
+    recordInteraction(replay, 'embedding', { text }, { vector }, settings);
+  }
+  return vector;
+}
 
+async function embedWithSettings(settings, text) {
   try {
-    // Gemini Embedding
+    if (settings.provider === 'embedded') {
+      if (!findEmbeddedModelPath(settings.model)) return null;
+      return await generateEmbeddedEmbedding(settings.model, text);
+    }
+
     if (settings.isGemini) {
-      // Use text-embedding-004 for Gemini
-      const embedModel = 'text-embedding-004';
-      const url = `${GEMINI_API_BASE}/${embedModel}:embedContent?key=${encodeURIComponent(settings.apiKey)}`;
+      const url = `${GEMINI_API_BASE}/${encodeURIComponent(settings.model)}:embedContent?key=${encodeURIComponent(settings.apiKey)}`;
       const response = await axios.post(url, {
         content: { parts: [{ text }] }
       });
       return response?.data?.embedding?.values || null;
     }
 
-    // Embedded Embedding (if supported by node-llama-cpp, otherwise null)
-    if (settings.provider === 'embedded') {
-      // node-llama-cpp embedding support is available but requires context. Skipping for simplicity unless requested.
-      return null; 
-    }
+    // Anthropic has no embeddings endpoint; callers fall back to keyword lore.
+    if (settings.isAnthropic) return null;
 
-    // OpenAI / Local Embedding
-    // Default to text-embedding-3-small for OpenAI, or use config model for local
-    let model = settings.model;
-    if (settings.provider === 'openai') model = 'text-embedding-3-small';
-    
-    // Local providers (Ollama/LM Studio) usually default to the loaded model if not specified,
-    // but it's safer to pass what we have or a specific embedding model if the user configured one.
+    // Ollama native embeddings (/api/embed returns { embeddings: [[...]] })
+    if (settings.isOllama) {
+      const response = await axios.post(`${ollamaRoot(settings.baseURL)}/api/embed`, {
+        model: settings.model,
+        input: text,
+      });
+      return response?.data?.embeddings?.[0] || null;
+    }
 
+    // OpenAI-compatible /embeddings (OpenAI, LM Studio, OpenRouter...)
     const response = await axios.post(
       `${settings.baseURL}/embeddings`,
-      { input: text, model },
+      { input: text, model: settings.model },
       { headers: authHeaders(settings.apiKey) }
     );
 
@@ -222,35 +524,273 @@ async function generateEmbedding(config, text) {
  * Stream completion:
  * - Calls onChunk(token) as tokens arrive
  * - Returns full concatenated text
+ * - Retries and fails over only while nothing has been streamed yet
+ * - Uses the active sampler preset unless options.sampler is given
+ * - options.runInfo (optional object) is filled with the provider that answered
+ * - options.trace (optional) receives retry log lines
+ * - options.sceneTools exposes the scene vocabulary as functions where the provider supports it
+ * - image parts are captioned (once) for providers in the chain that can't see
+ * - options.promptCache caches the leading system prompt where the provider can (see prompt-cache);
+ *   runInfo.usage then carries cachedTokens for the trace
+ * - reasoning (provider deltas and inline <think> blocks) goes to options.onReasoning instead of
+ *   onChunk, is left out of the returned text and is collected in runInfo.reasoning
+ * - runInfo.finishReason is the normalized stop reason ('length' = cut off at the token limit)
+ * - options.continuation: the last message is a partial assistant reply to resume (see ai-continue);
+ *   only the continuation is streamed and returned
  */
 async function generateStream(config, messages, onChunk, options = {}) {
-  const settings = getProviderSettings(config);
-  const temperature = options.temperature ?? 0.7;
-  const maxTokens = options.max_tokens;
-  const signal = options.signal;
+  const replay = getReplaySettings(config);
+  if (replay?.mode === 'replay') {
+    const response = replayLookup(replay, 'stream', { messages });
+    if (!response) throw new Error('The replay cassette has no recorded reply for this request.');
+    Object.assign(options.runInfo ?? {}, { provider: 'replay', model: replay.cassette, fallbackFrom: null });
+    return playChunks(response, onChunk, { signal: options.signal, speed: replay.speed });
+  }
 
-  if (!settings.apiKey && settings.provider !== 'local' && settings.provider !== 'embedded') {
+  const chain = getProviderChain(config, getProviderSettings(config));
+  if (!chain.length) {
     throw new Error('No API key found.');
   }
 
+  const signal = options.signal;
+  const recorder = replay?.mode === 'record' ? createChunkRecorder(onChunk) : null;
+  let emitted = false;
+  const emit = (token) => {
+    emitted = true;
+    if (recorder) recorder.onChunk(token);
+    else onChunk(token);
+  };
+
+  const policy = resolveRetryPolicy(config);
+  const log = createRetryLogger(options.trace, 'generate-stream');
+  const untouched = () => !emitted && !signal?.aborted;
+  const runInfo = options.runInfo ?? {};
+  const sampler = options.sampler ?? resolveSamplerPreset(config);
+  let usage = null;
+  let deltaReasoning = '';
+  const emitReasoning = (token) => {
+    emitted = true;
+    options.onReasoning?.(token);
+  };
+
+  const imageUrls = collectImageUrls(messages);
+  let captions = null;
+  const messagesFor = async (settings) => {
+    const base = options.continuation ? buildContinuationMessages(messages, settings) : messages;
+    if (!imageUrls.length || supportsVision(settings)) return base;
+    captions ??= captionImages(config, imageUrls, { trace: options.trace });
+    return replaceImagesWithCaptions(base, await captions);
+  };
+
+  const raw = await runWithFailover(
+    chain,
+    (settings) => withRetry(
+      async () => {
+        const providerMessages = await messagesFor(settings);
+        usage = null;
+        deltaReasoning = '';
+        runInfo.finishReason = null;
+        // Inline <think> text is collected from the final text below; deltas only here.
+        const thinkKey = `${settings.provider}:${settings.model}`;
+        const splitter = createThinkTagSplitter({
+          onText: emit,
+          onReasoning: emitReasoning,
+          startThinking: settings.providerOptions?.thinkOpened === true || thinkOpenedBy.has(thinkKey),
+        });
+        const out = await streamWithSettings(settings, providerMessages, splitter.push, {
+          temperature: options.temperature ?? 0.7,
+          maxTokens: options.max_tokens,
+          sampler: samplerForProvider(sampler, settings.provider),
+          signal,
+          onUsage: (u) => { usage = mergeUsage(usage, u); },
+          onFinish: (reason) => { runInfo.finishReason = reason; },
+          onReasoning: (token) => {
+            deltaReasoning += token;
+            emitReasoning(token);
+          },
+          sceneTools: Boolean(options.sceneTools),
+          promptCache: Boolean(options.promptCache),
+        });
+        splitter.flush();
+        if (opensInTemplate(out)) thinkOpenedBy.add(thinkKey);
+        return out;
+      },
+      { policy, signal, log, label: settings.provider, canRetry: untouched }
+    ),
+    { runInfo, canFailover: untouched }
+  );
+  const { text, reasoning: inlineReasoning } = splitReasoning(raw);
+  runInfo.reasoning = [deltaReasoning.trim(), inlineReasoning].filter(Boolean).join('\n\n');
+  runInfo.usage = usage;
+  reportUsage(usage, runInfo, options, 'send-chat');
+  if (recorder) {
+    recordInteraction(replay, 'stream', { messages }, { text, chunks: recorder.chunks }, runInfo);
+  }
+  return text;
+}
+
+/**
+ * Scene tool calls from a streamed reply are emitted as a trailing [SCENE]
+ * block. A reply that was nothing but tool calls gets one follow-up round with
+ * the calls acknowledged and tools disabled, so the model still narrates.
+ * streamRound(messages, { toolsEnabled }) => { text, calls }
+ */
+async function finishSceneToolRound(first, messages, onChunk, streamRound, usageRounds) {
+  if (!first.calls.length) return first.text;
+
+  let fullText = first.text;
+  if (!fullText.trim()) {
+    usageRounds.nextRound();
+    const followUp = await streamRound([...messages, ...toolResultMessages(first.calls)], { toolsEnabled: false });
+    fullText += followUp.text;
+  }
+
+  const block = toolCallsToSceneBlock(first.calls);
+  if (block) {
+    const tail = `\n\n${block}`;
+    onChunk(tail);
+    fullText += tail;
+  }
+  return fullText;
+}
+
+/**
+ * Usage events repeat running totals within one request; a follow-up round is a
+ * second request whose totals add to the first.
+ */
+function createUsageRounds(onUsage) {
+  let carried = null;
+  let current = null;
+  const add = (a, b) => {
+    if (!a) return b;
+    const out = { ...a };
+    for (const [k, v] of Object.entries(b ?? {})) out[k] = (out[k] ?? 0) + v;
+    return out;
+  };
+  return {
+    report(usage) {
+      if (!usage) return;
+      current = { ...(current ?? {}), ...usage };
+      onUsage?.(add(carried, current));
+    },
+    nextRound() {
+      carried = add(carried, current);
+      current = null;
+    },
+  };
+}
+
+const geminiContextCache = createGeminiContextCache({
+  post: (url, body) => axios.post(url, body),
+});
+
+async function streamWithSettings(
+  settings,
+  messages,
+  onChunk,
+  { temperature, maxTokens, sampler, signal, onUsage, onReasoning, onFinish, sceneTools = false, promptCache = false }
+) {
+  const useSceneTools = sceneTools && supportsSceneTools(settings.provider);
+  const usageRounds = createUsageRounds(onUsage);
+  const cacheControl = promptCache && usesCacheControl(settings);
+
   if (settings.isGemini) {
-    const url = geminiUrl(settings.model, settings.apiKey, true);
-    const requestBody = buildGeminiBody(messages, { temperature, maxTokens });
+    // cachedContent can't be combined with request-level tools; Gemini 2.5 still caches implicitly.
+    const systemText = promptCache && !useSceneTools ? systemPromptText(messages) : '';
+    const cachedContent = systemText ? await geminiContextCache.resolve(settings, systemText) : null;
 
-    const response = await axios.post(url, requestBody, { responseType: 'stream', signal });
-    const stream = response.data;
+    const streamRound = async (roundMessages, { toolsEnabled }) => {
+      const url = geminiUrl(settings.model, settings.apiKey, true);
+      const requestBody = buildGeminiBody(roundMessages, {
+        temperature,
+        maxTokens,
+        sampler,
+        tools: useSceneTools ? toGeminiTools() : undefined,
+        toolMode: toolsEnabled ? 'AUTO' : 'NONE',
+        cachedContent,
+      });
 
-    let fullText = '';
+      let response;
+      try {
+        response = await axios.post(url, requestBody, { responseType: 'stream', signal });
+      } catch (e) {
+        // The entry may have expired early or been deleted; the retry sends the full prompt.
+        if (cachedContent) geminiContextCache.forget(settings, systemText);
+        throw e;
+      }
+      const stream = response.data;
 
-    const feed = createGeminiJsonObjectExtractor((data) => {
-      const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (typeof text === 'string' && text.length) {
-        fullText += text;
-        onChunk(text);
+      let fullText = '';
+      const calls = [];
+
+      const feed = createGeminiJsonObjectExtractor((data) => {
+        usageRounds.report(extractUsage('gemini', data));
+        const finish = extractFinishReason('gemini', data);
+        if (finish) onFinish?.(finish);
+        for (const part of data?.candidates?.[0]?.content?.parts ?? []) {
+          if (typeof part?.text === 'string' && part.text.length) {
+            if (part.thought) {
+              onReasoning?.(part.text);
+            } else {
+              fullText += part.text;
+              onChunk(part.text);
+            }
+          }
+          if (part?.functionCall) calls.push(fromGeminiFunctionCall(part.functionCall, calls.length));
+        }
+      });
+
+      await new Promise((resolve, reject) => {
+        stream.on('data', (chunk) => feed(chunk.toString()));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+
+      return { text: fullText, calls };
+    };
+
+    const first = await streamRound(messages, { toolsEnabled: useSceneTools });
+    return finishSceneToolRound(first, messages, onChunk, streamRound, usageRounds);
+  }
+
+  if (settings.isAnthropic) {
+    const response = await axios.post(
+      `${settings.baseURL}/messages`,
+      buildAnthropicBody(messages, {
+        model: settings.model,
+        temperature,
+        maxTokens,
+        sampler,
+        stream: true,
+        cacheSystem: cacheControl,
+      }),
+      {
+        headers: anthropicHeaders(settings.apiKey),
+        responseType: 'stream',
+        signal,
       }
-    });
+    );
+
+    const stream = response.data;
+    let fullText = '';
 
     await new Promise((resolve, reject) => {
+      const feed = createAnthropicSSEParser(
+        (token) => {
+          fullText += token;
+          onChunk(token);
+        },
+        (event) => {
+          onUsage?.(extractUsage('anthropic', event));
+          const finish = extractFinishReason('anthropic', event);
+          if (finish) onFinish?.(finish);
+          if (event?.type === 'error') {
+            reject(new Error(event.error?.message || 'Anthropic stream error.'));
+          }
+        },
+        onReasoning
+      );
+
       stream.on('data', (chunk) => feed(chunk.toString()));
       stream.on('end', resolve);
       stream.on('error', reject);
@@ -259,56 +799,147 @@ async function generateStream(config, messages, onChunk, options = {}) {
     return fullText;
   }
 
-  if (settings.provider === 'embedded') {
-    // For now, embedded is non-streaming in this implementation to keep it simple, 
-    // but we can wrap it to simulate stream or implement Llama stream later.
-    const text = await generateEmbeddedCompletion(settings, messages, { maxTokens, temperature });
-    onChunk(text); // Send all at once
-    return text;
+  if (settings.isOllama) {
+    const response = await axios.post(
+      `${ollamaRoot(settings.baseURL)}/api/chat`,
+      buildOllamaChatBody(messages, {
+        model: settings.model,
+        temperature,
+        maxTokens,
+        sampler,
+        stream: true,
+        providerOptions: settings.providerOptions,
+      }),
+      { responseType: 'stream', signal }
+    );
+
+    const stream = response.data;
+    let fullText = '';
+
+    await new Promise((resolve, reject) => {
+      const feed = createOllamaNDJSONParser(
+        (token) => {
+          fullText += token;
+          onChunk(token);
+        },
+        (event) => {
+          onUsage?.(extractUsage('ollama', event));
+          const finish = extractFinishReason('ollama', event);
+          if (finish) onFinish?.(finish);
+          if (event?.error) reject(new Error(String(event.error)));
+        },
+        onReasoning
+      );
+
+      stream.on('data', (chunk) => feed(chunk.toString()));
+      stream.on('end', () => {
+        feed('\n');
+        resolve();
+      });
+      stream.on('error', reject);
+    });
+
+    return fullText;
   }
 
-  // OpenAI-compatible streaming (/chat/completions with stream:true)
-  const response = await axios.post(
-    `${settings.baseURL}/chat/completions`,
-    buildChatCompletionsBody(messages, {
-      model: settings.model,
-      temperature,
+  if (settings.provider === 'scripted') {
+    const reply = scriptedReply(loadPlaytestScript(settings), messages, { toTagPlan: toTagPlanFromJson });
+    const delayMs = Number(settings.providerOptions?.delayMs ?? 20);
+    const chunks = chunkReply(reply).map((text, i) => ({ delayMs: i ? delayMs : 0, text }));
+    return playChunks({ chunks }, onChunk, { signal });
+  }
+
+  if (settings.provider === 'embedded') {
+    return await generateEmbeddedCompletion(settings, messages, {
       maxTokens,
-      stream: true,
-    }),
-    {
-      headers: authHeaders(settings.apiKey),
-      responseType: 'stream',
+      temperature,
+      sampler,
       signal,
-    }
-  );
+      priority: 'chat',
+      keepWarm: promptCache && promptCacheEnabled(settings),
+      onUsage,
+      onReasoning,
+      onFinish,
+      onTextChunk: (token) => {
+        if (token) onChunk(token);
+      },
+    });
+  }
 
-  const stream = response.data;
-  let fullText = '';
+  // OpenAI-compatible streaming (/chat/completions with stream:true)
+  const streamRound = async (roundMessages, { toolsEnabled }) => {
+    const response = await axios.post(
+      `${settings.baseURL}/chat/completions`,
+      buildChatCompletionsBody(cacheControl ? withCacheControl(roundMessages) : roundMessages, {
+        model: settings.model,
+        temperature,
+        maxTokens,
+        sampler,
+        stream: true,
+        includeUsage: settings.provider !== 'local',
+        tools: useSceneTools ? toOpenAITools() : undefined,
+        toolChoice: toolsEnabled ? 'auto' : 'none',
+      }),
+      {
+        headers: authHeaders(settings.apiKey),
+        responseType: 'stream',
+        signal,
+      }
+    );
 
-  await new Promise((resolve, reject) => {
-    const feed = createOpenAISSEParser((token) => {
-      fullText += token;
-      onChunk(token);
-    });
+    const stream = response.data;
+    let fullText = '';
+    const toolCalls = createToolCallAccumulator();
+
+    await new Promise((resolve, reject) => {
+      const feed = createOpenAISSEParser(
+        (token) => {
+          fullText += token;
+          onChunk(token);
+        },
+        (data) => {
+          usageRounds.report(extractUsage('openai', data));
+          const finish = extractFinishReason('openai', data);
+          if (finish) onFinish?.(finish);
+          toolCalls.push(data?.choices?.[0]?.delta?.tool_calls);
+        },
+        onReasoning
+      );
 
-    stream.on('data', (chunk) => {
-      feed(chunk.toString());
+      stream.on('data', (chunk) => {
+        feed(chunk.toString());
+      });
+      stream.on('end', resolve);
+      stream.on('error', reject);
     });
-    stream.on('end', resolve);
-    stream.on('error', reject);
-  });
 
-  return fullText;
+    return { text: fullText, calls: toolCalls.finish() };
+  };
+
+  const first = await streamRound(messages, { toolsEnabled: useSceneTools });
+  return finishSceneToolRound(first, messages, onChunk, streamRound, usageRounds);
 }
 
-const { fetchInnerMonologue } = createInnerMonologueTool({ generateCompletion });
+let promptTemplates = createPromptTemplates();
+
+/** Use the bot's prompt templates (engine/index.js); defaults + config overrides otherwise. */
+function setPromptTemplates(templates) {
+  promptTemplates = templates || createPromptTemplates();
+}
+
+function renderPrompt(config, id, values) {
+  return promptTemplates.render(config, id, values);
+}
+
+const { fetchInnerMonologue } = createInnerMonologueTool({ generateCompletion, renderPrompt });
 
 const { analyzeScene, runHeuristicCleanup } = createSceneTools({
   generateCompletion,
+  generateJson,
   parseFirstJsonObject,
   parseTagLines,
   toTagPlanFromJson,
+  renderPrompt,
 });
 
 const {
@@ -319,7 +950,8 @@ const {
   analyzeAffinity,
 } = createAssistantTools({
   generateCompletion,
-  parseFirstJsonObject,
+  generateJson,
+  renderPrompt,
 });
 
 const {
@@ -332,10 +964,213 @@ const {
   reviewVisuals,
 } = createStoryTools({
   generateCompletion,
+  generateJson,
   parseFirstJsonObject,
   parseTagLines,
+  renderPrompt,
+});
+
+/**
+ * Installed Ollama models from /api/tags, shaped for the settings model picker.
+ * Returns: Array<{ id, size, family, parameterSize, quantization, modifiedAt }>
+ */
+async function listOllamaModels(config) {
+  return fetchOllamaModels(getProviderSettings(config, 'ollama'));
+}
+
+async function fetchOllamaModels(settings) {
+  const r = await axios.get(`${ollamaRoot(settings.baseURL)}/api/tags`, { timeout: 5_000 });
+  const models = Array.isArray(r?.data?.models) ? r.data.models : [];
+
+  return models.map((m) => ({
+    id: m.name || m.model,
+    size: m.size ?? null,
+    family: m.details?.family ?? null,
+    parameterSize: m.details?.parameter_size ?? null,
+    quantization: m.details?.quantization_level ?? null,
+    modifiedAt: m.modified_at ?? null,
+  })).filter((m) => m.id);
+}
+
+const modelCatalog = createModelCatalog({
+  get: (url, options) => axios.get(url, { timeout: 10_000, ...options }),
+  listOllamaModels: fetchOllamaModels,
+  listEmbeddedModels,
 });
 
+/**
+ * Models offered by `provider` (see ai-models for the shape). `overrides`
+ * ({ apiKey, baseUrl }) lets the setup screen list models before saving a key.
+ * The saved key only goes to the saved host: a different baseUrl needs its own apiKey.
+ * options.refresh bypasses the cache.
+ */
+async function listModels(config, provider, { apiKey, baseUrl, refresh = false } = {}) {
+  const trimUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+  const saved = getProviderSettings(config, provider);
+  const otherHost = Boolean(baseUrl) && (saved.provider !== provider || trimUrl(baseUrl) !== trimUrl(saved.baseURL));
+
+  if (otherHost && !apiKey && requiresApiKey(provider)) {
+    throw new Error(`Enter the ${provider} API key to list models from a custom base URL.`);
+  }
+
+  const apiKeys = { ...(config?.apiKeys ?? {}) };
+  if (otherHost) delete apiKeys[provider];
+  if (apiKey) apiKeys[provider] = apiKey;
+
+  const scoped = {
+    ...config,
+    apiKeys,
+    baseUrls: { ...(config?.baseUrls ?? {}), ...(baseUrl ? { [provider]: baseUrl } : {}) },
+  };
+  const settings = getProviderSettings(scoped, provider);
+  if (settings.provider !== provider) {
+    throw new Error(`No API key saved for ${provider}.`);
+  }
+  return modelCatalog.list(settings, { refresh });
+}
+
+function getProviderChain(config, primary, options = {}) {
+  return resolveProviderChainBase(config, primary, {
+    ...options,
+    hasEmbeddedModel: (modelName) => Boolean(findEmbeddedModelPath(modelName)),
+  });
+}
+
+let usageListener = null;
+
+/**
+ * Register a callback for per-call token usage:
+ * ({ scope, task, provider, model, chatId, promptTokens, completionTokens }) => void
+ */
+function setUsageListener(listener) {
+  usageListener = typeof listener === 'function' ? listener : null;
+}
+
+function mergeUsage(current, next) {
+  return next ? { ...(current ?? {}), ...next } : current;
+}
+
+function reportUsage(usage, runInfo, options, fallbackScope) {
+  if (!usage || !usageListener) return;
+  try {
+    usageListener({
+      scope: options.trace?.scope ?? fallbackScope,
+      task: options.task ?? null,
+      provider: runInfo.provider ?? null,
+      model: runInfo.model ?? null,
+      chatId: options.chatId ?? null,
+      promptTokens: usage.promptTokens ?? 0,
+      completionTokens: usage.completionTokens ?? 0,
+    });
+  } catch (e) {
+    console.warn('[AI] Usage listener failed:', e?.message ?? e);
+  }
+}
+
+function loadPlaytestScript(settings) {
+  const scriptPath = findScriptPath(settings.model);
+  if (!scriptPath) throw new Error(`Playtest script "${settings.model}" not found. Please place it in bot/files/`);
+  return loadScript(scriptPath);
+}
+
+function replayCassette(replay) {
+  return getCassette(path.resolve(replay.cassette));
+}
+
+function replayLookup(replay, kind, request) {
+  if (!replay.cassette) {
+    console.warn('[Replay] No cassette configured (config.replay.cassette).');
+    return null;
+  }
+  const response = replayCassette(replay).find(kind, request);
+  if (!response) console.warn(`[Replay] No recorded ${kind} for this request.`);
+  return response;
+}
+
+/** Recording must never break a live session. */
+function recordInteraction(replay, kind, request, response, meta) {
+  try {
+    replayCassette(replay).record(kind, request, response, { provider: meta?.provider, model: meta?.model });
+  } catch (e) {
+    console.warn('[Replay] Failed to record interaction:', e?.message ?? e);
+  }
+}
+
+function createRetryLogger(trace, scope) {
+  let t = trace;
+  return (message, data) => {
+    t ??= traceLib.createTrace(scope);
+    traceLib.logInfo(t, message, data);
+  };
+}
+
+// provider:model pairs that answered 400 to a response_format; asked in plain text from then on.
+const schemaRejectedBy = new Set();
+
+// provider:model pairs whose template opens <think> (providerOptions.thinkOpened
+// says so up front); their replies stream as reasoning until </think>.
+const thinkOpenedBy = new Set();
+
+/** A bad-request reply, as hosts send for an unsupported response_format. */
+function isSchemaRejection(error) {
+  const status = Number(error?.response?.status);
+  return status === 400 || status === 422;
+}
+
+const FAILOVER_NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ECONNABORTED']);
+
+/** Provider-side trouble worth trying elsewhere: 5xx, 429, or an unreachable host. */
+function isFailoverError(error) {
+  if (!error || error.name === 'AbortError' || error.code === 'ERR_CANCELED') return false;
+
+  const status = Number(error?.response?.status);
+  if (status === 429 || (status >= 500 && status <= 599)) return true;
+
+  return FAILOVER_NETWORK_CODES.has(error.code) || FAILOVER_NETWORK_CODES.has(error?.cause?.code);
+}
+
+/**
+ * Calls attempt(settings) for each provider in the chain until one succeeds.
+ * Non-failover errors (bad request, auth, abort) are thrown immediately.
+ */
+async function runWithFailover(chain, attempt, { runInfo, canFailover = () => true } = {}) {
+  const failures = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const settings = chain[i];
+    try {
+      const result = await attempt(settings);
+      if (runInfo) {
+        Object.assign(runInfo, {
+          provider: settings.provider,
+          model: settings.model,
+          fallbackFrom: i > 0 ? chain[0].provider : null,
+          failures,
+        });
+      }
+      return result;
+    } catch (e) {
+      const next = chain[i + 1];
+      if (!next || !isFailoverError(e) || !canFailover()) throw e;
+
+      const reason = e?.response?.status ? `HTTP ${e.response.status}` : (e?.code || e?.message);
+      failures.push({ provider: settings.provider, reason: String(reason) });
+      console.warn(`[AI] ${settings.provider} unavailable (${reason}); falling back to ${next.provider}.`);
+    }
+  }
+
+  return null;
+}
+
+function extractAnthropicText(data) {
+  const blocks = Array.isArray(data?.content) ? data.content : [];
+  const text = blocks
+    .filter((b) => b?.type === 'text' && typeof b.text === 'string')
+    .map((b) => b.text)
+    .join('');
+  return text || null;
+}
+
 /** Avoid exploding on circulars / big objects in error paths */
 function safeJsonStringify(x) {
   try {
@@ -347,10 +1182,20 @@ function safeJsonStringify(x) {
 
 module.exports = {
   getProviderSettings,
+  getProviderChain,
+  getEmbeddingSettings,
+  requiresApiKey,
   testConnection,
   generateCompletion,
+  generateJson,
   generateStream,
   generateEmbedding,
+  listOllamaModels,
+  listModels,
+  setUsageListener,
+  setPromptTemplates,
+  renderPrompt,
+  getTokenCounter,
   fetchInnerMonologue, // <-- Export the new function
   generateReplySuggestions,
   generateChapterTitle,
@@ -369,10 +1214,16 @@ module.exports = {
   generateDynamicEvent,
   axios,
   __private: {
+    isFailoverError,
+    runWithFailover,
     buildGeminiBody,
     buildChatCompletionsBody,
+    buildAnthropicBody,
+    buildOllamaChatBody,
     parseOpenAISSEChunk,
     createOpenAISSEParser,
+    createAnthropicSSEParser,
+    createOllamaNDJSONParser,
     parseFirstJsonObject,
   },
 };
@@ -1,16 +1,14 @@
 'use strict';
 
-function createAssistantTools({ generateCompletion, parseFirstJsonObject }) {
+const { SCHEMAS } = require('./ai-schemas');
+
+// Older prompts (and playtest scripts) answer with a bare array.
+const wrapList = (key) => (value) => (Array.isArray(value) ? { [key]: value } : value);
+
+function createAssistantTools({ generateCompletion, generateJson, renderPrompt }) {
   async function generateReplySuggestions(config, messages) {
     const recent = messages.slice(-5);
-    const systemPrompt = `You are a Roleplay Assistant.
-Read the conversation and generate 3 distinct, short reply options for the User.
-1. Positive/Agreeable
-2. Negative/Conflict
-3. Creative/Unexpected
-
-Output format: JSON array of strings. Example: ["Ask about her day", "Ignore her", "Offer a drink"]
-Keep them under 10 words. Output ONLY the JSON array.`;
+    const systemPrompt = renderPrompt(config, 'generateReplySuggestions');
 
     const payload = [
       { role: 'system', content: systemPrompt },
@@ -18,9 +16,15 @@ Keep them under 10 words. Output ONLY the JSON array.`;
     ];
 
     try {
-      const text = await generateCompletion(config, payload, { temperature: 0.7, max_tokens: 100, useUtility: true });
-      const parsed = parseFirstJsonObject(text);
-      return Array.isArray(parsed) ? parsed : [];
+      const { value } = await generateJson(config, payload, {
+        schema: SCHEMAS.replySuggestions,
+        coerce: wrapList('suggestions'),
+        temperature: 0.7,
+        max_tokens: 100,
+        useUtility: true,
+        task: 'generateReplySuggestions',
+      });
+      return value?.suggestions ?? [];
     } catch (e) {
       return [];
     }
@@ -28,9 +32,7 @@ Keep them under 10 words. Output ONLY the JSON array.`;
 
   async function generateChapterTitle(config, messages) {
     const recent = messages.slice(-10);
-    const systemPrompt = `Summarize the current scene in 3-6 words for a Save File title.
-Examples: "Meeting at the Cafe", "The Argument", "Late Night Confession".
-Output ONLY the title. No quotes.`;
+    const systemPrompt = renderPrompt(config, 'generateChapterTitle');
 
     const payload = [
       { role: 'system', content: systemPrompt },
@@ -38,7 +40,7 @@ Output ONLY the title. No quotes.`;
     ];
 
     try {
-      const text = await generateCompletion(config, payload, { temperature: 0.3, max_tokens: 20, useUtility: true });
+      const text = await generateCompletion(config, payload, { temperature: 0.3, max_tokens: 20, useUtility: true, task: 'generateChapterTitle' });
       return text ? text.trim().replace(/["']/g, '') : 'New Chapter';
     } catch (e) {
       return 'New Chapter';
@@ -46,18 +48,15 @@ Output ONLY the title. No quotes.`;
   }
 
   async function summarizeChat(config, textToSummarize, previousSummary = '') {
-    const systemPrompt = `You are a Scribe. Summarize the following conversation events concisely to append to a history log.
-Previous Context: ${previousSummary || 'None'}`;
+    const systemPrompt = renderPrompt(config, 'summarizeChat', { summary: previousSummary || 'None' });
 
     const messages = [{ role: 'system', content: systemPrompt }, { role: 'user', content: textToSummarize }];
-    return generateCompletion(config, messages, { temperature: 0.3, max_tokens: 300, useUtility: true });
+    return generateCompletion(config, messages, { temperature: 0.3, max_tokens: 300, useUtility: true, task: 'summarizeChat' });
   }
 
   async function generateQuestObjective(config, messages) {
     const recent = messages.slice(-10);
-    const systemPrompt = `You are a Game Master. Analyze the conversation and define the current objective for the player.
-Examples: "Find out why she is crying", "Escape the building", "Ask her on a date", "Survive the interrogation".
-Output ONLY the objective text. Keep it under 10 words. If no clear objective, output "Chat with the character".`;
+    const systemPrompt = renderPrompt(config, 'generateQuestObjective');
 
     const payload = [
       { role: 'system', content: systemPrompt },
@@ -65,7 +64,7 @@ Output ONLY the objective text. Keep it under 10 words. If no clear objective, o
     ];
 
     try {
-      const text = await generateCompletion(config, payload, { temperature: 0.3, max_tokens: 30, useUtility: true });
+      const text = await generateCompletion(config, payload, { temperature: 0.3, max_tokens: 30, useUtility: true, task: 'generateQuestObjective' });
       return text ? text.trim().replace(/^Objective:\s*/i, '').replace(/["']/g, '') : 'Explore the story';
     } catch (e) {
       return 'Explore the story';
@@ -74,10 +73,7 @@ Output ONLY the objective text. Keep it under 10 words. If no clear objective, o
 
   async function analyzeAffinity(config, messages, charName) {
     const recent = messages.slice(-10);
-    const systemPrompt = `You are a Relationship Tracker.
-Analyze the relationship between the User and "${charName}" based on the recent conversation.
-Output a JSON object: {"score": number (0-100), "status": string (e.g. "Strangers", "Friends", "Flirty", "Hostile", "Lovers")}.
-Base the score on trust, intimacy, and positive interactions.`;
+    const systemPrompt = renderPrompt(config, 'analyzeAffinity', { char: charName });
 
     const payload = [
       { role: 'system', content: systemPrompt },
@@ -85,9 +81,14 @@ Base the score on trust, intimacy, and positive interactions.`;
     ];
 
     try {
-      const text = await generateCompletion(config, payload, { temperature: 0.1, max_tokens: 60, useUtility: true });
-      const parsed = parseFirstJsonObject(text);
-      return parsed || { score: 50, status: 'Neutral' };
+      const { value } = await generateJson(config, payload, {
+        schema: SCHEMAS.affinity,
+        temperature: 0.1,
+        max_tokens: 60,
+        useUtility: true,
+        task: 'analyzeAffinity',
+      });
+      return value || { score: 50, status: 'Neutral' };
     } catch (e) {
       return { score: 50, status: 'Neutral' };
     }
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Continuing a reply that was cut off (finish reason 'length'). The partial
+ * reply is the last message of the request. Providers that continue a trailing
+ * assistant message (prefill) get it as is; the rest get a short user nudge
+ * after it. `providerOptions.assistantPrefill` overrides the provider default.
+ */
+
+const PREFILL_PROVIDERS = new Set(['anthropic', 'ollama']);
+
+const CONTINUE_PROMPT = '[Continue your previous reply exactly where it stopped. Do not repeat what you already wrote and do not add a preamble.]';
+
+function supportsAssistantPrefill(settings) {
+  const override = settings?.providerOptions?.assistantPrefill;
+  if (typeof override === 'boolean') return override;
+  return PREFILL_PROVIDERS.has(settings?.provider);
+}
+
+/** Request messages that resume the trailing assistant message for these provider settings. */
+function buildContinuationMessages(messages, settings) {
+  const last = messages[messages.length - 1];
+  if (last?.role !== 'assistant') return messages;
+
+  if (supportsAssistantPrefill(settings)) {
+    // Anthropic rejects a final assistant turn that ends in whitespace.
+    return [...messages.slice(0, -1), { ...last, content: String(last.content ?? '').trimEnd() }];
+  }
+  return [...messages, { role: 'user', content: CONTINUE_PROMPT }];
+}
+
+/**
+ * The partial reply with its continuation appended. A model that starts over
+ * instead of continuing has the repeated opening dropped.
+ */
+function joinContinuation(prefix, continuation) {
+  const head = String(prefix ?? '');
+  let tail = String(continuation ?? '');
+
+  const repeated = head.trimEnd();
+  if (repeated && tail.trimStart().startsWith(repeated)) {
+    tail = tail.trimStart().slice(repeated.length);
+  }
+  if (/\s$/.test(head)) tail = tail.trimStart();
+  return head + tail;
+}
+
+module.exports = {
+  CONTINUE_PROMPT,
+  supportsAssistantPrefill,
+  buildContinuationMessages,
+  joinContinuation,
+};
@@ -2,22 +2,236 @@
 
 const fs = require('fs');
 const path = require('path');
+const { contentToText } = require('./ai-provider');
+const { toLlamaPromptSampler } = require('./ai-samplers');
+const { toGbnfJsonSchema } = require('./ai-schemas');
+const { readGgufMetadata, describeGguf } = require('./gguf-reader');
 
-let embeddedState = null; // { llama, model, context, LlamaChatSession, modelName }
+let embeddedState = null; // { llama, model, context, pool, LlamaChatSession, modelName, grammars }
 
-function findEmbeddedModelPath(modelName) {
-  const candidates = [
-    path.join(process.resourcesPath || '', 'models', modelName),
-    path.join(process.cwd(), 'bot', 'models', modelName),
-    path.join(process.cwd(), 'models', modelName),
-    modelName,
+// One context, several sequences: the sidecar fires utility prompts in parallel
+// with the main chat stream. One sequence is always held back for chat.
+const DEFAULT_SEQUENCE_COUNT = 3;
+const RESERVED_CHAT_SEQUENCES = 1;
+
+function embeddedModelDirs() {
+  return [
+    path.join(process.resourcesPath || '', 'models'),
+    path.join(process.cwd(), 'bot', 'models'),
+    path.join(process.cwd(), 'models'),
   ];
+}
+
+function findEmbeddedModelPath(modelName) {
+  const candidates = [...embeddedModelDirs().map((dir) => path.join(dir, modelName)), modelName];
   return candidates.find((p) => fs.existsSync(p)) || null;
 }
 
-async function getEmbeddedLlamaState(modelName) {
-  if (embeddedState && embeddedState.modelName === modelName) return embeddedState;
+const ggufInfoCache = new Map(); // file path -> { mtimeMs, info }
+
+async function describeModelFile(filePath, stat) {
+  const cached = ggufInfoCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.info;
+
+  let info;
+  try {
+    const { metadata } = await readGgufMetadata(filePath);
+    const { chatTemplate, ...rest } = describeGguf(metadata, path.basename(filePath));
+    // Embedding models (nomic-embed, bge...) declare a pooling type; chat models don't.
+    info = { ...rest, embedding: rest.architecture ? metadata[`${rest.architecture}.pooling_type`] != null : false };
+  } catch (e) {
+    info = { error: e?.message || String(e) };
+  }
+  ggufInfoCache.set(filePath, { mtimeMs: stat.mtimeMs, info });
+  return info;
+}
+
+/**
+ * GGUF files in the model folders, with header metadata for the model picker.
+ * Split models (name-00001-of-00003.gguf) are listed by their first part.
+ * Returns: Array<{ id, size, architecture, name, contextLength, quantization, parameterSize, embedding, error? }>
+ */
+async function listEmbeddedModels() {
+  const seen = new Set();
+  const models = [];
+
+  for (const dir of embeddedModelDirs()) {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch {
+      continue;
+    }
+
+    for (const name of names.sort()) {
+      if (!/\.gguf$/i.test(name) || seen.has(name)) continue;
+      const part = name.match(/-(\d{5})-of-\d{5}\.gguf$/i);
+      if (part && part[1] !== '00001') continue;
+
+      const filePath = path.join(dir, name);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (!stat?.isFile()) continue;
+
+      seen.add(name);
+      models.push({ id: name, size: stat.size, ...(await describeModelFile(filePath, stat)) });
+    }
+  }
+  return models;
+}
+
+/**
+ * Hands out context sequences by priority. 'chat' waiters are served before
+ * 'utility' ones, and utility work can never occupy the reserved chat slots.
+ * Released sequences are disposed so the context can hand out a clean one,
+ * except a chat sequence released with `{ keep: true }`: it is parked "warm"
+ * and handed to the next `{ reuse: true }` chat request, so node-llama-cpp only
+ * evaluates the part of the prompt that changed since the last turn.
+ */
+function createSequencePool(context, { size = DEFAULT_SEQUENCE_COUNT, reservedForChat = RESERVED_CHAT_SEQUENCES } = {}) {
+  const waiters = []; // { priority, reuse, resolve, reject, signal, onAbort }
+  const busy = { chat: 0, utility: 0 };
+  const utilityLimit = Math.max(1, size - reservedForChat);
+  let warm = null; // parked chat sequence; holds a context slot until reused or evicted
+
+  function dropWarm() {
+    if (warm && !warm.disposed) warm.dispose();
+    warm = null;
+  }
+
+  function canGrant(priority) {
+    if (busy.chat + busy.utility >= size) return false;
+    return priority === 'chat' || busy.utility < utilityLimit;
+  }
+
+  function grant(priority, reuse = false) {
+    let sequence;
+    if (warm && priority === 'chat' && reuse && !warm.disposed) {
+      sequence = warm;
+      warm = null;
+    } else {
+      // The parked sequence gives its slot up to anyone else who needs it.
+      if (warm && busy.chat + busy.utility + 1 >= size) dropWarm();
+      sequence = context.getSequence();
+    }
+    busy[priority] += 1;
+    let released = false;
+
+    const release = ({ keep = false } = {}) => {
+      if (released) return;
+      released = true;
+      busy[priority] -= 1;
+      try {
+        if (keep && priority === 'chat' && !sequence.disposed) {
+          dropWarm();
+          warm = sequence;
+        } else if (!sequence.disposed) {
+          sequence.dispose();
+        }
+      } finally {
+        pump();
+      }
+    };
+
+    return { sequence, release };
+  }
+
+  function pump() {
+    for (let i = 0; i < waiters.length; i++) {
+      const waiter = waiters[i];
+      if (!canGrant(waiter.priority)) continue;
+
+      waiters.splice(i, 1);
+      i -= 1;
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      try {
+        waiter.resolve(grant(waiter.priority, waiter.reuse));
+      } catch (e) {
+        waiter.reject(e);
+      }
+    }
+  }
+
+  function acquire(priority = 'utility', signal, { reuse = false } = {}) {
+    const level = priority === 'chat' ? 'chat' : 'utility';
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    // Don't jump the queue: utility yields to anyone waiting, chat only to earlier chat.
+    const queuedAhead = waiters.some((w) => level === 'utility' || w.priority === 'chat');
+    if (!queuedAhead && canGrant(level)) {
+      return Promise.resolve(grant(level, reuse));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { priority: level, reuse, resolve, reject, signal, onAbort: null };
+      waiter.onAbort = () => {
+        const idx = waiters.indexOf(waiter);
+        if (idx !== -1) waiters.splice(idx, 1);
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+      // Chat waiters queue ahead of every utility waiter; FIFO within a level.
+      const insertAt = level === 'chat'
+        ? waiters.findIndex((w) => w.priority !== 'chat')
+        : -1;
+      if (insertAt === -1) waiters.push(waiter);
+      else waiters.splice(insertAt, 0, waiter);
+    });
+  }
+
+  function stats() {
+    return {
+      size,
+      busyChat: busy.chat,
+      busyUtility: busy.utility,
+      waiting: waiters.length,
+    };
+  }
+
+  return { acquire, stats };
+}
+
+/**
+ * Holds one loaded model. Callers arriving while it loads share the same
+ * promise; asking for another model or sequence count disposes the old one
+ * first. A failed load is forgotten so the next call tries again.
+ * load(modelName, size) -> Promise<state>, dispose(state) -> Promise<void>
+ */
+function createModelLoader({ load, dispose }) {
+  let current = null; // { key, promise }
+
+  function get(modelName, size) {
+    const key = `${modelName}#${size}`;
+    if (current?.key === key) return current.promise;
 
+    const previous = current;
+    const promise = (async () => {
+      const old = previous ? await previous.promise.catch(() => null) : null;
+      if (old) await dispose(old);
+      return load(modelName, size);
+    })();
+
+    const entry = { key, promise };
+    current = entry;
+    promise.catch(() => {
+      if (current === entry) current = null;
+    });
+    return promise;
+  }
+
+  /** Disposes the loaded model when which(state) says so; the next get() loads again. */
+  async function unload(which = () => true) {
+    const entry = current;
+    const state = entry ? await entry.promise.catch(() => null) : null;
+    if (!state || current !== entry || !which(state)) return;
+    current = null;
+    await dispose(state);
+  }
+
+  return { get, unload };
+}
+
+async function loadEmbeddedState(modelName, size) {
   const modelPath = findEmbeddedModelPath(modelName);
   if (!modelPath) {
     throw new Error(`Embedded model file "${modelName}" not found. Please place it in bot/models/`);
@@ -29,14 +243,16 @@ async function getEmbeddedLlamaState(modelName) {
 
     console.log('[AI] Loading embedded model from:', modelPath);
     const model = await llama.loadModel({ modelPath });
-    const context = await model.createContext();
+    const context = await model.createContext({ sequences: size });
 
     embeddedState = {
       llama,
       model,
       context,
+      pool: createSequencePool(context, { size }),
       LlamaChatSession: nll.LlamaChatSession,
       modelName,
+      grammars: new Map(), // schema name -> Promise<LlamaJsonSchemaGrammar | null>
     };
     return embeddedState;
   } catch (e) {
@@ -45,28 +261,204 @@ async function getEmbeddedLlamaState(modelName) {
   }
 }
 
+async function disposeEmbeddedState(state) {
+  if (embeddedState === state) embeddedState = null;
+  // An embedding context borrowed from this model goes with it.
+  await embedder.unload((embedding) => embedding.model === state.model);
+  try {
+    await state.context?.dispose?.();
+    await state.model?.dispose?.();
+  } catch (e) {
+    console.warn('[AI] Failed to unload embedded model:', e?.message ?? e);
+  }
+}
+
+const embeddedLoader = createModelLoader({ load: loadEmbeddedState, dispose: disposeEmbeddedState });
+
+function getEmbeddedLlamaState(modelName, { sequences = DEFAULT_SEQUENCE_COUNT } = {}) {
+  const size = Math.max(RESERVED_CHAT_SEQUENCES + 1, Number(sequences) || DEFAULT_SEQUENCE_COUNT);
+  return embeddedLoader.get(modelName, size);
+}
+
+/**
+ * node-llama-cpp v3 chat history: model turns carry `response: string[]`,
+ * user/system turns carry `text`.
+ */
+function toLlamaChatHistory(messages) {
+  return messages.map((m) => {
+    const text = contentToText(m.content);
+    if (m.role === 'assistant') return { type: 'model', response: [text] };
+    if (m.role === 'system') return { type: 'system', text };
+    return { type: 'user', text };
+  });
+}
+
+/**
+ * Grammar constraining output to `jsonSchema` ({ name, schema }), built once per
+ * schema. Null (unconstrained) if node-llama-cpp rejects the schema.
+ */
+function getJsonGrammar(state, jsonSchema) {
+  if (!state.grammars.has(jsonSchema.name)) {
+    const grammar = Promise.resolve()
+      .then(() => state.llama.createGrammarForJsonSchema(toGbnfJsonSchema(jsonSchema.schema)))
+      .catch((e) => {
+        console.warn(`[AI] No grammar for schema "${jsonSchema.name}", generating unconstrained:`, e?.message ?? e);
+        return null;
+      });
+    state.grammars.set(jsonSchema.name, grammar);
+  }
+  return state.grammars.get(jsonSchema.name);
+}
+
+/**
+ * Runs one prompt on a pooled context sequence.
+ * options: { maxTokens, temperature, sampler, signal, onTextChunk, onReasoning, onUsage, onFinish, priority: 'chat'|'utility', keepWarm }
+ * keepWarm reuses (and afterwards parks) the chat sequence so its KV cache of
+ * the shared prompt prefix carries over to the next turn.
+ * Aborting `signal` (while queued or mid-stream) rejects with an AbortError.
+ */
 async function generateEmbeddedCompletion(settings, messages, options = {}) {
-  const { context, LlamaChatSession } = await getEmbeddedLlamaState(settings.model);
-  const session = new LlamaChatSession({ contextSequence: context.getSequence() });
+  const state = await getEmbeddedLlamaState(settings.model, {
+    sequences: settings.providerOptions?.sequences,
+  });
+  const { pool, LlamaChatSession } = state;
+  const grammar = options.jsonSchema ? await getJsonGrammar(state, options.jsonSchema) : null;
 
-  const history = messages.slice(0, -1).map((m) => ({
-    type: m.role === 'assistant' ? 'model' : m.role,
-    text: m.content,
-  }));
+  const keepWarm = Boolean(options.keepWarm);
+  const { sequence, release } = await pool.acquire(options.priority, options.signal, { reuse: keepWarm });
+  const warmTokens = keepWarm ? sequence.contextTokens ?? [] : [];
+  const meterBefore = readTokenMeter(sequence);
+  let session;
+  let completed = false;
 
-  session.setChatHistory(history);
+  try {
+    session = new LlamaChatSession({ contextSequence: sequence });
+    const lastMsg = messages[messages.length - 1];
+    const promptsLastTurn = lastMsg?.role === 'user';
+    const history = toLlamaChatHistory(promptsLastTurn ? messages.slice(0, -1) : messages);
+    session.setChatHistory(history);
+
+    const { responseText: text, stopReason } = await session.promptWithMeta(promptsLastTurn ? contentToText(lastMsg.content) : 'Continue.', {
+      ...toLlamaPromptSampler(options.sampler),
+      maxTokens: options.maxTokens,
+      temperature: options.temperature,
+      signal: options.signal,
+      onTextChunk: options.onTextChunk,
+      // Thought segments (QwQ, DeepSeek-R1 chat wrappers) never reach onTextChunk or the returned text.
+      ...(options.onReasoning ? {
+        onResponseChunk: (chunk) => {
+          if (chunk.type === 'segment' && chunk.segmentType === 'thought' && chunk.text) options.onReasoning(chunk.text);
+        },
+      } : {}),
+      ...(grammar ? { grammar } : {}),
+    });
+    completed = true;
+    options.onFinish?.(stopReason === 'maxTokens' ? 'length' : 'stop');
+
+    const meterAfter = readTokenMeter(sequence);
+    if (meterBefore && meterAfter) {
+      // Tokens still shared with the previous turn's state were reused, not evaluated.
+      const cachedTokens = warmTokens.length ? sequence.compareContextTokens(warmTokens).firstDifferentIndex : 0;
+      options.onUsage?.({
+        promptTokens: cachedTokens + meterAfter.input - meterBefore.input,
+        completionTokens: meterAfter.output - meterBefore.output,
+        cachedTokens,
+      });
+    }
+    return text;
+  } catch (e) {
+    if (options.signal?.aborted) throw abortError();
+    throw e;
+  } finally {
+    session?.dispose({ disposeSequence: false });
+    release({ keep: keepWarm && completed });
+  }
+}
 
-  const lastMsg = messages[messages.length - 1];
-  const response = await session.prompt(lastMsg.content, {
-    maxTokens: options.max_tokens,
-    temperature: options.temperature,
+function readTokenMeter(sequence) {
+  const meter = sequence?.tokenMeter;
+  if (!meter) return null;
+  return { input: meter.usedInputTokens ?? 0, output: meter.usedOutputTokens ?? 0 };
+}
+
+/**
+ * One embedding context at a time. Reuses the chat model when it is the same
+ * file, otherwise loads the embedding model on its own; parallel embeds share
+ * that load, and a model it loaded itself is disposed when replaced.
+ * loadModel(modelName) -> Promise<model>, getChatState() -> embeddedState | null
+ */
+function createEmbedder({ loadModel, getChatState }) {
+  const loader = createModelLoader({
+    load: async (modelName) => {
+      const chat = getChatState();
+      const owned = chat?.modelName !== modelName;
+      const model = owned ? await loadModel(modelName) : chat.model;
+      try {
+        return { modelName, model, owned, context: await model.createEmbeddingContext(), queue: Promise.resolve() };
+      } catch (e) {
+        if (owned) await model.dispose?.();
+        throw e;
+      }
+    },
+    dispose: async (state) => {
+      try {
+        await state.context?.dispose?.();
+        if (state.owned) await state.model?.dispose?.();
+      } catch (e) {
+        console.warn('[AI] Failed to unload embedding model:', e?.message ?? e);
+      }
+    },
   });
 
-  return response;
+  /**
+   * Embeds `text`. Calls are serialized on the one embedding context, since
+   * lore indexing fires them in parallel.
+   * Returns: number[]
+   */
+  async function embed(modelName, text) {
+    const state = await loader.get(modelName, 1);
+    const run = state.queue.then(() => state.context.getEmbeddingFor(String(text ?? '')));
+    state.queue = run.catch(() => {});
+    const embedding = await run;
+    return Array.from(embedding.vector);
+  }
+
+  return { embed, unload: loader.unload };
+}
+
+async function loadEmbeddingModel(modelName) {
+  const modelPath = findEmbeddedModelPath(modelName);
+  if (!modelPath) {
+    throw new Error(`Embedding model file "${modelName}" not found. Please place it in bot/models/`);
+  }
+
+  const nll = await import('node-llama-cpp');
+  const llama = embeddedState?.llama ?? await nll.getLlama();
+  console.log('[AI] Loading embedding model from:', modelPath);
+  return llama.loadModel({ modelPath });
+}
+
+const embedder = createEmbedder({ loadModel: loadEmbeddingModel, getChatState: () => embeddedState });
+
+/** Embeds `text` with a local GGUF (in bot/models). Returns: number[] */
+function generateEmbeddedEmbedding(modelName, text) {
+  return embedder.embed(modelName, text);
+}
+
+function abortError() {
+  const err = new Error('Generation aborted.');
+  err.name = 'AbortError';
+  return err;
 }
 
 module.exports = {
   findEmbeddedModelPath,
+  listEmbeddedModels,
   getEmbeddedLlamaState,
+  createModelLoader,
+  createEmbedder,
   generateEmbeddedCompletion,
+  generateEmbeddedEmbedding,
+  createSequencePool,
+  toLlamaChatHistory,
 };
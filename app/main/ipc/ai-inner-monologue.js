@@ -1,6 +1,6 @@
 'use strict';
 
-function createInnerMonologueTool({ generateCompletion }) {
+function createInnerMonologueTool({ generateCompletion, renderPrompt }) {
   async function fetchInnerMonologue(config, characterName, messages, personality = '') {
     const stripSceneArtifacts = (text) => String(text || '')
       .replace(/\[SCENE\][\s\S]*?\[\/SCENE\]/gi, ' ')
@@ -9,15 +9,7 @@ function createInnerMonologueTool({ generateCompletion }) {
       .replace(/\s+/g, ' ')
       .trim();
 
-    const systemPrompt = `You are a world-class author. Based on the provided conversation history, write a short, first-person inner monologue EXCLUSIVELY for the character "${characterName}".
-${personality ? `\n[CHARACTER PROFILE]\n${personality}\n` : ''}
-- You are "${characterName}". Speak in the first person ("I").
-- Do NOT write thoughts for any other character.
-- The monologue should reveal your private thoughts, feelings, or intentions based on the recent events.
-- Write ONLY the monologue text itself.
-- Do NOT include any surrounding text, narration, or quotation marks.
-- Do NOT output scene tags, speaker names, stage directions, or choice menus.
-- The tone should match your personality and the current situation.`;
+    const systemPrompt = renderPrompt(config, 'fetchInnerMonologue', { char: characterName, personality });
 
     const recentMessages = (Array.isArray(messages) ? messages : [])
       .slice(-10)
@@ -48,6 +40,7 @@ Now write ${characterName}'s private internal thoughts in 2-4 sentences.`,
         temperature: 0.35,
         max_tokens: 140,
         useUtility: true,
+        task: 'fetchInnerMonologue',
       });
       return String(monologue || '')
         .replace(/\[(BG|SPRITE|SPLASH|MUSIC|HIDE|FX|SFX|CAMERA|TAKE|DROP|ADD_OBJECT|SCENE_STATE):[^\]]*\]/gi, ' ')
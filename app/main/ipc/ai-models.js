@@ -0,0 +1,130 @@
+'use strict';
+
+const crypto = require('crypto');
+const { GEMINI_API_BASE, authHeaders, anthropicHeaders } = require('./ai-provider');
+
+/**
+ * Model discovery for the settings picker. Every provider's list is shaped as
+ * { id, name, contextLength, family, parameterSize, quantization, size, vision }
+ * (unknown fields are null) and cached per provider + base URL + key.
+ */
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const GEMINI_MAX_PAGES = 5;
+// Providers without a model list.
+const UNLISTED_PROVIDERS = new Set(['scripted', 'replay']);
+
+function toModel(fields) {
+  return {
+    id: fields.id,
+    name: fields.name ?? null,
+    contextLength: Number.isFinite(fields.contextLength) && fields.contextLength > 0 ? fields.contextLength : null,
+    family: fields.family ?? null,
+    parameterSize: fields.parameterSize ?? null,
+    quantization: fields.quantization ?? null,
+    size: fields.size ?? null,
+    vision: fields.vision ?? null,
+  };
+}
+
+/**
+ * OpenAI-style GET /models. Context length goes by whichever field the host
+ * uses: OpenRouter `context_length`, Groq/Together `context_window`,
+ * vLLM `max_model_len`, llama.cpp server `meta.n_ctx_train`.
+ */
+function normalizeOpenAIModels(data) {
+  const items = Array.isArray(data?.data) ? data.data : Array.isArray(data) ? data : [];
+  return items
+    .filter((m) => m?.id)
+    .map((m) => toModel({
+      id: String(m.id),
+      name: m.name ?? null,
+      contextLength: Number(m.context_length ?? m.top_provider?.context_length ?? m.context_window ?? m.max_model_len ?? m.meta?.n_ctx_train),
+      vision: Array.isArray(m.architecture?.input_modalities) ? m.architecture.input_modalities.includes('image') : null,
+    }));
+}
+
+/** Gemini models.list page; only models that can generateContent. */
+function normalizeGeminiModels(data) {
+  const items = Array.isArray(data?.models) ? data.models : [];
+  return items
+    .filter((m) => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent'))
+    .map((m) => toModel({
+      id: String(m.name || '').replace(/^models\//, ''),
+      name: m.displayName ?? null,
+      contextLength: Number(m.inputTokenLimit),
+      vision: true,
+    }))
+    .filter((m) => m.id);
+}
+
+function normalizeAnthropicModels(data) {
+  const items = Array.isArray(data?.data) ? data.data : [];
+  return items.filter((m) => m?.id).map((m) => toModel({ id: String(m.id), name: m.display_name ?? null, vision: true }));
+}
+
+/**
+ * get(url, { headers }) => axios-style response.
+ * listOllamaModels(settings) / listEmbeddedModels() supply the local providers.
+ */
+function createModelCatalog({ get, listOllamaModels, listEmbeddedModels, now = Date.now, ttlMs = DEFAULT_TTL_MS }) {
+  const cache = new Map(); // key -> { expiresAt, models }
+
+  async function fetchModels(settings) {
+    if (UNLISTED_PROVIDERS.has(settings.provider)) return [];
+
+    if (settings.provider === 'embedded') {
+      return (await listEmbeddedModels()).map((m) => toModel({ ...m, family: m.family ?? m.architecture }));
+    }
+
+    if (settings.isOllama) {
+      return (await listOllamaModels(settings)).map((m) => toModel(m));
+    }
+
+    if (settings.isGemini) {
+      const models = [];
+      let pageToken = '';
+      for (let page = 0; page < GEMINI_MAX_PAGES; page++) {
+        const query = `key=${encodeURIComponent(settings.apiKey)}&pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+        const r = await get(`${GEMINI_API_BASE}?${query}`, {});
+        models.push(...normalizeGeminiModels(r?.data));
+        pageToken = r?.data?.nextPageToken;
+        if (!pageToken) break;
+      }
+      return models;
+    }
+
+    if (settings.isAnthropic) {
+      const r = await get(`${settings.baseURL}/models?limit=1000`, { headers: anthropicHeaders(settings.apiKey) });
+      return normalizeAnthropicModels(r?.data);
+    }
+
+    const r = await get(`${settings.baseURL}/models`, { headers: authHeaders(settings.apiKey) });
+    return normalizeOpenAIModels(r?.data);
+  }
+
+  function cacheKey(settings) {
+    const keyHash = crypto.createHash('sha256').update(String(settings.apiKey || ''), 'utf8').digest('hex').slice(0, 16);
+    return `${settings.provider}|${settings.baseURL || ''}|${keyHash}`;
+  }
+
+  /** Sorted model list for these provider settings; `refresh` skips the cache. */
+  async function list(settings, { refresh = false } = {}) {
+    const key = cacheKey(settings);
+    const hit = cache.get(key);
+    if (!refresh && hit && hit.expiresAt > now()) return hit.models;
+
+    const models = (await fetchModels(settings)).sort((a, b) => a.id.localeCompare(b.id));
+    cache.set(key, { expiresAt: now() + ttlMs, models });
+    return models;
+  }
+
+  return { list };
+}
+
+module.exports = {
+  normalizeOpenAIModels,
+  normalizeGeminiModels,
+  normalizeAnthropicModels,
+  createModelCatalog,
+};
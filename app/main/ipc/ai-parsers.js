@@ -1,6 +1,6 @@
 'use strict';
 
-function parseOpenAISSEChunk(chunkStr, onToken) {
+function parseOpenAISSEChunk(chunkStr, onToken, onEvent, onReasoning) {
   const lines = chunkStr.split('\n');
   for (const line of lines) {
     const trimmed = line.trim();
@@ -10,14 +10,25 @@ function parseOpenAISSEChunk(chunkStr, onToken) {
     if (payload === '[DONE]') continue;
 
     const data = JSON.parse(payload);
-    const token = data?.choices?.[0]?.delta?.content;
+    if (onEvent) onEvent(data);
+    const delta = data?.choices?.[0]?.delta;
+    // DeepSeek / vLLM / LM Studio send `reasoning_content`; OpenRouter and Groq `reasoning`.
+    const thought = delta?.reasoning_content ?? delta?.reasoning;
+    if (onReasoning && typeof thought === 'string' && thought.length) {
+      onReasoning(thought);
+    }
+    const token = delta?.content;
     if (typeof token === 'string' && token.length) {
       onToken(token);
     }
   }
 }
 
-function createOpenAISSEParser(onToken) {
+/**
+ * onEvent (optional) receives every parsed chunk, e.g. the trailing usage chunk.
+ * onReasoning (optional) receives reasoning deltas, which never reach onToken.
+ */
+function createOpenAISSEParser(onToken, onEvent, onReasoning) {
   let carry = '';
 
   return function feed(chunkStr) {
@@ -33,7 +44,7 @@ function createOpenAISSEParser(onToken) {
       if (!payload || payload === '[DONE]') continue;
 
       try {
-        parseOpenAISSEChunk(`data: ${payload}\n`, onToken);
+        parseOpenAISSEChunk(`data: ${payload}\n`, onToken, onEvent, onReasoning);
       } catch {
         // Keep streaming resilient; malformed lines are ignored.
       }
@@ -41,6 +52,160 @@ function createOpenAISSEParser(onToken) {
   };
 }
 
+/**
+ * Anthropic Messages SSE: text arrives as `content_block_delta` events.
+ * Every parsed event is also handed to onEvent (errors, stop reasons, usage),
+ * and extended-thinking deltas to onReasoning.
+ */
+function createAnthropicSSEParser(onToken, onEvent, onReasoning) {
+  let carry = '';
+
+  return function feed(chunkStr) {
+    carry += chunkStr;
+    const lines = carry.split('\n');
+    carry = lines.pop() ?? '';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (!payload) continue;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+
+      if (onEvent) onEvent(data);
+
+      const delta = data?.type === 'content_block_delta' ? data.delta : null;
+      if (delta?.type === 'text_delta' && typeof delta.text === 'string' && delta.text.length) {
+        onToken(delta.text);
+      } else if (onReasoning && delta?.type === 'thinking_delta' && typeof delta.thinking === 'string' && delta.thinking.length) {
+        onReasoning(delta.thinking);
+      }
+    }
+  };
+}
+
+/**
+ * Ollama /api/chat streams newline-delimited JSON objects, one per token batch.
+ * Feed a trailing '\n' on stream end to flush a final unterminated line.
+ * With `think` on, reasoning arrives in message.thinking and goes to onReasoning.
+ */
+function createOllamaNDJSONParser(onToken, onEvent, onReasoning) {
+  let carry = '';
+
+  return function feed(chunkStr) {
+    carry += chunkStr;
+    const lines = carry.split('\n');
+    carry = lines.pop() ?? '';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      let data;
+      try {
+        data = JSON.parse(trimmed);
+      } catch {
+        continue;
+      }
+
+      if (onEvent) onEvent(data);
+
+      const thought = data?.message?.thinking;
+      if (onReasoning && typeof thought === 'string' && thought.length) {
+        onReasoning(thought);
+      }
+
+      const token = data?.message?.content;
+      if (typeof token === 'string' && token.length) {
+        onToken(token);
+      }
+    }
+  };
+}
+
+/**
+ * Normalize provider usage blocks to { promptTokens, completionTokens }, plus
+ * cachedTokens / cacheWriteTokens when the provider reports prompt caching.
+ * format: 'openai' | 'gemini' | 'anthropic' | 'ollama'. Returns null when absent.
+ */
+function extractUsage(format, data) {
+  if (!data || typeof data !== 'object') return null;
+
+  let promptTokens;
+  let completionTokens;
+  let cachedTokens; // prompt tokens served from the provider's prompt cache
+  let cacheWriteTokens; // Anthropic only: tokens written to the cache this call
+
+  if (format === 'gemini') {
+    promptTokens = data.usageMetadata?.promptTokenCount;
+    completionTokens = data.usageMetadata?.candidatesTokenCount;
+    cachedTokens = data.usageMetadata?.cachedContentTokenCount;
+  } else if (format === 'anthropic') {
+    const usage = data.usage ?? data.message?.usage;
+    promptTokens = usage?.input_tokens;
+    completionTokens = usage?.output_tokens;
+    cachedTokens = usage?.cache_read_input_tokens;
+    cacheWriteTokens = usage?.cache_creation_input_tokens;
+  } else if (format === 'ollama') {
+    promptTokens = data.prompt_eval_count;
+    completionTokens = data.eval_count;
+  } else {
+    promptTokens = data.usage?.prompt_tokens;
+    completionTokens = data.usage?.completion_tokens;
+    cachedTokens = data.usage?.prompt_tokens_details?.cached_tokens;
+  }
+
+  const out = {};
+  if (Number.isFinite(promptTokens)) out.promptTokens = promptTokens;
+  if (Number.isFinite(completionTokens)) out.completionTokens = completionTokens;
+  if (Number.isFinite(cachedTokens)) out.cachedTokens = cachedTokens;
+  if (Number.isFinite(cacheWriteTokens)) out.cacheWriteTokens = cacheWriteTokens;
+  return Object.keys(out).length ? out : null;
+}
+
+// Provider stop reasons -> 'stop' | 'length' | 'tool_calls' | 'content_filter'; others pass through lowercased.
+const FINISH_REASONS = Object.freeze({
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  tool_calls: 'tool_calls',
+  tool_use: 'tool_calls',
+  function_call: 'tool_calls',
+  content_filter: 'content_filter',
+  safety: 'content_filter',
+  recitation: 'content_filter',
+  blocklist: 'content_filter',
+  prohibited_content: 'content_filter',
+});
+
+/**
+ * Why a stream chunk says generation ended, normalized across providers
+ * ('length' means the reply was cut off at the token limit). Same formats as
+ * extractUsage. Returns null when the chunk carries no finish reason.
+ */
+function extractFinishReason(format, data) {
+  if (!data || typeof data !== 'object') return null;
+
+  let raw;
+  if (format === 'gemini') raw = data.candidates?.[0]?.finishReason;
+  else if (format === 'anthropic') raw = data.delta?.stop_reason ?? data.message?.stop_reason;
+  else if (format === 'ollama') raw = data.done ? data.done_reason : null;
+  else raw = data.choices?.[0]?.finish_reason;
+
+  if (!raw || typeof raw !== 'string') return null;
+  const key = raw.toLowerCase();
+  return FINISH_REASONS[key] ?? key;
+}
+
 function createGeminiJsonObjectExtractor(onJsonObject) {
   let buffer = '';
 
@@ -181,7 +346,11 @@ function toTagPlanFromJson(plan) {
 module.exports = {
   parseOpenAISSEChunk,
   createOpenAISSEParser,
+  createAnthropicSSEParser,
+  createOllamaNDJSONParser,
   createGeminiJsonObjectExtractor,
+  extractUsage,
+  extractFinishReason,
   parseFirstJsonObject,
   parseTagLines,
   normalizeActionType,
@@ -1,17 +1,66 @@
 'use strict';
 
+const {
+  toChatCompletionsSampler,
+  toGeminiSampler,
+  toAnthropicSampler,
+  toOllamaSampler,
+} = require('./ai-samplers');
+const { toOpenAIResponseFormat, toGeminiSchema } = require('./ai-schemas');
+
 const PROVIDER_DEFAULTS = Object.freeze({
   openrouter: { baseUrl: 'https://openrouter.ai/api/v1', model: 'mistralai/mistral-7b-instruct:free' },
   grok: { baseUrl: 'https://api.x.ai/v1', model: 'grok-beta' },
   chutes: { baseUrl: 'https://chutes.ai/api/v1', model: 'chutes-model' },
   featherless: { baseUrl: 'https://api.featherless.ai/v1', model: 'meta-llama/Meta-Llama-3-8B-Instruct' },
   local: { baseUrl: 'http://localhost:1234/v1', model: 'local-model' },
+  ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.1' },
   openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-3.5-turbo' },
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-sonnet-latest' },
   embedded: { baseUrl: '', model: 'model.gguf' },
+  replay: { baseUrl: '', model: 'cassette' },
+  // "model" is the playtest script file in bot/files (see ai-scripted).
+  scripted: { baseUrl: '', model: 'playtest.yaml' },
 });
 
 const GEMINI_DEFAULT_MODEL = 'gemini-1.5-flash';
 const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+// Embedding models used when `config.embedding.model` is unset. Other providers
+// need an explicit embedding model: their chat model can't embed.
+const EMBEDDING_MODEL_DEFAULTS = Object.freeze({
+  openai: 'text-embedding-3-small',
+  gemini: 'text-embedding-004',
+  replay: 'cassette',
+});
+
+// Providers that run on the user's machine and never need an API key.
+const KEYLESS_PROVIDERS = new Set(['local', 'embedded', 'ollama', 'replay', 'scripted']);
+
+// Non-chat completions that can be routed individually via `config.taskRouting`.
+const SIDECAR_TASKS = Object.freeze([
+  { id: 'analyzeScene', label: 'Scene tagging (director)' },
+  { id: 'reviewVisuals', label: 'Visual review' },
+  { id: 'cleanupResponse', label: 'Response cleanup' },
+  { id: 'summarizeChat', label: 'Chat summary' },
+  { id: 'extractUserFacts', label: 'User fact extraction' },
+  { id: 'evolveCharacterState', label: 'Character state evolution' },
+  { id: 'fetchInnerMonologue', label: 'Inner monologue' },
+  { id: 'generateReplySuggestions', label: 'Reply suggestions' },
+  { id: 'generateChapterTitle', label: 'Chapter title' },
+  { id: 'generateQuestObjective', label: 'Quest objective' },
+  { id: 'analyzeAffinity', label: 'Affinity tracking' },
+  { id: 'determineActiveContext', label: 'Active character detection' },
+  { id: 'findClosestSprite', label: 'Sprite matching' },
+  { id: 'expandImagePrompt', label: 'Image prompt expansion' },
+  { id: 'generateDynamicEvent', label: 'Dynamic events' },
+  { id: 'phoneReply', label: 'Phone replies' },
+  { id: 'phoneInbound', label: 'Phone inbound texts' },
+  { id: 'scanImages', label: 'Image labelling (vision)' },
+  { id: 'captionImage', label: 'Chat image captions (vision)' },
+]);
 
 function pickProvider(config) {
   const active = config?.activeProvider;
@@ -35,11 +84,15 @@ function getSavedBaseUrl(config, provider) {
   return config?.baseUrls?.[provider] ?? null;
 }
 
+function requiresApiKey(provider) {
+  return !KEYLESS_PROVIDERS.has(provider);
+}
+
 function getProviderSettings(config, { forceProvider = null, hasEmbeddedModel = () => false } = {}) {
   let provider = forceProvider || pickProvider(config);
   let apiKey = getApiKey(config, provider);
 
-  if (!apiKey && provider !== 'local' && provider !== 'embedded') {
+  if (!apiKey && requiresApiKey(provider)) {
     const embeddedModelName = getSavedModel(config, 'embedded') || PROVIDER_DEFAULTS.embedded.model;
     if (hasEmbeddedModel(embeddedModelName)) {
       provider = 'embedded';
@@ -53,6 +106,9 @@ function getProviderSettings(config, { forceProvider = null, hasEmbeddedModel =
       model: getSavedModel(config, provider) ?? GEMINI_DEFAULT_MODEL,
       baseURL: null,
       isGemini: true,
+      isAnthropic: false,
+      isOllama: false,
+      providerOptions: { ...(config?.providerOptions?.[provider] ?? {}) },
     };
   }
 
@@ -63,6 +119,9 @@ function getProviderSettings(config, { forceProvider = null, hasEmbeddedModel =
     model: getSavedModel(config, provider) ?? def.model,
     baseURL: getSavedBaseUrl(config, provider) ?? def.baseUrl,
     isGemini: false,
+    isAnthropic: provider === 'anthropic',
+    isOllama: provider === 'ollama',
+    providerOptions: { ...(config?.providerOptions?.[provider] ?? {}) },
   };
 }
 
@@ -70,11 +129,23 @@ function authHeaders(apiKey) {
   return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
 }
 
+function anthropicHeaders(apiKey) {
+  return {
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_API_VERSION,
+  };
+}
+
 function getUtilitySettings(config, { hasEmbeddedModel = () => false } = {}) {
   if (config?.utilityProvider) {
     return getProviderSettings(config, { forceProvider: config.utilityProvider, hasEmbeddedModel });
   }
 
+  // A playtest script answers sidecar tasks too, so nothing reaches a real model.
+  if (pickProvider(config) === 'scripted') {
+    return getProviderSettings(config, { forceProvider: 'scripted', hasEmbeddedModel });
+  }
+
   const embeddedModelName = getSavedModel(config, 'embedded') || PROVIDER_DEFAULTS.embedded.model;
   if (hasEmbeddedModel(embeddedModelName)) {
     return getProviderSettings(config, { forceProvider: 'embedded', hasEmbeddedModel });
@@ -88,7 +159,104 @@ function getUtilitySettings(config, { hasEmbeddedModel = () => false } = {}) {
   return getProviderSettings(config, { hasEmbeddedModel });
 }
 
-function buildGeminiBody(messages, { maxTokens, temperature } = {}) {
+/**
+ * Embedding settings, configured apart from chat:
+ * { "embedding": { "provider": "embedded", "model": "nomic-embed-text-v1.5.Q8_0.gguf" } }
+ * Provider defaults to the active chat provider. Returns null when there is
+ * no usable embedding model, so callers fall back to keyword lore.
+ */
+function getEmbeddingSettings(config) {
+  const provider = config?.embedding?.provider || pickProvider(config);
+  const model = String(config?.embedding?.model || '').trim() || EMBEDDING_MODEL_DEFAULTS[provider] || null;
+  if (!model) return null;
+
+  const settings = getProviderSettings(config, { forceProvider: provider });
+  if (!settings.apiKey && requiresApiKey(settings.provider)) return null;
+  return { ...settings, model };
+}
+
+/**
+ * Record/replay (see ai-replay):
+ * { "activeProvider": "replay", "replay": { "cassette": "session.json", "speed": 1 } } serves a cassette;
+ * { "replay": { "mode": "record", "cassette": "session.json" } } records live calls into it.
+ * Returns { mode: 'replay'|'record', cassette, speed } or null when neither applies.
+ */
+function getReplaySettings(config) {
+  const cassette = String(config?.replay?.cassette || '').trim();
+  const speed = Number.isFinite(Number(config?.replay?.speed)) ? Number(config.replay.speed) : 1;
+
+  if (pickProvider(config) === 'replay') return { mode: 'replay', cassette, speed };
+  if (config?.replay?.mode === 'record' && cassette) return { mode: 'record', cassette, speed };
+  return null;
+}
+
+/**
+ * Route for one task from `config.taskRouting`, e.g.
+ * { "summarizeChat": { "provider": "openai", "model": "gpt-4o", "temperature": 0.3, "maxTokens": 400 } }
+ * Returns null when the task is unrouted. Empty fields mean "use the caller's value".
+ */
+function getTaskRoute(config, task) {
+  const route = task ? config?.taskRouting?.[task] : null;
+  if (!route || typeof route !== 'object') return null;
+
+  const num = (value) => (value === '' || value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value));
+  const out = {
+    provider: route.provider ? String(route.provider) : null,
+    model: route.model ? String(route.model) : null,
+    temperature: num(route.temperature),
+    maxTokens: num(route.maxTokens),
+  };
+
+  return Object.values(out).some((v) => v !== null) ? out : null;
+}
+
+/**
+ * Ordered settings to try for one call: the primary provider, then
+ * `config.fallbackProviders` (e.g. ['openrouter', 'local', 'embedded']).
+ * Fallbacks without a key, or embedded without a model file, are skipped.
+ * `includeActive` appends the main chat provider last (used for utility calls).
+ */
+function getProviderChain(config, primary, { hasEmbeddedModel = () => false, includeActive = false } = {}) {
+  const chain = [];
+  const seen = new Set();
+
+  const usable = (settings) => {
+    if (!settings.apiKey && requiresApiKey(settings.provider)) return false;
+    if (settings.provider === 'embedded' && !hasEmbeddedModel(settings.model)) return false;
+    return true;
+  };
+
+  if (primary?.provider && (primary.apiKey || !requiresApiKey(primary.provider))) {
+    chain.push(primary);
+    seen.add(primary.provider);
+  }
+
+  const fallbacks = Array.isArray(config?.fallbackProviders) ? [...config.fallbackProviders] : [];
+  if (includeActive) fallbacks.push(pickProvider(config));
+
+  for (const provider of fallbacks) {
+    if (!provider || seen.has(provider)) continue;
+    const settings = getProviderSettings(config, { forceProvider: provider, hasEmbeddedModel });
+    // getProviderSettings swaps keyless providers for embedded; only honour what was asked for.
+    if (settings.provider !== provider || !usable(settings)) continue;
+    chain.push(settings);
+    seen.add(provider);
+  }
+
+  return chain;
+}
+
+// `sampler` in the body builders below is a provider-filtered preset
+// (see ai-samplers samplerForProvider).
+
+/**
+ * OpenAI-shaped messages -> Gemini generateContent body. Assistant `tool_calls`
+ * and `tool` results become functionCall / functionResponse parts.
+ * toolMode: 'AUTO' | 'NONE' (only sent with tools).
+ * jsonSchema: { name, schema } asks for JSON, constrained when Gemini can express the schema.
+ * cachedContent: name of a cachedContents entry holding the system prompt (see prompt-cache).
+ */
+function buildGeminiBody(messages, { maxTokens, temperature, sampler, tools, toolMode, jsonSchema, cachedContent } = {}) {
   const systemMsg = messages.find((m) => m.role === 'system');
   const chatMsgs = messages.filter((m) => m.role !== 'system');
 
@@ -96,7 +264,27 @@ function buildGeminiBody(messages, { maxTokens, temperature } = {}) {
     ? { parts: [{ text: String(systemMsg.content ?? '') }] }
     : undefined;
 
-  const contents = chatMsgs.map((m) => {
+  const toolNames = new Map(); // tool_call_id -> function name
+  const mapped = chatMsgs.map((m) => {
+    if (Array.isArray(m.tool_calls) && m.tool_calls.length) {
+      const parts = m.tool_calls.map((call) => {
+        toolNames.set(call.id, call.function?.name);
+        let args = {};
+        try {
+          args = JSON.parse(call.function?.arguments || '{}');
+        } catch {
+          // Malformed arguments are sent back empty.
+        }
+        return { functionCall: { name: call.function?.name, args } };
+      });
+      return { role: 'model', parts };
+    }
+
+    if (m.role === 'tool') {
+      const name = toolNames.get(m.tool_call_id) || m.name || 'tool';
+      return { role: 'user', parts: [{ functionResponse: { name, response: { result: String(m.content ?? '') } } }] };
+    }
+
     const role = m.role === 'user' ? 'user' : 'model';
 
     if (Array.isArray(m.content)) {
@@ -123,26 +311,203 @@ function buildGeminiBody(messages, { maxTokens, temperature } = {}) {
     return { role, parts: [{ text: String(m.content ?? '') }] };
   });
 
+  // Gemini expects all responses to one model turn's calls in a single content.
+  const contents = [];
+  for (const entry of mapped) {
+    const prev = contents[contents.length - 1];
+    const isResponse = (c) => c?.parts?.[0]?.functionResponse;
+    if (isResponse(entry) && isResponse(prev)) prev.parts.push(...entry.parts);
+    else contents.push(entry);
+  }
+
   const body = { contents };
-  if (systemInstruction) body.systemInstruction = systemInstruction;
+  // A cachedContents entry already holds the system prompt; Gemini refuses both.
+  if (cachedContent) body.cachedContent = cachedContent;
+  else if (systemInstruction) body.systemInstruction = systemInstruction;
+  if (tools?.length) {
+    body.tools = tools;
+    body.toolConfig = { functionCallingConfig: { mode: toolMode ?? 'AUTO' } };
+  }
 
-  if (maxTokens != null || temperature != null) {
-    body.generationConfig = {};
+  const samplerConfig = toGeminiSampler(sampler);
+  if (maxTokens != null || temperature != null || Object.keys(samplerConfig).length) {
+    body.generationConfig = { ...samplerConfig };
     if (maxTokens != null) body.generationConfig.maxOutputTokens = maxTokens;
     if (temperature != null) body.generationConfig.temperature = temperature;
   }
 
+  if (jsonSchema) {
+    body.generationConfig = { ...(body.generationConfig ?? {}), responseMimeType: 'application/json' };
+    const responseSchema = toGeminiSchema(jsonSchema.schema);
+    if (responseSchema) body.generationConfig.responseSchema = responseSchema;
+  }
+
   return body;
 }
 
-function buildChatCompletionsBody(messages, { model, maxTokens, temperature, stream } = {}) {
+// Wire fields only: renderer messages also carry swipes, render reports and attachments.
+const CHAT_MESSAGE_FIELDS = ['role', 'content', 'name', 'tool_calls', 'tool_call_id'];
+
+function toChatCompletionsMessage(m) {
+  const out = {};
+  for (const field of CHAT_MESSAGE_FIELDS) {
+    if (m?.[field] !== undefined) out[field] = m[field];
+  }
+  return out;
+}
+
+function buildChatCompletionsBody(
+  messages,
+  { model, maxTokens, temperature, stream, includeUsage = false, sampler, tools, toolChoice, jsonSchema } = {}
+) {
   const body = {
     model,
-    messages,
+    messages: messages.map(toChatCompletionsMessage),
     temperature: temperature ?? 0.5,
+    ...toChatCompletionsSampler(sampler),
   };
   if (maxTokens != null) body.max_tokens = maxTokens;
+  if (tools?.length) {
+    body.tools = tools;
+    body.tool_choice = toolChoice ?? 'auto';
+  }
+  if (jsonSchema) body.response_format = toOpenAIResponseFormat(jsonSchema.name, jsonSchema.schema);
   if (stream) body.stream = true;
+  // Ask for the trailing usage chunk; bare local servers may not understand it.
+  if (stream && includeUsage) body.stream_options = { include_usage: true };
+  return body;
+}
+
+function contentToText(content) {
+  if (Array.isArray(content)) {
+    return content
+      .filter((c) => c?.type === 'text' && typeof c.text === 'string')
+      .map((c) => c.text)
+      .join('\n');
+  }
+  return String(content ?? '');
+}
+
+function toAnthropicContentBlocks(content) {
+  if (!Array.isArray(content)) {
+    const text = String(content ?? '');
+    return text ? [{ type: 'text', text }] : [];
+  }
+
+  const blocks = [];
+  for (const c of content) {
+    if (c?.type === 'text' && typeof c.text === 'string' && c.text) {
+      blocks.push({ type: 'text', text: c.text });
+    }
+
+    if (c?.type === 'image_url' && c.image_url?.url) {
+      const url = String(c.image_url.url);
+      const match = url.match(/^data:(.*?);base64,(.*)$/);
+      if (match) {
+        blocks.push({ type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } });
+      } else if (/^https?:\/\//i.test(url)) {
+        blocks.push({ type: 'image', source: { type: 'url', url } });
+      }
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Anthropic Messages API body.
+ * - Leading system messages are hoisted into `system`; later ones become user notes.
+ * - Consecutive same-role turns are merged and the transcript always opens with a user turn.
+ * - cacheSystem marks the system prompt as a prompt-cache breakpoint.
+ */
+function buildAnthropicBody(messages, { model, maxTokens, temperature, stream, sampler, cacheSystem = false } = {}) {
+  const systemParts = [];
+  const turns = [];
+
+  for (const m of messages) {
+    if (m.role === 'system' && turns.length === 0) {
+      const text = contentToText(m.content).trim();
+      if (text) systemParts.push(text);
+      continue;
+    }
+
+    const role = m.role === 'assistant' ? 'assistant' : 'user';
+    const blocks = m.role === 'system'
+      ? [{ type: 'text', text: `[System] ${contentToText(m.content)}` }]
+      : toAnthropicContentBlocks(m.content);
+    if (!blocks.length) continue;
+
+    const prev = turns[turns.length - 1];
+    if (prev && prev.role === role) prev.content.push(...blocks);
+    else turns.push({ role, content: blocks });
+  }
+
+  if (!turns.length || turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: [{ type: 'text', text: 'Begin.' }] });
+  }
+
+  const body = {
+    model,
+    messages: turns,
+    max_tokens: maxTokens ?? ANTHROPIC_DEFAULT_MAX_TOKENS,
+    temperature: temperature ?? 0.5,
+    ...toAnthropicSampler(sampler),
+  };
+  if (systemParts.length) {
+    const system = systemParts.join('\n\n');
+    // A breakpoint after the system prompt caches it (and the tools) for later turns.
+    body.system = cacheSystem ? [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }] : system;
+  }
+  if (stream) body.stream = true;
+  return body;
+}
+
+/**
+ * Ollama's native API lives at the server root; tolerate pasted OpenAI-style bases.
+ */
+function ollamaRoot(baseURL) {
+  return String(baseURL || PROVIDER_DEFAULTS.ollama.baseUrl)
+    .replace(/\/+$/, '')
+    .replace(/\/(v1|api)$/i, '');
+}
+
+/**
+ * Ollama /api/chat body. `providerOptions` carries Ollama-only knobs
+ * (num_ctx, repeat_penalty, keep_alive) saved per provider in config.
+ */
+function buildOllamaChatBody(messages, { model, maxTokens, temperature, stream, providerOptions = {}, sampler, jsonSchema } = {}) {
+  const ollamaMessages = messages.map((m) => {
+    const out = { role: m.role, content: contentToText(m.content) };
+
+    if (Array.isArray(m.content)) {
+      const images = m.content
+        .map((c) => (c?.type === 'image_url' ? String(c.image_url?.url || '').match(/^data:.*?;base64,(.*)$/) : null))
+        .filter(Boolean)
+        .map((match) => match[1]);
+      if (images.length) out.images = images;
+    }
+
+    return out;
+  });
+
+  // The per-provider repeat_penalty below is more specific than the preset, so it wins.
+  const options = { ...toOllamaSampler(sampler), temperature: temperature ?? 0.5 };
+  if (maxTokens != null) options.num_predict = maxTokens;
+  if (providerOptions.num_ctx != null) options.num_ctx = Number(providerOptions.num_ctx);
+  if (providerOptions.repeat_penalty != null) options.repeat_penalty = Number(providerOptions.repeat_penalty);
+
+  const body = {
+    model,
+    messages: ollamaMessages,
+    stream: Boolean(stream),
+    options,
+  };
+  if (providerOptions.keep_alive != null && providerOptions.keep_alive !== '') {
+    body.keep_alive = providerOptions.keep_alive;
+  }
+  // Thinking models: true returns the reasoning in message.thinking, false turns it off.
+  if (typeof providerOptions.think === 'boolean') body.think = providerOptions.think;
+  // Ollama takes a JSON schema directly as `format`.
+  if (jsonSchema) body.format = jsonSchema.schema;
   return body;
 }
 
@@ -155,14 +520,28 @@ module.exports = {
   PROVIDER_DEFAULTS,
   GEMINI_DEFAULT_MODEL,
   GEMINI_API_BASE,
+  ANTHROPIC_API_VERSION,
+  EMBEDDING_MODEL_DEFAULTS,
+  KEYLESS_PROVIDERS,
+  SIDECAR_TASKS,
   pickProvider,
   getApiKey,
   getSavedModel,
   getSavedBaseUrl,
+  requiresApiKey,
   getProviderSettings,
+  getProviderChain,
+  getTaskRoute,
+  getEmbeddingSettings,
+  getReplaySettings,
   authHeaders,
+  anthropicHeaders,
   getUtilitySettings,
   buildGeminiBody,
   buildChatCompletionsBody,
+  contentToText,
+  buildAnthropicBody,
+  buildOllamaChatBody,
+  ollamaRoot,
   geminiUrl,
 };
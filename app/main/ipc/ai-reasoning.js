@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Reasoning ("thinking") output from R1/QwQ-style models. It arrives either as
+ * separate deltas (`reasoning_content`, `reasoning`, Anthropic thinking, Ollama
+ * `thinking`, Gemini thought parts; see ai-parsers) or inline as
+ * <think>...</think> in the reply text. Either way it is kept apart from the
+ * reply: streamed on its own channel, stored as `message.reasoning`, and only
+ * sent back on later turns when config.reasoningHistory is 'send'.
+ */
+
+const REASONING_HISTORY_MODES = Object.freeze(['omit', 'send']);
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/** Length of the longest suffix of `text` that could be the start of `tag`. */
+function partialTagLength(text, tag) {
+  for (let n = Math.min(tag.length - 1, text.length); n > 0; n--) {
+    if (tag.startsWith(text.slice(-n))) return n;
+  }
+  return 0;
+}
+
+/** True when the reply closes a <think> it never opened: the prompt template opened it. */
+function opensInTemplate(raw) {
+  const text = String(raw ?? '');
+  const firstOpen = text.indexOf(OPEN_TAG);
+  const firstClose = text.indexOf(CLOSE_TAG);
+  return firstClose !== -1 && (firstOpen === -1 || firstClose < firstOpen);
+}
+
+/**
+ * Streaming splitter for inline <think> blocks. Tags split across chunks are
+ * held back until they can be told apart from text. startThinking: the prompt
+ * template already opened <think>, so the reply starts as reasoning (an opening
+ * tag the model writes anyway is dropped).
+ * Returns { push(chunk), flush() }.
+ */
+function createThinkTagSplitter({ onText, onReasoning, startThinking = false }) {
+  let buffer = '';
+  let thinking = Boolean(startThinking);
+  let atStart = thinking; // nothing emitted yet; a leading <think> may still come
+  let trimNext = false; // drop the blank lines models put after </think>
+
+  function emitText(text) {
+    let out = text;
+    if (trimNext) {
+      out = out.replace(/^\s+/, '');
+      if (out) trimNext = false;
+    }
+    if (out) onText(out);
+  }
+
+  function emitReasoning(text) {
+    if (text) onReasoning(text);
+  }
+
+  function dropLeadingOpenTag(final) {
+    const rest = buffer.replace(/^\s+/, '');
+    if (rest.startsWith(OPEN_TAG)) {
+      buffer = rest.slice(OPEN_TAG.length);
+    } else if (!final && OPEN_TAG.startsWith(rest)) {
+      return false;
+    }
+    atStart = false;
+    return true;
+  }
+
+  function drain(final) {
+    if (atStart && !dropLeadingOpenTag(final)) return;
+    for (;;) {
+      const tag = thinking ? CLOSE_TAG : OPEN_TAG;
+      const idx = buffer.indexOf(tag);
+
+      if (idx !== -1) {
+        const before = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + tag.length);
+        if (thinking) {
+          emitReasoning(before);
+          trimNext = true;
+        } else {
+          emitText(before);
+        }
+        thinking = !thinking;
+        continue;
+      }
+
+      const hold = final ? 0 : partialTagLength(buffer, tag);
+      const ready = buffer.slice(0, buffer.length - hold);
+      buffer = buffer.slice(buffer.length - hold);
+      if (thinking) emitReasoning(ready);
+      else emitText(ready);
+      return;
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += String(chunk ?? '');
+      drain(false);
+    },
+    flush() {
+      drain(true);
+    },
+  };
+}
+
+/**
+ * Final-text split. Also handles a reply whose opening <think> was part of the
+ * prompt template (only </think> appears) and one cut off mid-thought.
+ * Returns { text, reasoning }.
+ */
+function splitReasoning(raw) {
+  let text = String(raw ?? '');
+  const reasoning = [];
+
+  if (opensInTemplate(text)) {
+    const firstClose = text.indexOf(CLOSE_TAG);
+    reasoning.push(text.slice(0, firstClose));
+    text = text.slice(firstClose + CLOSE_TAG.length);
+  }
+
+  text = text.replace(/<think>([\s\S]*?)(?:<\/think>|$)/g, (_, thought) => {
+    reasoning.push(thought);
+    return '';
+  });
+
+  return {
+    text: reasoning.length ? text.replace(/^\s+/, '') : text,
+    reasoning: reasoning.map((r) => r.trim()).filter(Boolean).join('\n\n'),
+  };
+}
+
+/** Assistant content with its reasoning put back in front, for reasoningHistory 'send'. */
+function withReasoning(content, reasoning) {
+  const thought = String(reasoning ?? '').trim();
+  return thought ? `${OPEN_TAG}\n${thought}\n${CLOSE_TAG}\n\n${content ?? ''}` : content;
+}
+
+module.exports = {
+  REASONING_HISTORY_MODES,
+  createThinkTagSplitter,
+  opensInTemplate,
+  splitReasoning,
+  withReasoning,
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Record/replay cassettes for deterministic sessions and offline fixtures.
+ * A cassette is one JSON file:
+ * { version: 1, interactions: [{ hash, kind, request, response, provider, model, recordedAt }] }
+ * - kind 'stream':     response = { text, chunks: [{ delayMs, text }] }
+ * - kind 'completion': response = { text }
+ * - kind 'embedding':  response = { vector }
+ * Identical requests recorded several times are served back in recorded order.
+ */
+
+const CASSETTE_VERSION = 1;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of what the model was asked. Sampling knobs are left out on purpose so
+ * a temperature tweak doesn't orphan a recorded session.
+ */
+function requestHash(kind, request) {
+  return crypto.createHash('sha256').update(`${kind}:${stableStringify(request)}`, 'utf8').digest('hex');
+}
+
+function abortError() {
+  const err = new Error('Replay aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function sleep(ms, signal) {
+  if (!ms) return signal?.aborted ? Promise.reject(abortError()) : Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createCassette(filePath, { fsLib = fs, now = () => Date.now() } = {}) {
+  let data = null;
+  const cursors = new Map(); // hash -> next occurrence to serve
+
+  function load() {
+    if (data) return data;
+    data = { version: CASSETTE_VERSION, interactions: [] };
+    try {
+      if (fsLib.existsSync(filePath)) {
+        const parsed = JSON.parse(fsLib.readFileSync(filePath, 'utf8'));
+        if (Array.isArray(parsed?.interactions)) data = parsed;
+      }
+    } catch (e) {
+      console.warn('[Replay] Could not read cassette:', e?.message ?? e);
+    }
+    return data;
+  }
+
+  function record(kind, request, response, meta = {}) {
+    const cassette = load();
+    cassette.interactions.push({
+      hash: requestHash(kind, request),
+      kind,
+      request,
+      response,
+      provider: meta.provider ?? null,
+      model: meta.model ?? null,
+      recordedAt: new Date(now()).toISOString(),
+    });
+    fsLib.writeFileSync(filePath, JSON.stringify(cassette, null, 2), 'utf8');
+  }
+
+  /** Next recorded response for this request, or null. */
+  function find(kind, request) {
+    const hash = requestHash(kind, request);
+    const matches = load().interactions.filter((i) => i.hash === hash);
+    if (!matches.length) return null;
+
+    const n = cursors.get(hash) ?? 0;
+    cursors.set(hash, n + 1);
+    return matches[Math.min(n, matches.length - 1)].response;
+  }
+
+  return { record, find };
+}
+
+/**
+ * Wraps onChunk to capture chunk boundaries and the gaps between them.
+ * Returns { onChunk, chunks }.
+ */
+function createChunkRecorder(onChunk, now = () => Date.now()) {
+  const chunks = [];
+  let last = now();
+  return {
+    chunks,
+    onChunk(text) {
+      const at = now();
+      chunks.push({ delayMs: at - last, text });
+      last = at;
+      onChunk(text);
+    },
+  };
+}
+
+/**
+ * Emits recorded chunks with their original spacing; `speed` 2 plays twice as
+ * fast, 0 plays instantly. Returns the full text.
+ */
+async function playChunks(response, onChunk, { signal, speed = 1 } = {}) {
+  const chunks = Array.isArray(response?.chunks) ? response.chunks : [{ delayMs: 0, text: response?.text ?? '' }];
+  let text = '';
+  for (const chunk of chunks) {
+    await sleep(speed > 0 ? Math.round((chunk.delayMs || 0) / speed) : 0, signal);
+    text += chunk.text;
+    onChunk(chunk.text);
+  }
+  return text;
+}
+
+const cassettes = new Map(); // path -> cassette
+
+function getCassette(filePath) {
+  if (!cassettes.has(filePath)) cassettes.set(filePath, createCassette(filePath));
+  return cassettes.get(filePath);
+}
+
+module.exports = {
+  requestHash,
+  createCassette,
+  createChunkRecorder,
+  playChunks,
+  getCassette,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8_000,
+  // A Retry-After longer than this is treated as "not now": give up so failover can kick in.
+  maxRetryAfterMs: 30_000,
+  statuses: [429, 503],
+});
+
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED', 'EPIPE']);
+
+/**
+ * Merge `config.retry` over the defaults.
+ * Example: { "retry": { "retries": 4, "baseDelayMs": 1000, "statuses": [429, 502, 503] } }
+ */
+function resolveRetryPolicy(config) {
+  const user = config?.retry && typeof config.retry === 'object' ? config.retry : {};
+  const num = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Number(value) : fallback);
+
+  return {
+    retries: Math.floor(num(user.retries, DEFAULT_RETRY_POLICY.retries)),
+    baseDelayMs: num(user.baseDelayMs, DEFAULT_RETRY_POLICY.baseDelayMs),
+    maxDelayMs: num(user.maxDelayMs, DEFAULT_RETRY_POLICY.maxDelayMs),
+    maxRetryAfterMs: num(user.maxRetryAfterMs, DEFAULT_RETRY_POLICY.maxRetryAfterMs),
+    statuses: Array.isArray(user.statuses) ? user.statuses.map(Number) : [...DEFAULT_RETRY_POLICY.statuses],
+  };
+}
+
+/**
+ * Retry-After is either delay-seconds or an HTTP date.
+ * Returns: milliseconds (>= 0) or null when absent/unparseable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const raw = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+
+  const at = Date.parse(raw);
+  if (Number.isNaN(at)) return null;
+  return Math.max(0, at - now);
+}
+
+function getRetryAfterHeader(error) {
+  const headers = error?.response?.headers;
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get('retry-after');
+  return headers['retry-after'] ?? headers['Retry-After'];
+}
+
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+}
+
+function isRetryableError(error, policy = DEFAULT_RETRY_POLICY) {
+  if (!error || isAbortError(error)) return false;
+
+  const status = Number(error?.response?.status);
+  if (status) return policy.statuses.includes(status);
+
+  const code = error.code || error?.cause?.code;
+  return RETRYABLE_NETWORK_CODES.has(code) || /socket hang up/i.test(String(error.message || ''));
+}
+
+/**
+ * Delay before retry number `attempt` (0-based).
+ * Honours Retry-After when present, otherwise full-jitter exponential backoff.
+ * Returns null when the server asks us to wait longer than the policy allows.
+ */
+function computeRetryDelay(attempt, policy, error, random = Math.random) {
+  const retryAfter = parseRetryAfter(getRetryAfterHeader(error));
+  if (retryAfter !== null) {
+    return retryAfter > policy.maxRetryAfterMs ? null : retryAfter;
+  }
+
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+function abortError() {
+  const err = new Error('Request aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs fn(attempt) and retries retryable failures according to `policy`.
+ * - canRetry(): extra veto, e.g. a stream that already emitted tokens
+ * - log(message, data): receives one entry per retry (wired to trace.logInfo)
+ */
+async function withRetry(fn, { policy = DEFAULT_RETRY_POLICY, signal, canRetry = () => true, log, label = 'request', random } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError();
+
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= policy.retries || signal?.aborted || !canRetry() || !isRetryableError(error, policy)) {
+        throw error;
+      }
+
+      const delayMs = computeRetryDelay(attempt, policy, error, random);
+      if (delayMs === null) throw error;
+
+      if (log) {
+        log(`Retrying ${label}`, {
+          attempt: attempt + 1,
+          of: policy.retries,
+          delayMs,
+          status: error?.response?.status ?? null,
+          code: error?.code ?? null,
+        });
+      }
+
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  isRetryableError,
+  computeRetryDelay,
+  withRetry,
+};
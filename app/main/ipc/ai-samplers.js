@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Sampler presets beyond temperature/max tokens, stored in config as:
+ * {
+ *   "samplerPresets": { "Creative": { "topP": 0.95, "minP": 0.05, "repetitionPenalty": 1.1, "stop": ["\nUser:"] } },
+ *   "activeSamplerPreset": "Creative"
+ * }
+ * Fields are provider-neutral; the mappers below translate them to each wire
+ * format and drop what a provider doesn't accept.
+ */
+
+const SAMPLER_FIELDS = Object.freeze([
+  'topP',
+  'topK',
+  'minP',
+  'repetitionPenalty',
+  'frequencyPenalty',
+  'presencePenalty',
+  'seed',
+  'stop',
+]);
+
+const ALL_FIELDS = new Set(SAMPLER_FIELDS);
+const OPENAI_STRICT_FIELDS = new Set(['topP', 'frequencyPenalty', 'presencePenalty', 'seed', 'stop']);
+
+// Field support per provider. OpenAI-compatible hosts that front llama.cpp/vLLM
+// (OpenRouter, LM Studio, Featherless, Chutes) take the extended samplers.
+// Anthropic has no topP: it always gets a temperature, and newer models reject both.
+const PROVIDER_SAMPLER_SUPPORT = Object.freeze({
+  openai: OPENAI_STRICT_FIELDS,
+  grok: OPENAI_STRICT_FIELDS,
+  gemini: new Set(['topP', 'topK', 'frequencyPenalty', 'presencePenalty', 'seed', 'stop']),
+  anthropic: new Set(['topK', 'stop']),
+  ollama: ALL_FIELDS,
+  embedded: ALL_FIELDS,
+});
+
+const MAX_STOP_SEQUENCES = Object.freeze({ openai: 4, grok: 4, gemini: 5 });
+
+/** Keep only known, well-typed fields. `stop` accepts an array or a newline-separated string. */
+function normalizeSampler(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+
+  const out = {};
+  for (const field of SAMPLER_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (field === 'stop') {
+      const list = (Array.isArray(value) ? value : String(value).split('\n'))
+        .map((s) => String(s))
+        .filter((s) => s.length > 0);
+      if (list.length) out.stop = list;
+      continue;
+    }
+
+    const n = Number(value);
+    if (!Number.isFinite(n)) continue;
+    out[field] = field === 'seed' || field === 'topK' ? Math.trunc(n) : n;
+  }
+  return out;
+}
+
+/** The active preset from config, normalized; {} when none is selected. */
+function resolveSamplerPreset(config) {
+  const name = config?.activeSamplerPreset;
+  if (!name) return {};
+  return normalizeSampler(config?.samplerPresets?.[name]);
+}
+
+/** Drop fields `provider` doesn't accept. Unknown providers are treated as OpenAI-compatible hosts. */
+function samplerForProvider(sampler, provider) {
+  const supported = PROVIDER_SAMPLER_SUPPORT[provider] ?? ALL_FIELDS;
+  const out = {};
+  for (const [field, value] of Object.entries(sampler || {})) {
+    if (supported.has(field)) out[field] = value;
+  }
+
+  const maxStops = MAX_STOP_SEQUENCES[provider];
+  if (out.stop && maxStops) out.stop = out.stop.slice(0, maxStops);
+  return out;
+}
+
+function pick(sampler, mapping) {
+  const out = {};
+  for (const [field, wireName] of Object.entries(mapping)) {
+    if (sampler?.[field] !== undefined) out[wireName] = sampler[field];
+  }
+  return out;
+}
+
+/** OpenAI /chat/completions fields (snake_case; the non-standard ones are llama.cpp/vLLM extensions). */
+function toChatCompletionsSampler(sampler) {
+  return pick(sampler, {
+    topP: 'top_p',
+    topK: 'top_k',
+    minP: 'min_p',
+    repetitionPenalty: 'repetition_penalty',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    seed: 'seed',
+    stop: 'stop',
+  });
+}
+
+/** Gemini generationConfig fields. */
+function toGeminiSampler(sampler) {
+  return pick(sampler, {
+    topP: 'topP',
+    topK: 'topK',
+    frequencyPenalty: 'frequencyPenalty',
+    presencePenalty: 'presencePenalty',
+    seed: 'seed',
+    stop: 'stopSequences',
+  });
+}
+
+function toAnthropicSampler(sampler) {
+  return pick(sampler, { topK: 'top_k', stop: 'stop_sequences' });
+}
+
+/** Ollama `options` fields. */
+function toOllamaSampler(sampler) {
+  return pick(sampler, {
+    topP: 'top_p',
+    topK: 'top_k',
+    minP: 'min_p',
+    repetitionPenalty: 'repeat_penalty',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    seed: 'seed',
+    stop: 'stop',
+  });
+}
+
+/** node-llama-cpp LlamaChatSession.prompt() options. */
+function toLlamaPromptSampler(sampler) {
+  const out = pick(sampler, { topP: 'topP', topK: 'topK', minP: 'minP', seed: 'seed', stop: 'customStopTriggers' });
+
+  const repeatPenalty = pick(sampler, {
+    repetitionPenalty: 'penalty',
+    frequencyPenalty: 'frequencyPenalty',
+    presencePenalty: 'presencePenalty',
+  });
+  if (Object.keys(repeatPenalty).length) out.repeatPenalty = repeatPenalty;
+  return out;
+}
+
+module.exports = {
+  SAMPLER_FIELDS,
+  normalizeSampler,
+  resolveSamplerPreset,
+  samplerForProvider,
+  toChatCompletionsSampler,
+  toGeminiSampler,
+  toAnthropicSampler,
+  toOllamaSampler,
+  toLlamaPromptSampler,
+};
@@ -1,6 +1,8 @@
 'use strict';
 
-function createSceneTools({ generateCompletion, parseFirstJsonObject, parseTagLines, toTagPlanFromJson }) {
+const { SCHEMAS } = require('./ai-schemas');
+
+function createSceneTools({ generateJson, parseFirstJsonObject, parseTagLines, toTagPlanFromJson, renderPrompt }) {
   async function analyzeScene(config, text, options = {}) {
     const {
       availableBackgrounds,
@@ -22,39 +24,18 @@ function createSceneTools({ generateCompletion, parseFirstJsonObject, parseTagLi
         .join('\n')
       : '';
 
-    const systemPrompt = `You are a Visual Novel Director (Cinematographer & Sound Engineer).
-Your job is to read the dialogue and output a JSON scene plan.
-
-Context:
-- Characters currently on stage: ${activeCharacters && activeCharacters.length ? activeCharacters.join(', ') : 'None'}
-- Current background: ${currentBackground || 'none'}
-- Current music: ${currentMusic || 'none'}
-- Player inventory: ${Array.isArray(inventory) && inventory.length ? inventory.join(', ') : 'empty'}
-- Scene objects: ${Array.isArray(sceneObjects) && sceneObjects.length ? sceneObjects.join(', ') : 'none'}
-- Previous applied directives: ${lastRenderReport || 'none'}
-- Recent turns:
-${recentTurns || 'none'}
-- Backgrounds (choose from): ${availableBackgrounds ? availableBackgrounds.slice(0, 40).join(', ') : 'any'}
-- Music (choose from): ${availableMusic ? availableMusic.slice(0, 40).join(', ') : 'any'}
-- SFX (choose from): ${availableSfx ? availableSfx.slice(0, 40).join(', ') : 'any'}
-
-Instructions:
-1. Output JSON only, no markdown, no prose.
-2. JSON schema:
-{"actions":[
-  {"type":"bg","name":"backgrounds/foo.png"},
-  {"type":"music","name":"music/bar.mp3"},
-  {"type":"sprite","character":"Name","emotion":"happy"},
-  {"type":"hide","character":"Name"},
-  {"type":"sfx","name":"door_slam"},
-  {"type":"fx","name":"shake"},
-  {"type":"camera","mode":"zoom_in","target":"Name"},
-  {"type":"take","item":"key"},
-  {"type":"drop","item":"key"}
-]}
-3. Keep actions minimal and ordered by appearance in the scene.
-4. Do not summon characters unless they physically enter or speak.
-5. If no changes are needed, return {"actions":[]}.`;
+    const systemPrompt = renderPrompt(config, 'analyzeScene', {
+      characters: activeCharacters && activeCharacters.length ? activeCharacters.join(', ') : 'None',
+      currentBackground: currentBackground || 'none',
+      currentMusic: currentMusic || 'none',
+      inventory: Array.isArray(inventory) && inventory.length ? inventory.join(', ') : 'empty',
+      objects: Array.isArray(sceneObjects) && sceneObjects.length ? sceneObjects.join(', ') : 'none',
+      lastRender: lastRenderReport || 'none',
+      recent: recentTurns || 'none',
+      backgrounds: availableBackgrounds ? availableBackgrounds.slice(0, 40).join(', ') : 'any',
+      music: availableMusic ? availableMusic.slice(0, 40).join(', ') : 'any',
+      sfx: availableSfx ? availableSfx.slice(0, 40).join(', ') : 'any',
+    });
 
     const messages = [
       { role: 'system', content: systemPrompt },
@@ -62,14 +43,21 @@ Instructions:
     ];
 
     try {
-      const responseText = await generateCompletion(config, messages, { temperature: 0.1, max_tokens: 220, useUtility: true });
-      if (!responseText) return null;
-
-      const parsed = parseFirstJsonObject(responseText);
-      const structuredTags = toTagPlanFromJson(parsed);
+      const { value, raw } = await generateJson(config, messages, {
+        schema: SCHEMAS.scenePlan,
+        temperature: 0.1,
+        max_tokens: 220,
+        useUtility: true,
+        task: 'analyzeScene',
+      });
+      if (!raw) return null;
+
+      // Still use a plan that only failed strict validation (e.g. "background" for "bg").
+      const structuredTags = toTagPlanFromJson(value) || toTagPlanFromJson(parseFirstJsonObject(raw));
       if (structuredTags) return structuredTags;
 
-      return parseTagLines(responseText);
+      // Small models sometimes answer with tag lines instead of JSON.
+      return parseTagLines(raw);
     } catch (e) {
       return null;
     }
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * Declared output schemas for the JSON-producing sidecar tools, plus a small
+ * JSON Schema validator (the subset used here: type, properties, required,
+ * additionalProperties, items, enum, anyOf, min/max, minItems/maxItems) and
+ * converters to each provider's constrained-output format.
+ */
+
+const str = { type: 'string' };
+const stringList = { type: 'array', items: str };
+
+const SCENE_ACTION_TYPES = Object.freeze(['bg', 'music', 'sprite', 'hide', 'sfx', 'fx', 'camera', 'take', 'drop']);
+
+const SCHEMAS = Object.freeze({
+  scenePlan: {
+    type: 'object',
+    properties: {
+      actions: {
+        type: 'array',
+        maxItems: 12,
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: SCENE_ACTION_TYPES },
+            name: str,
+            character: str,
+            emotion: str,
+            mode: str,
+            target: str,
+            item: str,
+          },
+          required: ['type'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['actions'],
+    additionalProperties: false,
+  },
+
+  replySuggestions: {
+    type: 'object',
+    properties: { suggestions: { type: 'array', items: str, minItems: 1, maxItems: 5 } },
+    required: ['suggestions'],
+    additionalProperties: false,
+  },
+
+  userFacts: {
+    type: 'object',
+    properties: {
+      facts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { entry: str, keywords: stringList },
+          required: ['entry', 'keywords'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['facts'],
+    additionalProperties: false,
+  },
+
+  affinity: {
+    type: 'object',
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 100 },
+      status: str,
+    },
+    required: ['score', 'status'],
+    additionalProperties: false,
+  },
+
+  // Keyed by character name.
+  characterState: {
+    type: 'object',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        Mood: str,
+        Trust: { type: ['string', 'number'] },
+        Thoughts: str,
+        NewLore: {
+          anyOf: [
+            { type: 'null' },
+            {
+              type: 'object',
+              properties: { keywords: stringList, scenario: str },
+              required: ['keywords', 'scenario'],
+            },
+          ],
+        },
+      },
+      required: ['Mood', 'Trust', 'Thoughts'],
+    },
+  },
+});
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/** Validation errors for `value` against `schema` ("$.actions[0].type: ..."); [] when valid. */
+function validateJson(schema, value, at = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  if (Array.isArray(schema.anyOf)) {
+    const branches = schema.anyOf.map((s) => validateJson(s, value, at));
+    return branches.some((errors) => !errors.length) ? [] : [`${at}: does not match any allowed shape`];
+  }
+
+  const errors = [];
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateJson(schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validateJson(properties[key], child, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected "${key}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJson(schema.additionalProperties, child, `${at}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/** OpenAI-compatible `response_format`. Not strict: strict mode forbids optional fields. */
+function toOpenAIResponseFormat(name, schema) {
+  return { type: 'json_schema', json_schema: { name, schema, strict: false } };
+}
+
+/**
+ * Gemini `responseSchema` (OpenAPI subset), or null when the schema needs
+ * something it can't express (free-form keys, anyOf, type unions).
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.anyOf || Array.isArray(schema.type)) return null;
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') return null;
+
+  const out = { type: String(schema.type || 'string').toUpperCase() };
+  if (schema.enum) out.enum = schema.enum;
+  for (const key of ['minimum', 'maximum', 'minItems', 'maxItems']) {
+    if (schema[key] != null) out[key] = schema[key];
+  }
+  if (schema.items) {
+    out.items = toGeminiSchema(schema.items);
+    if (!out.items) return null;
+  }
+  if (schema.properties) {
+    out.properties = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+      out.properties[key] = toGeminiSchema(child);
+      if (!out.properties[key]) return null;
+    }
+    if (schema.required?.length) out.required = schema.required;
+  }
+  return out;
+}
+
+/**
+ * node-llama-cpp grammar schema. The GBNF builder emits every listed property
+ * and has no numeric bounds, so `required`/min/max are left to validateJson.
+ */
+function toGbnfJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const out = {};
+  if (schema.anyOf) out.oneOf = schema.anyOf.map(toGbnfJsonSchema);
+  if (schema.type) out.type = schema.type;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.minItems != null) out.minItems = schema.minItems;
+  if (schema.maxItems != null) out.maxItems = schema.maxItems;
+  if (schema.items) out.items = toGbnfJsonSchema(schema.items);
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toGbnfJsonSchema(child)])
+    );
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    out.additionalProperties = toGbnfJsonSchema(schema.additionalProperties);
+  }
+  return out;
+}
+
+// Providers with native constrained output. The other OpenAI-compatible hosts
+// (Featherless, Chutes) and Anthropic rely on the prompt plus validation/repair.
+const JSON_SCHEMA_PROVIDERS = new Set(['openai', 'openrouter', 'grok', 'local', 'gemini', 'ollama', 'embedded']);
+
+function supportsJsonSchema(provider) {
+  return JSON_SCHEMA_PROVIDERS.has(provider);
+}
+
+/** Follow-up turn asking the model to fix its previous answer. */
+function buildRepairMessages(messages, badText, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content: String(badText ?? '') },
+    {
+      role: 'user',
+      content: `Your reply did not match the required JSON schema:\n- ${errors.slice(0, 8).join('\n- ')}\nReply again with the corrected JSON only. No markdown, no prose.`,
+    },
+  ];
+}
+
+module.exports = {
+  SCHEMAS,
+  validateJson,
+  toOpenAIResponseFormat,
+  toGeminiSchema,
+  toGbnfJsonSchema,
+  supportsJsonSchema,
+  buildRepairMessages,
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { stripTurnContext } = require('./context-window');
+
+/**
+ * Scripted playtest provider: canned replies instead of a model, so bot
+ * authors can click through a scenario offline. Script (YAML or JSON) in bot/files:
+ *
+ *   turns:
+ *     - reply: 'Jessica: "You came back!"'
+ *       scene: ['[BG: cafe]', '[SPRITE: Jessica/happy]', '[MUSIC: jazz]']
+ *     - match: 'number|phone'        # optional regex on the user's message
+ *       reply: 'Jessica: "Here, text me sometime."'
+ *   default: '*Jessica smiles and waits.*'
+ *   tasks:
+ *     summarizeChat: 'They met again at the cafe.'
+ *     generateReplySuggestions: ['Ask about her ring', 'Order a coffee']
+ *     analyzeScene: { answers: ['[BG: cafe]', '[BG: park]'] }   # served in order, last repeats
+ *
+ * `scene` may also be a plan object ({ actions: [...] }) in the director's JSON shape.
+ * Chat turn selection is derived from the conversation itself, so regenerating
+ * or reloading a chat gives the same reply.
+ */
+
+const DEFAULT_SCRIPT = 'playtest.yaml';
+const END_OF_SCRIPT = '*(End of playtest script.)*';
+
+function findScriptPath(scriptName) {
+  const name = scriptName || DEFAULT_SCRIPT;
+  const candidates = [
+    path.join(process.resourcesPath || '', 'bot', 'files', name),
+    path.join(process.cwd(), 'bot', 'files', name),
+    name,
+  ];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+const scriptCache = new Map(); // path -> { mtimeMs, script }
+
+/** Parses the script, re-reading it whenever the file changes. */
+function loadScript(scriptPath) {
+  const { mtimeMs } = fs.statSync(scriptPath);
+  const cached = scriptCache.get(scriptPath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.script;
+
+  const raw = fs.readFileSync(scriptPath, 'utf8');
+  const script = parseScript(raw, scriptPath);
+  scriptCache.set(scriptPath, { mtimeMs, script });
+  return script;
+}
+
+function parseScript(raw, fileName = '') {
+  const data = /\.json$/i.test(fileName) ? JSON.parse(raw) : YAML.parse(raw);
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Playtest script ${fileName} is empty or not an object.`);
+  }
+  return {
+    turns: Array.isArray(data.turns) ? data.turns : [],
+    default: data.default ?? null,
+    tasks: data.tasks && typeof data.tasks === 'object' ? data.tasks : {},
+    answerCursors: new Map(), // task -> next `answers` index
+  };
+}
+
+/** The user's own words; `match` must not fire on the lore and state injected with them. */
+function userTurns(messages) {
+  return (messages || []).filter((m) => m?.role === 'user').map((m) => stripTurnContext(contentText(m.content)));
+}
+
+function contentText(content) {
+  if (Array.isArray(content)) {
+    return content.filter((c) => c?.type === 'text').map((c) => c.text).join('\n');
+  }
+  return String(content ?? '');
+}
+
+function turnMatches(turn, userText) {
+  if (!turn?.match) return true;
+  try {
+    return new RegExp(turn.match, 'i').test(userText);
+  } catch {
+    return String(userText).toLowerCase().includes(String(turn.match).toLowerCase());
+  }
+}
+
+/**
+ * Walks the user's turns through the script. Each user message consumes the
+ * next turn whose `match` (if any) accepts it. Returns the turn for the last one.
+ */
+function selectTurn(script, messages) {
+  let cursor = 0;
+  let selected = null;
+
+  for (const userText of userTurns(messages)) {
+    selected = null;
+    for (let i = cursor; i < script.turns.length; i++) {
+      if (turnMatches(script.turns[i], userText)) {
+        selected = script.turns[i];
+        cursor = i + 1;
+        break;
+      }
+    }
+  }
+  return selected;
+}
+
+function sceneToTags(scene, toTagPlan) {
+  if (!scene) return '';
+  if (typeof scene === 'string') return scene.trim();
+  if (Array.isArray(scene)) return scene.map((s) => String(s).trim()).filter(Boolean).join('\n');
+  return toTagPlan?.(scene) || '';
+}
+
+/** Full assistant reply (text plus scene tags) for the conversation so far. */
+function scriptedReply(script, messages, { toTagPlan } = {}) {
+  const turn = selectTurn(script, messages);
+  if (!turn) return String(script.default ?? END_OF_SCRIPT);
+
+  const reply = String(turn.reply ?? '').trim();
+  const tags = sceneToTags(turn.scene, toTagPlan);
+  return [reply, tags].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Canned sidecar answer for `task`, or null when the script has none (callers
+ * then take their usual no-model fallback). Non-string answers are sent as JSON.
+ */
+function scriptedTaskAnswer(script, task) {
+  const entry = task ? script.tasks[task] : undefined;
+  if (entry === undefined || entry === null) return null;
+
+  let answer = entry;
+  if (entry && typeof entry === 'object' && Array.isArray(entry.answers)) {
+    if (!entry.answers.length) return null;
+    const n = script.answerCursors.get(task) ?? 0;
+    script.answerCursors.set(task, n + 1);
+    answer = entry.answers[Math.min(n, entry.answers.length - 1)];
+  }
+  return typeof answer === 'string' ? answer : JSON.stringify(answer);
+}
+
+/** Splits a reply into word-sized chunks so it streams like a model would. */
+function chunkReply(text) {
+  return String(text).match(/\S+\s*|\s+/g) || [];
+}
+
+module.exports = {
+  DEFAULT_SCRIPT,
+  findScriptPath,
+  loadScript,
+  parseScript,
+  selectTurn,
+  scriptedReply,
+  scriptedTaskAnswer,
+  chunkReply,
+};
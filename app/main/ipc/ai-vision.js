@@ -0,0 +1,121 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Image attachments in chat. User messages carry
+ * `attachments: [{ type: 'image', name, mimeType, dataUrl }]` next to their text;
+ * they go out as OpenAI-style `image_url` parts, which each body builder
+ * already translates. Models that can't see get a text caption instead.
+ */
+
+// Providers whose chat endpoint takes images whatever the model.
+const VISION_PROVIDERS = new Set(['gemini', 'anthropic', 'scripted', 'replay']);
+// No image input at all.
+const TEXT_ONLY_PROVIDERS = new Set(['embedded']);
+// Everything else depends on the model.
+const VISION_MODEL_PATTERN =
+  /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|(^|\/)o[134]\b|vision|[-_.]vl\b|-vl-|llava|bakllava|moondream|minicpm-v|pixtral|gemma-?3|claude-3|claude-(sonnet|opus|haiku)|gemini|grok-(2-vision|4)|llama-?3\.2.*vision|llama-?4/i;
+
+/**
+ * Whether these provider settings accept image parts. providerOptions.vision
+ * (true/false) overrides the guess for models the pattern doesn't know.
+ */
+function supportsVision(settings) {
+  const override = settings?.providerOptions?.vision;
+  if (typeof override === 'boolean') return override;
+  if (TEXT_ONLY_PROVIDERS.has(settings?.provider)) return false;
+  if (VISION_PROVIDERS.has(settings?.provider)) return true;
+  return VISION_MODEL_PATTERN.test(String(settings?.model || ''));
+}
+
+function imageAttachments(message) {
+  return Array.isArray(message?.attachments)
+    ? message.attachments.filter((a) => a?.type === 'image' && /^data:image\//.test(String(a.dataUrl || '')))
+    : [];
+}
+
+/**
+ * Chat message -> API content. Images from the last `keepImageTurns` user turns
+ * become image parts; older ones shrink to a note so every turn doesn't re-upload them.
+ */
+function attachmentsToContent(messages, { keepImageTurns = 2 } = {}) {
+  let imageTurnsLeft = keepImageTurns;
+  const out = new Array(messages.length);
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    const images = imageAttachments(m);
+    if (!images.length) {
+      out[i] = { role: m.role, content: m.content };
+      continue;
+    }
+
+    const text = String(m.content ?? '');
+    if (imageTurnsLeft > 0) {
+      imageTurnsLeft -= 1;
+      out[i] = {
+        role: m.role,
+        content: [
+          ...(text ? [{ type: 'text', text }] : []),
+          ...images.map((a) => ({ type: 'image_url', image_url: { url: a.dataUrl } })),
+        ],
+      };
+    } else {
+      const notes = images.map((a) => `[Image shared earlier: ${a.caption || a.name || 'image'}]`).join('\n');
+      out[i] = { role: m.role, content: [text, notes].filter(Boolean).join('\n') };
+    }
+  }
+  return out;
+}
+
+/** Data URLs of every image part in OpenAI-style messages. */
+function collectImageUrls(messages) {
+  const urls = [];
+  for (const m of messages || []) {
+    if (!Array.isArray(m?.content)) continue;
+    for (const part of m.content) {
+      if (part?.type === 'image_url' && part.image_url?.url) urls.push(part.image_url.url);
+    }
+  }
+  return urls;
+}
+
+/** Swap image parts for caption text, for models that can't see. captions: Map url -> text */
+function replaceImagesWithCaptions(messages, captions) {
+  return messages.map((m) => {
+    if (!Array.isArray(m?.content) || !m.content.some((p) => p?.type === 'image_url')) return m;
+    const content = m.content.map((part) => {
+      if (part?.type !== 'image_url') return part;
+      const caption = captions.get(part.image_url?.url);
+      return { type: 'text', text: caption ? `[Image: ${caption}]` : '[Image attached; it could not be described.]' };
+    });
+    return { ...m, content };
+  });
+}
+
+function imageKey(url) {
+  return crypto.createHash('sha256').update(String(url), 'utf8').digest('hex');
+}
+
+/** Bounded cache of captions by image hash, so a picture is described once per session. */
+function createCaptionCache(limit = 100) {
+  const entries = new Map();
+  return {
+    get: (url) => entries.get(imageKey(url)) ?? null,
+    set(url, caption) {
+      const key = imageKey(url);
+      entries.delete(key);
+      entries.set(key, caption);
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+module.exports = {
+  supportsVision,
+  attachmentsToContent,
+  collectImageUrls,
+  replaceImagesWithCaptions,
+  createCaptionCache,
+};
@@ -60,6 +60,14 @@ function createConfigStore({ configPath, readJsonSafe, writeJsonSafe, clone, saf
     if (pollinationsDecrypted) config.pollinationsApiKey = pollinationsDecrypted;
     else delete config.pollinationsApiKey;
 
+    // LAN pairing token: a password for the LAN server, kept like the keys.
+    if (config?.lanServer && typeof config.lanServer === 'object') {
+      const token = decryptApiKey(config.lanServer.tokenEncrypted ?? config.lanServer.token ?? null);
+      delete config.lanServer.tokenEncrypted;
+      if (token) config.lanServer.token = token;
+      else delete config.lanServer.token;
+    }
+
     return config;
   }
 
@@ -81,6 +89,13 @@ function createConfigStore({ configPath, readJsonSafe, writeJsonSafe, clone, saf
     delete copy.apiKeys;
     delete copy.pollinationsApiKey;
 
+    if (copy?.lanServer && typeof copy.lanServer === 'object') {
+      const tokenWrapped = encryptApiKey(copy.lanServer.token);
+      if (tokenWrapped) copy.lanServer.tokenEncrypted = tokenWrapped;
+      else delete copy.lanServer.tokenEncrypted;
+      delete copy.lanServer.token;
+    }
+
     return writeJsonSafe(configPath, copy);
   }
 
@@ -92,6 +107,10 @@ function createConfigStore({ configPath, readJsonSafe, writeJsonSafe, clone, saf
     delete copy.pollinationsApiKey;
     delete copy.apiKeysEncrypted;
     delete copy.pollinationsApiKeyEncrypted;
+    if (copy.lanServer && typeof copy.lanServer === 'object') {
+      delete copy.lanServer.token;
+      delete copy.lanServer.tokenEncrypted;
+    }
     return copy;
   }
 
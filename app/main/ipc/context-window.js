@@ -1,43 +1,83 @@
 'use strict';
 
-function estimateTokensFromMessageContent(content) {
-  if (content == null) return 0;
+const { heuristicCount, countContentTokens } = require('./token-counter');
 
-  if (typeof content === 'string') return Math.ceil(content.length / 4);
-
-  if (Array.isArray(content)) {
-    let chars = 0;
-    for (const c of content) {
-      if (c?.type === 'text' && typeof c.text === 'string') chars += c.text.length;
-      if (c?.type === 'image_url') chars += 200;
-    }
-    return Math.ceil(chars / 4);
-  }
+/**
+ * `countTokens(text)` comes from token-counter's resolveTokenCounter;
+ * without one, the length/4 heuristic is used.
+ */
+function estimateTokensFromMessageContent(content, countTokens = heuristicCount) {
+  return countContentTokens(content, countTokens);
+}
 
-  return Math.ceil(String(content).length / 4);
+function estimateTokensForMessages(messages, countTokens = heuristicCount) {
+  return messages.reduce((sum, m) => sum + estimateTokensFromMessageContent(m?.content, countTokens), 0);
 }
 
-function estimateTokensForMessages(messages) {
-  return messages.reduce((sum, m) => sum + estimateTokensFromMessageContent(m?.content), 0);
+const TURN_CONTEXT_OPEN = '[CONTEXT FOR THIS TURN]';
+const TURN_CONTEXT_CLOSE = '[/CONTEXT]';
+const TURN_CONTEXT_RE = /^\[CONTEXT FOR THIS TURN\]\n[\s\S]*?\n\[\/CONTEXT\](?:\n\n)?/;
+
+/**
+ * Per-turn context (scene state, lore, character states) goes on the newest
+ * user message instead of the system prompt, so the system prompt and older
+ * history stay a stable prefix that providers can cache. A partial assistant
+ * reply being continued doesn't count as a new turn: the user message before it
+ * still carries the context. With no user turn to carry it, it is appended to
+ * the system message.
+ */
+function attachTurnContext(messages, turnContext) {
+  const context = String(turnContext ?? '').trim();
+  if (!context) return messages;
+
+  const block = `${TURN_CONTEXT_OPEN}\n${context}\n${TURN_CONTEXT_CLOSE}`;
+  const out = [...messages];
+  let target = out.length - 1;
+  if (out[target]?.role === 'assistant' && out[target - 1]?.role === 'user') target -= 1;
+  const last = out[target];
+
+  if (last?.role === 'user') {
+    out[target] = {
+      ...last,
+      content: Array.isArray(last.content)
+        ? [{ type: 'text', text: block }, ...last.content]
+        : `${block}\n\n${String(last.content ?? '')}`,
+    };
+    return out;
+  }
+
+  const sysIndex = out.findIndex((m) => m.role === 'system');
+  if (sysIndex > -1) {
+    out[sysIndex] = { ...out[sysIndex], content: `${String(out[sysIndex].content ?? '')}\n\n${block}` };
+  } else {
+    out.unshift({ role: 'system', content: block });
+  }
+  return out;
 }
 
-function applyContextWindow(messages, { maxContext, systemSuffix }) {
+/**
+ * Keeps the system message and as much recent history as fits in maxContext.
+ * systemSuffix (stable) is appended to the system message; turnContext
+ * (volatile) is attached with attachTurnContext.
+ */
+function applyContextWindow(messages, { maxContext, systemSuffix, turnContext = '', countTokens = heuristicCount }) {
   const copy = structuredClone(messages);
 
   const sysIndex = copy.findIndex((m) => m.role === 'system');
   const sysMsg = sysIndex > -1 ? copy[sysIndex] : null;
 
-  const baseSysTokens = sysMsg ? estimateTokensFromMessageContent(sysMsg.content) : 0;
-  const suffixTokens = Math.ceil(systemSuffix.length / 4);
+  const baseSysTokens = sysMsg ? estimateTokensFromMessageContent(sysMsg.content, countTokens) : 0;
+  const suffixTokens = countTokens(systemSuffix);
+  const contextTokens = turnContext ? countTokens(turnContext) : 0;
   const reserve = 1000;
-  const available = Math.max(0, (maxContext ?? 128000) - baseSysTokens - suffixTokens - reserve);
+  const available = Math.max(0, (maxContext ?? 128000) - baseSysTokens - suffixTokens - contextTokens - reserve);
 
   const history = copy.filter((_, i) => i !== sysIndex);
   const kept = [];
 
   let used = 0;
   for (let i = history.length - 1; i >= 0; i--) {
-    const msgTokens = estimateTokensFromMessageContent(history[i]?.content);
+    const msgTokens = estimateTokensFromMessageContent(history[i]?.content, countTokens);
     if (used + msgTokens <= available) {
       kept.unshift(history[i]);
       used += msgTokens;
@@ -57,11 +97,18 @@ function applyContextWindow(messages, { maxContext, systemSuffix }) {
     out.unshift({ role: 'system', content: systemSuffix });
   }
 
-  return out;
+  return attachTurnContext(out, turnContext);
+}
+
+/** What the user typed, without the block attachTurnContext put in front of it. */
+function stripTurnContext(text) {
+  return String(text ?? '').replace(TURN_CONTEXT_RE, '');
 }
 
 module.exports = {
   estimateTokensFromMessageContent,
   estimateTokensForMessages,
   applyContextWindow,
+  attachTurnContext,
+  stripTurnContext,
 };
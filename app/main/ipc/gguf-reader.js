@@ -0,0 +1,170 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Reads the metadata header of a GGUF model file (v2/v3) without loading the
+ * model: architecture, context length, quantization and friends. Arrays (the
+ * tokenizer vocabulary) are skipped and kept as their length only.
+ * Spec: https://github.com/ggml-org/ggml/blob/master/docs/gguf.md
+ */
+
+const GGUF_MAGIC = 'GGUF';
+const CHUNK_SIZE = 64 * 1024;
+const MAX_STRING_BYTES = 1024 * 1024; // chat templates are a few KB; anything huge is a corrupt file
+
+const TYPE = Object.freeze({
+  UINT8: 0, INT8: 1, UINT16: 2, INT16: 3, UINT32: 4, INT32: 5, FLOAT32: 6,
+  BOOL: 7, STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12,
+});
+
+const FIXED_SIZES = new Map([
+  [TYPE.UINT8, 1], [TYPE.INT8, 1], [TYPE.BOOL, 1],
+  [TYPE.UINT16, 2], [TYPE.INT16, 2],
+  [TYPE.UINT32, 4], [TYPE.INT32, 4], [TYPE.FLOAT32, 4],
+  [TYPE.UINT64, 8], [TYPE.INT64, 8], [TYPE.FLOAT64, 8],
+]);
+
+// general.file_type (llama_ftype) -> quantization label
+const FILE_TYPES = Object.freeze({
+  0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+  10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+  16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+  22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+  28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16', 36: 'TQ1_0', 37: 'TQ2_0',
+});
+
+const QUANT_IN_NAME = /(?:^|[-_.])((?:I?Q\d(?:_[A-Z0-9]+)*)|BF16|F16|F32)(?=[-_.]|$)/i;
+
+/** Sequential reader over a file handle, refilling a buffer as it goes. */
+function createReader(handle) {
+  let buffer = Buffer.alloc(0);
+  let offset = 0; // read position inside `buffer`
+  let fileOffset = 0; // file position of buffer's end
+
+  async function ensure(n) {
+    if (buffer.length - offset >= n) return;
+    const rest = buffer.subarray(offset);
+    const chunk = Buffer.alloc(Math.max(CHUNK_SIZE, n - rest.length));
+    const { bytesRead } = await handle.read(chunk, 0, chunk.length, fileOffset);
+    fileOffset += bytesRead;
+    buffer = Buffer.concat([rest, chunk.subarray(0, bytesRead)]);
+    offset = 0;
+    if (buffer.length < n) throw new Error('Unexpected end of GGUF header.');
+  }
+
+  async function take(n) {
+    await ensure(n);
+    const out = buffer.subarray(offset, offset + n);
+    offset += n;
+    return out;
+  }
+
+  return {
+    async u32() { return (await take(4)).readUInt32LE(0); },
+    async u64() { return (await take(8)).readBigUInt64LE(0); },
+    async string() {
+      const length = Number(await this.u64());
+      if (length > MAX_STRING_BYTES) throw new Error('GGUF string is implausibly long.');
+      return (await take(length)).toString('utf8');
+    },
+    async scalar(type) {
+      const size = FIXED_SIZES.get(type);
+      if (!size) throw new Error(`Unknown GGUF value type ${type}.`);
+      const b = await take(size);
+      switch (type) {
+        case TYPE.UINT8: return b.readUInt8(0);
+        case TYPE.INT8: return b.readInt8(0);
+        case TYPE.BOOL: return b.readUInt8(0) !== 0;
+        case TYPE.UINT16: return b.readUInt16LE(0);
+        case TYPE.INT16: return b.readInt16LE(0);
+        case TYPE.UINT32: return b.readUInt32LE(0);
+        case TYPE.INT32: return b.readInt32LE(0);
+        case TYPE.FLOAT32: return b.readFloatLE(0);
+        case TYPE.UINT64: return Number(b.readBigUInt64LE(0));
+        case TYPE.INT64: return Number(b.readBigInt64LE(0));
+        default: return b.readDoubleLE(0);
+      }
+    },
+    skip(n) {
+      const buffered = buffer.length - offset;
+      if (n <= buffered) {
+        offset += n;
+        return;
+      }
+      // Jump over the rest without reading it.
+      fileOffset += n - buffered;
+      buffer = Buffer.alloc(0);
+      offset = 0;
+    },
+  };
+}
+
+async function readValue(reader, type) {
+  if (type === TYPE.STRING) return reader.string();
+  if (type !== TYPE.ARRAY) return reader.scalar(type);
+
+  const itemType = await reader.u32();
+  const length = Number(await reader.u64());
+  if (FIXED_SIZES.has(itemType)) {
+    reader.skip(length * FIXED_SIZES.get(itemType));
+  } else {
+    for (let i = 0; i < length; i++) await readValue(reader, itemType);
+  }
+  return { type: 'array', itemType, length };
+}
+
+/**
+ * Header of the GGUF at `filePath`.
+ * Returns: { version, tensorCount, metadata: { [key]: value } }
+ */
+async function readGgufMetadata(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const reader = createReader(handle);
+    const magic = Buffer.alloc(4);
+    magic.writeUInt32LE(await reader.u32());
+    if (magic.toString('ascii') !== GGUF_MAGIC) throw new Error('Not a GGUF file.');
+
+    const version = await reader.u32();
+    if (version < 2) throw new Error(`GGUF v${version} is not supported.`);
+
+    const tensorCount = Number(await reader.u64());
+    const kvCount = Number(await reader.u64());
+    const metadata = {};
+    for (let i = 0; i < kvCount; i++) {
+      const key = await reader.string();
+      metadata[key] = await readValue(reader, await reader.u32());
+    }
+    return { version, tensorCount, metadata };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * The fields the model picker shows.
+ * Returns: { architecture, name, contextLength, quantization, parameterSize, chatTemplate }
+ */
+function describeGguf(metadata, fileName = '') {
+  const architecture = metadata['general.architecture'] ?? null;
+  const contextLength = architecture ? metadata[`${architecture}.context_length`] : undefined;
+  const quantization = FILE_TYPES[metadata['general.file_type']]
+    ?? String(fileName).match(QUANT_IN_NAME)?.[1]?.toUpperCase()
+    ?? null;
+
+  return {
+    architecture,
+    name: metadata['general.name'] ?? null,
+    contextLength: Number.isFinite(contextLength) ? contextLength : null,
+    quantization,
+    parameterSize: metadata['general.size_label'] ?? null,
+    chatTemplate: typeof metadata['tokenizer.chat_template'] === 'string' ? metadata['tokenizer.chat_template'] : null,
+  };
+}
+
+module.exports = {
+  GGUF_VALUE_TYPES: TYPE,
+  readGgufMetadata,
+  describeGguf,
+};
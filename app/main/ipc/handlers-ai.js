@@ -1,15 +1,6 @@
 'use strict';
 
-function cleanMessagesForApi(messages) {
-  return messages.map((m) => {
-    let content = m.content;
-    if (m.role === 'assistant' && m.renderReport) {
-      content += `\n[SCENE_STATE: ${m.renderReport}]`;
-    }
-    return { role: m.role, content };
-  });
-}
-
+/** sendChat, evolveCharacterState and lore come from the engine (engine/index.js). */
 function registerAiHandlers({
   ipcMain,
   fs,
@@ -17,24 +8,10 @@ function registerAiHandlers({
   aiService,
   loadConfig,
   readTextSafe,
-  readJsonSafe,
-  writeJsonSafe,
   botFilesPath,
-  botImagesPath,
-  characterStatePath,
-  lorebookPath,
-  advancedPromptPath,
-  userDataPath,
-  getManifest,
-  ensureManifestCoverage,
-  getFiles,
-  PROVIDER_CATEGORIES,
-  buildVisualPrompt,
-  buildStateInjection,
-  buildLoreInjection,
-  buildEnforcementRules,
-  applyContextWindow,
-  structuredCloneSafe,
+  sendChat,
+  evolveCharacterState,
+  lore,
   trace,
 }) {
   const activeChatControllers = new Map(); // webContents.id -> AbortController
@@ -92,163 +69,59 @@ function registerAiHandlers({
     }
   });
 
-  ipcMain.handle('evolve-character-state', async (_event, messages, activeCharacters) => {
-    const t = trace.createTrace('evolve-character-state', { activeCount: Array.isArray(activeCharacters) ? activeCharacters.length : 0 });
-    if (!Array.isArray(activeCharacters) || activeCharacters.length === 0) {
-      return trace.ok(t, null);
-    }
-
+  ipcMain.handle('list-models', async (_event, provider, options = {}) => {
+    const t = trace.createTrace('list-models', { provider: String(provider || '') });
     const config = loadConfig();
-
-    let originalPersonalities = '';
-    for (const name of activeCharacters) {
-      const charPath = path.join(botFilesPath, 'characters', name, 'personality.txt');
-      if (fs.existsSync(charPath)) {
-        const text = readTextSafe(charPath, '').slice(0, 5000);
-        originalPersonalities += `\n[${name}'s ORIGINAL CORE PERSONALITY]\n${text}...`;
-      }
-    }
-
-    const currentState = readJsonSafe(characterStatePath, {});
-    const recentHistory = (messages ?? [])
-      .slice(-5)
-      .map((m) => `${m.role}: ${String(m.content ?? '')}`)
-      .join('\n');
-
-    const systemPrompt =
-      'You are a narrative engine. Update the internal psychological state of the characters based on the recent conversation. Output JSON only.';
-
-    const userPrompt =
-`[CONTEXT]
-${originalPersonalities}
-[CURRENT STATE]
-${JSON.stringify(currentState, null, 2)}
-[RECENT INTERACTION]
-${recentHistory}
-[INSTRUCTIONS]
-Analyze the recent interaction.
-1. Update the state for: ${activeCharacters.join(', ')}.
-2. [DRIFT CORRECTION]: Check if the current state has drifted from the [ORIGINAL CORE PERSONALITY]. If so, correct the Mood/Thoughts to realign with the character's true nature.
-Fields to update:
-- Mood: Current emotional baseline.
-- Trust: Level of trust in the user.
-- Thoughts: Internal monologue or current goal.
-- NewLore: If a NEW significant fact about the world or characters is established that should be remembered long-term, output an object { "keywords": ["key1", "key2"], "scenario": "Fact description" }. Otherwise null.
-Output a JSON object keyed by character name containing these fields.`;
-
+    const target = String(provider || config.activeProvider || '');
     try {
-      const responseText = await aiService.generateCompletion(config, [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ]);
-
-      if (!responseText) return null;
-
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) return null;
-
-      const updates = JSON.parse(jsonMatch[0]);
-
-      const currentLore = readJsonSafe(lorebookPath, []);
-      const loreArray = Array.isArray(currentLore) ? currentLore : [];
-
-      for (const update of Object.values(updates)) {
-        if (update?.NewLore?.scenario && update?.NewLore?.keywords) {
-          loreArray.push(update.NewLore);
-          delete update.NewLore;
-        }
-      }
-
-      const uniqueLore = [];
-      const seenSigs = new Set();
-      for (const entry of loreArray) {
-        const sig = JSON.stringify({ k: (entry.keywords || []).sort(), c: (entry.scenario || entry.entry || '').trim() });
-        if (!seenSigs.has(sig)) {
-          seenSigs.add(sig);
-          uniqueLore.push(entry);
-        }
-      }
-
-      writeJsonSafe(lorebookPath, uniqueLore);
-
-      const merged = { ...currentState, ...updates };
-      writeJsonSafe(characterStatePath, merged);
-      return trace.ok(t, merged);
-    } catch (e) {
-      return trace.fail(t, 'STATE_EVOLUTION_ERROR', trace.normalizeErrorMessage(e, 'Character state evolution failed.'), null, e);
+      const models = await aiService.listModels(config, target, {
+        apiKey: typeof options?.apiKey === 'string' ? options.apiKey.trim() : undefined,
+        baseUrl: typeof options?.baseUrl === 'string' ? options.baseUrl.trim() : undefined,
+        refresh: Boolean(options?.refresh),
+      });
+      return trace.ok(t, models, { provider: target, count: models.length });
+    } catch (error) {
+      return trace.fail(t, 'MODEL_LIST_ERROR', trace.normalizeErrorMessage(error, `Could not list ${target} models.`), null, error);
     }
   });
 
-  ipcMain.handle('send-chat', async (event, messages, options = {}) => {
-    const t = trace.createTrace('send-chat');
-    const senderId = event?.sender?.id;
-    const messagesCopy = structuredCloneSafe(messages ?? []);
-    const config = loadConfig();
-    const settings = aiService.getProviderSettings(config);
-
-    if (!settings.apiKey && settings.provider !== 'local') {
-      return trace.fail(t, 'NO_API_KEY', 'No API key found for the active provider.');
+  ipcMain.handle('rebuild-lore-index', async (event) => {
+    const t = trace.createTrace('rebuild-lore-index');
+    try {
+      const result = await lore.rebuildIndex(loadConfig(), (progress) => {
+        if (!event.sender.isDestroyed()) event.sender.send('lore-index-progress', progress);
+      });
+      trace.logInfo(t, 'Lore index rebuilt', result);
+      return trace.ok(t, result);
+    } catch (error) {
+      return trace.fail(t, 'LORE_INDEX_ERROR', trace.normalizeErrorMessage(error, 'Lore index rebuild failed.'), null, error);
     }
+  });
 
-    const manifest = getManifest();
-    for (const category of PROVIDER_CATEGORIES) {
-      ensureManifestCoverage(manifest, category, getFiles(category));
+  ipcMain.handle('count-tokens', async (_event, text) => {
+    const t = trace.createTrace('count-tokens');
+    try {
+      const counter = await aiService.getTokenCounter(loadConfig());
+      return trace.ok(t, { tokens: counter.count(String(text ?? '')), tokenizer: counter.name });
+    } catch (error) {
+      return trace.fail(t, 'TOKEN_COUNT_ERROR', trace.normalizeErrorMessage(error, 'Token count failed.'), null, error);
     }
+  });
 
-    const recentText = messagesCopy.slice(-3).map((m) => m.content || '').join(' ');
-    const visualPrompt = buildVisualPrompt({ botImagesPath, botFilesPath }, manifest, options, recentText);
-
-    const characterState = readJsonSafe(characterStatePath, {});
-    const lorebook = readJsonSafe(lorebookPath, []);
-    const loreEmbeddingsPath = path.join(userDataPath, 'aura_lorebook_embeddings.json');
-
-    const stateInjection = buildStateInjection(characterState, options?.activeCharacters);
-    const loreInjection = await buildLoreInjection(lorebook, messagesCopy, config, loreEmbeddingsPath);
-    const advancedPromptContent = readTextSafe(advancedPromptPath, '').trim();
-
-    const enforcementRules = buildEnforcementRules({
-      stateInjection,
-      loreInjection,
-      advancedPromptContent,
-    });
+  ipcMain.handle('evolve-character-state', (_event, messages, activeCharacters) => evolveCharacterState(messages, activeCharacters));
 
-    const systemSuffix = visualPrompt + enforcementRules;
-    const maxContext = Number(config.maxContext) || 128000;
-    const finalMessages = applyContextWindow(cleanMessagesForApi(messagesCopy), { maxContext, systemSuffix });
+  ipcMain.handle('send-chat', async (event, messages, options = {}) => {
+    const senderId = event?.sender?.id;
     const webContents = event.sender;
     const controller = new AbortController();
     activeChatControllers.set(senderId, controller);
 
     try {
-      const temperature = config.temperature !== undefined ? Number(config.temperature) : 0.7;
-      const fullText = await aiService.generateStream(
-        config,
-        finalMessages,
-        (chunk) => webContents.send('chat-reply-chunk', chunk),
-        { temperature, signal: controller.signal }
-      );
-
-      const controlledText = await aiService.runHeuristicCleanup(fullText, {
-        activeCharacters: options.activeCharacters,
-        messages: messagesCopy,
+      return await sendChat(messages, options, {
+        onChunk: (chunk) => webContents.send('chat-reply-chunk', chunk),
+        onReasoning: (chunk) => webContents.send('chat-reasoning-chunk', chunk),
+        signal: controller.signal,
       });
-
-      return trace.ok(t, controlledText || '');
-    } catch (error) {
-      const isAbort =
-        error?.name === 'AbortError' ||
-        error?.code === 'ERR_CANCELED' ||
-        /cancell?ed|aborted/i.test(String(error?.message || ''));
-      if (isAbort) {
-        return trace.fail(t, 'AI_ABORTED', 'Generation cancelled.', null, error);
-      }
-      return trace.fail(
-        t,
-        'AI_STREAM_ERROR',
-        trace.normalizeErrorMessage(error, 'Failed to generate AI response.'),
-        { provider: settings.provider },
-        error
-      );
     } finally {
       activeChatControllers.delete(senderId);
     }
@@ -1,5 +1,8 @@
 ﻿'use strict';
-const { shell } = require('electron');
+const { SIDECAR_TASKS } = require('./ai-provider');
+const { SAMPLER_FIELDS, normalizeSampler } = require('./ai-samplers');
+const { SCENE_DIRECTIVE_MODES } = require('./scene-tool-schema');
+const { REASONING_HISTORY_MODES } = require('./ai-reasoning');
 
 
 function registerConfigHandlers({
@@ -17,6 +20,7 @@ function registerConfigHandlers({
   advancedPromptPath,
   DEFAULT_PERSONA,
   DEFAULT_SUMMARY,
+  shell,
   trace,
 }) {
   ipcMain.handle('get-config', () => {
@@ -121,6 +125,141 @@ function registerConfigHandlers({
     return trace.ok(tr, saveConfig(c));
   });
 
+  ipcMain.handle('save-provider-options', (_e, provider, options) => {
+    const tr = trace.createTrace('save-provider-options', { provider: String(provider || '') });
+    if (!provider) return trace.fail(tr, 'INVALID_PROVIDER', 'Provider is required.');
+
+    const c = loadConfig();
+    c.providerOptions ??= {};
+    const cleaned = {};
+    for (const [key, value] of Object.entries(options || {})) {
+      if (value !== null && value !== undefined && value !== '') cleaned[key] = value;
+    }
+    c.providerOptions[provider] = cleaned;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('save-fallback-providers', (_e, providers) => {
+    const tr = trace.createTrace('save-fallback-providers');
+    const c = loadConfig();
+    const list = Array.isArray(providers) ? providers : [];
+    c.fallbackProviders = [...new Set(list.map((p) => String(p || '').trim().toLowerCase()).filter(Boolean))];
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('save-embedding-settings', (_e, embedding) => {
+    const tr = trace.createTrace('save-embedding-settings');
+    const c = loadConfig();
+    const provider = String(embedding?.provider || '').trim().toLowerCase();
+    const model = String(embedding?.model || '').trim();
+    if (provider || model) c.embedding = { provider: provider || null, model: model || null };
+    else delete c.embedding;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('save-scene-directives', (_e, mode) => {
+    const tr = trace.createTrace('save-scene-directives');
+    if (!SCENE_DIRECTIVE_MODES.includes(mode)) {
+      return trace.fail(tr, 'INVALID_SCENE_DIRECTIVES', `Scene directives must be one of: ${SCENE_DIRECTIVE_MODES.join(', ')}.`);
+    }
+    const c = loadConfig();
+    if (mode === 'tags') delete c.sceneDirectives;
+    else c.sceneDirectives = mode;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('save-auto-continue', (_e, enabled) => {
+    const tr = trace.createTrace('save-auto-continue');
+    const c = loadConfig();
+    if (enabled === true) c.autoContinue = true;
+    else delete c.autoContinue;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('save-reasoning-history', (_e, mode) => {
+    const tr = trace.createTrace('save-reasoning-history');
+    if (!REASONING_HISTORY_MODES.includes(mode)) {
+      return trace.fail(tr, 'INVALID_REASONING_HISTORY', `Reasoning history must be one of: ${REASONING_HISTORY_MODES.join(', ')}.`);
+    }
+    const c = loadConfig();
+    if (mode === 'omit') delete c.reasoningHistory;
+    else c.reasoningHistory = mode;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('get-task-routing', () => {
+    const tr = trace.createTrace('get-task-routing');
+    const c = loadConfig();
+    return trace.ok(tr, { tasks: SIDECAR_TASKS, routing: c.taskRouting ?? {} });
+  });
+
+  ipcMain.handle('save-task-routing', (_e, routing) => {
+    const tr = trace.createTrace('save-task-routing');
+    const known = new Set(SIDECAR_TASKS.map((task) => task.id));
+    const cleaned = {};
+
+    for (const [task, route] of Object.entries(routing || {})) {
+      if (!known.has(task) || !route || typeof route !== 'object') continue;
+      const entry = {};
+      if (route.provider) entry.provider = String(route.provider);
+      if (route.model) entry.model = String(route.model).trim();
+      if (route.temperature !== '' && route.temperature != null && Number.isFinite(Number(route.temperature))) {
+        entry.temperature = Number(route.temperature);
+      }
+      if (route.maxTokens !== '' && route.maxTokens != null && Number.isFinite(Number(route.maxTokens))) {
+        entry.maxTokens = Number.parseInt(route.maxTokens, 10);
+      }
+      if (Object.keys(entry).length) cleaned[task] = entry;
+    }
+
+    const c = loadConfig();
+    c.taskRouting = cleaned;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('get-sampler-presets', () => {
+    const tr = trace.createTrace('get-sampler-presets');
+    const c = loadConfig();
+    return trace.ok(tr, {
+      fields: SAMPLER_FIELDS,
+      presets: c.samplerPresets ?? {},
+      active: c.activeSamplerPreset ?? null,
+    });
+  });
+
+  ipcMain.handle('save-sampler-preset', (_e, name, values) => {
+    const presetName = String(name || '').trim();
+    const tr = trace.createTrace('save-sampler-preset', { name: presetName });
+    if (!presetName) return trace.fail(tr, 'INVALID_PRESET', 'Preset name is required.');
+
+    const c = loadConfig();
+    c.samplerPresets ??= {};
+    c.samplerPresets[presetName] = normalizeSampler(values);
+    c.activeSamplerPreset = presetName;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('delete-sampler-preset', (_e, name) => {
+    const tr = trace.createTrace('delete-sampler-preset', { name: String(name || '') });
+    const c = loadConfig();
+    if (c.samplerPresets) delete c.samplerPresets[name];
+    if (c.activeSamplerPreset === name) delete c.activeSamplerPreset;
+    return trace.ok(tr, saveConfig(c));
+  });
+
+  ipcMain.handle('set-active-sampler-preset', (_e, name) => {
+    const tr = trace.createTrace('set-active-sampler-preset', { name: String(name || '') });
+    const c = loadConfig();
+    if (!name) {
+      delete c.activeSamplerPreset;
+    } else if (c.samplerPresets?.[name]) {
+      c.activeSamplerPreset = name;
+    } else {
+      return trace.fail(tr, 'UNKNOWN_PRESET', `No sampler preset named "${name}".`);
+    }
+    return trace.ok(tr, saveConfig(c));
+  });
+
   ipcMain.handle('save-pollinations-key', (_e, key) => {
     const t = trace.createTrace('save-pollinations-key');
     const c = loadConfig();
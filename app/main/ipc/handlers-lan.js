@@ -0,0 +1,98 @@
+'use strict';
+
+const { DEFAULT_LAN_PORT, createPairingToken } = require('./lan-server');
+
+/**
+ * LAN play settings (config.lanServer = { enabled, port, token }).
+ * createServer({ token, port }) -> { start, stop, setToken } (lan-server.js).
+ * The server only runs while enabled; it starts with the app when it was left on.
+ */
+function registerLanHandlers({ ipcMain, loadConfig, saveConfig, createServer, trace }) {
+  let server = null;
+  let status = { running: false, port: null, urls: [], error: null };
+
+  function readSettings() {
+    const lan = loadConfig().lanServer || {};
+    return {
+      enabled: lan.enabled === true,
+      port: Number.isInteger(lan.port) && lan.port > 0 && lan.port < 65536 ? lan.port : DEFAULT_LAN_PORT,
+      token: typeof lan.token === 'string' && lan.token ? lan.token : null,
+    };
+  }
+
+  function toPublic(settings) {
+    return {
+      enabled: settings.enabled,
+      port: settings.port,
+      running: status.running,
+      error: status.error,
+      pairingUrls: status.urls.map((url) => `${url}?token=${settings.token}`),
+    };
+  }
+
+  async function stopServer() {
+    if (!server) return;
+    const current = server;
+    server = null;
+    status = { running: false, port: null, urls: [], error: null };
+    await current.stop();
+  }
+
+  async function applySettings(settings) {
+    await stopServer();
+    if (!settings.enabled) return;
+
+    const t = trace.createTrace('lan-server', { port: settings.port });
+    const next = createServer({ token: settings.token, port: settings.port });
+    try {
+      const { port, urls } = await next.start();
+      server = next;
+      status = { running: true, port, urls, error: null };
+      trace.logInfo(t, 'LAN server listening', { port, urls });
+    } catch (err) {
+      status = { running: false, port: null, urls: [], error: trace.normalizeErrorMessage(err, 'Failed to start the LAN server.') };
+    }
+  }
+
+  ipcMain.handle('get-lan-server', () => {
+    const t = trace.createTrace('get-lan-server');
+    return trace.ok(t, toPublic(readSettings()));
+  });
+
+  ipcMain.handle('save-lan-server', async (_event, enabled, port) => {
+    const t = trace.createTrace('save-lan-server', { enabled: Boolean(enabled) });
+    const nextPort = port === undefined || port === null || port === '' ? DEFAULT_LAN_PORT : Number(port);
+    if (!Number.isInteger(nextPort) || nextPort < 1 || nextPort > 65535) {
+      return trace.fail(t, 'INVALID_PORT', 'Port must be a whole number between 1 and 65535.', { port });
+    }
+
+    const config = loadConfig();
+    const lan = config.lanServer || {};
+    config.lanServer = { ...lan, enabled: enabled === true, port: nextPort, token: lan.token || createPairingToken() };
+    saveConfig(config);
+
+    const settings = readSettings();
+    await applySettings(settings);
+    if (status.error) {
+      return trace.fail(t, 'LAN_SERVER_ERROR', status.error, { port: settings.port });
+    }
+    return trace.ok(t, toPublic(settings));
+  });
+
+  ipcMain.handle('reset-lan-token', () => {
+    const t = trace.createTrace('reset-lan-token');
+    const config = loadConfig();
+    const token = createPairingToken();
+    config.lanServer = { ...(config.lanServer || {}), token };
+    saveConfig(config);
+    server?.setToken(token);
+    return trace.ok(t, toPublic(readSettings()));
+  });
+
+  const settings = readSettings();
+  const ready = settings.enabled ? applySettings(settings) : Promise.resolve();
+
+  return { ready, stop: stopServer };
+}
+
+module.exports = { registerLanHandlers };
@@ -22,6 +22,7 @@ function registerMediaHandlers({
   botFilesPath,
   botImagesPath,
   PROVIDER_CATEGORIES,
+  getBotInfo,
   trace,
 }) {
   const manifestPath = path.join(botFilesPath, 'images.json');
@@ -130,37 +131,7 @@ function registerMediaHandlers({
     return manifest;
   });
 
-  ipcMain.handle('get-bot-info', () => {
-    const readBot = (rel) => readTextSafe(path.join(botFilesPath, rel), '').trim();
-
-    const charDir = path.join(botFilesPath, 'characters');
-    const characters = {};
-
-    if (fs.existsSync(charDir)) {
-      for (const entry of fs.readdirSync(charDir, { withFileTypes: true })) {
-        if (!entry.isDirectory()) continue;
-
-        const p = readBot(`characters/${entry.name}/personality.txt`);
-        if (p) characters[entry.name] = p;
-      }
-    }
-
-    let spriteSizes = {};
-    try {
-      const raw = readTextSafe(path.join(botFilesPath, 'sprite_size.txt'), '{}');
-      if (raw.trim()) spriteSizes = JSON.parse(raw);
-    } catch (e) {
-      console.warn('Failed to parse sprite_size.txt', e);
-    }
-
-    return {
-      personality: readBot('personality.txt'),
-      scenario: readBot('scenario.txt'),
-      initial: readBot('initial.txt'),
-      characters,
-      spriteSizes,
-    };
-  });
+  ipcMain.handle('get-bot-info', () => getBotInfo());
 
   /**
    * Scan images and auto-label them via vision.
@@ -171,7 +142,7 @@ function registerMediaHandlers({
     const config = loadConfig();
     const settings = aiService.getProviderSettings(config);
 
-    if (!settings.apiKey && settings.provider !== 'local') {
+    if (!settings.apiKey && aiService.requiresApiKey(settings.provider)) {
       return trace.ok(t, { success: false, message: 'No API key found.' });
     }
 
@@ -211,7 +182,7 @@ function registerMediaHandlers({
                   { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } },
                 ],
               }],
-              { max_tokens: 50 }
+              { max_tokens: 50, task: 'scanImages' }
             );
 
             if (result) {
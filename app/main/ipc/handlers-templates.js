@@ -0,0 +1,43 @@
+'use strict';
+
+const { isTemplateId, validateTemplate } = require('./prompt-templates');
+
+/**
+ * Prompt template overrides (config.promptTemplates = { [id]: text }).
+ * templates: the engine's store (prompt-templates.js), which layers them over
+ * the bot folder's prompts/<id>.txt and the built-in defaults.
+ */
+function registerPromptTemplateHandlers({ ipcMain, loadConfig, saveConfig, templates, trace }) {
+  ipcMain.handle('get-prompt-templates', () => {
+    const t = trace.createTrace('get-prompt-templates');
+    return trace.ok(t, templates.resolve(loadConfig()));
+  });
+
+  ipcMain.handle('save-prompt-template', (_event, id, text) => {
+    const t = trace.createTrace('save-prompt-template', { id });
+    if (!isTemplateId(id)) return trace.fail(t, 'UNKNOWN_TEMPLATE', `No prompt template named "${id}".`);
+
+    const errors = validateTemplate(id, text);
+    if (errors.length) return trace.fail(t, 'INVALID_TEMPLATE', errors.join('\n'), { errors });
+
+    const config = loadConfig();
+    config.promptTemplates = { ...(config.promptTemplates || {}), [id]: String(text) };
+    saveConfig(config);
+    return trace.ok(t, templates.resolve(config));
+  });
+
+  ipcMain.handle('reset-prompt-template', (_event, id) => {
+    const t = trace.createTrace('reset-prompt-template', { id });
+    if (!isTemplateId(id)) return trace.fail(t, 'UNKNOWN_TEMPLATE', `No prompt template named "${id}".`);
+
+    const config = loadConfig();
+    if (config.promptTemplates) {
+      delete config.promptTemplates[id];
+      if (!Object.keys(config.promptTemplates).length) delete config.promptTemplates;
+      saveConfig(config);
+    }
+    return trace.ok(t, templates.resolve(config));
+  });
+}
+
+module.exports = { registerPromptTemplateHandlers };
@@ -0,0 +1,25 @@
+'use strict';
+
+function registerUsageHandlers({ ipcMain, usageLedger, loadConfig, trace }) {
+  /**
+   * Aggregated token usage. filter: { since?, until?, chatId? } (days as YYYY-MM-DD).
+   * Costs are filled in only for providers listed in config.pricing.
+   */
+  ipcMain.handle('get-usage-stats', (_event, filter = {}) => {
+    const t = trace.createTrace('get-usage-stats');
+    try {
+      const config = loadConfig();
+      const stats = usageLedger.getStats({
+        since: filter?.since || null,
+        until: filter?.until || null,
+        chatId: filter?.chatId || null,
+        pricing: config?.pricing ?? null,
+      });
+      return trace.ok(t, stats);
+    } catch (e) {
+      return trace.fail(t, 'USAGE_STATS_ERROR', trace.normalizeErrorMessage(e, 'Failed to read usage stats.'), null, e);
+    }
+  });
+}
+
+module.exports = { registerUsageHandlers };
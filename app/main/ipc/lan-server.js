@@ -0,0 +1,315 @@
+'use strict';
+
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getMimeType, resolveSafeResourcePath, createBotResourceResolver } = require('./media-paths');
+
+/* ============================================================================
+   LAN SERVER (opt-in)
+   Serves the renderer to a browser on the local network and forwards
+   window.api calls to the same handlers ipcMain uses:
+     POST /api/invoke/<channel>   { args: [...] } -> { result }
+     GET  /bot-resource/<rel>     same lookup as the bot-resource:// protocol
+     WS   /ws?client=<id>         { channel, payload } events (chat-reply-chunk...)
+   Every request needs the pairing token, either as a Bearer header or the
+   cookie set by opening /?token=<token> once. The cookie rides along from any
+   page in that browser, so /ws also needs the request to come from this origin.
+   ========================================================================== */
+
+const DEFAULT_LAN_PORT = 8765;
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const TOKEN_COOKIE = 'lan_token';
+const WEB_API_SCRIPT = '<script src="app/renderer/web-api.js"></script>';
+
+// The channels app/renderer/web-api.js calls; everything else stays on the
+// desktop. Saved keys are managed there too: a pairing link is not a password
+// prompt, and whoever holds one should not be able to replace the keys.
+const LAN_CHANNELS = new Set([
+  'cancel-chat', 'check-file-exists', 'cleanup-response', 'clear-voice-map', 'count-tokens',
+  'delete-sampler-preset', 'determine-active-context', 'evolve-character-state',
+  'expand-image-prompt', 'extract-user-facts', 'find-closest-sprite', 'generate-image',
+  'generate-speech', 'get-advanced-prompt', 'get-affinity', 'get-bot-info', 'get-chapter-title',
+  'get-chats', 'get-config', 'get-image-manifest', 'get-images', 'get-lorebook', 'get-persona',
+  'get-prompt-templates', 'get-quest-objective', 'get-reply-suggestions', 'get-sampler-presets',
+  'get-stage-directions', 'get-summary', 'get-task-routing', 'get-usage-stats', 'get-voice-map',
+  'list-models', 'load-chat', 'load-current-chat', 'phone-create-thread', 'phone-get-contacts',
+  'phone-get-thread', 'phone-list-threads', 'phone-mark-read', 'phone-poll-updates',
+  'phone-reset-state', 'phone-send-message', 'phone-set-contact-known', 'rebuild-lore-index',
+  'reset-prompt-template', 'save-advanced-prompt', 'save-auto-continue', 'save-chat',
+  'save-current-chat', 'save-director-mode', 'save-embedding-settings', 'save-fallback-providers',
+  'save-lorebook', 'save-max-context', 'save-persona', 'save-prompt-template',
+  'save-provider-options', 'save-reasoning-history', 'save-sampler-preset',
+  'save-scene-directives', 'save-summary', 'save-task-routing', 'save-temperature',
+  'save-voice-map', 'scan-images', 'scan-voice-buckets', 'send-chat', 'set-active-provider',
+  'set-active-sampler-preset', 'summarize-chat', 'test-provider',
+]);
+
+/**
+ * Arguments a LAN client may not pick. list-models would fetch whatever
+ * baseUrl it names from the desktop; LAN clients get the saved one.
+ */
+function lanInvokeArgs(channel, args) {
+  if (channel === 'list-models' && args[1] && typeof args[1] === 'object') {
+    const { baseUrl: _baseUrl, ...options } = args[1];
+    return [args[0], options, ...args.slice(2)];
+  }
+  return args;
+}
+
+function createPairingToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/** Non-internal IPv4 addresses, for the pairing links shown in Settings. */
+function lanAddresses() {
+  const out = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const iface of list || []) {
+      if (iface.family === 'IPv4' && !iface.internal) out.push(iface.address);
+    }
+  }
+  return out;
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return '';
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+function sendFile(res, filePath) {
+  fs.stat(filePath, (err, stat) => {
+    if (err || !stat.isFile()) return sendText(res, 404, 'Not found.');
+    res.writeHead(200, { 'Content-Type': getMimeType(filePath), 'Content-Length': stat.size });
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * channels: Map<channel, handler> holding the functions passed to ipcMain.handle.
+ * appRoot: folder with index.html. Returns { start() -> { port, urls }, stop(), setToken }.
+ */
+function createLanServer({
+  channels,
+  appRoot,
+  botImagesPath,
+  token,
+  port = DEFAULT_LAN_PORT,
+  host = '0.0.0.0',
+}) {
+  let currentToken = String(token || '');
+  const resolveBotResource = createBotResourceResolver(botImagesPath);
+  const rendererRoot = path.join(appRoot, 'app', 'renderer');
+  const sockets = new Map(); // clientId -> Set<WebSocket>
+  const senders = new Map(); // clientId -> fake event.sender
+
+  function tokenMatches(candidate) {
+    if (!candidate || !currentToken) return false;
+    const a = Buffer.from(String(candidate));
+    const b = Buffer.from(currentToken);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  function isAuthorized(req) {
+    const header = String(req.headers.authorization || '');
+    if (header.startsWith('Bearer ') && tokenMatches(header.slice(7).trim())) return true;
+    return tokenMatches(readCookie(req, TOKEN_COOKIE));
+  }
+
+  // Browsers always send Origin on a WebSocket; other clients send none.
+  function isSameOrigin(req) {
+    const origin = req.headers.origin;
+    return origin === undefined || origin === `http://${req.headers.host}`;
+  }
+
+  // Stands in for webContents: handlers call event.sender.send/id/isDestroyed.
+  function getSender(clientId) {
+    if (!senders.has(clientId)) {
+      senders.set(clientId, {
+        id: `lan:${clientId}`,
+        isDestroyed: () => false,
+        send(channel, payload) {
+          const message = JSON.stringify({ channel, payload });
+          for (const socket of sockets.get(clientId) || []) {
+            if (socket.readyState === WebSocket.OPEN) socket.send(message);
+          }
+        },
+      });
+    }
+    return senders.get(clientId);
+  }
+
+  async function handleInvoke(req, res, channel) {
+    const handler = channels.get(channel);
+    if (!handler || !LAN_CHANNELS.has(channel)) {
+      return sendJson(res, 404, { error: { message: `Unknown channel: ${channel}` } });
+    }
+
+    let args;
+    try {
+      const body = JSON.parse((await readBody(req, MAX_BODY_BYTES)) || '{}');
+      args = lanInvokeArgs(channel, Array.isArray(body?.args) ? body.args : []);
+    } catch (err) {
+      return sendJson(res, err.status || 400, { error: { message: err.status ? err.message : 'Invalid JSON body.' } });
+    }
+
+    const clientId = String(req.headers['x-client-id'] || 'anonymous').slice(0, 64);
+    try {
+      const result = await handler({ sender: getSender(clientId) }, ...args);
+      sendJson(res, 200, { result: result ?? null });
+    } catch (err) {
+      sendJson(res, 500, { error: { message: String(err?.message || err) } });
+    }
+  }
+
+  function serveIndex(res) {
+    fs.readFile(path.join(appRoot, 'index.html'), 'utf8', (err, html) => {
+      if (err) return sendText(res, 500, 'index.html is missing.');
+      res.writeHead(200, { 'Content-Type': getMimeType('index.html'), 'Cache-Control': 'no-store' });
+      res.end(html.replace('</head>', `  ${WEB_API_SCRIPT}\n</head>`));
+    });
+  }
+
+  async function onRequest(req, res) {
+    const url = new URL(req.url, 'http://lan');
+
+    // Pairing link: trade the query token for a cookie, then drop it from the URL.
+    const queryToken = url.searchParams.get('token');
+    if (queryToken !== null) {
+      if (!tokenMatches(queryToken)) return sendText(res, 401, 'Invalid pairing token.');
+      res.writeHead(302, {
+        'Set-Cookie': `${TOKEN_COOKIE}=${encodeURIComponent(currentToken)}; Path=/; HttpOnly; SameSite=Strict`,
+        Location: url.pathname,
+      });
+      return res.end();
+    }
+
+    if (!isAuthorized(req)) {
+      return sendText(res, 401, 'Not paired. Open the pairing link shown in Settings > LAN Play on the desktop app.');
+    }
+
+    const pathname = url.pathname;
+
+    if (pathname.startsWith('/api/invoke/')) {
+      if (req.method !== 'POST') return sendJson(res, 405, { error: { message: 'Use POST.' } });
+      return handleInvoke(req, res, decodeURIComponent(pathname.slice('/api/invoke/'.length)));
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendText(res, 405, 'Method not allowed.');
+
+    if (pathname === '/' || pathname === '/index.html') return serveIndex(res);
+
+    if (pathname.startsWith('/bot-resource/')) {
+      const resolved = resolveBotResource(pathname.slice('/bot-resource/'.length));
+      return resolved ? sendFile(res, resolved) : sendText(res, 404, 'Not found.');
+    }
+
+    if (pathname.startsWith('/app/renderer/')) {
+      const resolved = resolveSafeResourcePath(rendererRoot, pathname.slice('/app/renderer/'.length));
+      return resolved ? sendFile(res, resolved) : sendText(res, 404, 'Not found.');
+    }
+
+    return sendText(res, 404, 'Not found.');
+  }
+
+  const server = http.createServer((req, res) => {
+    onRequest(req, res).catch((err) => {
+      if (!res.headersSent) sendText(res, 500, String(err?.message || err));
+    });
+  });
+
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://lan');
+    if (url.pathname !== '/ws' || !isAuthorized(req)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    if (!isSameOrigin(req)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    const clientId = String(url.searchParams.get('client') || 'anonymous').slice(0, 64);
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      if (!sockets.has(clientId)) sockets.set(clientId, new Set());
+      sockets.get(clientId).add(ws);
+      ws.on('close', () => sockets.get(clientId)?.delete(ws));
+    });
+  });
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        const actualPort = server.address().port;
+        const hosts = host === '0.0.0.0' ? lanAddresses() : [host];
+        resolve({ port: actualPort, urls: hosts.map((h) => `http://${h}:${actualPort}/`) });
+      });
+    });
+  }
+
+  function stop() {
+    for (const set of sockets.values()) {
+      for (const ws of set) ws.terminate();
+    }
+    sockets.clear();
+    return new Promise((resolve) => {
+      if (!server.listening) return resolve();
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  /** New token; paired browsers have to open the new pairing link. */
+  function setToken(next) {
+    currentToken = String(next || '');
+    for (const set of sockets.values()) {
+      for (const ws of set) ws.close();
+    }
+  }
+
+  return { start, stop, setToken };
+}
+
+module.exports = {
+  DEFAULT_LAN_PORT,
+  LAN_CHANNELS,
+  createPairingToken,
+  lanAddresses,
+  createLanServer,
+};
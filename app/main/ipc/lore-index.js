@@ -0,0 +1,155 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Persistent lore embedding index (aura_lorebook_embeddings.json).
+ * Vectors are keyed by embedding provider + model + content hash, so switching
+ * embedding models never compares vectors from different spaces:
+ * { version: 2, entries: { "<provider>|<model>|<sha256>": { provider, model, hash, dim, vector } } }
+ * The v1 layout (entry text -> vector) carries no model info and is discarded.
+ */
+
+const INDEX_VERSION = 2;
+const EMBED_CONCURRENCY = 4;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text ?? ''), 'utf8').digest('hex');
+}
+
+function loreText(entry) {
+  return entry?.scenario || entry?.entry || '';
+}
+
+function cosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dot += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * `identity` below is the { provider, model } of the embedding settings in use;
+ * `embed(text)` resolves to number[] or null.
+ */
+function createLoreIndex({ indexPath, readJsonSafe, writeJsonSafe }) {
+  let entries = null; // Map key -> record
+
+  function keyFor(identity, hash) {
+    return `${identity.provider}|${identity.model}|${hash}`;
+  }
+
+  function load() {
+    if (entries) return entries;
+    const data = indexPath ? readJsonSafe(indexPath, {}) : {};
+    entries = new Map();
+    if (data?.version === INDEX_VERSION && data.entries && typeof data.entries === 'object') {
+      for (const [key, record] of Object.entries(data.entries)) {
+        if (Array.isArray(record?.vector) && record.vector.length === record.dim) entries.set(key, record);
+      }
+    }
+    return entries;
+  }
+
+  function save() {
+    if (!indexPath) return;
+    writeJsonSafe(indexPath, { version: INDEX_VERSION, entries: Object.fromEntries(load()) });
+  }
+
+  /** Drop vectors (for any model) whose lore text no longer exists. Returns how many were removed. */
+  function evictDeleted(lorebook) {
+    const map = load();
+    const live = new Set((lorebook || []).map(loreText).filter(Boolean).map(hashText));
+    let removed = 0;
+    for (const [key, record] of map) {
+      if (!live.has(record.hash)) {
+        map.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Embed lore entries missing for `identity`, evicting deleted ones.
+   * onProgress({ done, total }) fires after each embedding attempt.
+   * Returns: { embedded, failed, evicted, total }
+   */
+  async function sync(lorebook, identity, embed, { onProgress, force = false } = {}) {
+    const map = load();
+    const evicted = evictDeleted(lorebook);
+
+    if (force) {
+      for (const [key, record] of map) {
+        if (record.provider === identity.provider && record.model === identity.model) map.delete(key);
+      }
+    }
+
+    const pending = new Map(); // hash -> text, deduped
+    for (const entry of lorebook || []) {
+      const text = loreText(entry);
+      if (!text) continue;
+      const hash = hashText(text);
+      if (!map.has(keyFor(identity, hash))) pending.set(hash, text);
+    }
+
+    const queue = [...pending];
+    const total = queue.length;
+    let done = 0;
+    let embedded = 0;
+
+    const worker = async () => {
+      while (queue.length) {
+        const [hash, text] = queue.shift();
+        const vector = await embed(text);
+        if (Array.isArray(vector) && vector.length) {
+          map.set(keyFor(identity, hash), {
+            provider: identity.provider,
+            model: identity.model,
+            hash,
+            dim: vector.length,
+            vector,
+          });
+          embedded += 1;
+        }
+        done += 1;
+        onProgress?.({ done, total });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(EMBED_CONCURRENCY, total) }, worker));
+
+    if (embedded || evicted || force) save();
+    return { embedded, failed: total - embedded, evicted, total };
+  }
+
+  /**
+   * Lore entries most similar to `queryVector`, using only vectors from the
+   * same model and of the same dimension.
+   */
+  function search(lorebook, identity, queryVector, { threshold = 0.5, limit = 3 } = {}) {
+    const map = load();
+    const candidates = [];
+
+    for (const entry of lorebook || []) {
+      const text = loreText(entry);
+      if (!text) continue;
+      const record = map.get(keyFor(identity, hashText(text)));
+      if (!record || record.dim !== queryVector?.length) continue;
+
+      const score = cosineSimilarity(queryVector, record.vector);
+      if (score > threshold) candidates.push({ text, score });
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    return candidates.slice(0, limit);
+  }
+
+  return { sync, search, evictDeleted, size: () => load().size };
+}
+
+module.exports = { createLoreIndex, cosineSimilarity, hashText };
@@ -1,7 +1,107 @@
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+};
+
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Normalize a protocol URL path and prevent escaping the allowed root dir.
+ */
+function resolveSafeResourcePath(rootDir, requestedPath) {
+  // decode + remove leading slash
+  let rel = decodeURIComponent(String(requestedPath || '')).replace(/^\/+/, '');
+
+  // Normalize to remove ../ and weird separators
+  rel = rel.replace(/\\/g, '/'); // unify
+  const normalized = path.normalize(rel);
+
+  // If normalized path tries to escape, reject
+  if (normalized.startsWith('..') || path.isAbsolute(normalized)) {
+    return null;
+  }
+
+  const full = path.join(rootDir, normalized);
+
+  // Enforce root containment
+  const rootResolved = path.resolve(rootDir);
+  const fullResolved = path.resolve(full);
+  if (!fullResolved.startsWith(rootResolved + path.sep) && fullResolved !== rootResolved) {
+    return null;
+  }
+
+  return fullResolved;
+}
+
+/**
+ * Lookup behind bot-resource:// URLs (and the LAN server's /bot-resource/).
+ * Models often drop the folder or the extension, so both are retried.
+ * Returns: resolve(rel) -> absolute path | null
+ */
+function createBotResourceResolver(botImagesPath) {
+  const cache = new Map(); // requestedRel -> resolved absolute
+
+  const tryExtensions = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.mp3', '.wav', '.ogg'];
+  const subdirs = ['characters', 'sprites', 'backgrounds', 'splash', 'music', 'sfx', 'title'];
+
+  return function resolveBotResource(rel) {
+    // fast cache
+    if (cache.has(rel)) return cache.get(rel);
+
+    // 1) direct resolve under root
+    let resolved = resolveSafeResourcePath(botImagesPath, rel);
+
+    // If unsafe, abort
+    if (!resolved) return null;
+
+    // 2) If not exists, try subdir fallbacks & extension fallbacks
+    if (!fs.existsSync(resolved)) {
+      // Try searching in known subdirectories
+      for (const sub of subdirs) {
+        const candidate = resolveSafeResourcePath(botImagesPath, path.join(sub, rel));
+        if (candidate && fs.existsSync(candidate)) {
+          resolved = candidate;
+          break;
+        }
+      }
+
+      // Try adding extensions if still missing
+      if (!fs.existsSync(resolved)) {
+        for (const ext of tryExtensions) {
+          if (fs.existsSync(resolved + ext)) {
+            resolved = resolved + ext;
+            break;
+          }
+        }
+      }
+    }
+
+    // Still missing
+    if (!fs.existsSync(resolved)) return null;
+
+    cache.set(rel, resolved);
+    return resolved;
+  };
+}
+
 function resolveMediaAbsolutePath({ botImagesPath, botFilesPath }, relativePath) {
   const rel = String(relativePath || '').replace(/\\/g, '/').replace(/^\/+/, '');
   const normalized = path.posix.normalize(rel);
@@ -28,4 +128,9 @@ function resolveMediaAbsolutePath({ botImagesPath, botFilesPath }, relativePath)
   return fullResolved;
 }
 
-module.exports = { resolveMediaAbsolutePath };
+module.exports = {
+  getMimeType,
+  resolveSafeResourcePath,
+  createBotResourceResolver,
+  resolveMediaAbsolutePath,
+};
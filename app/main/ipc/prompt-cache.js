@@ -0,0 +1,110 @@
+'use strict';
+
+const crypto = require('crypto');
+const { GEMINI_API_BASE, contentToText } = require('./ai-provider');
+
+/**
+ * Provider prompt caching for the chat's system prompt. send-chat keeps that
+ * prompt identical from turn to turn (per-turn state rides on the last user
+ * message instead, see context-window), so it can be cached:
+ * - Anthropic, and Anthropic/Gemini models on OpenRouter: a `cache_control` breakpoint
+ * - Gemini: an explicit `cachedContents` entry, reused by content hash until it expires
+ * - OpenAI-compatible hosts and Ollama cache shared prefixes on their own
+ * - embedded: the chat sequence keeps its KV cache between turns (ai-embedded keepWarm)
+ * `providerOptions.promptCache: false` turns it off for a provider.
+ */
+
+const CACHE_CONTROL = Object.freeze({ type: 'ephemeral' });
+// OpenRouter forwards cache_control to these; its other models cache implicitly or not at all.
+const OPENROUTER_CACHE_CONTROL_MODELS = /^(anthropic|google)\//i;
+
+const GEMINI_CACHE_BASE = GEMINI_API_BASE.replace(/\/models$/, '/cachedContents');
+const GEMINI_CACHE_TTL_SECONDS = 3600;
+// Gemini rejects caches under ~1024 tokens (more on Pro); don't bother below that.
+const GEMINI_MIN_CACHE_CHARS = 4096;
+// Stop using an entry a little before the server drops it.
+const GEMINI_EXPIRY_MARGIN_SECONDS = 60;
+
+function promptCacheEnabled(settings) {
+  return settings?.providerOptions?.promptCache !== false;
+}
+
+/** Text of the leading system message, which is what gets cached. */
+function systemPromptText(messages) {
+  const system = (messages || []).find((m) => m?.role === 'system');
+  return system ? contentToText(system.content) : '';
+}
+
+/** Whether these settings take an explicit `cache_control` breakpoint. */
+function usesCacheControl(settings) {
+  if (!promptCacheEnabled(settings)) return false;
+  if (settings.provider === 'anthropic') return true;
+  return settings.provider === 'openrouter' && OPENROUTER_CACHE_CONTROL_MODELS.test(String(settings.model || ''));
+}
+
+/** Chat-completions messages with the system prompt as one text block carrying a breakpoint. */
+function withCacheControl(messages) {
+  const i = messages.findIndex((m) => m?.role === 'system');
+  if (i === -1) return messages;
+  const text = contentToText(messages[i].content);
+  if (!text) return messages;
+
+  const out = [...messages];
+  out[i] = { ...messages[i], content: [{ type: 'text', text, cache_control: CACHE_CONTROL }] };
+  return out;
+}
+
+/**
+ * Gemini `cachedContents` entries keyed by model + system prompt.
+ * post(url, body) => axios-style response. resolve() gives the cache name to
+ * send as `cachedContent`, or null to send the prompt in full; a failed
+ * create is remembered for the TTL so it isn't retried every turn.
+ */
+function createGeminiContextCache({ post, now = Date.now, ttlSeconds = GEMINI_CACHE_TTL_SECONDS, limit = 16 } = {}) {
+  const entries = new Map(); // key -> { expiresAt, name: Promise<string | null> }
+
+  const keyFor = (model, text) => crypto.createHash('sha256').update(`${model}\0${text}`, 'utf8').digest('hex');
+
+  function resolve(settings, systemText) {
+    const text = String(systemText || '');
+    if (!promptCacheEnabled(settings) || text.length < GEMINI_MIN_CACHE_CHARS) return Promise.resolve(null);
+
+    const key = keyFor(settings.model, text);
+    const hit = entries.get(key);
+    if (hit && hit.expiresAt > now()) return hit.name;
+    entries.delete(key);
+
+    const ttl = Number(settings.providerOptions?.cacheTtlSeconds) || ttlSeconds;
+    const url = `${GEMINI_CACHE_BASE}?key=${encodeURIComponent(settings.apiKey)}`;
+    const name = Promise.resolve()
+      .then(() => post(url, {
+        model: `models/${settings.model}`,
+        systemInstruction: { parts: [{ text }] },
+        ttl: `${ttl}s`,
+      }))
+      .then((r) => r?.data?.name || null)
+      .catch((e) => {
+        console.warn('[AI] Gemini context cache unavailable, sending the full prompt:', e?.response?.data?.error?.message ?? e?.message ?? e);
+        return null;
+      });
+
+    entries.set(key, { expiresAt: now() + Math.max(0, ttl - GEMINI_EXPIRY_MARGIN_SECONDS) * 1000, name });
+    if (entries.size > limit) entries.delete(entries.keys().next().value);
+    return name;
+  }
+
+  /** Drop an entry the server no longer accepts. */
+  function forget(settings, systemText) {
+    entries.delete(keyFor(settings.model, String(systemText || '')));
+  }
+
+  return { resolve, forget };
+}
+
+module.exports = {
+  promptCacheEnabled,
+  systemPromptText,
+  usesCacheControl,
+  withCacheControl,
+  createGeminiContextCache,
+};
@@ -0,0 +1,591 @@
+'use strict';
+
+const path = require('path');
+const { SIDECAR_TASKS } = require('./ai-provider');
+const { renderTemplate, SECTION_DEFAULTS } = require('../../renderer/prompt-render');
+
+/* ============================================================================
+   PROMPT TEMPLATES
+   The structural prompt text (visual novel instructions, rules, persona and
+   scene blocks, sidecar system prompts) with {{placeholders}}.
+
+   Syntax and rendering: app/renderer/prompt-render.js (shared with the
+   renderer, which also keeps the text of the sections it assembles).
+
+   Overrides, highest first: config.promptTemplates[id] (Settings), then
+   <bot files>/prompts/<id>.txt, then the defaults below. An override that
+   drops a required tag instruction or uses an unknown placeholder is ignored.
+   ========================================================================== */
+
+const SIDECAR_LABELS = Object.fromEntries(SIDECAR_TASKS.map((task) => [task.id, task.label]));
+
+const sidecar = (id, def) => ({ group: 'sidecar', label: SIDECAR_LABELS[id] || id, ...def });
+const story = (label, def) => ({ group: 'story', label, ...def });
+
+const DEFAULT_TEMPLATES = {
+  /* ---- Main chat prompt ---- */
+
+  visualNovel: story('Visual novel mode (tags)', {
+    placeholders: ['backgrounds', 'sprites', 'inactiveCharacters', 'splash', 'music'],
+    required: ['[SCENE]', '[/SCENE]', '[BG:', '[SPRITE:', '[HIDE:', '[MUSIC:'],
+    text: `[VISUAL NOVEL MODE]
+{{#backgrounds}}
+Backgrounds:
+{{backgrounds}}
+{{/backgrounds}}
+{{#sprites}}
+Sprites (Active):
+{{sprites}}
+{{/sprites}}
+{{#inactiveCharacters}}
+Characters (Inactive - Summon with [SPRITE: Name]):
+{{inactiveCharacters}}
+{{/inactiveCharacters}}
+{{#splash}}
+Splash Art:
+{{splash}}
+{{/splash}}
+{{#music}}
+Music:
+{{music}}
+{{/music}}
+
+INSTRUCTIONS:
+1. Start your response with a [SCENE] ... [/SCENE] block.
+2. Inside the block, list ALL visual changes for this turn:
+   - [BG: "name"] for background.
+   - [SPRITE: "Name/Emotion"] for active characters.
+   - [HIDE: "Name"] to remove characters.
+   - [MUSIC: "name"] for audio.
+   - [FX: "name"] for effects.
+3. [SPLASH: "name"] overrides all.
+4. Max 4 characters on screen.
+5. Sprites are STICKY. Only tag on change.
+6. After [/SCENE], write the dialogue/narration.
+7. STRICTLY format dialogue as Name: "Speech".`,
+  }),
+
+  visualNovelTools: story('Visual novel mode (scene functions)', {
+    placeholders: ['backgrounds', 'sprites', 'inactiveCharacters', 'splash', 'music'],
+    required: ['set_background', 'show_sprite', 'hide_character', 'play_music'],
+    text: `[VISUAL NOVEL MODE]
+{{#backgrounds}}
+Backgrounds:
+{{backgrounds}}
+{{/backgrounds}}
+{{#sprites}}
+Sprites (Active):
+{{sprites}}
+{{/sprites}}
+{{#inactiveCharacters}}
+Characters (Inactive - Bring on stage with show_sprite):
+{{inactiveCharacters}}
+{{/inactiveCharacters}}
+{{#splash}}
+Splash Art:
+{{splash}}
+{{/splash}}
+{{#music}}
+Music:
+{{music}}
+{{/music}}
+
+INSTRUCTIONS:
+1. Make ALL visual changes for this turn by calling the scene functions (set_background, show_sprite, hide_character, play_music, sfx, camera, take_item, drop_item). Do not write bracket tags.
+2. Use only names from the lists above.
+3. Max 4 characters on screen.
+4. Sprites are STICKY. Only call show_sprite on change.
+5. Write the dialogue/narration as normal text.
+6. STRICTLY format dialogue as Name: "Speech".`,
+  }),
+
+  enforcement: story('System enforcement rules', {
+    placeholders: [],
+    required: ['[HIDE:', '[ADD_OBJECT:', '[TAKE:', '[DROP:'],
+    text: `[SYSTEM ENFORCEMENT]
+1. DO NOT speak for the user.
+2. Maintain distinct personalities.
+3. Ensure each character's voice remains consistent.
+4. Manage the stage. If a character leaves, use [HIDE: Name].
+5. To add a new object to the scene, use [ADD_OBJECT: "name"].
+6. If the user takes an object, you MUST use [TAKE: "name"].
+7. To drop an inventory item, use [DROP: "name"].
+8. Dialogue MUST be in script format (Name: "Speech").`,
+  }),
+
+  userInfo: story('User info', {
+    placeholders: ['user', 'persona'],
+    required: ['{{user}}'],
+    text: SECTION_DEFAULTS.userInfo,
+  }),
+
+  character: story('Character in the scene', {
+    placeholders: ['char', 'personality'],
+    required: ['{{personality}}'],
+    text: SECTION_DEFAULTS.character,
+  }),
+
+  otherCharacters: story('Other available characters', {
+    placeholders: ['characters'],
+    required: ['{{characters}}', '[SPRITE:'],
+    text: SECTION_DEFAULTS.otherCharacters,
+  }),
+
+  storySummary: story('Story summary', {
+    placeholders: ['summary'],
+    required: ['{{summary}}'],
+    text: SECTION_DEFAULTS.storySummary,
+  }),
+
+  sceneState: story('Current scene state', {
+    placeholders: ['location', 'music', 'notes'],
+    required: ['{{location}}'],
+    text: SECTION_DEFAULTS.sceneState,
+  }),
+
+  characterExpression: story('On-stage character note', {
+    placeholders: ['char', 'expression'],
+    required: [],
+    text: SECTION_DEFAULTS.characterExpression,
+  }),
+
+  characterOffstage: story('Off-stage character note', {
+    placeholders: ['char'],
+    required: ['[SPRITE:'],
+    text: SECTION_DEFAULTS.characterOffstage,
+  }),
+
+  renderFeedback: story('Render feedback', {
+    placeholders: ['mismatches'],
+    required: ['{{mismatches}}'],
+    text: SECTION_DEFAULTS.renderFeedback,
+  }),
+
+  lore: story('Relevant lore', {
+    placeholders: ['lore', 'semantic'],
+    required: ['{{lore}}'],
+    text: `[RELEVANT LORE{{#semantic}} (Semantic){{/semantic}}]
+{{lore}}`,
+  }),
+
+  /* ---- Sidecar system prompts (ids match the task routing ids) ---- */
+
+  analyzeScene: sidecar('analyzeScene', {
+    placeholders: ['characters', 'currentBackground', 'currentMusic', 'inventory', 'objects', 'lastRender', 'recent', 'backgrounds', 'music', 'sfx'],
+    required: ['"actions"'],
+    text: `You are a Visual Novel Director (Cinematographer & Sound Engineer).
+Your job is to read the dialogue and output a JSON scene plan.
+
+Context:
+- Characters currently on stage: {{characters}}
+- Current background: {{currentBackground}}
+- Current music: {{currentMusic}}
+- Player inventory: {{inventory}}
+- Scene objects: {{objects}}
+- Previous applied directives: {{lastRender}}
+- Recent turns:
+{{recent}}
+- Backgrounds (choose from): {{backgrounds}}
+- Music (choose from): {{music}}
+- SFX (choose from): {{sfx}}
+
+Instructions:
+1. Output JSON only, no markdown, no prose.
+2. JSON schema:
+{"actions":[
+  {"type":"bg","name":"backgrounds/foo.png"},
+  {"type":"music","name":"music/bar.mp3"},
+  {"type":"sprite","character":"Name","emotion":"happy"},
+  {"type":"hide","character":"Name"},
+  {"type":"sfx","name":"door_slam"},
+  {"type":"fx","name":"shake"},
+  {"type":"camera","mode":"zoom_in","target":"Name"},
+  {"type":"take","item":"key"},
+  {"type":"drop","item":"key"}
+]}
+3. Keep actions minimal and ordered by appearance in the scene.
+4. Do not summon characters unless they physically enter or speak.
+5. If no changes are needed, return {"actions":[]}.`,
+  }),
+
+  reviewVisuals: sidecar('reviewVisuals', {
+    placeholders: ['currentBackground', 'characters', 'recent', 'backgrounds', 'sprites'],
+    required: ['[BG:', '[SPRITE:', '[HIDE:'],
+    text: `You are a visual novel quality assurance director. Your job is to ensure the scene's visuals are logical based on the most recent dialogue.
+Review the current state and the recent messages.
+If the visuals are illogical, output a list of [TAGS] to correct the scene.
+For example, if a character leaves but their sprite is still visible, you should output "[HIDE: CharacterName]".
+If the dialogue mentions a "dark forest" but the background is a "sunny cafe", you should output "[BG: forest_night]".
+If a character is described as "crying" but their sprite is "happy", you should output "[SPRITE: CharacterName/sad]".
+
+CURRENT STATE:
+- Background: "{{currentBackground}}"
+- Active Characters: {{characters}}
+
+RECENT DIALOGUE:
+---
+{{recent}}
+---
+
+AVAILABLE ASSETS:
+- Backgrounds: {{backgrounds}}
+- Character Sprites: {{sprites}}
+
+Output ONLY the [TAGS] needed for correction, one per line. If no corrections are needed, output nothing.`,
+  }),
+
+  cleanupResponse: sidecar('cleanupResponse', {
+    placeholders: [],
+    required: [],
+    text: `You are a Copy Editor.
+Your task is to remove any malformed, incomplete, or leftover system tags from the text.
+Examples of artifacts to remove:
+- "[BG: ...]"
+- "[SPRITE: ...]"
+- "[SCENE_STATE: ...]"
+- "[/SCENE]"
+- Broken tags like "Danny]" or "[ "
+
+Rules:
+1. Preserve all dialogue and narration exactly as is.
+2. Remove ANY bracketed content that looks like a system command, debug info, or metadata.
+3. Output ONLY the cleaned text. Do NOT include introductions like "Here is the cleaned text".`,
+  }),
+
+  summarizeChat: sidecar('summarizeChat', {
+    placeholders: ['summary'],
+    required: [],
+    text: `You are a Scribe. Summarize the following conversation events concisely to append to a history log.
+Previous Context: {{summary}}`,
+  }),
+
+  extractUserFacts: sidecar('extractUserFacts', {
+    placeholders: [],
+    required: ['"facts"'],
+    text: `You are a Memory System.
+Analyze the dialogue and extract new, permanent facts about the User (e.g. name, job, likes, dislikes, history).
+Ignore trivial events or current actions.
+Output a JSON object whose "facts" are formatted for a Lorebook:
+{"facts": [
+  { "entry": "User is a doctor.", "keywords": ["user", "job", "doctor"] },
+  { "entry": "User hates spiders.", "keywords": ["user", "phobia", "spiders"] }
+]}
+If no new facts, output {"facts": []}.`,
+  }),
+
+  evolveCharacterState: sidecar('evolveCharacterState', {
+    placeholders: [],
+    required: ['JSON'],
+    text: 'You are a narrative engine. Update the internal psychological state of the characters based on the recent conversation. Output JSON only.',
+  }),
+
+  fetchInnerMonologue: sidecar('fetchInnerMonologue', {
+    placeholders: ['char', 'personality'],
+    required: ['{{char}}'],
+    text: `You are a world-class author. Based on the provided conversation history, write a short, first-person inner monologue EXCLUSIVELY for the character "{{char}}".
+{{#personality}}
+
+[CHARACTER PROFILE]
+{{personality}}
+{{/personality}}
+
+- You are "{{char}}". Speak in the first person ("I").
+- Do NOT write thoughts for any other character.
+- The monologue should reveal your private thoughts, feelings, or intentions based on the recent events.
+- Write ONLY the monologue text itself.
+- Do NOT include any surrounding text, narration, or quotation marks.
+- Do NOT output scene tags, speaker names, stage directions, or choice menus.
+- The tone should match your personality and the current situation.`,
+  }),
+
+  generateReplySuggestions: sidecar('generateReplySuggestions', {
+    placeholders: [],
+    required: ['"suggestions"'],
+    text: `You are a Roleplay Assistant.
+Read the conversation and generate 3 distinct, short reply options for the User.
+1. Positive/Agreeable
+2. Negative/Conflict
+3. Creative/Unexpected
+
+Output format: JSON object. Example: {"suggestions": ["Ask about her day", "Ignore her", "Offer a drink"]}
+Keep them under 10 words. Output ONLY the JSON object.`,
+  }),
+
+  generateChapterTitle: sidecar('generateChapterTitle', {
+    placeholders: [],
+    required: [],
+    text: `Summarize the current scene in 3-6 words for a Save File title.
+Examples: "Meeting at the Cafe", "The Argument", "Late Night Confession".
+Output ONLY the title. No quotes.`,
+  }),
+
+  generateQuestObjective: sidecar('generateQuestObjective', {
+    placeholders: [],
+    required: [],
+    text: `You are a Game Master. Analyze the conversation and define the current objective for the player.
+Examples: "Find out why she is crying", "Escape the building", "Ask her on a date", "Survive the interrogation".
+Output ONLY the objective text. Keep it under 10 words. If no clear objective, output "Chat with the character".`,
+  }),
+
+  analyzeAffinity: sidecar('analyzeAffinity', {
+    placeholders: ['char'],
+    required: ['"score"', '"status"'],
+    text: `You are a Relationship Tracker.
+Analyze the relationship between the User and "{{char}}" based on the recent conversation.
+Output a JSON object: {"score": number (0-100), "status": string (e.g. "Strangers", "Friends", "Flirty", "Hostile", "Lovers")}.
+Base the score on trust, intimacy, and positive interactions.`,
+  }),
+
+  determineActiveContext: sidecar('determineActiveContext', {
+    placeholders: ['candidates'],
+    required: ['{{candidates}}'],
+    text: `You are a Context Librarian.
+Select the most relevant items from the list below that are needed for the current conversation context.
+Candidates: {{candidates}}
+
+Output a JSON array of strings containing ONLY the relevant items.
+If nothing is relevant, output [].`,
+  }),
+
+  findClosestSprite: sidecar('findClosestSprite', {
+    placeholders: ['request', 'files'],
+    required: ['{{request}}', '{{files}}'],
+    text: `You are a File Matcher.
+Pick the filename that best matches the requested emotion/description.
+Request: "{{request}}"
+Files: {{files}}
+Output ONLY the exact filename from the list. If nothing fits well, output "none".`,
+  }),
+
+  expandImagePrompt: sidecar('expandImagePrompt', {
+    placeholders: [],
+    required: [],
+    text: `You are an AI Art Prompt Engineer.
+Expand a short scene description into a detailed background-image prompt for a visual novel.
+Rules:
+1. Preserve the original setting and key nouns from the input.
+2. Do NOT replace the location with a different one.
+3. Keep "no characters".
+4. Avoid graphic violence/horror wording; keep it scenic and safe.
+5. Output a single prompt line only.`,
+  }),
+
+  generateDynamicEvent: sidecar('generateDynamicEvent', {
+    placeholders: ['currentBackground', 'characters', 'recent'],
+    required: [],
+    text: `You are a creative event director for a visual novel. The conversation has stalled.
+Your task is to introduce a new, small-scale event to move the story forward.
+The event should be a single, self-contained paragraph of narration.
+It can introduce a new minor character, a sound, a change in the environment, or a character action.
+Keep it concise and relevant to the current scene.
+
+CURRENT SCENE:
+- Background: "{{currentBackground}}"
+- Characters Present: {{characters}}
+- Recent Conversation:
+---
+{{recent}}
+---
+
+Rules:
+1.  Write a single paragraph of narrative text describing the event.
+2.  The text can include visual tags like [SPRITE: Name/emotion], [SFX: sound_name], or [BG: new_background].
+3.  Do NOT write dialogue for the main characters. The event should be something they react to.
+4.  The tone should be consistent with a realistic, modern-day setting. Avoid high fantasy or sci-fi unless the context supports it.
+
+Example Output:
+"A sudden downpour begins outside, and the sound of heavy rain patters against the cafe windows. [SFX: rain_loop] A moment later, the bell on the door jingles and a soaking wet young man, looking flustered, rushes inside, shaking out his umbrella. [SPRITE: Jake/anxious]"
+
+Now, generate a new event based on the current scene.`,
+  }),
+
+  phoneReply: sidecar('phoneReply', {
+    placeholders: ['char'],
+    required: ['{{char}}'],
+    text: `You are {{char}} in a phone text thread.
+Rules:
+1) Reply as {{char}} only.
+2) Keep to 1-2 short text-message sentences.
+3) No scene tags, no narration, no markdown.
+4) Do not reveal private messages from other threads.
+5) If uncertain, ask a concise clarifying question.`,
+  }),
+
+  phoneInbound: sidecar('phoneInbound', {
+    placeholders: ['char'],
+    required: ['{{char}}'],
+    text: `You are {{char}} texting first in an ongoing phone thread.
+Rules:
+1) Write exactly one short text (1-2 sentences).
+2) No scene tags, no markdown, no narration.
+3) Keep it plausible for a normal text message.
+4) Preserve privacy: do not mention content from other threads.`,
+  }),
+};
+
+const TEMPLATE_IDS = Object.freeze(Object.keys(DEFAULT_TEMPLATES));
+
+/** Own keys only: ids arrive over IPC, and "constructor" is not a template. */
+function isTemplateId(id) {
+  return typeof id === 'string' && Object.hasOwn(DEFAULT_TEMPLATES, id);
+}
+
+/* ------------------------------ RENDER ----------------------------------- */
+
+/** Built-in text only, for callers without a template store. */
+function renderDefault(id, values) {
+  return renderTemplate(DEFAULT_TEMPLATES[id].text, values);
+}
+
+/* ------------------------------ VALIDATION ------------------------------- */
+
+/** Returns a list of problems; empty when the text can replace the default. */
+function validateTemplate(id, text) {
+  if (!isTemplateId(id)) return [`Unknown prompt template: ${id}`];
+  const def = DEFAULT_TEMPLATES[id];
+
+  const source = String(text ?? '');
+  if (!source.trim()) return ['Template is empty.'];
+
+  const errors = [];
+  for (const token of def.required) {
+    if (!source.includes(token)) errors.push(`Missing required ${token}`);
+  }
+
+  const allowed = new Set(def.placeholders);
+  const used = new Set(Array.from(source.matchAll(/\{\{[#^/]?(\w+)\}\}/g), (m) => m[1]));
+  for (const name of used) {
+    if (!allowed.has(name)) errors.push(`Unknown placeholder {{${name}}}`);
+  }
+
+  const opens = (source.match(/\{\{[#^]\w+\}\}/g) || []).length;
+  const closes = (source.match(/\{\{\/\w+\}\}/g) || []).length;
+  if (opens !== closes) errors.push('Unbalanced {{#section}} / {{/section}} tags.');
+
+  return errors;
+}
+
+/* ------------------------------ STORE ------------------------------------ */
+
+/**
+ * botPromptsPath: folder with <id>.txt overrides for the current bot (optional).
+ * Returns: { resolve(config), get(config, id), render(config, id, values) }
+ * The folder is read again only when it or one of its template files changes
+ * (by mtime), and resolve() is cached until those or the user overrides change.
+ */
+function createPromptTemplates({ botPromptsPath = null, fs = require('fs') } = {}) {
+  let bot = { signature: null, files: [], templates: {} };
+  let resolved = { key: null, value: null };
+
+  const mtimeOf = (p) => {
+    try {
+      return fs.statSync(p).mtimeMs;
+    } catch {
+      return null;
+    }
+  };
+
+  function botSignature(files) {
+    return [botPromptsPath, ...files].map(mtimeOf).join('|');
+  }
+
+  function readBotTemplates() {
+    if (!botPromptsPath) return bot;
+    if (bot.signature !== null && botSignature(bot.files) === bot.signature) return bot;
+
+    let names = [];
+    try {
+      names = fs.readdirSync(botPromptsPath);
+    } catch {
+      // no prompts folder: defaults only
+    }
+
+    const files = [];
+    const templates = {};
+    for (const name of names) {
+      const id = name.replace(/\.txt$/i, '');
+      if (id === name || !isTemplateId(id)) continue;
+      const file = path.join(botPromptsPath, name);
+      files.push(file);
+      try {
+        templates[id] = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').trim();
+      } catch {
+        // unreadable file: keep the default
+      }
+    }
+    bot = { signature: botSignature(files), files, templates };
+    return bot;
+  }
+
+  const warned = new Set();
+  function warnOnce(key, message) {
+    if (warned.has(key)) return;
+    warned.add(key);
+    console.warn(`[Prompts] ${message}`);
+  }
+
+  /**
+   * Every template with its effective text:
+   * { [id]: { label, group, text, source: 'default'|'bot'|'user', placeholders, required, defaultText, errors } }
+   * errors lists the problems of an override that was ignored.
+   */
+  function resolve(config) {
+    const { signature, templates: botTemplates } = readBotTemplates();
+    const user = config?.promptTemplates && typeof config.promptTemplates === 'object' ? config.promptTemplates : {};
+    const key = `${signature}\n${JSON.stringify(user)}`;
+    if (resolved.key === key) return resolved.value;
+
+    const out = {};
+    for (const id of TEMPLATE_IDS) {
+      const def = DEFAULT_TEMPLATES[id];
+      const entry = {
+        label: def.label,
+        group: def.group,
+        text: def.text,
+        source: 'default',
+        placeholders: def.placeholders,
+        required: def.required,
+        defaultText: def.text,
+        errors: [],
+      };
+
+      for (const [source, text] of [['bot', botTemplates[id]], ['user', user[id]]]) {
+        if (typeof text !== 'string' || !text.trim()) continue;
+        const errors = validateTemplate(id, text);
+        if (errors.length) {
+          entry.errors = errors;
+          warnOnce(`${source}:${id}:${text}`, `Ignoring ${source} template "${id}": ${errors.join('; ')}`);
+          continue;
+        }
+        entry.text = text;
+        entry.source = source;
+        entry.errors = [];
+      }
+
+      out[id] = entry;
+    }
+    resolved = { key, value: out };
+    return out;
+  }
+
+  function get(config, id) {
+    if (!isTemplateId(id)) throw new Error(`Unknown prompt template: ${id}`);
+    return resolve(config)[id].text;
+  }
+
+  function render(config, id, values) {
+    return renderTemplate(get(config, id), values);
+  }
+
+  return { resolve, get, render };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_IDS,
+  isTemplateId,
+  renderTemplate,
+  renderDefault,
+  validateTemplate,
+  createPromptTemplates,
+};
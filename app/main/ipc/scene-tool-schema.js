@@ -0,0 +1,211 @@
+'use strict';
+
+const { toTagPlanFromJson } = require('./ai-parsers');
+
+/**
+ * Scene vocabulary as typed functions, for models with native tool calling
+ * (config: "sceneDirectives": "tools"). Calls are converted back into the same
+ * tag lines the renderer's processVisualTags() consumes, wrapped in a
+ * [SCENE] block, so everything downstream stays on the text-tag contract.
+ */
+
+const SCENE_DIRECTIVE_MODES = Object.freeze(['tags', 'tools']);
+
+// Providers whose chat endpoint takes OpenAI `tools` or Gemini `functionDeclarations`.
+const SCENE_TOOL_PROVIDERS = new Set(['openai', 'openrouter', 'grok', 'gemini']);
+
+const str = (description) => ({ type: 'string', description });
+
+const SCENE_TOOLS = Object.freeze([
+  {
+    name: 'set_background',
+    action: 'bg',
+    description: 'Change the background to one of the listed backgrounds.',
+    parameters: { name: str('Background name from the list.') },
+    required: ['name'],
+  },
+  {
+    name: 'show_sprite',
+    action: 'sprite',
+    description: 'Show a character on screen, or change their expression. Only call on change.',
+    parameters: { character: str('Character name.'), emotion: str('Emotion/sprite name, e.g. happy.') },
+    required: ['character'],
+  },
+  {
+    name: 'hide_character',
+    action: 'hide',
+    description: 'Remove a character from the screen.',
+    parameters: { character: str('Character name.') },
+    required: ['character'],
+  },
+  {
+    name: 'play_music',
+    action: 'music',
+    description: 'Switch the background music.',
+    parameters: { name: str('Music track name from the list.') },
+    required: ['name'],
+  },
+  {
+    name: 'sfx',
+    action: 'sfx',
+    description: 'Play a one-off sound effect.',
+    parameters: { name: str('Sound effect name.') },
+    required: ['name'],
+  },
+  {
+    name: 'camera',
+    action: 'camera',
+    description: 'Move the camera.',
+    parameters: { mode: str('zoom_in, zoom_out, pan or shake.'), target: str('Character or area to focus on.') },
+    required: ['mode', 'target'],
+  },
+  {
+    name: 'take_item',
+    action: 'take',
+    description: "Move an item into the player's inventory.",
+    parameters: { item: str('Item name.') },
+    required: ['item'],
+  },
+  {
+    name: 'drop_item',
+    action: 'drop',
+    description: "Remove an item from the player's inventory.",
+    parameters: { item: str('Item name.') },
+    required: ['item'],
+  },
+]);
+
+const TOOLS_BY_NAME = new Map(SCENE_TOOLS.map((tool) => [tool.name, tool]));
+
+function supportsSceneTools(provider) {
+  return SCENE_TOOL_PROVIDERS.has(provider);
+}
+
+function jsonSchema(tool, typeName = (t) => t) {
+  const properties = {};
+  for (const [key, prop] of Object.entries(tool.parameters)) {
+    properties[key] = { type: typeName(prop.type), description: prop.description };
+  }
+  return { type: typeName('object'), properties, required: tool.required };
+}
+
+/** OpenAI /chat/completions `tools`. */
+function toOpenAITools() {
+  return SCENE_TOOLS.map((tool) => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: jsonSchema(tool) },
+  }));
+}
+
+/** Gemini `tools` (OpenAPI subset, upper-case type names). */
+function toGeminiTools() {
+  return [
+    {
+      functionDeclarations: SCENE_TOOLS.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: jsonSchema(tool, (t) => t.toUpperCase()),
+      })),
+    },
+  ];
+}
+
+function parseArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(String(raw || '{}'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Collects streamed OpenAI `delta.tool_calls`. Deltas are keyed by index: the
+ * first carries id + name, later ones append argument fragments.
+ * finish() => [{ id, name, rawArguments, args }]
+ */
+function createToolCallAccumulator() {
+  const calls = new Map(); // index -> { id, name, rawArguments }
+
+  function push(deltas) {
+    if (!Array.isArray(deltas)) return;
+    for (const delta of deltas) {
+      const index = delta?.index ?? calls.size;
+      const call = calls.get(index) ?? { id: null, name: '', rawArguments: '' };
+      if (delta?.id) call.id = delta.id;
+      if (delta?.function?.name) call.name += delta.function.name;
+      if (typeof delta?.function?.arguments === 'string') call.rawArguments += delta.function.arguments;
+      calls.set(index, call);
+    }
+  }
+
+  function finish() {
+    return [...calls.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, call]) => ({
+        id: call.id || `call_${index}`,
+        name: call.name,
+        rawArguments: call.rawArguments || '{}',
+        args: parseArguments(call.rawArguments),
+      }));
+  }
+
+  return { push, finish, size: () => calls.size };
+}
+
+/** Gemini `functionCall` part -> the accumulator's call shape. */
+function fromGeminiFunctionCall(functionCall, index = 0) {
+  const args = functionCall?.args && typeof functionCall.args === 'object' ? functionCall.args : {};
+  return { id: `call_${index}`, name: String(functionCall?.name || ''), rawArguments: JSON.stringify(args), args };
+}
+
+/** One tool call as a tag line ("[BG: cafe]"), or null for unknown tools / missing arguments. */
+function toolCallToTag(call) {
+  const tool = TOOLS_BY_NAME.get(call?.name);
+  if (!tool) return null;
+  return toTagPlanFromJson({ actions: [{ ...parseArguments(call.args ?? call.rawArguments), type: tool.action }] });
+}
+
+/** Tool calls as a [SCENE] block for processVisualTags, or '' when none convert. */
+function toolCallsToSceneBlock(calls) {
+  const lines = (calls || []).map(toolCallToTag).filter(Boolean);
+  return lines.length ? `[SCENE]\n${lines.join('\n')}\n[/SCENE]` : '';
+}
+
+/**
+ * Messages for the follow-up round after a tool-only reply: the assistant's
+ * calls plus an acknowledgement per call, so the model goes on to narrate.
+ * OpenAI shape; buildGeminiBody translates it to functionCall/functionResponse.
+ */
+function toolResultMessages(calls) {
+  return [
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: calls.map((call) => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.rawArguments },
+      })),
+    },
+    ...calls.map((call) => ({
+      role: 'tool',
+      tool_call_id: call.id,
+      content: toolCallToTag(call) ? 'Applied.' : `Unknown scene function "${call.name}"; ignored.`,
+    })),
+  ];
+}
+
+module.exports = {
+  SCENE_DIRECTIVE_MODES,
+  SCENE_TOOLS,
+  supportsSceneTools,
+  toOpenAITools,
+  toGeminiTools,
+  createToolCallAccumulator,
+  fromGeminiFunctionCall,
+  toolCallToTag,
+  toolCallsToSceneBlock,
+  toolResultMessages,
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Pluggable token counting for context budgeting.
+ * - embedded: the loaded GGUF model's own tokenizer
+ * - OpenAI-family models: bundled BPE (gpt-tokenizer)
+ * - everything else: length/4 heuristic
+ */
+
+const IMAGE_TOKEN_ESTIMATE = 50;
+
+function heuristicCount(text) {
+  return Math.ceil(String(text ?? '').length / 4);
+}
+
+const HEURISTIC_COUNTER = Object.freeze({ name: 'heuristic', count: heuristicCount });
+
+const encodingCache = new Map();
+
+function loadEncoding(name) {
+  if (encodingCache.has(name)) return encodingCache.get(name);
+
+  let encoding = null;
+  try {
+    encoding = require(`gpt-tokenizer/encoding/${name}`);
+  } catch (e) {
+    console.warn(`[Tokens] BPE encoding "${name}" unavailable, using heuristic:`, e?.message ?? e);
+  }
+  encodingCache.set(name, encoding);
+  return encoding;
+}
+
+/**
+ * Which BPE vocabulary an OpenAI-family model uses, or null if it isn't one.
+ * OpenRouter-style ids ("openai/gpt-4o") are accepted.
+ */
+function pickEncodingName(provider, model) {
+  const id = String(model || '').toLowerCase().replace(/^openai\//, '');
+
+  if (/^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4|chatgpt-4o)/.test(id)) return 'o200k_base';
+  if (/^(gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada)/.test(id)) return 'cl100k_base';
+  if (provider === 'openai') return 'o200k_base';
+  return null;
+}
+
+/**
+ * Resolve a counter for provider settings. Async because the embedded
+ * tokenizer needs the model loaded; the returned `count` is synchronous.
+ * getEmbeddedModel(modelName) => Promise<{ tokenize(text): Token[] }>
+ */
+async function resolveTokenCounter(settings, { getEmbeddedModel = null } = {}) {
+  if (settings?.provider === 'embedded' && getEmbeddedModel) {
+    try {
+      const model = await getEmbeddedModel(settings.model);
+      if (model && typeof model.tokenize === 'function') {
+        return { name: `embedded:${settings.model}`, count: (text) => model.tokenize(String(text ?? '')).length };
+      }
+    } catch (e) {
+      console.warn('[Tokens] Embedded tokenizer unavailable, using heuristic:', e?.message ?? e);
+    }
+    return HEURISTIC_COUNTER;
+  }
+
+  const encodingName = pickEncodingName(settings?.provider, settings?.model);
+  const encoding = encodingName ? loadEncoding(encodingName) : null;
+  if (encoding?.countTokens) {
+    return { name: encodingName, count: (text) => encoding.countTokens(String(text ?? '')) };
+  }
+
+  return HEURISTIC_COUNTER;
+}
+
+/** Token count for OpenAI-style message content (string or multipart array). */
+function countContentTokens(content, count = heuristicCount) {
+  if (content == null) return 0;
+  if (typeof content === 'string') return count(content);
+
+  if (Array.isArray(content)) {
+    let total = 0;
+    for (const c of content) {
+      if (c?.type === 'text' && typeof c.text === 'string') total += count(c.text);
+      if (c?.type === 'image_url') total += IMAGE_TOKEN_ESTIMATE;
+    }
+    return total;
+  }
+
+  return count(String(content));
+}
+
+module.exports = {
+  HEURISTIC_COUNTER,
+  heuristicCount,
+  pickEncodingName,
+  resolveTokenCounter,
+  countContentTokens,
+};
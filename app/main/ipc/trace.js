@@ -40,11 +40,11 @@ function logError(trace, code, message, err, details) {
   console.error('[IPC]', JSON.stringify(payload));
 }
 
-function ok(trace, data) {
+function ok(trace, data, extraMeta) {
   return {
     ok: true,
     data,
-    meta: { correlationId: trace.correlationId, elapsedMs: elapsedMs(trace) },
+    meta: { ...(extraMeta ?? {}), correlationId: trace.correlationId, elapsedMs: elapsedMs(trace) },
   };
 }
 
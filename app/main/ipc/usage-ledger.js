@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Append-only token ledger (one JSON object per line) under userData.
+ * Entry: { ts, day, scope, task, provider, model, chatId, promptTokens, completionTokens }
+ */
+function createUsageLedger({ ledgerPath, fs, now = () => new Date() }) {
+  let activeChatId = null;
+
+  function setActiveChat(chatId) {
+    activeChatId = chatId ? String(chatId) : null;
+  }
+
+  function record(entry = {}) {
+    const at = now();
+    const line = {
+      ts: at.toISOString(),
+      day: at.toISOString().slice(0, 10),
+      scope: entry.scope || null,
+      task: entry.task || null,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      chatId: entry.chatId ?? activeChatId,
+      promptTokens: toCount(entry.promptTokens),
+      completionTokens: toCount(entry.completionTokens),
+    };
+
+    try {
+      fs.appendFileSync(ledgerPath, `${JSON.stringify(line)}\n`, 'utf8');
+    } catch (e) {
+      console.warn('[Usage] Failed to write ledger:', e?.message ?? e);
+    }
+    return line;
+  }
+
+  function readEntries() {
+    let raw = '';
+    try {
+      if (!fs.existsSync(ledgerPath)) return [];
+      raw = fs.readFileSync(ledgerPath, 'utf8');
+    } catch {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A torn last line from a crash shouldn't hide the rest of the ledger.
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Totals plus breakdowns by day, provider, task and chat.
+   * `since`/`until` are YYYY-MM-DD (inclusive); `pricing` is config.pricing.
+   */
+  function getStats({ since = null, until = null, chatId = null, pricing = null } = {}) {
+    const buckets = { byDay: {}, byProvider: {}, byTask: {}, byChat: {} };
+    const totals = emptyBucket();
+
+    for (const entry of readEntries()) {
+      if (since && entry.day < since) continue;
+      if (until && entry.day > until) continue;
+      if (chatId && entry.chatId !== chatId) continue;
+
+      const cost = estimateCost(entry, pricing);
+      addTo(totals, entry, cost);
+      addTo(bucketFor(buckets.byDay, entry.day), entry, cost);
+      addTo(bucketFor(buckets.byProvider, entry.provider), entry, cost);
+      addTo(bucketFor(buckets.byTask, entry.task || entry.scope), entry, cost);
+      addTo(bucketFor(buckets.byChat, entry.chatId), entry, cost);
+    }
+
+    return { totals, ...buckets, priced: Boolean(pricing && Object.keys(pricing).length) };
+  }
+
+  return { record, getStats, readEntries, setActiveChat };
+}
+
+function toCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+function emptyBucket() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, cost: null };
+}
+
+function bucketFor(map, key) {
+  const k = key || 'unknown';
+  map[k] ??= emptyBucket();
+  return map[k];
+}
+
+function addTo(bucket, entry, cost) {
+  bucket.calls += 1;
+  bucket.promptTokens += entry.promptTokens || 0;
+  bucket.completionTokens += entry.completionTokens || 0;
+  if (cost !== null) bucket.cost = roundCost((bucket.cost ?? 0) + cost);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Prices are USD per 1M tokens:
+ * { "openai": { "prompt": 0.15, "completion": 0.6, "models": { "gpt-4o": { "prompt": 2.5, "completion": 10 } } } }
+ * Returns null when the provider has no price entry.
+ */
+function estimateCost(entry, pricing) {
+  const providerPrice = pricing?.[entry.provider];
+  if (!providerPrice) return null;
+
+  const price = providerPrice.models?.[entry.model] ?? providerPrice;
+  const prompt = Number(price.prompt) || 0;
+  const completion = Number(price.completion) || 0;
+  return roundCost(((entry.promptTokens || 0) * prompt + (entry.completionTokens || 0) * completion) / 1_000_000);
+}
+
+module.exports = { createUsageLedger, estimateCost };
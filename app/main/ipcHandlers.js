@@ -1,16 +1,14 @@
 'use strict';
 
-const { ipcMain, nativeImage, safeStorage } = require('electron');
+const { ipcMain: electronIpcMain, nativeImage, safeStorage, shell } = require('electron');
 const fs = require('fs');
 const path = require('path');
-const aiService = require('./ai_services');
 const axios = require('axios');
 const { execFile } = require('child_process');
-const os = require('os');
-const { createConfigStore } = require('./ipc/config-store');
-const { createChatStorage } = require('./ipc/chat-storage');
+const { createEngine, DEFAULT_PERSONA, DEFAULT_SUMMARY } = require('../../engine');
+const { readTextSafe, readJsonSafe, writeJsonSafe, writeTextSafe } = require('../../engine/file-io');
+const { PROVIDER_CATEGORIES, listCategoryFiles, ensureManifestCoverage } = require('../../engine/stage-assets');
 const { sanitizeFilename } = require('./ipc/sanitize');
-const contextWindow = require('./ipc/context-window');
 const trace = require('./ipc/trace');
 const { registerConfigHandlers } = require('./ipc/handlers-config');
 const { registerChatHandlers } = require('./ipc/handlers-chat');
@@ -18,562 +16,18 @@ const { registerMediaHandlers } = require('./ipc/handlers-media');
 const { registerVoiceHandlers } = require('./ipc/handlers-voice');
 const { registerAiHandlers } = require('./ipc/handlers-ai');
 const { registerPhoneHandlers } = require('./ipc/handlers-phone');
-const { resolveMediaAbsolutePath } = require('./ipc/media-paths');
+const { registerUsageHandlers } = require('./ipc/handlers-usage');
+const { registerLanHandlers } = require('./ipc/handlers-lan');
+const { registerPromptTemplateHandlers } = require('./ipc/handlers-templates');
+const { createLanServer } = require('./ipc/lan-server');
+const { resolveMediaAbsolutePath, getMimeType } = require('./ipc/media-paths');
 
 /* ============================================================================
    IPC MAIN HANDLERS (Electron)
-   Responsibilities:
-   - Persist config/persona/summary/lore/state/chats
-   - Scan images + build manifest
-   - Orchestrate send-chat (prompt + context mgmt + streaming)
+   Thin adapter over the headless engine (engine/index.js), plus the
+   desktop-only pieces: media import, voices, the embedded model preload.
    ========================================================================== */
 
-/* ------------------------------ CONSTANTS -------------------------------- */
-
-const CACHE_TTL_MS = 60_000;
-
-const MEDIA_EXT_RE = /\.(png|jpg|jpeg|webp|gif|mp3|wav|ogg)$/i;
-
-const PROVIDER_CATEGORIES = ['backgrounds', 'sprites', 'splash', 'music', 'sfx'];
-const SPRITES_SPECIAL_PREFIXES = new Set(['sprites', 'characters', 'backgrounds', 'splash', 'music']);
-
-const DEFAULT_PERSONA = { name: 'Jim', details: '' };
-const DEFAULT_SUMMARY = { content: '' };
-
-/* ------------------------------ FILE UTILS -------------------------------- */
-
-function readTextSafe(filePath, fallback = '') {
-  try {
-    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-function readJsonSafe(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) return fallback;
-    const raw = fs.readFileSync(filePath, 'utf8');
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-/**
- * Safer write:
- * - write to temp file
- * - rename into place
- * Reduces chance of file corruption on crash.
- */
-function writeJsonSafe(filePath, data) {
-  try {
-    const tmp = `${filePath}.tmp`;
-    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
-    try {
-      fs.renameSync(tmp, filePath);
-    } catch (e) {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        fs.renameSync(tmp, filePath);
-      } else {
-        throw e;
-      }
-    }
-    return true;
-  } catch (e) {
-    console.error(`[FileIO] Failed to write JSON to ${filePath}:`, e);
-    return false;
-  }
-}
-
-function writeTextSafe(filePath, text) {
-  try {
-    const tmp = `${filePath}.tmp`;
-    fs.writeFileSync(tmp, String(text ?? ''), 'utf8');
-    try {
-      fs.renameSync(tmp, filePath);
-    } catch (e) {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        fs.renameSync(tmp, filePath);
-      } else {
-        throw e;
-      }
-    }
-    return true;
-  } catch (e) {
-    console.error(`[FileIO] Failed to write text to ${filePath}:`, e);
-    return false;
-  }
-}
-
-/* ------------------------------ MEDIA UTILS ------------------------------ */
-
-function getMimeType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const map = {
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.webp': 'image/webp',
-    '.gif': 'image/gif',
-    '.png': 'image/png',
-    '.mp3': 'audio/mpeg',
-    '.wav': 'audio/wav',
-    '.ogg': 'audio/ogg',
-  };
-  return map[ext] || 'application/octet-stream';
-}
-
-/**
- * Walk a directory recursively and return "prefix/relative/path.ext" entries.
- */
-function scanDirectoryRecursively(rootDir, prefix = '') {
-  const results = [];
-  if (!fs.existsSync(rootDir)) return results;
-
-  try {
-    const items = fs.readdirSync(rootDir, { withFileTypes: true });
-
-    for (const item of items) {
-      const full = path.join(rootDir, item.name);
-      const rel = `${prefix}${item.name}`;
-
-      if (item.isDirectory()) {
-        results.push(...scanDirectoryRecursively(full, `${rel}/`));
-      } else if (MEDIA_EXT_RE.test(item.name)) {
-        results.push(rel);
-      }
-    }
-  } catch (e) {
-    console.error(`Error scanning ${rootDir}:`, e);
-  }
-
-  return results;
-}
-
-/**
- * Files may come from:
- * - botImagesPath/<category>/...
- * - for sprites category: also botFilesPath/characters/<char>/... (character sprites)
- *
- * Returns entries like:
- * - backgrounds/foo.png
- * - sprites/charA/happy.png
- * - characters/charB/sprite.png
- */
-function listCategoryFiles({ botImagesPath, botFilesPath }, category) {
-  if (category === 'sprites') {
-    const a = scanDirectoryRecursively(path.join(botImagesPath, 'sprites'), 'sprites/');
-    const b = scanDirectoryRecursively(path.join(botFilesPath, 'characters'), 'characters/');
-    return [...a, ...b];
-  }
-
-  return scanDirectoryRecursively(path.join(botImagesPath, category), `${category}/`);
-}
-
-/**
- * Given a manifest object and category file list, ensure every file has a label entry.
- * (UI expects manifest[category][file] exists for listing.)
- */
-function ensureManifestCoverage(manifest, category, files) {
-  if (!manifest[category]) manifest[category] = {};
-  for (const f of files) {
-    if (!manifest[category][f]) manifest[category][f] = f;
-  }
-}
-
-function createTreeList(files, category, manifest) {
-  if (!Array.isArray(files) || files.length === 0) return null;
-
-  const tree = {};
-
-  for (const file of files) {
-    const parts = file.split('/');
-    const filename = parts.pop();
-    const nameWithoutExt = path.parse(filename).name;
-
-    // Heuristic grouping:
-    // - If it's under "<knownPrefix>/<group>/file" → group = <group>
-    // - else group = last folder or Common
-    let group = 'Common';
-    if (parts.length > 0) {
-      const first = parts[0];
-      if (SPRITES_SPECIAL_PREFIXES.has(first) && parts.length > 1) group = parts[1];
-      else group = parts[parts.length - 1];
-    }
-
-    // Remove duplicated group prefix in filename, e.g. "jessica_happy" inside group "jessica"
-    let cleanName = nameWithoutExt;
-    if (group !== 'Common' && cleanName.toLowerCase().startsWith(group.toLowerCase())) {
-      const potential = cleanName.slice(group.length).replace(/^[_\-\s]+/, '');
-      if (potential) cleanName = potential;
-    }
-
-    if (!tree[group]) tree[group] = [];
-
-    const desc = manifest?.[category]?.[file] ?? '';
-    let entry = cleanName;
-
-    // Append description only if it adds information vs the name
-    if (desc) {
-      const d = String(desc).trim();
-      const dn = d.toLowerCase();
-      const nn = cleanName.toLowerCase();
-      if (dn && dn !== nn && !dn.includes(nn)) {
-        entry += ` : ${d}`;
-      }
-    }
-
-    tree[group].push(entry);
-  }
-
-  const lines = [];
-  for (const group of Object.keys(tree).sort()) {
-    const items = tree[group].sort().join(', ');
-    lines.push(group === 'Common' ? items : `${group}: ${items}`);
-  }
-
-  return lines.join('\n');
-}
-
-/* ------------------------------ TOKEN EST -------------------------------- */
-
-/**
- * Rough token estimate:
- * - Strings: length/4 heuristic (your original)
- * - Array content: sum of text parts + small overhead for images
- */
-function estimateTokensFromMessageContent(content) {
-  if (content == null) return 0;
-
-  if (typeof content === 'string') return Math.ceil(content.length / 4);
-
-  if (Array.isArray(content)) {
-    let chars = 0;
-    for (const c of content) {
-      if (c?.type === 'text' && typeof c.text === 'string') chars += c.text.length;
-      if (c?.type === 'image_url') chars += 200; // tiny overhead placeholder
-    }
-    return Math.ceil(chars / 4);
-  }
-
-  // Unknown object shape
-  return Math.ceil(String(content).length / 4);
-}
-
-function estimateTokensForMessages(messages) {
-  return messages.reduce((sum, m) => sum + estimateTokensFromMessageContent(m?.content), 0);
-}
-
-/* ------------------------------ CACHE ------------------------------------ */
-
-function createCache() {
-  // Separate timestamps per key to avoid “manifest refresh invalidates file lists”
-  return {
-    ttlMs: CACHE_TTL_MS,
-    entries: new Map(), // key -> { ts, value }
-    get(key) {
-      const hit = this.entries.get(key);
-      if (!hit) return null;
-      if (Date.now() - hit.ts > this.ttlMs) return null;
-      return hit.value;
-    },
-    set(key, value) {
-      this.entries.set(key, { ts: Date.now(), value });
-      return value;
-    },
-    invalidate(key) {
-      if (key) this.entries.delete(key);
-      else this.entries.clear();
-    },
-  };
-}
-
-/* ------------------------------ PROMPT BUILD ----------------------------- */
-
-function filterRelevantAssets(files, recentText) {
-  if (!files || files.length === 0) return [];
-  // If list is small, just return it all
-  if (files.length <= 30) return files;
-
-  const text = (recentText || '').toLowerCase();
-  // 1. Priority: Files mentioned in recent text
-  const relevant = files.filter(f => text.includes(path.parse(f).name.toLowerCase()));
-  
-  // 2. Fill remaining slots with other files up to a limit (e.g. 20)
-  const others = files.filter(f => !relevant.includes(f));
-  return [...relevant, ...others.slice(0, 20)];
-}
-
-function buildVisualPrompt({ botImagesPath, botFilesPath }, manifest, options, recentText) {
-  // Destructure with defaults
-  const { activeCharacters = [], inventory = [], sceneObjects = [] } = options;
-
-  // Filter lists to prevent token explosion
-  const allBackgrounds = listCategoryFiles({ botImagesPath, botFilesPath }, 'backgrounds');
-  const backgrounds = filterRelevantAssets(allBackgrounds, recentText);
-  const splashes = filterRelevantAssets(listCategoryFiles({ botImagesPath, botFilesPath }, 'splash'), recentText);
-  const music = filterRelevantAssets(listCategoryFiles({ botImagesPath, botFilesPath }, 'music'), recentText);
-
-  // --- Sprite Filtering Logic ---
-  const allSprites = listCategoryFiles({ botImagesPath, botFilesPath }, 'sprites');
-  const activeChars = new Set(activeCharacters.map(c => String(c).toLowerCase()));
-  
-  const visibleSprites = [];
-  const availableGroups = new Set();
-
-  for (const file of allSprites) {
-    const parts = file.split('/');
-    parts.pop(); // remove filename to look at directory structure
-    
-    let group = 'Common';
-    if (parts.length > 0) {
-      const first = parts[0];
-      if (SPRITES_SPECIAL_PREFIXES.has(first) && parts.length > 1) group = parts[1];
-      else group = parts[parts.length - 1];
-    }
-
-    availableGroups.add(group);
-
-    // If group is Common or Active, include it
-    if (group === 'Common' || activeChars.has(group.toLowerCase())) {
-      visibleSprites.push(file);
-    }
-  }
-  
-  // Calculate inactive characters (Available but not shown)
-  const inactiveChars = [...availableGroups].filter(g => g !== 'Common' && !activeChars.has(g.toLowerCase())).sort();
-
-  const bgList = createTreeList(backgrounds, 'backgrounds', manifest);
-  const spriteList = createTreeList(visibleSprites, 'sprites', manifest);
-  const splashList = createTreeList(splashes, 'splash', manifest);
-  const musicList = createTreeList(music, 'music', manifest);
-
-  let visualPrompt = `\n[VISUAL NOVEL MODE]`;
-  if (bgList) visualPrompt += `\nBackgrounds:\n${bgList}`;
-  
-  if (spriteList) visualPrompt += `\nSprites (Active):\n${spriteList}`;
-  
-  if (inactiveChars.length > 0) {
-    visualPrompt += `\nCharacters (Inactive - Summon with [SPRITE: Name]):\n${inactiveChars.join(', ')}`;
-  }
-
-  if (splashList) visualPrompt += `\nSplash Art:\n${splashList}`;
-  if (musicList) visualPrompt += `\nMusic:\n${musicList}`;
-
-  // Add Inventory and Scene Objects to the prompt
-  if (sceneObjects.length > 0) {
-    visualPrompt += `\n\n[SCENE_OBJECTS]\n- ${sceneObjects.join('\n- ')}`;
-  }
-  if (inventory.length > 0) {
-    visualPrompt += `\n\n[PLAYER_INVENTORY]\n- You are carrying: ${inventory.join(', ')}`;
-  }
-
-  visualPrompt += `\n\nINSTRUCTIONS:
-1. Start your response with a [SCENE] ... [/SCENE] block.
-2. Inside the block, list ALL visual changes for this turn:
-   - [BG: "name"] for background.
-   - [SPRITE: "Name/Emotion"] for active characters.
-   - [HIDE: "Name"] to remove characters.
-   - [MUSIC: "name"] for audio.
-   - [FX: "name"] for effects.
-3. [SPLASH: "name"] overrides all.
-4. Max 4 characters on screen.
-5. Sprites are STICKY. Only tag on change.
-6. After [/SCENE], write the dialogue/narration.
-7. STRICTLY format dialogue as Name: "Speech".`;
-
-  return visualPrompt;
-}
-
-function buildStateInjection(characterState, activeCharacters) {
-  if (!characterState || typeof characterState !== 'object') return '';
-  if (!Array.isArray(activeCharacters) || !activeCharacters.length) return '';
-
-  const keys = Object.keys(characterState);
-  if (!keys.length) return '';
-
-  let out = `\n\n[CURRENT CHARACTER STATES (DYNAMIC)]`;
-
-  for (const char of activeCharacters) {
-    const key = keys.find(k => k.toLowerCase() === String(char).toLowerCase());
-    if (key && characterState[key]) {
-      out += `\n${key}: ${JSON.stringify(characterState[key])}`;
-    }
-  }
-
-  return out === `\n\n[CURRENT CHARACTER STATES (DYNAMIC)]` ? '' : out;
-}
-
-/* ------------------------------ SEMANTIC LORE ---------------------------- */
-
-const loreEmbeddingCache = new Map(); // text -> number[]
-let embeddingsLoaded = false;
-
-function loadEmbeddings(filePath) {
-  if (embeddingsLoaded) return;
-  const data = readJsonSafe(filePath, {});
-  for (const [k, v] of Object.entries(data)) {
-    loreEmbeddingCache.set(k, v);
-  }
-  embeddingsLoaded = true;
-}
-
-function saveEmbeddings(filePath) {
-  const obj = Object.fromEntries(loreEmbeddingCache);
-  writeJsonSafe(filePath, obj);
-}
-
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
-  let dot = 0, normA = 0, normB = 0;
-  for (let i = 0; i < vecA.length; i++) {
-    dot += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-async function buildLoreInjection(lorebook, recentMessages, config, embeddingsPath) {
-  if (!Array.isArray(lorebook) || !lorebook.length) return '';
-
-  // Load cache from disk if not already loaded
-  if (embeddingsPath) loadEmbeddings(embeddingsPath);
-
-  // 1. Prepare Query
-  const recentText = recentMessages
-    .slice(-2) // Use last 2 messages for context
-    .map(m => String(m?.content ?? '').toLowerCase())
-    .join('\n');
-
-  if (!recentText.trim()) return '';
-
-  // 2. Get Query Embedding
-  const queryEmbedding = await aiService.generateEmbedding(config, recentText);
-  
-  // Fallback to simple keyword matching if embeddings fail (e.g. no API support)
-  if (!queryEmbedding) {
-    return buildLoreInjectionKeywords(lorebook, recentText);
-  }
-
-  // 3. Identify & Fetch Missing Embeddings (Parallel)
-  const missing = [];
-  for (const entry of lorebook) {
-    const text = entry?.scenario || entry?.entry;
-    if (text && !loreEmbeddingCache.has(text)) {
-      missing.push(text);
-    }
-  }
-
-  if (missing.length > 0) {
-    console.log(`[RAG] Generating embeddings for ${missing.length} new lore entries...`);
-    await Promise.all(missing.map(async (text) => {
-      const emb = await aiService.generateEmbedding(config, text);
-      if (emb) loreEmbeddingCache.set(text, emb);
-    }));
-    if (embeddingsPath) saveEmbeddings(embeddingsPath);
-  }
-
-  let lines = [];
-  const candidates = [];
-
-  for (const entry of lorebook) {
-    const text = entry?.scenario || entry?.entry;
-    if (!text) continue;
-
-    // Get Embedding (now guaranteed to be in cache if generation succeeded)
-    let embedding = loreEmbeddingCache.get(text);
-    if (embedding) {
-      const score = cosineSimilarity(queryEmbedding, embedding);
-      // Threshold: 0.5 is usually decent for RAG, adjust as needed
-      if (score > 0.5) {
-        candidates.push({ text, score });
-      }
-    }
-  }
-
-  // Sort by relevance and take top 3
-  candidates.sort((a, b) => b.score - a.score);
-  lines = candidates.slice(0, 3).map(c => `- ${c.text}`);
-
-  return lines.length ? `\n\n[RELEVANT LORE (Semantic)]\n${lines.join('\n')}` : '';
-}
-
-// Legacy keyword fallback
-function buildLoreInjectionKeywords(lorebook, recentText) {
-  const lines = [];
-  for (const entry of lorebook) {
-    const keywords = entry?.keywords;
-    if (!Array.isArray(keywords) || !keywords.length) continue;
-    if (keywords.some(k => recentText.includes(String(k).toLowerCase()))) {
-      const text = entry?.scenario || entry?.entry;
-      if (text) lines.push(`- ${text}`);
-    }
-  }
-  return lines.length ? `\n\n[RELEVANT LORE]\n${lines.join('\n')}` : '';
-}
-
-function buildEnforcementRules({ stateInjection, loreInjection, advancedPromptContent }) {
-  return `\n\n[SYSTEM ENFORCEMENT]
-1. DO NOT speak for the user.
-2. Maintain distinct personalities.
-3. Ensure each character's voice remains consistent.
-4. Manage the stage. If a character leaves, use [HIDE: Name].
-5. To add a new object to the scene, use [ADD_OBJECT: "name"].
-6. If the user takes an object, you MUST use [TAKE: "name"].
-7. To drop an inventory item, use [DROP: "name"].
-8. Dialogue MUST be in script format (Name: "Speech").${stateInjection}${loreInjection}${advancedPromptContent ? `\n\n${advancedPromptContent}` : ''}`;
-}
-
-/**
- * Keeps as much recent history as possible under maxContext.
- * - Preserves (optional) first system message
- * - Appends suffix to system content (visual/enforcement)
- */
-function applyContextWindow(messages, { maxContext, systemSuffix }) {
-  const copy = structuredCloneSafe(messages);
-
-  const sysIndex = copy.findIndex(m => m.role === 'system');
-  const sysMsg = sysIndex > -1 ? copy[sysIndex] : null;
-
-  const baseSysTokens = sysMsg ? estimateTokensFromMessageContent(sysMsg.content) : 0;
-  const suffixTokens = Math.ceil(systemSuffix.length / 4);
-
-  // Safety reserve so you don't hit hard model limits
-  const reserve = 1000;
-  const available = Math.max(0, (maxContext ?? 128000) - baseSysTokens - suffixTokens - reserve);
-
-  const history = copy.filter((_, i) => i !== sysIndex);
-  const kept = [];
-
-  let used = 0;
-  for (let i = history.length - 1; i >= 0; i--) {
-    const msgTokens = estimateTokensFromMessageContent(history[i]?.content);
-    if (used + msgTokens <= available) {
-      kept.unshift(history[i]);
-      used += msgTokens;
-    } else {
-      break;
-    }
-  }
-
-  const out = [];
-  if (sysMsg) out.push(sysMsg);
-  out.push(...kept);
-
-  // Ensure a system message exists and gets the suffix.
-  const outSysIndex = out.findIndex(m => m.role === 'system');
-  if (outSysIndex > -1) {
-    out[outSysIndex].content = String(out[outSysIndex].content ?? '') + systemSuffix;
-  } else {
-    out.unshift({ role: 'system', content: systemSuffix });
-  }
-
-  return out;
-}
-
 /* ------------------------------ AUDIO ANALYSIS --------------------------- */
 
 function getWavSamples(buffer) {
@@ -779,120 +233,36 @@ function assignVoiceId(charName, botFilesPath, existingMap, buckets) {
   return hash % 900;
 }
 
-function structuredCloneSafe(x) {
-  try {
-    return structuredClone(x);
-  } catch {
-    return JSON.parse(JSON.stringify(x));
-  }
-}
-
 /* ------------------------------ MAIN EXPORT ------------------------------ */
 
 module.exports = function registerIpcHandlers(paths) {
   const {
-    configPath,
-    chatsPath,
     botFilesPath,
     botImagesPath,
     personaPath,
     summaryPath,
-    currentChatPath,
     advancedPromptPath,
-    characterStatePath,
     lorebookPath,
     voiceMapPath,
     voiceBucketsPath,
-    phoneThreadsPath,
-    phoneContactsPath,
   } = paths;
 
-  const cache = createCache();
-  const chatStorage = createChatStorage({
-    chatsPath,
-    path,
-    fs,
-    sanitizeFilename,
-    readJsonSafe,
-    writeJsonSafe,
-  });
-
-  /* ---- Config accessors ---- */
-
-  const configStore = createConfigStore({
-    configPath,
-    readJsonSafe,
-    writeJsonSafe,
-    clone: structuredCloneSafe,
-    safeStorage,
-  });
-
-  function loadConfig() {
-    return configStore.load();
-  }
-
-  function saveConfig(config) {
-    return configStore.save(config);
-  }
-
-  function toPublicConfig(config) {
-    return configStore.toPublic(config);
-  }
-
-  /* ---- Cached getters ---- */
-
-  function getManifest(force = false) {
-    const key = 'manifest';
-    if (!force) {
-      const hit = cache.get(key);
-      if (hit) return hit;
-    }
-
-    const manifestPath = path.join(botFilesPath, 'images.json');
-    const manifest = readJsonSafe(manifestPath, {});
-    for (const k of PROVIDER_CATEGORIES) {
-      if (!manifest[k]) manifest[k] = {};
-    }
-
-    return cache.set(key, manifest);
-  }
-
-  function getFiles(category, force = false) {
-    const key = `files:${category}`;
-    if (!force) {
-      const hit = cache.get(key);
-      if (hit) return hit;
-    }
+  // Every handler is also kept by channel so the LAN server can call it.
+  const channels = new Map();
+  const ipcMain = {
+    handle(channel, fn) {
+      channels.set(channel, fn);
+      electronIpcMain.handle(channel, fn);
+    },
+  };
 
-    const files = listCategoryFiles({ botImagesPath, botFilesPath }, category);
-    return cache.set(key, files);
-  }
+  const engine = createEngine({ paths, safeStorage });
+  const { aiService, loadConfig, saveConfig, toPublicConfig, assets } = engine;
 
   // --- Sidecar / Utility Handlers ---
 
-  ipcMain.handle('get-stage-directions', async (event, text, activeCharacters, context = {}) => {
-    const config = loadConfig();
-    const manifest = getManifest();
-    
-    // Pass available assets to help the small model hallucinate less
-    const availableBackgrounds = Object.keys(manifest.backgrounds || {});
-    const availableMusic = Object.keys(manifest.music || {});
-    const availableSfx = Object.keys(manifest.sfx || {});
-
-    const tags = await aiService.analyzeScene(config, text, {
-      availableBackgrounds,
-      availableMusic,
-      availableSfx,
-      activeCharacters,
-      recentMessages: context.recentMessages,
-      currentBackground: context.currentBackground,
-      currentMusic: context.currentMusic,
-      inventory: context.inventory,
-      sceneObjects: context.sceneObjects,
-      lastRenderReport: context.lastRenderReport,
-    });
-    return tags;
-  });
+  ipcMain.handle('get-stage-directions', (event, text, activeCharacters, context = {}) =>
+    engine.getStageDirections(text, activeCharacters, context));
 
   ipcMain.handle('get-reply-suggestions', async (event, messages) => {
     const config = loadConfig();
@@ -951,19 +321,7 @@ module.exports = function registerIpcHandlers(paths) {
     return aiService.determineActiveContext(config, messages, candidates);
   });
 
-  ipcMain.handle('review-visuals', async (event, options) => {
-    const config = loadConfig();
-    const manifest = getManifest();
-    
-    const availableBackgrounds = Object.keys(manifest.backgrounds || {});
-    const allSprites = getFiles('sprites');
-
-    return aiService.reviewVisuals(config, {
-      ...options,
-      availableBackgrounds,
-      availableSprites: allSprites,
-    });
-  });
+  ipcMain.handle('review-visuals', (event, options) => engine.reviewVisuals(options));
 
   ipcMain.handle('generate-dynamic-event', async (event, options) => {
     const config = loadConfig();
@@ -1004,6 +362,7 @@ module.exports = function registerIpcHandlers(paths) {
     advancedPromptPath,
     DEFAULT_PERSONA,
     DEFAULT_SUMMARY,
+    shell,
     trace,
   });
 
@@ -1018,29 +377,24 @@ module.exports = function registerIpcHandlers(paths) {
     readJsonSafe,
     readTextSafe,
     writeJsonSafe,
-    getFiles,
-    getManifest,
+    getFiles: assets.getFiles,
+    getManifest: assets.getManifest,
     ensureManifestCoverage,
     listCategoryFiles,
     resolveMediaAbsolutePath,
     getMimeType,
-    cache,
+    cache: assets.cache,
     sanitizeFilename,
     botFilesPath,
     botImagesPath,
     PROVIDER_CATEGORIES,
+    getBotInfo: engine.getBotInfo,
     trace,
   });
 
   registerChatHandlers({
     ipcMain,
-    chatStorage,
-    readJsonSafe,
-    writeJsonSafe,
-    characterStatePath,
-    lorebookPath,
-    currentChatPath,
-    trace,
+    saves: engine.saves,
   });
   registerVoiceHandlers({
     ipcMain,
@@ -1068,39 +422,44 @@ module.exports = function registerIpcHandlers(paths) {
     aiService,
     loadConfig,
     readTextSafe,
-    readJsonSafe,
-    writeJsonSafe,
     botFilesPath,
-    botImagesPath,
-    characterStatePath,
-    lorebookPath,
-    advancedPromptPath,
-    userDataPath: paths.userDataPath,
-    getManifest,
-    ensureManifestCoverage,
-    getFiles,
-    PROVIDER_CATEGORIES,
-    buildVisualPrompt,
-    buildStateInjection,
-    buildLoreInjection,
-    buildEnforcementRules,
-    applyContextWindow: contextWindow.applyContextWindow,
-    structuredCloneSafe,
+    sendChat: engine.sendChat,
+    evolveCharacterState: engine.evolveCharacterState,
+    lore: engine.lore,
+    trace,
+  });
+
+  registerUsageHandlers({
+    ipcMain,
+    usageLedger: engine.usageLedger,
+    loadConfig,
     trace,
   });
 
   registerPhoneHandlers({
     ipcMain,
-    aiService,
+    phone: engine.phone,
+  });
+
+  registerPromptTemplateHandlers({
+    ipcMain,
     loadConfig,
-    readJsonSafe,
-    writeJsonSafe,
-    readTextSafe,
-    phoneThreadsPath,
-    phoneContactsPath,
-    botFilesPath,
-    fs,
-    path,
+    saveConfig,
+    templates: engine.templates,
+    trace,
+  });
+
+  registerLanHandlers({
+    ipcMain,
+    loadConfig,
+    saveConfig,
+    createServer: ({ token, port }) => createLanServer({
+      channels,
+      appRoot: path.join(__dirname, '..', '..'),
+      botImagesPath,
+      token,
+      port,
+    }),
     trace,
   });
 };
@@ -4,8 +4,7 @@ function isIpcEnvelope(value) {
     return Boolean(value) && typeof value === 'object' && typeof value.ok === 'boolean' && value.meta && value.meta.correlationId;
 }
 
-async function invokeSafe(channel, ...args) {
-    const result = await ipcRenderer.invoke(channel, ...args);
+function unwrapEnvelope(result) {
     if (!isIpcEnvelope(result)) return result;
 
     if (result.ok) return result.data;
@@ -18,12 +17,23 @@ async function invokeSafe(channel, ...args) {
     throw err;
 }
 
+async function invokeSafe(channel, ...args) {
+    return unwrapEnvelope(await ipcRenderer.invoke(channel, ...args));
+}
+
+// Like invokeSafe, but keeps the envelope meta (provider, correlationId, ...).
+async function invokeWithMeta(channel, ...args) {
+    const result = await ipcRenderer.invoke(channel, ...args);
+    return { data: unwrapEnvelope(result), meta: isIpcEnvelope(result) ? result.meta : null };
+}
+
 contextBridge.exposeInMainWorld('api', {
     getConfig: () => invokeSafe('get-config'),
     saveApiKey: (provider, key, model, baseUrl) => invokeSafe('save-api-key', provider, key, model, baseUrl),
     getBotInfo: () => invokeSafe('get-bot-info'),
     deleteApiKey: (provider) => invokeSafe('delete-api-key', provider),
     sendChat: (messages, options) => invokeSafe('send-chat', messages, options),
+    sendChatWithMeta: (messages, options) => invokeWithMeta('send-chat', messages, options),
     saveChat: (name, messages) => invokeSafe('save-chat', name, messages),
     getChats: () => invokeSafe('get-chats'),
     loadChat: (name) => invokeSafe('load-chat', name),
@@ -34,9 +44,24 @@ contextBridge.exposeInMainWorld('api', {
     saveAdvancedPrompt: (prompt) => invokeSafe('save-advanced-prompt', prompt),
     saveTemperature: (temp) => invokeSafe('save-temperature', temp),
     saveMaxContext: (limit) => invokeSafe('save-max-context', limit),
+    saveProviderOptions: (provider, options) => invokeSafe('save-provider-options', provider, options),
     savePollinationsKey: (key) => invokeSafe('save-pollinations-key', key),
     openExternalUrl: (url) => invokeSafe('open-external-url', url),
     saveDirectorMode: (mode) => invokeSafe('save-director-mode', mode),
+    saveFallbackProviders: (providers) => invokeSafe('save-fallback-providers', providers),
+    saveEmbeddingSettings: (embedding) => invokeSafe('save-embedding-settings', embedding),
+    saveSceneDirectives: (mode) => invokeSafe('save-scene-directives', mode),
+    saveReasoningHistory: (mode) => invokeSafe('save-reasoning-history', mode),
+    saveAutoContinue: (enabled) => invokeSafe('save-auto-continue', enabled),
+    getTaskRouting: () => invokeSafe('get-task-routing'),
+    saveTaskRouting: (routing) => invokeSafe('save-task-routing', routing),
+    getSamplerPresets: () => invokeSafe('get-sampler-presets'),
+    saveSamplerPreset: (name, values) => invokeSafe('save-sampler-preset', name, values),
+    deleteSamplerPreset: (name) => invokeSafe('delete-sampler-preset', name),
+    setActiveSamplerPreset: (name) => invokeSafe('set-active-sampler-preset', name),
+    getPromptTemplates: () => invokeSafe('get-prompt-templates'),
+    savePromptTemplate: (id, text) => invokeSafe('save-prompt-template', id, text),
+    resetPromptTemplate: (id) => invokeSafe('reset-prompt-template', id),
     setActiveProvider: (provider) => invokeSafe('set-active-provider', provider),
     saveSummary: (summary) => invokeSafe('save-summary', summary),
     getSummary: () => invokeSafe('get-summary'),
@@ -64,6 +89,9 @@ contextBridge.exposeInMainWorld('api', {
     scanVoiceBuckets: () => invokeSafe('scan-voice-buckets'),
     loadCurrentChat: () => invokeSafe('load-current-chat'),
     testProvider: () => invokeSafe('test-provider'),
+    listModels: (provider, options) => invokeSafe('list-models', provider, options),
+    countTokens: (text) => invokeSafe('count-tokens', text),
+    getUsageStats: (filter) => invokeSafe('get-usage-stats', filter),
     generateSpeech: (text, voiceId, forcedSpeakerId) => invokeSafe('generate-speech', text, voiceId, forcedSpeakerId),
     generateImage: (prompt, type) => invokeSafe('generate-image', prompt, type),
     phoneListThreads: () => invokeSafe('phone-list-threads'),
@@ -81,7 +109,21 @@ contextBridge.exposeInMainWorld('api', {
         ipcRenderer.on('chat-reply-chunk', subscription);
         return () => ipcRenderer.removeListener('chat-reply-chunk', subscription);
     },
+    onChatReasoningChunk: (callback) => {
+        const subscription = (event, chunk) => callback(chunk);
+        ipcRenderer.on('chat-reasoning-chunk', subscription);
+        return () => ipcRenderer.removeListener('chat-reasoning-chunk', subscription);
+    },
+    rebuildLoreIndex: () => invokeSafe('rebuild-lore-index'),
+    onLoreIndexProgress: (callback) => {
+        const subscription = (event, progress) => callback(progress);
+        ipcRenderer.on('lore-index-progress', subscription);
+        return () => ipcRenderer.removeListener('lore-index-progress', subscription);
+    },
     evolveCharacterState: (messages, activeChars) => invokeSafe('evolve-character-state', messages, activeChars),
+    getLanServer: () => invokeSafe('get-lan-server'),
+    saveLanServer: (enabled, port) => invokeSafe('save-lan-server', enabled, port),
+    resetLanToken: () => invokeSafe('reset-lan-token'),
     toggleDevTools: (open) => invokeSafe('toggle-dev-tools', open)
 });
 
@@ -245,7 +245,7 @@ function playSfx(filename) {
   if (isStopCommand(filename)) return;
 
   // We use a simplified path assumption for SFX
-  const audio = new Audio(`bot-resource://sfx/${filename}`);
+  const audio = new Audio(window.botResourceUrl(`sfx/${filename}`));
   audio.volume = sfxVolume;
 
   audio.play().catch(e => {
@@ -271,7 +271,7 @@ function stopCurrentMusic() {
 }
 
 function createAudioObject(filename) {
-  const audio = new Audio(`bot-resource://${filename}`);
+  const audio = new Audio(window.botResourceUrl(filename));
 
   // We do manual looping for crossfades (do not use native loop)
   audio.loop = false;
@@ -421,15 +421,7 @@ function getAudioFilename(audio) {
   const src = audio?.src;
   if (!src) return '';
 
-  if (src.includes('bot-resource://')) {
-    try {
-      return decodeURIComponent(src.split('bot-resource://')[1] || '');
-    } catch {
-      return src.split('bot-resource://')[1] || '';
-    }
-  }
-
-  return '';
+  return window.botResourcePath(src);
 }
 
 function normalizeName(name) {
@@ -0,0 +1,33 @@
+/* ============================================================================
+   bot-resource.js — URLs for bot media (backgrounds, sprites, music...)
+   The desktop app serves them through the bot-resource:// protocol. The LAN
+   web client sets window.BOT_RESOURCE_PREFIX before this script runs.
+   ========================================================================== */
+
+'use strict';
+
+(function () {
+  const prefix = window.BOT_RESOURCE_PREFIX || 'bot-resource://';
+  const markers = ['bot-resource://', '/bot-resource/'];
+
+  /** "backgrounds/cafe.png" -> URL usable in img.src / new Audio(). */
+  window.botResourceUrl = function botResourceUrl(rel) {
+    return `${prefix}${String(rel ?? '').replace(/^\/+/, '')}`;
+  };
+
+  /** Reverse of botResourceUrl: the decoded relative path, or '' for other URLs. */
+  window.botResourcePath = function botResourcePath(src) {
+    const value = String(src || '');
+    for (const marker of markers) {
+      const at = value.indexOf(marker);
+      if (at === -1) continue;
+      const rel = value.slice(at + marker.length);
+      try {
+        return decodeURIComponent(rel);
+      } catch {
+        return rel;
+      }
+    }
+    return '';
+  };
+})();
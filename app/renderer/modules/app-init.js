@@ -16,14 +16,14 @@ export function createAppInitializer(deps) {
   function showTitleScreenIfExists() {
     return new Promise((resolve) => {
       const img = new Image();
-      img.src = 'bot-resource://title/title_screen.png';
+      img.src = windowObj.botResourceUrl('title/title_screen.png');
 
       img.onload = () => {
         const overlay = documentObj.createElement('div');
         overlay.id = 'title-screen';
         overlay.style.cssText = `
           position: fixed; inset: 0;
-          background-image: url('bot-resource://title/title_screen.png');
+          background-image: url('${windowObj.botResourceUrl('title/title_screen.png')}');
           background-size: cover;
           background-position: center;
           z-index: 20000;
@@ -95,6 +95,10 @@ export function createAppInitializer(deps) {
     windowObj.userPersona = await windowObj.api.getPersona();
     windowObj.chatSummary = await windowObj.api.getSummary();
     windowObj.imageManifest = await windowObj.api.getImageManifest();
+    windowObj.promptTemplates = await windowObj.api.getPromptTemplates().catch((e) => {
+      console.warn('[Prompts] Using the built-in prompt sections:', e?.message ?? e);
+      return {};
+    });
 
     await showTitleScreenIfExists();
 
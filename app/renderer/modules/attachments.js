@@ -0,0 +1,152 @@
+'use strict';
+
+/* ============================================================================
+   attachments.js — Image attachments for the chat input
+   Attach (button), paste or drop images; they are downscaled, kept as data
+   URLs on the user message ({ type: 'image', name, mimeType, dataUrl }) and
+   saved with the chat.
+   ========================================================================== */
+
+const MAX_SIDE = 1568; // Long edge sent to vision models; larger only costs tokens.
+const MAX_ATTACHMENTS = 4;
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error || new Error('Could not read the image.'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/** File/Blob -> attachment, downscaled so the long edge is at most MAX_SIDE. */
+export async function readImageAttachment(file, documentObj = document) {
+  if (!String(file?.type || '').startsWith('image/')) {
+    throw new Error(`"${file?.name || 'file'}" is not an image.`);
+  }
+
+  const name = file.name || 'pasted-image';
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+
+  if (scale === 1 && file.type !== 'image/gif') {
+    bitmap.close?.();
+    return { type: 'image', name, mimeType: file.type, dataUrl: await readAsDataUrl(file) };
+  }
+
+  const canvas = documentObj.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+
+  const mimeType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  return { type: 'image', name, mimeType, dataUrl: canvas.toDataURL(mimeType, 0.9) };
+}
+
+/** Thumbnails shown under a message in the chat log. */
+export function renderAttachmentStrip(attachments, documentObj = document) {
+  const strip = documentObj.createElement('div');
+  strip.className = 'message-attachments';
+  for (const a of attachments || []) {
+    if (a?.type !== 'image' || !a.dataUrl) continue;
+    const img = documentObj.createElement('img');
+    img.src = a.dataUrl;
+    img.alt = a.name || 'Attached image';
+    img.title = a.name || '';
+    strip.appendChild(img);
+  }
+  return strip;
+}
+
+export function createAttachmentTray({ windowObj, documentObj, trayEl, fileInput, attachBtn, inputEl, dropTarget }) {
+  let pending = [];
+
+  function render() {
+    if (!trayEl) return;
+    trayEl.innerHTML = '';
+    trayEl.style.display = pending.length ? 'flex' : 'none';
+
+    pending.forEach((a, i) => {
+      const item = documentObj.createElement('div');
+      item.className = 'attachment-thumb';
+
+      const img = documentObj.createElement('img');
+      img.src = a.dataUrl;
+      img.alt = a.name;
+      img.title = a.name;
+
+      const remove = documentObj.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = 'Remove';
+      remove.onclick = () => {
+        pending.splice(i, 1);
+        render();
+      };
+
+      item.appendChild(img);
+      item.appendChild(remove);
+      trayEl.appendChild(item);
+    });
+  }
+
+  async function addFiles(files) {
+    const images = Array.from(files || []).filter((f) => String(f?.type || '').startsWith('image/'));
+    for (const file of images) {
+      if (pending.length >= MAX_ATTACHMENTS) {
+        if (windowObj.showToast) windowObj.showToast(`Up to ${MAX_ATTACHMENTS} images per message.`);
+        break;
+      }
+      try {
+        pending.push(await readImageAttachment(file, documentObj));
+      } catch (e) {
+        console.warn('[Attachments] Skipped file:', e);
+        if (windowObj.showToast) windowObj.showToast(e?.message || 'Could not attach that image.');
+      }
+    }
+    render();
+  }
+
+  attachBtn?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async () => {
+    await addFiles(fileInput.files);
+    fileInput.value = '';
+  });
+
+  inputEl?.addEventListener('paste', (e) => {
+    const files = Array.from(e.clipboardData?.items || [])
+      .filter((item) => item.kind === 'file' && item.type.startsWith('image/'))
+      .map((item) => item.getAsFile())
+      .filter(Boolean);
+    if (!files.length) return;
+    e.preventDefault();
+    addFiles(files);
+  });
+
+  dropTarget?.addEventListener('dragover', (e) => {
+    if (Array.from(e.dataTransfer?.types || []).includes('Files')) e.preventDefault();
+  });
+  dropTarget?.addEventListener('drop', (e) => {
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    addFiles(e.dataTransfer.files);
+  });
+
+  render();
+
+  return {
+    /** Pending attachments, clearing the tray. */
+    take() {
+      const taken = pending;
+      pending = [];
+      render();
+      return taken;
+    },
+    /** Put attachments back, e.g. after a failed send. */
+    restore(attachments) {
+      pending = [...(attachments || []), ...pending].slice(0, MAX_ATTACHMENTS);
+      render();
+    },
+  };
+}
@@ -1,15 +1,40 @@
 'use strict';
 
+// Reasoning is kept beside the reply, never inside `content`.
+function withReasoning(message, reasoning) {
+  if (reasoning) message.reasoning = reasoning;
+  return message;
+}
+
+// Auto-continue stops after this many extra rounds even if the reply is still cut off.
+const MAX_AUTO_CONTINUES = 2;
+
+// Marks a reply that stopped at the token limit so the Continue button can say so.
+function withFinish(message, response) {
+  if (response?.finishReason === 'length' && !response.cancelled) message.truncated = true;
+  else delete message.truncated;
+  return message;
+}
+
+function syncSwipeReasoning(msg) {
+  if (!msg.swipeReasoning) return;
+  const reasoning = msg.swipeReasoning[msg.swipeId || 0];
+  if (reasoning) msg.reasoning = reasoning;
+  else delete msg.reasoning;
+}
+
 export function createChatController(deps) {
   const {
     windowObj,
     userInput,
+    attachmentTray,
     chatHistory,
     useStore,
     appendMessage,
     setGeneratingState,
     streamChat,
     buildPayload,
+    buildTurnContext,
     getSceneContext,
     saveCurrentChatState,
     renderChat,
@@ -96,13 +121,16 @@ export function createChatController(deps) {
     }
 
     const text = userInput.value.trim();
-    if (!text) return;
+    const attachments = attachmentTray ? attachmentTray.take() : [];
+    if (!text && !attachments.length) return;
 
     if (windowObj.voice) windowObj.voice.stop();
 
-    appendMessage('user', text, windowObj.messages.length);
+    const userMessage = { role: 'user', content: text };
+    if (attachments.length) userMessage.attachments = attachments;
+    windowObj.messages.push(userMessage);
+    appendMessage('user', text, windowObj.messages.length - 1);
     userInput.value = '';
-    windowObj.messages.push({ role: 'user', content: text });
 
     const sceneCharacters = getSceneContext(text);
     const { inventory, sceneObjects } = useStore.getState();
@@ -131,11 +159,13 @@ export function createChatController(deps) {
         inventory,
         sceneObjects,
         activeContextKeys,
+        turnContext: buildTurnContext(sceneCharacters),
       });
 
       if (response.content) {
         let finalContent = response.content;
-        if (!response.cancelled && /[\[\]]/.test(finalContent)) {
+        // A cut-off reply may end inside a [SCENE] block; leave it whole for Continue.
+        if (!response.cancelled && response.finishReason !== 'length' && /[\[\]]/.test(finalContent)) {
           try {
             const cleaned = await windowObj.api.cleanupResponse(finalContent);
             if (cleaned && cleaned !== finalContent) {
@@ -146,14 +176,15 @@ export function createChatController(deps) {
             console.warn('[Editor] Cleanup failed:', e);
           }
         }
-        windowObj.messages.push({ role: 'assistant', content: finalContent, renderReport: response.report });
+        windowObj.messages.push(withFinish(withReasoning({ role: 'assistant', content: finalContent, renderReport: response.report }, response.reasoning), response));
       } else if (!response.cancelled) {
-        windowObj.messages.push({ role: 'assistant', content: '', renderReport: response.report });
+        windowObj.messages.push(withReasoning({ role: 'assistant', content: '', renderReport: response.report }, response.reasoning));
       }
 
-      await runSidecarEnhancements(response, sceneCharacters);
+      const finalResponse = await autoContinue(response, sceneCharacters);
+      await runSidecarEnhancements(finalResponse, sceneCharacters);
 
-      const phoneTickResult = await runPhoneTick(response.content, sceneCharacters);
+      const phoneTickResult = await runPhoneTick(finalResponse.content, sceneCharacters);
       maybeShowPhoneUnlockNotice(phoneTickResult);
       await maybeShowUnreadNotice(phoneTickResult);
 
@@ -166,6 +197,7 @@ export function createChatController(deps) {
       if (chatHistory.lastChild) chatHistory.removeChild(chatHistory.lastChild);
       if (chatHistory.lastChild) chatHistory.removeChild(chatHistory.lastChild);
       userInput.value = text;
+      if (attachmentTray) attachmentTray.restore(attachments);
       if (windowObj.showErrorModal) windowObj.showErrorModal(error, 'Failed to send message.');
       else alert(windowObj.formatApiError ? windowObj.formatApiError(error, 'Failed to send message.') : 'Failed to send message.');
     } finally {
@@ -181,6 +213,7 @@ export function createChatController(deps) {
 
     msg.swipeId = swipeIndex;
     msg.content = msg.swipes[swipeIndex];
+    syncSwipeReasoning(msg);
     renderChat();
 
     const { missing } = windowObj.processVisualTags(msg.content, { store: useStore.getState(), handlers: visualHandlers });
@@ -198,8 +231,10 @@ export function createChatController(deps) {
 
     const currentIdx = msg.swipeId || 0;
     msg.swipes.splice(currentIdx, 1);
+    msg.swipeReasoning?.splice(currentIdx, 1);
     msg.swipeId = Math.max(0, Math.min(currentIdx, msg.swipes.length - 1));
     msg.content = msg.swipes[msg.swipeId];
+    syncSwipeReasoning(msg);
 
     renderChat();
 
@@ -215,10 +250,12 @@ export function createChatController(deps) {
     try {
       const last = windowObj.messages[windowObj.messages.length - 1];
       let previousSwipes = [];
+      let previousReasoning = [];
       let targetSwipeIndex = 0;
 
       if (last?.role === 'assistant') {
         previousSwipes = last.swipes || [last.content];
+        previousReasoning = previousSwipes.map((_, i) => (last.swipeReasoning ? last.swipeReasoning[i] : (last.reasoning || '')) || '');
         targetSwipeIndex = last.swipeId !== undefined ? last.swipeId : (previousSwipes.length - 1);
         windowObj.messages.pop();
       }
@@ -231,31 +268,41 @@ export function createChatController(deps) {
 
       const payload = buildPayload(sceneCharacters);
       const { inventory, sceneObjects } = useStore.getState();
-      const { content: rawResponse, report } = await streamChat(payload, {
+      const response = await streamChat(payload, {
         activeCharacters: sceneCharacters,
         inventory,
         sceneObjects,
+        turnContext: buildTurnContext(sceneCharacters),
       });
+      const { content: rawResponse, reasoning, report } = response;
 
       let newSwipes;
+      let newReasoning;
       let newSwipeId;
 
       if (replace) {
         newSwipes = [...previousSwipes];
         newSwipes[targetSwipeIndex] = rawResponse;
+        newReasoning = [...previousReasoning];
+        newReasoning[targetSwipeIndex] = reasoning || '';
         newSwipeId = targetSwipeIndex;
       } else {
         newSwipes = [...previousSwipes, rawResponse];
+        newReasoning = [...previousReasoning, reasoning || ''];
         newSwipeId = newSwipes.length - 1;
       }
 
-      windowObj.messages.push({
+      const message = withFinish(withReasoning({
         role: 'assistant',
         content: rawResponse,
         swipes: newSwipes,
         swipeId: newSwipeId,
         renderReport: report,
-      });
+      }, reasoning), response);
+      if (newReasoning.some(Boolean)) message.swipeReasoning = newReasoning;
+      windowObj.messages.push(message);
+
+      await autoContinue(response, sceneCharacters);
 
       await saveCurrentChatState();
     } catch (error) {
@@ -270,10 +317,85 @@ export function createChatController(deps) {
     }
   }
 
+  /**
+   * Streams the rest of the last assistant reply and appends it to that message
+   * (and its current swipe) instead of starting a new turn.
+   * Returns the streamChat result with `content` as the whole reply, or null.
+   */
+  async function streamContinuation(sceneCharacters) {
+    const msg = windowObj.messages[windowObj.messages.length - 1];
+    if (msg?.role !== 'assistant') return null;
+
+    // The stream bubble shows the reply so far and replaces the rendered message.
+    if (chatHistory.lastChild) chatHistory.removeChild(chatHistory.lastChild);
+
+    const { inventory, sceneObjects } = useStore.getState();
+    const response = await streamChat(buildPayload(sceneCharacters), {
+      activeCharacters: sceneCharacters,
+      inventory,
+      sceneObjects,
+      turnContext: buildTurnContext(sceneCharacters),
+      continue: true,
+    });
+
+    msg.content = response.content;
+    if (msg.swipes) msg.swipes[msg.swipeId ?? msg.swipes.length - 1] = response.content;
+    // The report covers the whole reply; a cancelled stream has none, so keep the last one.
+    msg.renderReport = response.report ?? msg.renderReport;
+    if (response.reasoning) {
+      msg.reasoning = [msg.reasoning, response.reasoning].filter(Boolean).join('\n\n');
+      if (msg.swipeReasoning) msg.swipeReasoning[msg.swipeId || 0] = msg.reasoning;
+    }
+    withFinish(msg, response);
+    return response;
+  }
+
+  /** Keeps continuing a cut-off reply while config.autoContinue is on. */
+  async function autoContinue(response, sceneCharacters) {
+    let current = response;
+    for (let round = 0; round < MAX_AUTO_CONTINUES; round++) {
+      if (current?.cancelled || current?.finishReason !== 'length') break;
+      const config = await windowObj.api.getConfig();
+      if (!config?.autoContinue) break;
+
+      const next = await streamContinuation(sceneCharacters);
+      if (!next) break;
+      current = next;
+    }
+    return current;
+  }
+
+  async function continueResponse() {
+    const last = windowObj.messages[windowObj.messages.length - 1];
+    if (last?.role !== 'assistant') return;
+
+    const lastUser = [...windowObj.messages].reverse().find((m) => m.role === 'user');
+    const sceneCharacters = getSceneContext(lastUser?.content || '');
+    setGeneratingState(true);
+
+    try {
+      const response = await streamContinuation(sceneCharacters);
+      await autoContinue(response, sceneCharacters);
+      await saveCurrentChatState();
+    } catch (error) {
+      console.error('Continue Error:', error);
+      if (windowObj.showErrorModal) windowObj.showErrorModal(error, 'Failed to continue the response.');
+      else {
+        const f = windowObj.formatApiError || ((err, d) => err?.message || d);
+        alert(f(error, 'Failed to continue the response.'));
+      }
+    } finally {
+      setGeneratingState(false);
+      renderChat();
+      windowObj.refocusInput();
+    }
+  }
+
   return {
     handleSend,
     swapMessageVersion,
     deleteSwipe,
     regenerateResponse,
+    continueResponse,
   };
 }
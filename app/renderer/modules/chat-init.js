@@ -1,5 +1,7 @@
 'use strict';
 
+import { createChatId } from './utils.js';
+
 export function createChatInitializer(deps) {
   const {
     windowObj,
@@ -26,6 +28,7 @@ export function createChatInitializer(deps) {
 
     try {
       windowObj.messages = [];
+      windowObj.chatId = createChatId();
       renderChat();
 
       if (windowObj.__activeSprites) {
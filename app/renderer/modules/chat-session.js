@@ -1,5 +1,7 @@
 'use strict';
 
+import { createChatId } from './utils.js';
+
 export function createChatSessionController({
   windowObj,
   useStore,
@@ -11,6 +13,7 @@ export function createChatSessionController({
   normalizeText,
   updateThoughtsDropdown,
   onRegenerate,
+  onContinue,
 }) {
   async function saveCurrentChatState() {
     console.log('Saving current state...');
@@ -30,7 +33,7 @@ export function createChatSessionController({
     }
 
     const music = currentMusic || '';
-    const state = { messages, background, sprites: spriteFilenames, splash, music };
+    const state = { chatId: windowObj.chatId || null, messages, background, sprites: spriteFilenames, splash, music };
 
     console.log('[DEBUG] Saving Snapshot:', state);
     await windowObj.api.saveCurrentChat(state);
@@ -42,6 +45,7 @@ export function createChatSessionController({
     const { setBackground, setCharacterEmotion, setCharacterVisibility, setMusic, setSplash, characters } = useStore.getState();
 
     windowObj.messages = Array.isArray(state?.messages) ? state.messages : [];
+    windowObj.chatId = state?.chatId || createChatId();
     useStore.setState({ dialogueHistory: windowObj.messages });
 
     let bgToLoad = null;
@@ -116,6 +120,16 @@ export function createChatSessionController({
 
         actionsDiv.appendChild(redoBtn);
         actionsDiv.appendChild(branchBtn);
+
+        if (onContinue) {
+          const continueBtn = document.createElement('button');
+          continueBtn.className = msg.truncated ? 'msg-action-btn truncated' : 'msg-action-btn';
+          continueBtn.innerHTML = '⏩';
+          continueBtn.title = msg.truncated ? 'Continue (reply was cut off)' : 'Continue this reply';
+          continueBtn.onclick = () => onContinue();
+          actionsDiv.appendChild(continueBtn);
+        }
+
         msgDiv.appendChild(actionsDiv);
       }
     });
@@ -1,5 +1,7 @@
 'use strict';
 
+import { createThinkingPanel } from './thinking-panel.js';
+
 export function createChatStreamer({
   windowObj,
   chatHistory,
@@ -11,9 +13,9 @@ export function createChatStreamer({
   handleMissingVisuals,
   updateThoughtsDropdown,
 }) {
-  function createAssistantStreamBubble() {
-    const { msgDiv, contentDiv } = createMessageElement('assistant', '', undefined);
-    contentDiv.innerHTML = '<div class="typing-dots"><span></span><span></span><span></span></div>';
+  function createAssistantStreamBubble(prefix = '') {
+    const { msgDiv, contentDiv } = createMessageElement('assistant', prefix, undefined);
+    if (!prefix) contentDiv.innerHTML = '<div class="typing-dots"><span></span><span></span><span></span></div>';
 
     chatHistory.appendChild(msgDiv);
     chatHistory.scrollTop = chatHistory.scrollHeight;
@@ -21,14 +23,34 @@ export function createChatStreamer({
     return { msgDiv, contentDiv };
   }
 
+  /**
+   * options.continue resumes the partial assistant reply at the end of `payload`:
+   * the stream is shown after it and `content` comes back as the whole reply.
+   */
   async function streamChat(payload, options) {
-    const { contentDiv } = createAssistantStreamBubble();
+    const prefix = options?.continue ? String(payload[payload.length - 1]?.content ?? '') : '';
+    const { msgDiv, contentDiv } = createAssistantStreamBubble(prefix);
 
-    let accumulated = '';
+    let accumulated = prefix;
+    let reasoning = '';
     let received = false;
     let removeListener = null;
+    let removeReasoningListener = null;
+    let thinking = null;
 
     try {
+      if (windowObj.api.onChatReasoningChunk) {
+        removeReasoningListener = windowObj.api.onChatReasoningChunk((chunk) => {
+          if (!thinking) {
+            thinking = createThinkingPanel(msgDiv.ownerDocument, { streaming: true });
+            msgDiv.insertBefore(thinking.element, contentDiv);
+          }
+          reasoning += chunk;
+          thinking.setText(reasoning);
+          chatHistory.scrollTop = chatHistory.scrollHeight;
+        });
+      }
+
       removeListener = windowObj.api.onChatReplyChunk((chunk) => {
         if (!received) {
           contentDiv.innerHTML = '';
@@ -43,12 +65,29 @@ export function createChatStreamer({
         chatHistory.scrollTop = chatHistory.scrollHeight;
       });
 
-      const fullResponse = await windowObj.api.sendChat(payload, options);
+      let fullResponse;
+      let meta = null;
+      const sendOptions = { ...options, chatId: windowObj.chatId || null };
+      if (windowObj.api.sendChatWithMeta) {
+        ({ data: fullResponse, meta } = await windowObj.api.sendChatWithMeta(payload, sendOptions));
+      } else {
+        fullResponse = await windowObj.api.sendChat(payload, sendOptions);
+      }
+
+      if (meta?.fallbackFrom && windowObj.showToast) {
+        windowObj.showToast(`${meta.fallbackFrom} was unavailable, answered by ${meta.provider}.`);
+      }
 
       if (removeListener) {
         removeListener();
         removeListener = null;
       }
+      if (removeReasoningListener) {
+        removeReasoningListener();
+        removeReasoningListener = null;
+      }
+      thinking?.setStreaming(false);
+      const finalReasoning = String(meta?.reasoning ?? reasoning).trim();
 
       const { stats, missing, report } = windowObj.processVisualTags(fullResponse, { store: useStore.getState(), handlers: getVisualHandlers() });
       if (missing?.length) handleMissingVisuals(missing);
@@ -68,19 +107,29 @@ export function createChatStreamer({
       if (windowObj.setDialogue) windowObj.setDialogue(contentDiv.innerHTML, false);
 
       if (windowObj.voice) {
-        windowObj.voice.speak(fullResponse, options.activeCharacters);
+        // Only the new part of a continued reply is read aloud.
+        const spoken = prefix && fullResponse.startsWith(prefix) ? fullResponse.slice(prefix.length) : fullResponse;
+        windowObj.voice.speak(spoken, options.activeCharacters);
       }
 
-      return { content: fullResponse.trim(), report, cancelled: false };
+      return {
+        content: fullResponse.trim(),
+        reasoning: finalReasoning,
+        report,
+        cancelled: false,
+        provider: meta?.provider ?? null,
+        finishReason: meta?.finishReason ?? null,
+      };
     } catch (error) {
       const isCancelled = error?.code === 'AI_ABORTED';
       if (isCancelled) {
         const partial = String(accumulated || '').trim();
-        return { content: partial, report: null, cancelled: true };
+        return { content: partial, reasoning: reasoning.trim(), report: null, cancelled: true };
       }
       throw error;
     } finally {
       if (removeListener) removeListener();
+      if (removeReasoningListener) removeReasoningListener();
       chatHistory.scrollTop = chatHistory.scrollHeight;
     }
   }
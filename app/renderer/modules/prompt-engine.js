@@ -51,6 +51,16 @@ export function getSceneContext(userText) {
   return Array.from(activeNames);
 }
 
+/* ------------------------------ TEMPLATES -------------------------------- */
+
+// window.promptTemplates holds the overrides the main process resolved;
+// prompt-render.js (window.PromptRender) fills them in, the built-in text
+// standing in until they load.
+function renderSection(id, values) {
+  const { renderTemplate, SECTION_DEFAULTS } = window.PromptRender;
+  return renderTemplate(window.promptTemplates?.[id]?.text ?? SECTION_DEFAULTS[id], values);
+}
+
 /* ------------------------------ PAYLOAD BUILD ---------------------------- */
 
 /**
@@ -63,17 +73,61 @@ function extractCharacterSummary(charText) {
   return raw.length > 200 ? raw.slice(0, 200) + '...' : raw;
 }
 
+function findCharacterName(nameLower) {
+  return Object.keys(window.botInfo.characters).find(k => k.toLowerCase() === nameLower);
+}
+
+/**
+ * The stable part of the prompt: it only changes when the cast or the summary
+ * does, so providers can cache it. Per-turn state lives in buildTurnContext.
+ */
 export function buildSystemPrompt(sceneCharacters) {
-  const activeSprites = window.__activeSprites || new Map();
   const base = [window.botInfo.personality, window.botInfo.scenario].filter(Boolean).join('\n\n');
   let systemContent = base;
 
+  // Persona
+  systemContent += `\n\n${renderSection('userInfo', { user: window.userPersona.name, persona: window.userPersona.details })}`;
+
   // Inject active character personalities
   for (const nameLower of sceneCharacters) {
-    const realName = Object.keys(window.botInfo.characters).find(k => k.toLowerCase() === nameLower);
+    const realName = findCharacterName(nameLower);
     if (!realName) continue;
+    systemContent += `\n\n${renderSection('character', { char: realName, personality: window.botInfo.characters[realName] })}`;
+  }
+
+  // Inactive characters list (summaries only)
+  const allNames = Object.keys(window.botInfo.characters);
+  const inactive = allNames.filter(n => !sceneCharacters.includes(n.toLowerCase()));
+
+  if (inactive.length) {
+    const characters = inactive
+      .map(name => `- ${name}: ${extractCharacterSummary(window.botInfo.characters[name])}`)
+      .join('\n');
+    systemContent += `\n\n${renderSection('otherCharacters', { characters })}`;
+  }
 
-    systemContent += `\n\n[Character: ${realName}]\n${window.botInfo.characters[realName]}`;
+  // Summary
+  if (window.chatSummary?.content) {
+    systemContent += `\n\n${renderSection('storySummary', { summary: window.chatSummary.content })}`;
+  }
+
+  // Replace placeholder
+  systemContent = systemContent.replace(/{{user}}/g, window.userPersona.name);
+
+  return systemContent.trim();
+}
+
+/**
+ * What changes every turn: expressions on screen, location, music and render
+ * feedback. Sent as options.turnContext and attached to the latest user turn.
+ */
+export function buildTurnContext(sceneCharacters) {
+  const activeSprites = window.__activeSprites || new Map();
+  const notes = [];
+
+  for (const nameLower of sceneCharacters) {
+    const realName = findCharacterName(nameLower);
+    if (!realName) continue;
 
     // If mentioned but not visible, hint the model
     if (activeSprites.has(nameLower)) {
@@ -81,60 +135,38 @@ export function buildSystemPrompt(sceneCharacters) {
       const img = activeSprites.get(nameLower);
       if (img && img.src) {
         try {
-          const filename = decodeURIComponent(img.src.split('bot-resource://')[1] || '');
+          const filename = window.botResourcePath(img.src);
           const base = filename.split(/[/\\]/).pop().split('.')[0]; // "happy"
           // Remove char name if present (e.g. "jessica_happy" -> "happy")
           const mood = base.toLowerCase().replace(nameLower, '').replace(/^[_\-\s]+/, '') || 'Default';
-          systemContent += `\n(Visual State: ${realName} is currently showing expression: "${mood}")`;
+          notes.push(renderSection('characterExpression', { char: realName, expression: mood }));
         } catch (e) {}
       }
     } else {
-      systemContent += `\n(System Note: ${realName} is not currently visible. If they are entering the scene, you MUST output [SPRITE: ${realName}] at the start.)`;
+      notes.push(renderSection('characterOffstage', { char: realName }));
     }
   }
 
-  // Inactive characters list (summaries only)
-  const allNames = Object.keys(window.botInfo.characters);
-  const inactive = allNames.filter(n => !sceneCharacters.includes(n.toLowerCase()));
-
-  if (inactive.length) {
-    systemContent += `\n\n[Other Available Characters]\n(Output [SPRITE: Name] to bring them into the scene)`;
-    for (const name of inactive) {
-      systemContent += `\n- ${name}: ${extractCharacterSummary(window.botInfo.characters[name])}`;
-    }
-  }
-
-  // Persona
-  systemContent += `\n\n[USER INFO]\nName: ${window.userPersona.name}\nDetails: ${window.userPersona.details}`;
-
-  // Replace placeholder
-  systemContent = systemContent.replace(/{{user}}/g, window.userPersona.name);
-
   // --- SCENE AWARENESS (Webbing) ---
   const bgSrc = $('vn-bg')?.src || '';
   let location = 'Unknown';
-  if (bgSrc.includes('bot-resource://')) {
-    const bgName = decodeURIComponent(bgSrc.split('bot-resource://')[1]);
+  const bgName = window.botResourcePath(bgSrc);
+  if (bgName) {
     location = bgName.split(/[/\\]/).pop().split('.')[0].replace(/[_-]/g, ' ');
   }
 
   const musicName = window.getCurrentMusicFilename ? window.getCurrentMusicFilename() : '';
-  const musicInfo = musicName ? `\nBackground Music: "${musicName.split(/[/\\]/).pop().split('.')[0].replace(/[_-]/g, ' ')}"` : '';
-
-  systemContent += `\n\n[CURRENT SCENE STATE]\nLocation: ${location}${musicInfo}`;
+  const music = musicName ? musicName.split(/[/\\]/).pop().split('.')[0].replace(/[_-]/g, ' ') : '';
 
-  // Summary
-  if (window.chatSummary?.content) {
-    systemContent += `\n\n[STORY SUMMARY]\n${window.chatSummary.content}`;
-  }
+  let context = renderSection('sceneState', { location, music, notes: notes.join('\n') });
 
   // --- RENDER FEEDBACK (Self-Correction) ---
   const lastAssistant = window.messages.slice().reverse().find(m => m.role === 'assistant');
   if (lastAssistant?.renderReport?.mismatches?.length) {
-     systemContent += `\n\n[RENDER FEEDBACK]\nYour last visual tags had issues:\n${lastAssistant.renderReport.mismatches.join('\n')}\n(Please adapt narration to the actual visuals)`;
+     context += `\n\n${renderSection('renderFeedback', { mismatches: lastAssistant.renderReport.mismatches.join('\n') })}`;
   }
 
-  return systemContent.trim();
+  return context.replace(/{{user}}/g, window.userPersona.name);
 }
 
 export function buildPayload(sceneCharacters) {
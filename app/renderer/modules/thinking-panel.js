@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Collapsible "thinking" panel for a reasoning model's thought process. It sits
+ * above the reply and is closed by default; the text never enters the reply,
+ * the dialogue box or TTS.
+ */
+export function createThinkingPanel(documentObj = document, { text = '', streaming = false } = {}) {
+  const element = documentObj.createElement('details');
+  element.className = 'thinking-panel';
+
+  const summary = documentObj.createElement('summary');
+  const body = documentObj.createElement('div');
+  body.className = 'thinking-body';
+  element.appendChild(summary);
+  element.appendChild(body);
+
+  function setText(value) {
+    body.textContent = value;
+  }
+
+  function setStreaming(active) {
+    element.classList.toggle('streaming', active);
+    summary.textContent = active ? 'Thinking…' : 'Thought process';
+  }
+
+  setText(text);
+  setStreaming(streaming);
+  return { element, setText, setStreaming };
+}
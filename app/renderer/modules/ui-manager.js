@@ -183,14 +183,14 @@ export const UIManager = {
 
     return new Promise((resolve) => {
       const img = new Image();
-      img.src = 'bot-resource://title/title_screen.png';
+      img.src = window.botResourceUrl('title/title_screen.png');
 
       img.onload = () => {
         const overlay = document.createElement('div');
         overlay.id = 'title-screen';
         overlay.style.cssText = `
           position: fixed; inset: 0;
-          background-image: url('bot-resource://title/title_screen.png');
+          background-image: url('${window.botResourceUrl('title/title_screen.png')}');
           background-size: cover;
           background-position: center;
           z-index: 20000;
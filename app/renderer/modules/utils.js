@@ -37,3 +37,8 @@ export function parseMarkdown(text) {
 
   return html.replace(/\n/g, '<br>');
 }
+
+/** Stable id for one conversation; used to attribute token usage per chat. */
+export function createChatId() {
+  return `chat_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -37,7 +37,7 @@
 
   function toBotResource(path) {
     const clean = String(path || '').replace(/^\/+/, '');
-    return `bot-resource://${encodeURI(clean)}`;
+    return window.botResourceUrl(encodeURI(clean));
   }
 
   function formatReceipt(receipt) {
@@ -0,0 +1,83 @@
+/* ============================================================================
+   prompt-render.js — fills prompt templates
+   One copy for both sides: the main process requires it from
+   app/main/ipc/prompt-templates.js, the renderer loads it as a classic script
+   (window.PromptRender). The main process resolves bot/user overrides; the
+   renderer only fills them in.
+
+   Syntax:
+     {{name}}                 value (left as-is when the caller doesn't pass it)
+     {{#name}}...{{/name}}    only when name is non-empty
+     {{^name}}...{{/name}}    only when name is empty
+   A line holding nothing but a section tag is dropped with its line break.
+   ========================================================================== */
+
+'use strict';
+
+(function (root) {
+  const STANDALONE_SECTION_RE = /^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*(?:\r?\n|$)/gm;
+  const SECTION_RE = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+  const VALUE_RE = /\{\{(\w+)\}\}/g;
+
+  function isFilled(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== false && value !== '';
+  }
+
+  function renderSections(text, values) {
+    return text.replace(SECTION_RE, (_m, kind, key, inner) =>
+      (isFilled(values[key]) === (kind === '#') ? renderSections(inner, values) : ''));
+  }
+
+  /** Fill a template. Placeholders without a value are kept for later passes ({{user}}). */
+  function renderTemplate(text, values = {}) {
+    const source = String(text ?? '').replace(STANDALONE_SECTION_RE, '$1');
+    return renderSections(source, values)
+      .replace(VALUE_RE, (match, key) => {
+        if (!Object.prototype.hasOwnProperty.call(values, key)) return match;
+        const value = values[key];
+        return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+      })
+      .trimEnd();
+  }
+
+  // Built-in text of the sections the renderer assembles itself. It falls back
+  // to these when the resolved templates could not be loaded.
+  const SECTION_DEFAULTS = {
+    userInfo: `[USER INFO]
+Name: {{user}}
+Details: {{persona}}`,
+
+    character: `[Character: {{char}}]
+{{personality}}`,
+
+    otherCharacters: `[Other Available Characters]
+(Output [SPRITE: Name] to bring them into the scene)
+{{characters}}`,
+
+    storySummary: `[STORY SUMMARY]
+{{summary}}`,
+
+    sceneState: `[CURRENT SCENE STATE]
+Location: {{location}}
+{{#music}}
+Background Music: "{{music}}"
+{{/music}}
+{{#notes}}
+{{notes}}
+{{/notes}}`,
+
+    characterExpression: '(Visual State: {{char}} is currently showing expression: "{{expression}}")',
+
+    characterOffstage: '(System Note: {{char}} is not currently visible. If they are entering the scene, you MUST output [SPRITE: {{char}}] at the start.)',
+
+    renderFeedback: `[RENDER FEEDBACK]
+Your last visual tags had issues:
+{{mismatches}}
+(Please adapt narration to the actual visuals)`,
+  };
+
+  const api = { renderTemplate, SECTION_DEFAULTS };
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PromptRender = api;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -13,7 +13,7 @@
 /* ------------------------------ DOM HELPERS ------------------------------ */
 import { useStore } from './modules/store.js';
 import { $, parseMarkdown, normalizeText } from './modules/utils.js';
-import { getMood, getSceneContext, buildPayload } from './modules/prompt-engine.js';
+import { getMood, getSceneContext, buildPayload, buildTurnContext } from './modules/prompt-engine.js';
 import { initializeDirectorDebug, createBgDiagnosticsController } from './modules/bg-diagnostics.js';
 import { createChatStreamer } from './modules/chat-stream.js';
 import { hasVisualDirectives, getRecentMessagesForDirector, mergeDirectives } from './modules/directive-tools.js';
@@ -24,6 +24,8 @@ import { createAppInitializer } from './modules/app-init.js';
 import { createSidecarController } from './modules/sidecar-controller.js';
 import { createChatInitializer } from './modules/chat-init.js';
 import { createStateSubscribers } from './modules/state-subscribers.js';
+import { createAttachmentTray, renderAttachmentStrip } from './modules/attachments.js';
+import { createThinkingPanel } from './modules/thinking-panel.js';
 
 const userInput = $('user-input');
 const sendBtn = $('send-btn');
@@ -51,6 +53,7 @@ window.botInfo = { personality: '', scenario: '', initial: '', characters: {} };
 window.userPersona = { name: 'Jim', details: '' };
 window.chatSummary = { content: '' };
 window.imageManifest = {}; // { backgrounds, sprites, splash, music }
+window.promptTemplates = {}; // { [id]: { text, source, ... } } from getPromptTemplates
 
 let turnCount = 0;
 let isGenerating = false;
@@ -91,8 +94,13 @@ function createMessageElement(role, rawText, index) {
   const contentDiv = document.createElement('div');
   contentDiv.className = 'message-content';
   contentDiv.innerHTML = parseMarkdown(window.stripVisualTags(rawText));
+  const reasoning = role === 'assistant' ? window.messages[index]?.reasoning : null;
+  if (reasoning) msgDiv.appendChild(createThinkingPanel(document, { text: reasoning }).element);
   msgDiv.appendChild(contentDiv);
 
+  const attachments = window.messages[index]?.attachments;
+  if (attachments?.length) msgDiv.appendChild(renderAttachmentStrip(attachments));
+
   // Delete button (only when index is provided)
   if (typeof index === 'number') {
     const deleteBtn = document.createElement('button');
@@ -271,6 +279,7 @@ const chatSessionController = createChatSessionController({
   normalizeText,
   updateThoughtsDropdown: () => updateThoughtsDropdown(),
   onRegenerate: (options) => regenerateResponse(options),
+  onContinue: () => continueResponse(),
 });
 
 const saveCurrentChatState = (...args) => chatSessionController.saveCurrentChatState(...args);
@@ -342,15 +351,27 @@ const runSidecarEnhancements = (...args) => sidecarController.runSidecarEnhancem
 const handleStalledConversation = (...args) => sidecarController.handleStalledConversation(...args);
 
 /* ------------------------------ SEND / REROLL ---------------------------- */
+const attachmentTray = createAttachmentTray({
+  windowObj: window,
+  documentObj: document,
+  trayEl: $('attachment-tray'),
+  fileInput: $('image-input'),
+  attachBtn: $('attach-btn'),
+  inputEl: userInput,
+  dropTarget: $('input-area'),
+});
+
 const chatController = createChatController({
   windowObj: window,
   userInput,
+  attachmentTray,
   chatHistory,
   useStore,
   appendMessage,
   setGeneratingState,
   streamChat,
   buildPayload,
+  buildTurnContext,
   getSceneContext,
   saveCurrentChatState,
   renderChat,
@@ -365,6 +386,7 @@ const handleSend = (...args) => chatController.handleSend(...args);
 const swapMessageVersion = (...args) => chatController.swapMessageVersion(...args);
 const deleteSwipe = (...args) => chatController.deleteSwipe(...args);
 const regenerateResponse = (...args) => chatController.regenerateResponse(...args);
+const continueResponse = (...args) => chatController.continueResponse(...args);
 
 /* ------------------------------ EVENTS ----------------------------------- */
 
@@ -57,21 +57,128 @@
     // ---------------------------
     // Provider Base URL Visibility
     // ---------------------------
-    const shouldShowBaseUrl = (provider) => provider === "local";
+    const KEYLESS_PROVIDERS = new Set(["local", "embedded", "ollama", "scripted"]);
+    const BASE_URL_HINTS = {
+      local: "http://localhost:1234/v1",
+      ollama: "http://localhost:11434",
+    };
+
+    const shouldShowBaseUrl = (provider) => Object.hasOwn(BASE_URL_HINTS, provider);
 
     const toggleBaseUrl = (providerSelectId, baseUrlGroupId) => {
       const provider = $(providerSelectId)?.value;
       const group = $(baseUrlGroupId);
       if (!group) return;
       group.style.display = shouldShowBaseUrl(provider) ? "block" : "none";
+
+      const input = group.querySelector("input");
+      if (input && BASE_URL_HINTS[provider]) input.placeholder = `Base URL (e.g. ${BASE_URL_HINTS[provider]})`;
+    };
+
+    // ---------------------------
+    // Model Picker
+    // ---------------------------
+    // The model field suggests what the provider reports (typing filters the
+    // list). Picking a model with a known context length also sets Max Context,
+    // capped so million-token windows don't resend whole chats every turn.
+    const MAX_AUTO_CONTEXT = 128000;
+    const modelLists = new Map(); // "setup" | "options" -> models
+
+    const describeModel = (m) => [
+      m.name && m.name !== m.id ? m.name : "",
+      m.contextLength ? `${Math.round(m.contextLength / 1024)}k context` : "",
+      m.parameterSize,
+      m.quantization,
+      m.embedding ? "embedding model" : "",
+      m.error ? `unreadable: ${m.error}` : "",
+    ].filter(Boolean).join(" · ");
+
+    const findPickedModel = (prefix) => {
+      const id = ($(`${prefix}-model`)?.value || "").trim();
+      return id ? (modelLists.get(prefix) || []).find((m) => m.id === id) || null : null;
+    };
+
+    const suggestedMaxContext = (prefix) => {
+      const model = findPickedModel(prefix);
+      return model?.contextLength ? Math.min(model.contextLength, MAX_AUTO_CONTEXT) : null;
+    };
+
+    const showModelInfo = (prefix) => {
+      const info = $(`${prefix}-model-info`);
+      if (!info) return;
+      const model = findPickedModel(prefix);
+      const count = (modelLists.get(prefix) || []).length;
+      info.textContent = model
+        ? describeModel(model) || model.id
+        : count ? `${count} models available - type to search.` : "";
+    };
+
+    const refreshModelSuggestions = async (prefix, { refresh = false } = {}) => {
+      const list = $(`${prefix}-model-list`);
+      const info = $(`${prefix}-model-info`);
+      const provider = $(`${prefix}-provider`)?.value;
+      if (!list || !provider || !window.api.listModels) return;
+
+      list.innerHTML = "";
+      modelLists.set(prefix, []);
+      if (info) info.textContent = "Loading models...";
+
+      try {
+        const models = await window.api.listModels(provider, {
+          apiKey: ($(`${prefix}-key`)?.value || "").trim() || undefined,
+          baseUrl: ($(`${prefix}-base-url`)?.value || "").trim() || undefined,
+          refresh,
+        });
+        if ($(`${prefix}-provider`)?.value !== provider) return; // switched while loading
+
+        modelLists.set(prefix, models || []);
+        for (const model of models || []) {
+          const opt = document.createElement("option");
+          opt.value = model.id;
+          opt.label = describeModel(model);
+          list.appendChild(opt);
+        }
+        showModelInfo(prefix);
+      } catch (e) {
+        console.warn(`[Settings] Could not list ${provider} models:`, e?.message || e);
+        if (info) info.textContent = `Could not list models: ${e?.message || e}`;
+      }
     };
 
-    $("setup-provider")?.addEventListener("change", () =>
-      toggleBaseUrl("setup-provider", "setup-base-url-group")
-    );
-    $("options-provider")?.addEventListener("change", () =>
-      toggleBaseUrl("options-provider", "options-base-url-group")
-    );
+    for (const prefix of ["setup", "options"]) {
+      $(`${prefix}-model`)?.addEventListener("input", () => {
+        showModelInfo(prefix);
+        const ctx = suggestedMaxContext(prefix);
+        if (prefix === "options" && ctx && $("max-context")) $("max-context").value = ctx;
+      });
+      $(`${prefix}-key`)?.addEventListener("change", () => refreshModelSuggestions(prefix));
+      $(`${prefix}-base-url`)?.addEventListener("change", () => refreshModelSuggestions(prefix));
+      $(`${prefix}-refresh-models`)?.addEventListener("click", () => refreshModelSuggestions(prefix, { refresh: true }));
+    }
+
+    const toggleOllamaOptions = async () => {
+      const group = $("options-ollama-group");
+      if (!group) return;
+      const isOllama = $("options-provider")?.value === "ollama";
+      group.style.display = isOllama ? "block" : "none";
+      if (!isOllama) return;
+
+      const config = await window.api.getConfig();
+      const opts = config?.providerOptions?.ollama || {};
+      $("ollama-num-ctx").value = opts.num_ctx ?? "";
+      $("ollama-keep-alive").value = opts.keep_alive ?? "";
+      $("ollama-repeat-penalty").value = opts.repeat_penalty ?? "";
+    };
+
+    $("setup-provider")?.addEventListener("change", () => {
+      toggleBaseUrl("setup-provider", "setup-base-url-group");
+      refreshModelSuggestions("setup");
+    });
+    $("options-provider")?.addEventListener("change", () => {
+      toggleBaseUrl("options-provider", "options-base-url-group");
+      refreshModelSuggestions("options");
+      toggleOllamaOptions();
+    });
 
     // Initial state
     toggleBaseUrl("setup-provider", "setup-base-url-group");
@@ -87,9 +194,11 @@
       const baseUrl = ($("setup-base-url")?.value || "").trim();
 
       if (!provider) return alert("Missing provider selection.");
-      if (!key && provider !== "local") return alert("Please enter an API key.");
+      if (!key && !KEYLESS_PROVIDERS.has(provider)) return alert("Please enter an API key.");
 
       await window.api.saveApiKey(provider, key, model, baseUrl);
+      const setupContext = suggestedMaxContext("setup");
+      if (setupContext) await window.api.saveMaxContext(setupContext);
       hide(setupModal);
 
       // Offer persona setup on first run
@@ -137,6 +246,11 @@
       $("advanced-temperature").value = temp;
       $("temp-display").textContent = String(temp);
       $("max-context").value = maxCtx;
+      if ($("fallback-providers")) $("fallback-providers").value = (config?.fallbackProviders || []).join(", ");
+      renderEmbeddingSettings(config);
+      if ($("scene-directives")) $("scene-directives").value = config?.sceneDirectives || "tags";
+      if ($("reasoning-history")) $("reasoning-history").value = config?.reasoningHistory || "omit";
+      if ($("auto-continue")) $("auto-continue").checked = config?.autoContinue === true;
       
       if ($("director-mode")) $("director-mode").value = dirMode;
       if ($("pollinations-key")) $("pollinations-key").value = "";
@@ -144,8 +258,14 @@
         $("pollinations-key-status").textContent = hasPollinationsKey ? "Configured (hidden)" : "Not configured (recommended for reliability)";
       }
 
+      await renderTaskRouting();
+      await renderSamplerPresets();
+      await renderPromptTemplates();
+      await renderLanServer();
+      refreshModelSuggestions("options");
+
       // Token meter (estimate)
-      const currentTokens = window.estimateTokenCount ? window.estimateTokenCount(prompt || "") : 0;
+      const currentTokens = window.estimateTokenCount ? await window.estimateTokenCount(prompt || "") : 0;
       if (window.updateTokenUsageDisplay) window.updateTokenUsageDisplay(currentTokens, maxCtx);
 
       show(optionsModal);
@@ -161,14 +281,31 @@
       const baseUrl = ($("options-base-url")?.value || "").trim();
 
       if (!provider) return alert("Missing provider selection.");
-      if (!key && provider !== "local") return alert("Please enter an API key.");
+      if (!key && !KEYLESS_PROVIDERS.has(provider)) return alert("Please enter an API key.");
 
       await window.api.saveApiKey(provider, key, model, baseUrl);
 
+      const pickedContext = suggestedMaxContext("options");
+      if (pickedContext) {
+        await window.api.saveMaxContext(pickedContext);
+        $("max-context").value = pickedContext;
+      }
+
+      if (provider === "ollama" && window.api.saveProviderOptions) {
+        const numCtx = Number.parseInt($("ollama-num-ctx")?.value, 10);
+        const repeatPenalty = Number.parseFloat($("ollama-repeat-penalty")?.value);
+        await window.api.saveProviderOptions("ollama", {
+          num_ctx: Number.isFinite(numCtx) ? numCtx : null,
+          keep_alive: ($("ollama-keep-alive")?.value || "").trim(),
+          repeat_penalty: Number.isFinite(repeatPenalty) ? repeatPenalty : null,
+        });
+      }
+
       // Clear inputs
       $("options-key").value = "";
       $("options-model").value = "";
       $("options-base-url").value = "";
+      showModelInfo("options");
 
       await renderKeysList();
     });
@@ -268,9 +405,13 @@
     });
 
     // Live token update
-    const updateMeter = () => {
+    // Counts come back async from the main-process tokenizer; drop stale results while typing.
+    let meterSeq = 0;
+    const updateMeter = async () => {
+        const seq = ++meterSeq;
         const max = parseInt($("max-context").value, 10) || 128000;
-        const current = window.estimateTokenCount ? window.estimateTokenCount($("advanced-prompt-content").value || "") : 0;
+        const current = window.estimateTokenCount ? await window.estimateTokenCount($("advanced-prompt-content").value || "") : 0;
+        if (seq !== meterSeq) return;
         if (window.updateTokenUsageDisplay) window.updateTokenUsageDisplay(current, max);
     };
     $("advanced-prompt-content")?.addEventListener("input", updateMeter);
@@ -299,6 +440,25 @@
       await window.api.saveMaxContext(maxCtx);
       await window.api.saveDirectorMode(dirMode);
       await window.api.saveAdvancedPrompt(prompt);
+      if ($("fallback-providers") && window.api.saveFallbackProviders) {
+        const fallbacks = $("fallback-providers").value.split(",").map((p) => p.trim().toLowerCase()).filter(Boolean);
+        await window.api.saveFallbackProviders(fallbacks);
+      }
+      if ($("embedding-provider") && window.api.saveEmbeddingSettings) {
+        await window.api.saveEmbeddingSettings({
+          provider: $("embedding-provider").value,
+          model: ($("embedding-model")?.value || "").trim(),
+        });
+      }
+      if ($("scene-directives") && window.api.saveSceneDirectives) {
+        await window.api.saveSceneDirectives($("scene-directives").value);
+      }
+      if ($("reasoning-history") && window.api.saveReasoningHistory) {
+        await window.api.saveReasoningHistory($("reasoning-history").value);
+      }
+      if ($("auto-continue") && window.api.saveAutoContinue) {
+        await window.api.saveAutoContinue($("auto-continue").checked);
+      }
 
       alert("Advanced settings saved!");
     });
@@ -406,6 +566,234 @@
       `;
     }
 
+    // ---------------------------
+    // Embedding Settings
+    // ---------------------------
+    function renderEmbeddingSettings(config) {
+      const select = $("embedding-provider");
+      if (!select) return;
+
+      const providerOptions = Array.from($("options-provider")?.options || [])
+        .map((opt) => `<option value="${escapeAttr(opt.value)}">${escapeHtml(opt.textContent)}</option>`)
+        .join("");
+      select.innerHTML = `<option value="">(same as chat provider)</option><option value="embedded">Embedded GGUF (bot/models)</option>${providerOptions}`;
+      select.value = config?.embedding?.provider || "";
+      if ($("embedding-model")) $("embedding-model").value = config?.embedding?.model || "";
+    }
+
+    // ---------------------------
+    // Task Routing
+    // ---------------------------
+    async function renderTaskRouting() {
+      const list = $("task-routing-list");
+      if (!list || !window.api.getTaskRouting) return;
+
+      const { tasks = [], routing = {} } = (await window.api.getTaskRouting()) || {};
+      const providerOptions = Array.from($("options-provider")?.options || [])
+        .map((opt) => `<option value="${escapeAttr(opt.value)}">${escapeHtml(opt.textContent)}</option>`)
+        .join("");
+
+      list.innerHTML = "";
+      for (const task of tasks) {
+        const route = routing[task.id] || {};
+        const row = document.createElement("div");
+        row.className = "task-route-row";
+        row.dataset.task = task.id;
+        row.style.cssText = "display:grid; grid-template-columns:1.4fr 1fr 1fr .6fr .7fr; gap:6px; align-items:center;";
+        row.innerHTML = `
+          <span style="font-size:.85em;">${escapeHtml(task.label)}</span>
+          <select data-field="provider"><option value="">(utility)</option>${providerOptions}</select>
+          <input type="text" data-field="model" placeholder="Model" value="${escapeAttr(route.model || "")}" />
+          <input type="number" data-field="temperature" placeholder="Temp" min="0" max="2" step="0.05" value="${escapeAttr(route.temperature ?? "")}" />
+          <input type="number" data-field="maxTokens" placeholder="Max tok" min="1" step="1" value="${escapeAttr(route.maxTokens ?? "")}" />
+        `;
+        row.querySelector('[data-field="provider"]').value = route.provider || "";
+        list.appendChild(row);
+      }
+    }
+
+    $("save-task-routing-btn")?.addEventListener("click", async () => {
+      const routing = {};
+      for (const row of document.querySelectorAll("#task-routing-list .task-route-row")) {
+        const field = (name) => (row.querySelector(`[data-field="${name}"]`)?.value || "").trim();
+        routing[row.dataset.task] = {
+          provider: field("provider"),
+          model: field("model"),
+          temperature: field("temperature"),
+          maxTokens: field("maxTokens"),
+        };
+      }
+      await window.api.saveTaskRouting(routing);
+      alert("Task routing saved!");
+    });
+
+    // ---------------------------
+    // LAN Play
+    // ---------------------------
+    function renderLanStatus(lan) {
+      if ($("lan-server-enabled")) $("lan-server-enabled").checked = lan?.enabled === true;
+      if ($("lan-server-port")) $("lan-server-port").value = lan?.port ?? "";
+
+      const status = $("lan-server-status");
+      if (!status) return;
+      if (lan?.error) {
+        status.textContent = `Not running: ${lan.error}`;
+      } else if (lan?.running) {
+        const links = lan.pairingUrls?.length ? lan.pairingUrls.map(escapeHtml).join("<br>") : "(no network address found)";
+        status.innerHTML = `Open on the other device:<br>${links}`;
+      } else {
+        status.textContent = "Off.";
+      }
+    }
+
+    async function renderLanServer() {
+      const section = $("lan-server-section");
+      if (!section) return;
+      // The web client can't manage the server it is running through.
+      if (!window.api.getLanServer) {
+        section.style.display = "none";
+        return;
+      }
+      renderLanStatus(await window.api.getLanServer());
+    }
+
+    $("save-lan-server-btn")?.addEventListener("click", async () => {
+      const enabled = Boolean($("lan-server-enabled")?.checked);
+      const port = ($("lan-server-port")?.value || "").trim();
+      try {
+        renderLanStatus(await window.api.saveLanServer(enabled, port));
+      } catch (e) {
+        alert(e.message || "Failed to update the LAN server.");
+        renderLanStatus(await window.api.getLanServer());
+      }
+    });
+
+    $("reset-lan-token-btn")?.addEventListener("click", async () => {
+      const yes = await window.showConfirmModal("New pairing link", "Devices paired with the current link will have to open the new one. Continue?");
+      if (!yes) return;
+      renderLanStatus(await window.api.resetLanToken());
+    });
+
+    // ---------------------------
+    // Sampler Presets
+    // ---------------------------
+    let samplerPresets = {};
+
+    // Stop sequences are edited one per line; a literal "\n" stands for a newline.
+    const stopToText = (stop) => (stop || []).map((s) => s.replace(/\n/g, "\\n")).join("\n");
+    const textToStop = (text) => text.split("\n").filter(Boolean).map((s) => s.replace(/\\n/g, "\n"));
+
+    function fillSamplerFields(name) {
+      const preset = samplerPresets[name] || {};
+      for (const input of document.querySelectorAll("#sampler-fields [data-sampler]")) {
+        input.value = preset[input.dataset.sampler] ?? "";
+      }
+      if ($("sampler-stop")) $("sampler-stop").value = stopToText(preset.stop);
+      if ($("sampler-preset-name")) $("sampler-preset-name").value = name || "";
+    }
+
+    async function renderSamplerPresets() {
+      const select = $("sampler-preset-select");
+      if (!select || !window.api.getSamplerPresets) return;
+
+      const { presets = {}, active = null } = (await window.api.getSamplerPresets()) || {};
+      samplerPresets = presets;
+      select.innerHTML = `<option value="">(none - temperature only)</option>` + Object.keys(presets)
+        .map((name) => `<option value="${escapeAttr(name)}">${escapeHtml(name)}</option>`)
+        .join("");
+      select.value = active && presets[active] ? active : "";
+      fillSamplerFields(select.value);
+    }
+
+    $("sampler-preset-select")?.addEventListener("change", async (e) => {
+      const name = e.target.value;
+      await window.api.setActiveSamplerPreset(name || null);
+      fillSamplerFields(name);
+    });
+
+    $("save-sampler-preset-btn")?.addEventListener("click", async () => {
+      const name = ($("sampler-preset-name")?.value || "").trim();
+      if (!name) return alert("Enter a preset name.");
+
+      const values = { stop: textToStop($("sampler-stop")?.value || "") };
+      for (const input of document.querySelectorAll("#sampler-fields [data-sampler]")) {
+        values[input.dataset.sampler] = input.value.trim();
+      }
+      await window.api.saveSamplerPreset(name, values);
+      await renderSamplerPresets();
+      alert(`Sampler preset "${name}" saved and selected.`);
+    });
+
+    $("delete-sampler-preset-btn")?.addEventListener("click", async () => {
+      const name = $("sampler-preset-select")?.value;
+      if (!name) return;
+      const yes = await window.showConfirmModal("Delete preset", `Delete sampler preset "${name}"?`);
+      if (!yes) return;
+      await window.api.deleteSamplerPreset(name);
+      await renderSamplerPresets();
+    });
+
+    // ---------------------------
+    // Prompt Templates
+    // ---------------------------
+    const TEMPLATE_SOURCES = { default: "built-in default", bot: "this bot's prompts folder", user: "your override" };
+
+    function fillPromptTemplate(id) {
+      const entry = window.promptTemplates?.[id];
+      if (!entry) return;
+      if ($("prompt-template-text")) $("prompt-template-text").value = entry.text;
+
+      const info = $("prompt-template-info");
+      if (!info) return;
+      const placeholders = entry.placeholders.length ? entry.placeholders.map((p) => `{{${p}}}`).join(" ") : "(none)";
+      const required = entry.required.length ? entry.required.join(" ") : "(none)";
+      let html = `Using: ${escapeHtml(TEMPLATE_SOURCES[entry.source] || entry.source)}<br>`
+        + `Placeholders: ${escapeHtml(placeholders)}<br>`
+        + `Must keep: ${escapeHtml(required)}`;
+      if (entry.errors.length) {
+        html += `<br>Override ignored: ${entry.errors.map(escapeHtml).join("; ")}`;
+      }
+      info.innerHTML = html;
+    }
+
+    async function renderPromptTemplates(templates) {
+      const select = $("prompt-template-select");
+      if (!select || !window.api.getPromptTemplates) return;
+
+      window.promptTemplates = templates || (await window.api.getPromptTemplates()) || {};
+      const current = select.value;
+      const groups = { story: "Chat prompt", sidecar: "Background tasks" };
+      select.innerHTML = Object.entries(groups).map(([group, label]) => {
+        const options = Object.entries(window.promptTemplates)
+          .filter(([, entry]) => entry.group === group)
+          .map(([id, entry]) => `<option value="${escapeAttr(id)}">${escapeHtml(entry.label)}${entry.source === "default" ? "" : " *"}</option>`)
+          .join("");
+        return `<optgroup label="${escapeAttr(label)}">${options}</optgroup>`;
+      }).join("");
+      if (current && window.promptTemplates[current]) select.value = current;
+      fillPromptTemplate(select.value);
+    }
+
+    $("prompt-template-select")?.addEventListener("change", (e) => fillPromptTemplate(e.target.value));
+
+    $("save-prompt-template-btn")?.addEventListener("click", async () => {
+      const id = $("prompt-template-select")?.value;
+      if (!id) return;
+      try {
+        await renderPromptTemplates(await window.api.savePromptTemplate(id, $("prompt-template-text")?.value || ""));
+      } catch (e) {
+        alert(e.message || "Failed to save the template.");
+      }
+    });
+
+    $("reset-prompt-template-btn")?.addEventListener("click", async () => {
+      const id = $("prompt-template-select")?.value;
+      if (!id) return;
+      const yes = await window.showConfirmModal("Reset template", "Discard your changes to this template?");
+      if (!yes) return;
+      await renderPromptTemplates(await window.api.resetPromptTemplate(id));
+    });
+
     // ---------------------------
     // Keys List Logic
     // ---------------------------
@@ -470,7 +858,8 @@
   // ---------------------------
   // Token Helpers (Global)
   // ---------------------------
-  window.estimateTokenCount = function estimateTokenCount(additionalText = "") {
+  // Uses the active provider's tokenizer (embedded model / BPE) via main; length/4 if that fails.
+  window.estimateTokenCount = async function estimateTokenCount(additionalText = "") {
     let text = String(additionalText || "");
     if (window.botInfo) {
       text += (window.botInfo.personality || "") + (window.botInfo.scenario || "");
@@ -486,6 +875,15 @@
     if (window.userPersona) text += (window.userPersona.name || "") + (window.userPersona.details || "");
     if (window.chatSummary) text += (window.chatSummary.content || "");
     if (window.messages) window.messages.forEach((m) => (text += m.content || ""));
+
+    if (window.api?.countTokens) {
+      try {
+        const res = await window.api.countTokens(text);
+        if (Number.isFinite(res?.tokens)) return res.tokens + 500;
+      } catch (e) {
+        console.warn("Token count failed, using estimate:", e);
+      }
+    }
     return Math.ceil(text.length / 4) + 500;
   };
 
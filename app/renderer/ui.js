@@ -461,6 +461,30 @@
       }
     });
 
+    $("rebuild-lore-index-btn")?.addEventListener("click", async () => {
+      const btn = $("rebuild-lore-index-btn");
+      const status = $("lore-index-status");
+      btn.disabled = true;
+      const unsubscribe = window.api.onLoreIndexProgress(({ done, total }) => {
+        if (status) status.textContent = `Embedding ${done}/${total}...`;
+      });
+
+      try {
+        const result = await window.api.rebuildLoreIndex();
+        if (status) {
+          status.textContent = `Indexed ${result.embedded}/${result.total} entries` +
+            (result.failed ? ` (${result.failed} failed)` : "");
+        }
+      } catch (e) {
+        if (status) status.textContent = "";
+        if (window.showErrorModal) window.showErrorModal(e, "Lore index rebuild failed.");
+        else alert(e?.message || "Lore index rebuild failed.");
+      } finally {
+        unsubscribe();
+        btn.disabled = false;
+      }
+    });
+
     // ---------------------------
     // Chat Management
     // ---------------------------
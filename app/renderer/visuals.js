@@ -179,7 +179,7 @@
       list.forEach((file) => {
         const img = new Image();
         img.decoding = "async";
-        img.src = `bot-resource://${file}`;
+        img.src = window.botResourceUrl(file);
       });
     };
 
@@ -381,7 +381,7 @@
 
     setSpinner(true);
 
-    const newSrc = `bot-resource://${filename}`;
+    const newSrc = window.botResourceUrl(filename);
     
     // Avoid reloading if it's already the current background
     if (bg.src === newSrc) {
@@ -446,7 +446,7 @@
     }
 
     const img = container.querySelector("img");
-    if (img) img.src = `bot-resource://${filename}`;
+    if (img) img.src = window.botResourceUrl(filename);
 
     void container.offsetWidth; // reflow
     container.classList.add("active");
@@ -521,14 +521,14 @@
       img = document.createElement("img");
       img.className = "character-sprite";
       img.decoding = "async";
-      img.src = `bot-resource://${valid}`;
+      img.src = window.botResourceUrl(valid);
       container.appendChild(img);
       activeSprites.set(charId, img);
 
       void img.offsetWidth;
       img.classList.add("active");
     } else {
-      const nextSrc = `bot-resource://${valid}`;
+      const nextSrc = window.botResourceUrl(valid);
       if (img.src !== nextSrc) img.src = nextSrc;
       img.classList.add("active");
     }
@@ -0,0 +1,178 @@
+/* ============================================================================
+   web-api.js — window.api for the LAN web client
+   Loaded instead of the Electron preload when the app is opened in a browser
+   through the LAN server (app/main/ipc/lan-server.js). Same methods, same
+   envelope unwrapping as app/main/preload.js; calls go over HTTP and the
+   streaming events arrive over a WebSocket.
+   ========================================================================== */
+
+'use strict';
+
+(function () {
+  // Media comes from the LAN server instead of the bot-resource:// protocol.
+  window.BOT_RESOURCE_PREFIX = `${location.origin}/bot-resource/`;
+
+  const clientId = sessionStorage.getItem('lanClientId') || Math.random().toString(36).slice(2) + Date.now().toString(36);
+  sessionStorage.setItem('lanClientId', clientId);
+
+  function isIpcEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.ok === 'boolean' && value.meta && value.meta.correlationId;
+  }
+
+  function unwrapEnvelope(result) {
+    if (!isIpcEnvelope(result)) return result;
+
+    if (result.ok) return result.data;
+
+    const message = result?.error?.message || 'Operation failed.';
+    const err = new Error(message);
+    err.code = result?.error?.code || 'IPC_ERROR';
+    err.correlationId = result?.meta?.correlationId || null;
+    err.details = result?.error?.details ?? null;
+    throw err;
+  }
+
+  /* ---- Events (WebSocket) ---- */
+
+  const listeners = new Map(); // channel -> Set<callback>
+  let socket = null;
+  let retryMs = 500;
+
+  function connect() {
+    const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(`${proto}//${location.host}/ws?client=${encodeURIComponent(clientId)}`);
+    socket.onopen = () => { retryMs = 500; };
+    socket.onmessage = (event) => {
+      let msg;
+      try { msg = JSON.parse(event.data); } catch { return; }
+      for (const callback of listeners.get(msg.channel) || []) callback(msg.payload);
+    };
+    socket.onclose = () => {
+      setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, 10000);
+    };
+  }
+
+  function subscribe(channel, callback) {
+    if (!listeners.has(channel)) listeners.set(channel, new Set());
+    listeners.get(channel).add(callback);
+    return () => listeners.get(channel).delete(callback);
+  }
+
+  /* ---- Calls (HTTP) ---- */
+
+  async function invoke(channel, ...args) {
+    const res = await fetch(`/api/invoke/${encodeURIComponent(channel)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': clientId },
+      body: JSON.stringify({ args }),
+    });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(body?.error?.message || `Request failed (${res.status}).`);
+    return body?.result;
+  }
+
+  async function invokeSafe(channel, ...args) {
+    return unwrapEnvelope(await invoke(channel, ...args));
+  }
+
+  // Like invokeSafe, but keeps the envelope meta (provider, correlationId, ...).
+  async function invokeWithMeta(channel, ...args) {
+    const result = await invoke(channel, ...args);
+    return { data: unwrapEnvelope(result), meta: isIpcEnvelope(result) ? result.meta : null };
+  }
+
+  // The LAN server does not take key changes (see LAN_CHANNELS in lan-server.js).
+  const desktopOnly = async () => {
+    throw new Error('API keys can only be changed in the desktop app.');
+  };
+
+  window.api = {
+    getConfig: () => invokeSafe('get-config'),
+    saveApiKey: async () => desktopOnly(),
+    getBotInfo: () => invokeSafe('get-bot-info'),
+    deleteApiKey: async () => desktopOnly(),
+    sendChat: (messages, options) => invokeSafe('send-chat', messages, options),
+    sendChatWithMeta: (messages, options) => invokeWithMeta('send-chat', messages, options),
+    saveChat: (name, messages) => invokeSafe('save-chat', name, messages),
+    getChats: () => invokeSafe('get-chats'),
+    loadChat: (name) => invokeSafe('load-chat', name),
+    scanImages: () => invokeSafe('scan-images'),
+    savePersona: (persona) => invokeSafe('save-persona', persona),
+    getPersona: () => invokeSafe('get-persona'),
+    getAdvancedPrompt: () => invokeSafe('get-advanced-prompt'),
+    saveAdvancedPrompt: (prompt) => invokeSafe('save-advanced-prompt', prompt),
+    saveTemperature: (temp) => invokeSafe('save-temperature', temp),
+    saveMaxContext: (limit) => invokeSafe('save-max-context', limit),
+    saveProviderOptions: (provider, options) => invokeSafe('save-provider-options', provider, options),
+    savePollinationsKey: async () => desktopOnly(),
+    // Opens on the device holding the browser, not on the desktop.
+    openExternalUrl: async (url) => Boolean(window.open(url, '_blank', 'noopener')),
+    saveDirectorMode: (mode) => invokeSafe('save-director-mode', mode),
+    saveFallbackProviders: (providers) => invokeSafe('save-fallback-providers', providers),
+    saveEmbeddingSettings: (embedding) => invokeSafe('save-embedding-settings', embedding),
+    saveSceneDirectives: (mode) => invokeSafe('save-scene-directives', mode),
+    saveReasoningHistory: (mode) => invokeSafe('save-reasoning-history', mode),
+    saveAutoContinue: (enabled) => invokeSafe('save-auto-continue', enabled),
+    getTaskRouting: () => invokeSafe('get-task-routing'),
+    saveTaskRouting: (routing) => invokeSafe('save-task-routing', routing),
+    getSamplerPresets: () => invokeSafe('get-sampler-presets'),
+    saveSamplerPreset: (name, values) => invokeSafe('save-sampler-preset', name, values),
+    deleteSamplerPreset: (name) => invokeSafe('delete-sampler-preset', name),
+    setActiveSamplerPreset: (name) => invokeSafe('set-active-sampler-preset', name),
+    getPromptTemplates: () => invokeSafe('get-prompt-templates'),
+    savePromptTemplate: (id, text) => invokeSafe('save-prompt-template', id, text),
+    resetPromptTemplate: (id) => invokeSafe('reset-prompt-template', id),
+    setActiveProvider: (provider) => invokeSafe('set-active-provider', provider),
+    saveSummary: (summary) => invokeSafe('save-summary', summary),
+    getSummary: () => invokeSafe('get-summary'),
+    getLorebook: () => invokeSafe('get-lorebook'),
+    saveLorebook: (content) => invokeSafe('save-lorebook', content),
+    getImages: () => invokeSafe('get-images'),
+    getImageManifest: () => invokeSafe('get-image-manifest'),
+    getInnerMonologue: (charName, messages) => invokeSafe('get-inner-monologue-FIXED', charName, messages),
+    getStageDirections: (text, activeChars, context) => invokeSafe('get-stage-directions', text, activeChars, context),
+    getReplySuggestions: (messages) => invokeSafe('get-reply-suggestions', messages),
+    getChapterTitle: (messages) => invokeSafe('get-chapter-title', messages),
+    summarizeChat: (text, prev) => invokeSafe('summarize-chat', text, prev),
+    getQuestObjective: (messages) => invokeSafe('get-quest-objective', messages),
+    getAffinity: (messages, charName) => invokeSafe('get-affinity', messages, charName),
+    cleanupResponse: (text) => invokeSafe('cleanup-response', text),
+    extractUserFacts: (messages) => invokeSafe('extract-user-facts', messages),
+    expandImagePrompt: (text) => invokeSafe('expand-image-prompt', text),
+    findClosestSprite: (request, availableFiles) => invokeSafe('find-closest-sprite', request, availableFiles),
+    determineActiveContext: (messages, candidates) => invokeSafe('determine-active-context', messages, candidates),
+    checkFileExists: (path) => invokeSafe('check-file-exists', path),
+    saveCurrentChat: (data) => invokeSafe('save-current-chat', data),
+    clearVoiceMap: () => invokeSafe('clear-voice-map'),
+    getVoiceMap: () => invokeSafe('get-voice-map'),
+    saveVoiceMap: (map) => invokeSafe('save-voice-map', map),
+    scanVoiceBuckets: () => invokeSafe('scan-voice-buckets'),
+    loadCurrentChat: () => invokeSafe('load-current-chat'),
+    testProvider: () => invokeSafe('test-provider'),
+    listModels: (provider, options) => invokeSafe('list-models', provider, options),
+    countTokens: (text) => invokeSafe('count-tokens', text),
+    getUsageStats: (filter) => invokeSafe('get-usage-stats', filter),
+    generateSpeech: (text, voiceId, forcedSpeakerId) => invokeSafe('generate-speech', text, voiceId, forcedSpeakerId),
+    generateImage: (prompt, type) => invokeSafe('generate-image', prompt, type),
+    phoneListThreads: () => invokeSafe('phone-list-threads'),
+    phoneGetThread: (threadId) => invokeSafe('phone-get-thread', threadId),
+    phoneCreateThread: (payload) => invokeSafe('phone-create-thread', payload),
+    phoneMarkRead: (threadId) => invokeSafe('phone-mark-read', threadId),
+    phoneSendMessage: (threadId, text, options) => invokeSafe('phone-send-message', threadId, text, options),
+    phonePollUpdates: (options) => invokeSafe('phone-poll-updates', options),
+    phoneGetContacts: () => invokeSafe('phone-get-contacts'),
+    phoneSetContactKnown: (name, hasNumber) => invokeSafe('phone-set-contact-known', name, hasNumber),
+    phoneResetState: () => invokeSafe('phone-reset-state'),
+    cancelChat: () => invokeSafe('cancel-chat'),
+    onChatReplyChunk: (callback) => subscribe('chat-reply-chunk', callback),
+    onChatReasoningChunk: (callback) => subscribe('chat-reasoning-chunk', callback),
+    rebuildLoreIndex: () => invokeSafe('rebuild-lore-index'),
+    onLoreIndexProgress: (callback) => subscribe('lore-index-progress', callback),
+    evolveCharacterState: (messages, activeChars) => invokeSafe('evolve-character-state', messages, activeChars),
+    // There are no dev tools to toggle on the desktop from here.
+    toggleDevTools: async () => false,
+  };
+
+  connect();
+})();
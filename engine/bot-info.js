@@ -0,0 +1,42 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The bot's text files: top-level personality/scenario/opening message and one
+ * personality.txt per character folder.
+ */
+function readBotInfo({ botFilesPath, readTextSafe }) {
+  const readBot = (rel) => readTextSafe(path.join(botFilesPath, rel), '').trim();
+
+  const charDir = path.join(botFilesPath, 'characters');
+  const characters = {};
+
+  if (fs.existsSync(charDir)) {
+    for (const entry of fs.readdirSync(charDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const p = readBot(`characters/${entry.name}/personality.txt`);
+      if (p) characters[entry.name] = p;
+    }
+  }
+
+  let spriteSizes = {};
+  try {
+    const raw = readTextSafe(path.join(botFilesPath, 'sprite_size.txt'), '{}');
+    if (raw.trim()) spriteSizes = JSON.parse(raw);
+  } catch (e) {
+    console.warn('Failed to parse sprite_size.txt', e);
+  }
+
+  return {
+    personality: readBot('personality.txt'),
+    scenario: readBot('scenario.txt'),
+    initial: readBot('initial.txt'),
+    characters,
+    spriteSizes,
+  };
+}
+
+module.exports = { readBotInfo };
@@ -0,0 +1,109 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const trace = require('../app/main/ipc/trace');
+const { SCHEMAS } = require('../app/main/ipc/ai-schemas');
+
+/**
+ * Between turns the characters' mood, trust and thoughts drift with the story.
+ * New facts the model reports are appended to the lorebook.
+ */
+function createCharacterStateService({
+  aiService,
+  loadConfig,
+  lore,
+  readJsonSafe,
+  readTextSafe,
+  writeJsonSafe,
+  botFilesPath,
+  characterStatePath,
+  templates,
+}) {
+  async function evolve(messages, activeCharacters) {
+    const t = trace.createTrace('evolve-character-state', { activeCount: Array.isArray(activeCharacters) ? activeCharacters.length : 0 });
+    if (!Array.isArray(activeCharacters) || activeCharacters.length === 0) {
+      return trace.ok(t, null);
+    }
+
+    const config = loadConfig();
+
+    let originalPersonalities = '';
+    for (const name of activeCharacters) {
+      const charPath = path.join(botFilesPath, 'characters', name, 'personality.txt');
+      if (fs.existsSync(charPath)) {
+        const text = readTextSafe(charPath, '').slice(0, 5000);
+        originalPersonalities += `\n[${name}'s ORIGINAL CORE PERSONALITY]\n${text}...`;
+      }
+    }
+
+    const currentState = readJsonSafe(characterStatePath, {});
+    const recentHistory = (messages ?? [])
+      .slice(-5)
+      .map((m) => `${m.role}: ${String(m.content ?? '')}`)
+      .join('\n');
+
+    const systemPrompt = templates.render(config, 'evolveCharacterState');
+
+    const userPrompt =
+`[CONTEXT]
+${originalPersonalities}
+[CURRENT STATE]
+${JSON.stringify(currentState, null, 2)}
+[RECENT INTERACTION]
+${recentHistory}
+[INSTRUCTIONS]
+Analyze the recent interaction.
+1. Update the state for: ${activeCharacters.join(', ')}.
+2. [DRIFT CORRECTION]: Check if the current state has drifted from the [ORIGINAL CORE PERSONALITY]. If so, correct the Mood/Thoughts to realign with the character's true nature.
+Fields to update:
+- Mood: Current emotional baseline.
+- Trust: Level of trust in the user.
+- Thoughts: Internal monologue or current goal.
+- NewLore: If a NEW significant fact about the world or characters is established that should be remembered long-term, output an object { "keywords": ["key1", "key2"], "scenario": "Fact description" }. Otherwise null.
+Output a JSON object keyed by character name containing these fields.`;
+
+    try {
+      const { value: updates, raw } = await aiService.generateJson(config, [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ], { schema: SCHEMAS.characterState, task: 'evolveCharacterState', trace: t });
+
+      if (!raw) return trace.ok(t, null);
+      if (!updates) {
+        return trace.fail(t, 'STATE_EVOLUTION_INVALID', 'The model did not return a valid character state.');
+      }
+
+      const loreArray = lore.load();
+
+      for (const update of Object.values(updates)) {
+        if (update?.NewLore?.scenario && update?.NewLore?.keywords) {
+          loreArray.push(update.NewLore);
+          delete update.NewLore;
+        }
+      }
+
+      const uniqueLore = [];
+      const seenSigs = new Set();
+      for (const entry of loreArray) {
+        const sig = JSON.stringify({ k: (entry.keywords || []).sort(), c: (entry.scenario || entry.entry || '').trim() });
+        if (!seenSigs.has(sig)) {
+          seenSigs.add(sig);
+          uniqueLore.push(entry);
+        }
+      }
+
+      lore.save(uniqueLore);
+
+      const merged = { ...currentState, ...updates };
+      writeJsonSafe(characterStatePath, merged);
+      return trace.ok(t, merged);
+    } catch (e) {
+      return trace.fail(t, 'STATE_EVOLUTION_ERROR', trace.normalizeErrorMessage(e, 'Character state evolution failed.'), null, e);
+    }
+  }
+
+  return { evolve };
+}
+
+module.exports = { createCharacterStateService };
@@ -0,0 +1,195 @@
+'use strict';
+
+const trace = require('../app/main/ipc/trace');
+const { applyContextWindow } = require('../app/main/ipc/context-window');
+const { supportsSceneTools } = require('../app/main/ipc/scene-tool-schema');
+const { attachmentsToContent } = require('../app/main/ipc/ai-vision');
+const { withReasoning } = require('../app/main/ipc/ai-reasoning');
+const { joinContinuation } = require('../app/main/ipc/ai-continue');
+const { structuredCloneSafe } = require('./file-io');
+const {
+  PROVIDER_CATEGORIES,
+  ensureManifestCoverage,
+  buildVisualPrompt,
+  buildStageInjection,
+  buildStateInjection,
+  buildEnforcementRules,
+} = require('./stage-assets');
+
+/** reasoningHistory 'send' puts stored reasoning back in front of assistant turns; by default it is dropped. */
+function cleanMessagesForApi(messages, { reasoningHistory = 'omit' } = {}) {
+  return attachmentsToContent(messages).map((m, i) => {
+    const source = messages[i];
+    if (source.role !== 'assistant') return m;
+    let content = m.content;
+    if (reasoningHistory === 'send' && source.reasoning) content = withReasoning(content, source.reasoning);
+    if (source.renderReport) content = `${content}\n[SCENE_STATE: ${source.renderReport}]`;
+    return content === m.content ? m : { ...m, content };
+  });
+}
+
+function isAbortError(error) {
+  return error?.name === 'AbortError' ||
+    error?.code === 'ERR_CANCELED' ||
+    /cancell?ed|aborted/i.test(String(error?.message || ''));
+}
+
+/**
+ * One chat turn: builds the prompt (visual lists, rules, state, lore), applies
+ * the context window and streams the reply.
+ * Returns: { sendChat(messages, options, io) }
+ */
+function createChatTurn({
+  aiService,
+  loadConfig,
+  assets,
+  lore,
+  templates,
+  readJsonSafe,
+  readTextSafe,
+  botFilesPath,
+  botImagesPath,
+  characterStatePath,
+  advancedPromptPath,
+  usageLedger = null,
+}) {
+  /**
+   * messages: the chat so far (ending with the user turn, or with a partial
+   * assistant reply when options.continue is set).
+   * options: { activeCharacters, inventory, sceneObjects, turnContext, chatId, continue }
+   * io: { onChunk(text), onReasoning(text), signal }
+   * Returns a trace envelope; data is the cleaned-up reply text.
+   */
+  async function sendChat(messages, options = {}, { onChunk = () => {}, onReasoning, signal } = {}) {
+    const t = trace.createTrace('send-chat');
+    const messagesCopy = structuredCloneSafe(messages ?? []);
+    const config = loadConfig();
+    // Sidecar calls that follow this turn are attributed to the same chat.
+    if (options?.chatId) usageLedger?.setActiveChat(options.chatId);
+    const settings = aiService.getProviderSettings(config);
+
+    const chain = aiService.getProviderChain(config, settings);
+    if (!chain.length) {
+      return trace.fail(t, 'NO_API_KEY', 'No API key found for the active provider.');
+    }
+
+    // Continue: resume the trailing assistant reply instead of answering a new turn.
+    const continuation = Boolean(options?.continue);
+    const partial = continuation ? messagesCopy[messagesCopy.length - 1] : null;
+    if (continuation) {
+      if (partial?.role !== 'assistant') {
+        return trace.fail(t, 'INVALID_CONTINUE', 'There is no assistant reply to continue.');
+      }
+      // Its reasoning was for the part already written, and a SCENE_STATE note
+      // would end the prefill after the marker instead of the cut-off sentence.
+      delete partial.reasoning;
+      delete partial.renderReport;
+    }
+
+    const manifest = assets.getManifest();
+    for (const category of PROVIDER_CATEGORIES) {
+      ensureManifestCoverage(manifest, category, assets.getFiles(category));
+    }
+
+    const recentText = messagesCopy.slice(-3).map((m) => m.content || '').join(' ');
+    // Tools replace the tag instructions, so only use them when every provider the
+    // turn can fail over to takes tools; otherwise a fallback reply has no directives.
+    const sceneTools = config.sceneDirectives === 'tools' && chain.every((s) => supportsSceneTools(s.provider));
+    const render = (id, values) => templates.render(config, id, values);
+    const visualPrompt = buildVisualPrompt({ botImagesPath, botFilesPath }, manifest, options, recentText, { sceneTools, render });
+
+    const characterState = readJsonSafe(characterStatePath, {});
+
+    const stateInjection = buildStateInjection(characterState, options?.activeCharacters);
+    const loreInjection = await lore.buildInjection(lore.load(), messagesCopy, config);
+    const advancedPromptContent = readTextSafe(advancedPromptPath, '').trim();
+
+    const enforcementRules = buildEnforcementRules({ advancedPromptContent, render });
+
+    // Stable sections extend the system prompt (cacheable); volatile ones ride on the latest user turn.
+    const systemSuffix = visualPrompt + enforcementRules;
+    const turnContext = [
+      options?.turnContext,
+      buildStageInjection(options),
+      stateInjection,
+      loreInjection,
+    ].map((s) => String(s ?? '').trim()).filter(Boolean).join('\n\n');
+    const maxContext = Number(config.maxContext) || 128000;
+    const runInfo = {};
+
+    try {
+      // Inside the try: loading the tokenizer can fail like the request itself.
+      const counter = await aiService.getTokenCounter(config);
+      const finalMessages = applyContextWindow(cleanMessagesForApi(messagesCopy, { reasoningHistory: config.reasoningHistory }), {
+        maxContext,
+        systemSuffix,
+        turnContext,
+        countTokens: counter.count,
+      });
+      const temperature = config.temperature !== undefined ? Number(config.temperature) : 0.7;
+      const fullText = await aiService.generateStream(
+        config,
+        finalMessages,
+        onChunk,
+        {
+          onReasoning,
+          temperature,
+          signal,
+          runInfo,
+          trace: t,
+          chatId: options?.chatId ?? null,
+          sceneTools,
+          promptCache: true,
+          continuation,
+        }
+      );
+      const replyText = continuation ? joinContinuation(partial.content, fullText) : fullText;
+
+      const controlledText = await aiService.runHeuristicCleanup(replyText, {
+        activeCharacters: options.activeCharacters,
+        messages: messagesCopy,
+      });
+
+      if (runInfo.fallbackFrom) {
+        trace.logInfo(t, 'Answered by fallback provider', runInfo);
+      }
+      if (runInfo.finishReason === 'length') {
+        trace.logInfo(t, 'Reply cut off at the token limit', { provider: runInfo.provider ?? settings.provider, continuation });
+      }
+      const cachedTokens = runInfo.usage?.cachedTokens ?? 0;
+      if (cachedTokens > 0) {
+        trace.logInfo(t, 'Prompt cache hit', {
+          provider: runInfo.provider ?? settings.provider,
+          cachedTokens,
+          promptTokens: runInfo.usage?.promptTokens ?? null,
+        });
+      }
+      return trace.ok(t, controlledText || '', {
+        provider: runInfo.provider ?? settings.provider,
+        model: runInfo.model ?? settings.model,
+        fallbackFrom: runInfo.fallbackFrom ?? null,
+        cachedTokens,
+        reasoning: runInfo.reasoning || '',
+        finishReason: runInfo.finishReason ?? null,
+      });
+    } catch (error) {
+      if (isAbortError(error)) {
+        return trace.fail(t, 'AI_ABORTED', 'Generation cancelled.', null, error);
+      }
+      return trace.fail(
+        t,
+        'AI_STREAM_ERROR',
+        trace.normalizeErrorMessage(error, 'Failed to generate AI response.'),
+        { provider: settings.provider, failures: runInfo.failures ?? [] },
+        error
+      );
+    }
+  }
+
+  return { sendChat };
+}
+
+module.exports = {
+  cleanMessagesForApi,
+  createChatTurn,
+};
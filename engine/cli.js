@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { createEngine } = require('./index');
+const { createConfigStore } = require('../app/main/ipc/config-store');
+const { readJsonSafe, writeJsonSafe, structuredCloneSafe } = require('./file-io');
+const { getSceneCharacters, buildSystemPrompt, buildTurnContext } = require('./story-prompt');
+const {
+  hasVisualDirectives,
+  mergeDirectives,
+  createTagFilter,
+  parseSceneTags,
+  parseSprite,
+  stripSceneTags,
+  formatSceneLine,
+} = require('./scene-tags');
+
+/* ============================================================================
+   TERMINAL PLAY MODE
+   node engine/cli.js --bot bot/files [--provider local|embedded|replay]
+   A REPL over the headless engine. Saves use the desktop app's chat format.
+   ========================================================================== */
+
+const HELP = `Commands:
+  /swipe        regenerate the last reply (keeps the old one as a swipe)
+  /swipe <n>    switch the last reply to swipe n
+  /continue     continue a reply that was cut off
+  /state        show character state; "/state evolve" updates it now
+  /lore         list lore; "/lore add key1, key2: text" adds an entry
+  /save <name>  save the chat (same format as the desktop app)
+  /load <name>  load a saved chat
+  /saves        list saved chats
+  /help         this list
+  /quit         exit`;
+
+const USAGE = `Usage: node engine/cli.js [options]
+  --bot <dir>        bot files folder (default: bot/files)
+  --data <dir>       user data folder: config, saves, lore, state
+                     (default: the desktop app's user data folder)
+  --provider <name>  override the active provider (local, embedded, replay...)
+  --model <name>     override the model for that provider
+  --base-url <url>   override the provider's base URL
+  --replay <file>    play back a cassette (implies --provider replay)
+  --record <file>    record this session to a cassette
+  --load <name>      start from a saved chat
+  -h, --help         show this help`;
+
+/** Where Electron keeps app.getPath('userData') for this app. */
+function defaultUserDataPath(appName = 'vn-local-ai') {
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), appName);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', appName);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+/**
+ * config.json from the data folder with the command-line overrides applied.
+ * Keys encrypted by the desktop app's safeStorage can't be read here.
+ */
+function loadCliConfig(configPath, flags) {
+  const config = createConfigStore({ configPath, readJsonSafe, writeJsonSafe, clone: structuredCloneSafe }).load();
+
+  if (flags.replay) {
+    config.activeProvider = 'replay';
+    config.replay = { ...config.replay, cassette: path.resolve(flags.replay) };
+  } else if (flags.record) {
+    config.replay = { ...config.replay, mode: 'record', cassette: path.resolve(flags.record) };
+  }
+  if (flags.provider) config.activeProvider = flags.provider;
+
+  const provider = config.activeProvider;
+  if (flags.model) config.models = { ...config.models, [provider]: flags.model };
+  if (flags['base-url']) config.baseUrls = { ...config.baseUrls, [provider]: flags['base-url'] };
+  return config;
+}
+
+/**
+ * One play session. Message objects use the desktop app's shape (swipes,
+ * swipeId, reasoning, truncated) so saves open in either front end.
+ * write(text) receives everything meant for the terminal.
+ */
+function createCliSession({ engine, write }) {
+  const botInfo = engine.getBotInfo();
+  const persona = engine.getPersona();
+  const chatId = `cli-${Date.now().toString(36)}`;
+  let messages = [];
+  let scene = emptyScene();
+  let controller = null;
+
+  function emptyScene() {
+    return { onStage: new Map(), location: '', music: '', inventory: [], sceneObjects: [] };
+  }
+
+  function applyScene(content) {
+    const tags = parseSceneTags(content);
+    for (const { type, value } of tags) {
+      if (type === 'bg') scene.location = path.basename(value).replace(/\.[a-z0-9]+$/i, '');
+      else if (type === 'music') scene.music = path.basename(value).replace(/\.[a-z0-9]+$/i, '');
+      else if (type === 'sprite') {
+        const { name, mood } = parseSprite(value);
+        if (name) scene.onStage.set(name.toLowerCase(), mood || 'default');
+      } else if (type === 'hide') scene.onStage.delete(value.toLowerCase());
+      else if (type === 'take') scene.inventory.push(value);
+      else if (type === 'drop') scene.inventory = scene.inventory.filter((item) => item.toLowerCase() !== value.toLowerCase());
+      else if (type === 'add_object') scene.sceneObjects.push(value);
+    }
+    return tags;
+  }
+
+  function showSceneLine(content) {
+    const line = formatSceneLine(applyScene(content));
+    if (line) write(`${line}\n`);
+  }
+
+  function lastUserText() {
+    return messages.slice().reverse().find((m) => m.role === 'user')?.content || '';
+  }
+
+  function start() {
+    if (messages.length) return;
+    const initial = botInfo.initial.replace(/{{user}}/g, persona.name);
+    if (!initial) return;
+    messages.push({ role: 'assistant', content: initial });
+    write(`${stripSceneTags(initial)}\n`);
+    showSceneLine(initial);
+  }
+
+  /** Streams one reply for the current messages. Returns the engine envelope. */
+  async function generate({ continuation = false } = {}) {
+    const sceneCharacters = getSceneCharacters(botInfo, scene.onStage, lastUserText());
+    const config = engine.loadConfig();
+    const render = (id, values) => engine.templates.render(config, id, values);
+    const system = buildSystemPrompt({ botInfo, persona, summary: engine.getSummary(), sceneCharacters, render });
+    const filter = createTagFilter(write);
+
+    controller = new AbortController();
+    try {
+      const result = await engine.sendChat([{ role: 'system', content: system }, ...messages], {
+        activeCharacters: sceneCharacters,
+        inventory: scene.inventory,
+        sceneObjects: scene.sceneObjects,
+        turnContext: buildTurnContext({ botInfo, persona, sceneCharacters, ...scene, render }),
+        chatId,
+        continue: continuation,
+      }, { onChunk: filter.push, signal: controller.signal });
+      filter.flush();
+      write('\n');
+      return result;
+    } finally {
+      controller = null;
+    }
+  }
+
+  /** The director fills in scene tags when the model wrote none (directorMode 'fallback'). */
+  async function directReply(content) {
+    const mode = engine.loadConfig().directorMode || 'fallback';
+    if (mode === 'off' || (mode === 'fallback' && hasVisualDirectives(content))) return content;
+    try {
+      const tags = await engine.getStageDirections(content, Array.from(scene.onStage.keys()), {
+        recentMessages: messages.slice(-6).map((m) => ({ role: m.role, content: String(m.content || '').slice(0, 500) })),
+        currentBackground: scene.location,
+        currentMusic: scene.music,
+        inventory: scene.inventory,
+        sceneObjects: scene.sceneObjects,
+      });
+      return tags && hasVisualDirectives(tags) ? mergeDirectives(content, tags) : content;
+    } catch {
+      return content;
+    }
+  }
+
+  function report(result) {
+    if (result.ok) return true;
+    if (result.error?.code === 'AI_ABORTED') write('(stopped)\n');
+    else write(`! ${result.error?.message || 'The reply failed.'}\n`);
+    return false;
+  }
+
+  function finishMessage(message, result) {
+    if (result.meta?.reasoning) message.reasoning = result.meta.reasoning;
+    if (result.meta?.finishReason === 'length') {
+      message.truncated = true;
+      write('(cut off at the token limit: /continue)\n');
+    } else {
+      delete message.truncated;
+    }
+  }
+
+  async function reply() {
+    const result = await generate();
+    if (!report(result)) return;
+    const content = await directReply(result.data);
+    const message = { role: 'assistant', content };
+    finishMessage(message, result);
+    messages.push(message);
+    showSceneLine(content);
+  }
+
+  async function swipe(arg) {
+    const last = messages[messages.length - 1];
+    const swipes = last?.role === 'assistant' ? (last.swipes || [last.content]) : [];
+
+    if (arg) {
+      const index = Number(arg) - 1;
+      if (!Number.isInteger(index) || !swipes[index]) return write(`No swipe ${arg} (there are ${swipes.length}).\n`);
+      last.swipeId = index;
+      last.content = swipes[index];
+      write(`${stripSceneTags(last.content)}\n`);
+      return write(`(swipe ${index + 1}/${swipes.length})\n`);
+    }
+
+    if (last?.role === 'assistant') messages.pop();
+    const result = await generate();
+    if (!report(result)) {
+      if (last?.role === 'assistant') messages.push(last);
+      return;
+    }
+    const content = await directReply(result.data);
+    const message = { role: 'assistant', content, swipes: [...swipes, content], swipeId: swipes.length };
+    finishMessage(message, result);
+    messages.push(message);
+    showSceneLine(content);
+    write(`(swipe ${message.swipes.length}/${message.swipes.length})\n`);
+  }
+
+  async function continueReply() {
+    const last = messages[messages.length - 1];
+    if (last?.role !== 'assistant') return write('There is no reply to continue.\n');
+    write(stripSceneTags(last.content));
+    const result = await generate({ continuation: true });
+    if (!report(result)) return;
+    last.content = result.data;
+    if (last.swipes) last.swipes[last.swipeId ?? last.swipes.length - 1] = result.data;
+    finishMessage(last, result);
+    showSceneLine(result.data);
+  }
+
+  async function state(arg) {
+    if (arg === 'evolve') {
+      const sceneCharacters = getSceneCharacters(botInfo, scene.onStage, lastUserText());
+      const names = sceneCharacters.map((n) => Object.keys(botInfo.characters).find((k) => k.toLowerCase() === n) || n);
+      const result = await engine.evolveCharacterState(messages, names);
+      if (!result.ok) return write(`! ${result.error?.message}\n`);
+      if (!result.data) return write('(no characters on stage)\n');
+    }
+    const current = readJsonSafe(engine.paths.characterStatePath, {});
+    write(Object.keys(current).length ? `${JSON.stringify(current, null, 2)}\n` : '(no character state yet)\n');
+  }
+
+  function lore(arg) {
+    const add = arg.match(/^add\s+([^:]+):\s*(.+)$/i);
+    if (add) {
+      const entries = engine.lore.load();
+      entries.push({ keywords: add[1].split(',').map((k) => k.trim()).filter(Boolean), scenario: add[2].trim() });
+      engine.lore.save(entries);
+      return write(`Added lore #${entries.length}.\n`);
+    }
+    const entries = engine.lore.load();
+    if (!entries.length) return write('(lorebook is empty)\n');
+    entries.forEach((e, i) => write(`${i + 1}. [${(e.keywords || []).join(', ')}] ${e.scenario || e.entry || ''}\n`));
+  }
+
+  function load(name) {
+    const result = engine.saves.load(name);
+    if (!result.ok || !result.data.length) return write(`No saved chat "${name}".\n`);
+    messages = result.data;
+    scene = emptyScene();
+    for (const m of messages) if (m.role === 'assistant') applyScene(m.content);
+    const last = messages[messages.length - 1];
+    if (last) write(`${last.role === 'user' ? '> ' : ''}${stripSceneTags(last.content)}\n`);
+    write(`(loaded ${messages.length} messages)\n`);
+  }
+
+  /** Handles one line of input. Returns false when the session should end. */
+  async function handleLine(line) {
+    const text = String(line ?? '').trim();
+    if (!text) return true;
+    if (!text.startsWith('/')) {
+      messages.push({ role: 'user', content: text });
+      await reply();
+      return true;
+    }
+
+    const [, command, arg = ''] = text.match(/^\/(\S+)\s*(.*)$/);
+    switch (command.toLowerCase()) {
+      case 'quit':
+      case 'exit':
+        return false;
+      case 'help':
+        write(`${HELP}\n`);
+        break;
+      case 'swipe':
+        await swipe(arg.trim());
+        break;
+      case 'continue':
+        await continueReply();
+        break;
+      case 'state':
+        await state(arg.trim());
+        break;
+      case 'lore':
+        lore(arg.trim());
+        break;
+      case 'save':
+        if (!arg.trim()) write('Usage: /save <name>\n');
+        else write(engine.saves.save(arg.trim(), messages).ok ? `Saved "${arg.trim()}".\n` : '! Save failed.\n');
+        break;
+      case 'load':
+        if (!arg.trim()) write('Usage: /load <name>\n');
+        else load(arg.trim());
+        break;
+      case 'saves': {
+        const names = engine.saves.list().data;
+        write(names.length ? `${names.join('\n')}\n` : '(no saved chats)\n');
+        break;
+      }
+      default:
+        write(`Unknown command /${command}. Type /help.\n`);
+    }
+    return true;
+  }
+
+  /** Stops the reply being streamed, if any. Returns whether there was one. */
+  function abort() {
+    if (!controller) return false;
+    controller.abort();
+    return true;
+  }
+
+  return {
+    start,
+    handleLine,
+    abort,
+    load,
+    getMessages: () => messages,
+    getScene: () => scene,
+  };
+}
+
+async function main(argv) {
+  const { values: flags } = parseArgs({
+    args: argv,
+    options: {
+      bot: { type: 'string' },
+      data: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      'base-url': { type: 'string' },
+      replay: { type: 'string' },
+      record: { type: 'string' },
+      load: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (flags.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  const userDataPath = path.resolve(flags.data || defaultUserDataPath());
+  const botFilesPath = path.resolve(flags.bot || path.join(__dirname, '..', 'bot', 'files'));
+  const config = loadCliConfig(path.join(userDataPath, 'config.json'), flags);
+  const engine = createEngine({ paths: { userDataPath, botFilesPath }, config });
+  const write = (text) => process.stdout.write(text);
+  const session = createCliSession({ engine, write });
+
+  write(`Provider: ${config.activeProvider || 'default'}  Data: ${userDataPath}\nType /help for commands.\n\n`);
+  if (flags.load) session.load(flags.load);
+  else session.start();
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+  rl.on('SIGINT', () => {
+    if (!session.abort()) rl.close();
+  });
+
+  rl.prompt();
+  for await (const line of rl) {
+    if (!(await session.handleLine(line))) break;
+    rl.prompt();
+  }
+  rl.close();
+  engine.dispose();
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    // The embedded model keeps native handles open; leave explicitly.
+    () => process.exit(0),
+    (error) => {
+      console.error(error?.message || error);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = {
+  createCliSession,
+  loadCliConfig,
+  defaultUserDataPath,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs');
+
+/* Small JSON/text file helpers shared by the engine and the Electron handlers. */
+
+function readTextSafe(filePath, fallback = '') {
+  try {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function readJsonSafe(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Safer write:
+ * - write to temp file
+ * - rename into place
+ * Reduces chance of file corruption on crash.
+ */
+function writeJsonSafe(filePath, data) {
+  try {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+    try {
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        fs.renameSync(tmp, filePath);
+      } else {
+        throw e;
+      }
+    }
+    return true;
+  } catch (e) {
+    console.error(`[FileIO] Failed to write JSON to ${filePath}:`, e);
+    return false;
+  }
+}
+
+function writeTextSafe(filePath, text) {
+  try {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, String(text ?? ''), 'utf8');
+    try {
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        fs.renameSync(tmp, filePath);
+      } else {
+        throw e;
+      }
+    }
+    return true;
+  } catch (e) {
+    console.error(`[FileIO] Failed to write text to ${filePath}:`, e);
+    return false;
+  }
+}
+
+
+function structuredCloneSafe(x) {
+  try {
+    return structuredClone(x);
+  } catch {
+    return JSON.parse(JSON.stringify(x));
+  }
+}
+
+module.exports = {
+  readTextSafe,
+  readJsonSafe,
+  writeJsonSafe,
+  writeTextSafe,
+  structuredCloneSafe,
+};
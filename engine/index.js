@@ -0,0 +1,253 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const defaultAiService = require('../app/main/ai_services');
+const { createConfigStore } = require('../app/main/ipc/config-store');
+const { createUsageLedger } = require('../app/main/ipc/usage-ledger');
+const { readTextSafe, readJsonSafe, writeJsonSafe, writeTextSafe, structuredCloneSafe } = require('./file-io');
+const { createAssetCatalog } = require('./stage-assets');
+const { createLoreService } = require('./lore');
+const { createChatTurn } = require('./chat-turn');
+const { createCharacterStateService } = require('./character-state');
+const { createPhoneService } = require('./phone');
+const { createSaveService } = require('./saves');
+const { readBotInfo } = require('./bot-info');
+const { createPromptTemplates } = require('../app/main/ipc/prompt-templates');
+
+/* ============================================================================
+   STORY ENGINE (headless)
+   Everything a turn needs, as plain async functions over files on disk.
+   The Electron IPC layer is one front end over this; nothing here touches
+   a BrowserWindow.
+   ========================================================================== */
+
+const DEFAULT_PERSONA = { name: 'Jim', details: '' };
+const DEFAULT_SUMMARY = { content: '' };
+
+// aiService keeps one usage listener and one template store per process, so
+// only one engine may hold it at a time. aiService -> the engine holding it.
+const aiServiceOwners = new WeakMap();
+
+/**
+ * Only userDataPath and botFilesPath are required; the rest default to the
+ * same file names the desktop app uses.
+ */
+function resolveEnginePaths(paths = {}) {
+  const { userDataPath, botFilesPath } = paths;
+  if (!userDataPath || !botFilesPath) {
+    throw new Error('createEngine needs paths.userDataPath and paths.botFilesPath.');
+  }
+  return {
+    configPath: path.join(userDataPath, 'config.json'),
+    chatsPath: path.join(userDataPath, 'chats'),
+    botImagesPath: botFilesPath,
+    personaPath: path.join(userDataPath, 'persona.json'),
+    summaryPath: path.join(userDataPath, 'summary.json'),
+    currentChatPath: path.join(userDataPath, 'current-chat.json'),
+    advancedPromptPath: path.join(botFilesPath, 'advanced_prompt.txt'),
+    botPromptsPath: path.join(botFilesPath, 'prompts'),
+    characterStatePath: path.join(userDataPath, 'character_state.json'),
+    lorebookPath: path.join(userDataPath, 'aura_lorebook.json'),
+    loreIndexPath: path.join(userDataPath, 'aura_lorebook_embeddings.json'),
+    voiceMapPath: path.join(userDataPath, 'voice_map.json'),
+    voiceBucketsPath: path.join(userDataPath, 'voice_buckets.json'),
+    usageLedgerPath: path.join(userDataPath, 'usage_ledger.jsonl'),
+    phoneThreadsPath: path.join(userDataPath, 'phone_threads.json'),
+    phoneContactsPath: path.join(userDataPath, 'phone_contacts.json'),
+    ...paths,
+  };
+}
+
+/**
+ * config: when given, the engine runs on this in-memory config and never
+ * writes config.json. Otherwise config is read from paths.configPath, with API
+ * keys wrapped by safeStorage when one is passed (Electron's).
+ *
+ * One engine per aiService: the engine points aiService's usage listener and
+ * prompt templates at its own ledger and bot folder, so a second createEngine
+ * over the same aiService throws until the first one is dispose()d.
+ */
+function createEngine({ paths, config = null, safeStorage = null, aiService = defaultAiService } = {}) {
+  if (aiServiceOwners.has(aiService)) {
+    throw new Error('Another engine is using this aiService; dispose() it before creating a new one.');
+  }
+  const p = resolveEnginePaths(paths);
+  fs.mkdirSync(p.chatsPath, { recursive: true });
+
+  /* ---- Config ---- */
+
+  const configStore = createConfigStore({
+    configPath: p.configPath,
+    readJsonSafe,
+    writeJsonSafe,
+    clone: structuredCloneSafe,
+    safeStorage,
+  });
+  let memoryConfig = config ? structuredCloneSafe(config) : null;
+
+  function loadConfig() {
+    return memoryConfig ? structuredCloneSafe(memoryConfig) : configStore.load();
+  }
+
+  function saveConfig(next) {
+    if (!memoryConfig) return configStore.save(next);
+    memoryConfig = structuredCloneSafe(next ?? {});
+    return true;
+  }
+
+  function toPublicConfig(cfg) {
+    return configStore.toPublic(cfg);
+  }
+
+  /* ---- Services ---- */
+
+  const usageLedger = createUsageLedger({ ledgerPath: p.usageLedgerPath, fs });
+  aiService.setUsageListener((entry) => usageLedger.record(entry));
+
+  // Bot and user prompt overrides apply to the sidecars inside aiService too.
+  const templates = createPromptTemplates({ botPromptsPath: p.botPromptsPath, fs });
+  aiService.setPromptTemplates(templates);
+
+  const assets = createAssetCatalog({ botFilesPath: p.botFilesPath, botImagesPath: p.botImagesPath, readJsonSafe });
+  const lore = createLoreService({
+    aiService,
+    templates,
+    lorebookPath: p.lorebookPath,
+    indexPath: p.loreIndexPath,
+    readJsonSafe,
+    writeJsonSafe,
+  });
+  const { sendChat } = createChatTurn({
+    aiService,
+    loadConfig,
+    assets,
+    lore,
+    templates,
+    readJsonSafe,
+    readTextSafe,
+    botFilesPath: p.botFilesPath,
+    botImagesPath: p.botImagesPath,
+    characterStatePath: p.characterStatePath,
+    advancedPromptPath: p.advancedPromptPath,
+    usageLedger,
+  });
+  const characterState = createCharacterStateService({
+    aiService,
+    loadConfig,
+    lore,
+    readJsonSafe,
+    readTextSafe,
+    writeJsonSafe,
+    botFilesPath: p.botFilesPath,
+    characterStatePath: p.characterStatePath,
+    templates,
+  });
+  const phone = createPhoneService({
+    aiService,
+    loadConfig,
+    readJsonSafe,
+    writeJsonSafe,
+    readTextSafe,
+    phoneThreadsPath: p.phoneThreadsPath,
+    phoneContactsPath: p.phoneContactsPath,
+    botFilesPath: p.botFilesPath,
+    fs,
+    path,
+    templates,
+  });
+  const saves = createSaveService({
+    chatsPath: p.chatsPath,
+    currentChatPath: p.currentChatPath,
+    characterStatePath: p.characterStatePath,
+    lorebookPath: p.lorebookPath,
+    readJsonSafe,
+    writeJsonSafe,
+  });
+
+  /* ---- Story files ---- */
+
+  function getBotInfo() {
+    return readBotInfo({ botFilesPath: p.botFilesPath, readTextSafe });
+  }
+
+  function getPersona() {
+    const persona = readJsonSafe(p.personaPath, DEFAULT_PERSONA);
+    return persona?.name ? persona : DEFAULT_PERSONA;
+  }
+
+  function getSummary() {
+    const summary = readJsonSafe(p.summaryPath, DEFAULT_SUMMARY);
+    return summary?.content != null ? summary : DEFAULT_SUMMARY;
+  }
+
+  /* ---- Stage directions ---- */
+
+  /** Scene tags (background, music, sprites...) for a finished reply. */
+  async function getStageDirections(text, activeCharacters, context = {}) {
+    const manifest = assets.getManifest();
+
+    // Pass available assets to help the small model hallucinate less
+    return aiService.analyzeScene(loadConfig(), text, {
+      availableBackgrounds: Object.keys(manifest.backgrounds || {}),
+      availableMusic: Object.keys(manifest.music || {}),
+      availableSfx: Object.keys(manifest.sfx || {}),
+      activeCharacters,
+      recentMessages: context.recentMessages,
+      currentBackground: context.currentBackground,
+      currentMusic: context.currentMusic,
+      inventory: context.inventory,
+      sceneObjects: context.sceneObjects,
+      lastRenderReport: context.lastRenderReport,
+    });
+  }
+
+  async function reviewVisuals(options) {
+    const manifest = assets.getManifest();
+    return aiService.reviewVisuals(loadConfig(), {
+      ...options,
+      availableBackgrounds: Object.keys(manifest.backgrounds || {}),
+      availableSprites: assets.getFiles('sprites'),
+    });
+  }
+
+  /** Hand aiService back (no usage listener, default templates) for the next engine. */
+  function dispose() {
+    if (aiServiceOwners.get(aiService) !== engine) return;
+    aiService.setUsageListener(null);
+    aiService.setPromptTemplates(null);
+    aiServiceOwners.delete(aiService);
+  }
+
+  const engine = {
+    paths: p,
+    aiService,
+    usageLedger,
+    loadConfig,
+    saveConfig,
+    toPublicConfig,
+    files: { readTextSafe, readJsonSafe, writeJsonSafe, writeTextSafe },
+    templates,
+    getBotInfo,
+    getPersona,
+    getSummary,
+    assets,
+    lore,
+    sendChat,
+    getStageDirections,
+    reviewVisuals,
+    evolveCharacterState: characterState.evolve,
+    phone,
+    saves,
+    dispose,
+  };
+  aiServiceOwners.set(aiService, engine);
+  return engine;
+}
+
+module.exports = {
+  DEFAULT_PERSONA,
+  DEFAULT_SUMMARY,
+  createEngine,
+  resolveEnginePaths,
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const { createLoreIndex } = require('../app/main/ipc/lore-index');
+
+/* ============================================================================
+   LORE
+   - Lorebook file access
+   - Semantic lore injection (embeddings), with a keyword fallback
+   ========================================================================== */
+
+/**
+ * indexPath is the embeddings cache next to the lorebook.
+ * Returns: { load, save, rebuildIndex(config, onProgress), buildInjection(lorebook, recentMessages, config) }
+ */
+function createLoreService({ aiService, templates, lorebookPath, indexPath, readJsonSafe, writeJsonSafe }) {
+  let loreIndex = null;
+
+  function getLoreIndex() {
+    loreIndex ??= createLoreIndex({ indexPath, readJsonSafe, writeJsonSafe });
+    return loreIndex;
+  }
+
+  function load() {
+    const lorebook = readJsonSafe(lorebookPath, []);
+    return Array.isArray(lorebook) ? lorebook : [];
+  }
+
+  function save(lorebook) {
+    return writeJsonSafe(lorebookPath, lorebook);
+  }
+
+  /**
+   * Re-embeds the whole lorebook with the current embedding model.
+   * onProgress({ done, total }) is forwarded from the index.
+   */
+  async function rebuildIndex(config, onProgress) {
+    const settings = aiService.getEmbeddingSettings(config);
+    if (!settings) {
+      throw new Error('No embedding model configured for the current provider.');
+    }
+
+    const identity = { provider: settings.provider, model: settings.model };
+    return getLoreIndex().sync(load(), identity, (text) => aiService.generateEmbedding(config, text), {
+      onProgress,
+      force: true,
+    });
+  }
+
+  async function buildInjection(lorebook, recentMessages, config) {
+    if (!Array.isArray(lorebook) || !lorebook.length) return '';
+
+    // 1. Prepare Query
+    const recentText = recentMessages
+      .slice(-2) // Use last 2 messages for context
+      .map(m => String(m?.content ?? '').toLowerCase())
+      .join('\n');
+
+    if (!recentText.trim()) return '';
+
+    // 2. Get Query Embedding
+    const settings = aiService.getEmbeddingSettings(config);
+    const queryEmbedding = settings ? await aiService.generateEmbedding(config, recentText) : null;
+
+    // Fallback to simple keyword matching if embeddings fail (e.g. no API support)
+    if (!queryEmbedding) {
+      const lines = matchLoreKeywords(lorebook, recentText);
+      return lines.length ? `\n\n${templates.render(config, 'lore', { lore: lines.join('\n') })}` : '';
+    }
+
+    // 3. Embed new lore for this model and drop vectors of deleted entries
+    const index = getLoreIndex();
+    const identity = { provider: settings.provider, model: settings.model };
+    const { embedded } = await index.sync(lorebook, identity, (text) => aiService.generateEmbedding(config, text));
+    if (embedded) console.log(`[RAG] Embedded ${embedded} new lore entries with ${identity.provider}/${identity.model}.`);
+
+    // 4. Rank by relevance (0.5 is usually decent for RAG) and take the top 3
+    const lines = index.search(lorebook, identity, queryEmbedding, { threshold: 0.5, limit: 3 }).map(c => `- ${c.text}`);
+
+    return lines.length ? `\n\n${templates.render(config, 'lore', { lore: lines.join('\n'), semantic: true })}` : '';
+  }
+
+  return { load, save, rebuildIndex, buildInjection };
+}
+
+// Legacy keyword fallback: "- text" lines of the entries whose keywords appear.
+function matchLoreKeywords(lorebook, recentText) {
+  const lines = [];
+  for (const entry of lorebook) {
+    const keywords = entry?.keywords;
+    if (!Array.isArray(keywords) || !keywords.length) continue;
+    if (keywords.some(k => recentText.includes(String(k).toLowerCase()))) {
+      const text = entry?.scenario || entry?.entry;
+      if (text) lines.push(`- ${text}`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  createLoreService,
+  matchLoreKeywords,
+};
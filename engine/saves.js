@@ -0,0 +1,75 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const trace = require('../app/main/ipc/trace');
+const { createChatStorage } = require('../app/main/ipc/chat-storage');
+const { sanitizeFilename } = require('../app/main/ipc/sanitize');
+
+/**
+ * Named saves bundle the messages with the character state and lorebook
+ * they were played with; loading one restores both. The "current" chat is the
+ * autosave the app reopens on launch.
+ */
+function createSaveService({
+  chatsPath,
+  currentChatPath,
+  characterStatePath,
+  lorebookPath,
+  readJsonSafe,
+  writeJsonSafe,
+}) {
+  const chatStorage = createChatStorage({
+    chatsPath,
+    path,
+    fs,
+    sanitizeFilename,
+    readJsonSafe,
+    writeJsonSafe,
+  });
+
+  function save(name, messages) {
+    const t = trace.createTrace('save-chat');
+    const payload = {
+      messages,
+      characterState: readJsonSafe(characterStatePath, {}),
+      lorebook: readJsonSafe(lorebookPath, []),
+      timestamp: Date.now(),
+    };
+    return trace.ok(t, chatStorage.save(name, payload));
+  }
+
+  function list() {
+    const t = trace.createTrace('get-chats');
+    return trace.ok(t, chatStorage.list());
+  }
+
+  function load(name) {
+    const t = trace.createTrace('load-chat');
+    const data = chatStorage.load(name);
+
+    // New format
+    if (data && data.messages) {
+      if (data.characterState) writeJsonSafe(characterStatePath, data.characterState);
+      if (data.lorebook) writeJsonSafe(lorebookPath, data.lorebook);
+      return trace.ok(t, data.messages);
+    }
+
+    // Legacy format: raw array of messages
+    return trace.ok(t, Array.isArray(data) ? data : []);
+  }
+
+  function saveCurrent(data) {
+    const t = trace.createTrace('save-current-chat');
+    return trace.ok(t, writeJsonSafe(currentChatPath, data));
+  }
+
+  function loadCurrent() {
+    const t = trace.createTrace('load-current-chat');
+    return trace.ok(t, readJsonSafe(currentChatPath, {}));
+  }
+
+  return { save, list, load, saveCurrent, loadCurrent };
+}
+
+module.exports = { createSaveService };
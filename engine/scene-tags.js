@@ -0,0 +1,187 @@
+'use strict';
+
+/* ============================================================================
+   SCENE TAGS (text front ends)
+   Same parsing contract as app/renderer/visuals.js: when a reply has a
+   [SCENE] block only the tags inside it count.
+   ========================================================================== */
+
+const TAG_RE = /\[(BG|SPRITE|SPLASH|MUSIC|HIDE|FX|SFX|CAMERA|TAKE|DROP|ADD_OBJECT):\s*([^\]]+)\]/gi;
+
+function cleanValue(raw) {
+  let v = String(raw ?? '').trim();
+  const quoted = v.match(/^\s*["']([^"']+)["']/);
+  if (quoted) v = quoted[1];
+  return v.trim();
+}
+
+/** "backgrounds/cafe_day.png" -> "cafe_day" */
+function baseName(value) {
+  return String(value).split(/[/\\]/).pop().replace(/\.[a-z0-9]+$/i, '');
+}
+
+/**
+ * Sprite value -> { name, mood }. Accepts "Jessica", "Jessica/happy" and
+ * "characters/jessica/happy.png".
+ */
+function parseSprite(value) {
+  const parts = String(value).replace(/\.[a-z0-9]+$/i, '').split(/[/\\]/).filter(Boolean);
+  if (parts[0]?.toLowerCase() === 'characters' || parts[0]?.toLowerCase() === 'sprites') parts.shift();
+  const [name = '', mood = ''] = parts.length > 1 ? [parts[0], parts[parts.length - 1]] : [parts[0]];
+  return { name: name.trim(), mood: mood.trim() };
+}
+
+/** Directives of a reply, in order: [{ type: 'bg', value: 'backgrounds/cafe.png' }, ...] */
+function parseSceneTags(text) {
+  const raw = String(text || '');
+  const sceneMatch = raw.match(/\[SCENE\]([\s\S]*?)\[\/SCENE\]/i);
+  const source = sceneMatch ? sceneMatch[1] : raw;
+
+  return Array.from(source.matchAll(new RegExp(TAG_RE.source, 'gi')), (m) => ({
+    type: m[1].toLowerCase(),
+    value: cleanValue(m[2]),
+  }));
+}
+
+function hasVisualDirectives(text) {
+  return /\[(BG|SPRITE|SPLASH|MUSIC|HIDE|FX|SFX|CAMERA|TAKE|DROP|ADD_OBJECT):/i.test(String(text || ''));
+}
+
+/**
+ * Director tags appended to a reply for whatever the reply didn't set itself
+ * (port of mergeDirectives in app/renderer/modules/directive-tools.js).
+ */
+function mergeDirectives(primaryContent, sidecarTags) {
+  if (!sidecarTags) return primaryContent;
+
+  const primaryHas = {
+    bg: /\[BG:/i.test(primaryContent),
+    music: /\[MUSIC:/i.test(primaryContent),
+    splash: /\[SPLASH:/i.test(primaryContent),
+    sprites: /\[SPRITE:/i.test(primaryContent),
+  };
+
+  const toAppend = [];
+  for (const line of String(sidecarTags).split('\n').map((l) => l.trim()).filter(Boolean)) {
+    if (/\[BG:/i.test(line) && !primaryHas.bg) toAppend.push(line);
+    else if (/\[MUSIC:/i.test(line) && !primaryHas.music) toAppend.push(line);
+    else if (/\[SPLASH:/i.test(line) && !primaryHas.splash) toAppend.push(line);
+    else if (/\[SPRITE:/i.test(line) && !primaryHas.sprites) toAppend.push(line);
+    else if (/\[(FX|SFX|CAMERA):/i.test(line)) toAppend.push(line);
+  }
+
+  return toAppend.length ? `${primaryContent}\n[SCENE]${toAppend.join(' ')}[/SCENE]` : primaryContent;
+}
+
+/** The reply with directives and the [SCENE] block removed. */
+function stripSceneTags(text) {
+  return String(text || '')
+    .replace(/\[SCENE\][\s\S]*?\[\/SCENE\]/gi, '')
+    .replace(new RegExp(TAG_RE.source, 'gi'), '')
+    .replace(/\[[A-Z_]+:[^\]]*\]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Streaming version of stripSceneTags: push() raw chunks, onText() gets the
+ * story text. A bracket is held back until it closes so split tags never leak.
+ */
+function createTagFilter(onText) {
+  let pending = '';
+  let inScene = false;
+
+  function emit(text) {
+    if (text && !inScene) onText(text);
+  }
+
+  function push(chunk) {
+    pending += String(chunk ?? '');
+    let out = '';
+    while (pending) {
+      const open = pending.indexOf('[');
+      if (open === -1) {
+        out += inScene ? '' : pending;
+        pending = '';
+        break;
+      }
+      if (!inScene) out += pending.slice(0, open);
+      const close = pending.indexOf(']', open);
+      if (close === -1) {
+        // Not a tag after all: give up holding once the line ends or it gets long.
+        if (pending.length - open > 200 || pending.indexOf('\n', open) !== -1) {
+          if (!inScene) out += pending.slice(open, open + 1);
+          pending = pending.slice(open + 1);
+          continue;
+        }
+        pending = pending.slice(open);
+        break;
+      }
+      const tag = pending.slice(open, close + 1);
+      pending = pending.slice(close + 1);
+      if (/^\[SCENE\]$/i.test(tag)) {
+        emit(out);
+        out = '';
+        inScene = true;
+      } else if (/^\[\/SCENE\]$/i.test(tag)) {
+        inScene = false;
+      } else if (!/^\[[A-Z_]+:[^\]]*\]$/i.test(tag) && !inScene) {
+        out += tag;
+      }
+    }
+    emit(out);
+  }
+
+  function flush() {
+    if (!inScene) emit(pending);
+    pending = '';
+  }
+
+  return { push, flush };
+}
+
+/**
+ * One compact line for a terminal: "[scene: bg=cafe, +Jessica(happy), -Danny]".
+ * Returns '' when the reply changed nothing.
+ */
+function formatSceneLine(tags) {
+  const parts = [];
+  for (const { type, value } of tags) {
+    switch (type) {
+      case 'sprite': {
+        const { name, mood } = parseSprite(value);
+        if (name) parts.push(`+${name[0].toUpperCase()}${name.slice(1)}${mood ? `(${mood})` : ''}`);
+        break;
+      }
+      case 'hide':
+        parts.push(`-${value}`);
+        break;
+      case 'take':
+        parts.push(`take=${value}`);
+        break;
+      case 'drop':
+        parts.push(`drop=${value}`);
+        break;
+      case 'add_object':
+        parts.push(`object=${value}`);
+        break;
+      case 'camera':
+      case 'fx':
+        parts.push(`${type}=${value}`);
+        break;
+      default:
+        parts.push(`${type}=${baseName(value)}`);
+    }
+  }
+  return parts.length ? `[scene: ${parts.join(', ')}]` : '';
+}
+
+module.exports = {
+  hasVisualDirectives,
+  mergeDirectives,
+  createTagFilter,
+  parseSceneTags,
+  parseSprite,
+  stripSceneTags,
+  formatSceneLine,
+};
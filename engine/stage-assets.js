@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { renderDefault } = require('../app/main/ipc/prompt-templates');
+
+/* ============================================================================
+   STAGE ASSETS
+   - Scan bot/files media + the images.json manifest (cached)
+   - Build the visual-novel sections of the chat prompt
+   ========================================================================== */
+
+const CACHE_TTL_MS = 60_000;
+
+const MEDIA_EXT_RE = /\.(png|jpg|jpeg|webp|gif|mp3|wav|ogg)$/i;
+
+const PROVIDER_CATEGORIES = ['backgrounds', 'sprites', 'splash', 'music', 'sfx'];
+const SPRITES_SPECIAL_PREFIXES = new Set(['sprites', 'characters', 'backgrounds', 'splash', 'music']);
+
+/**
+ * Walk a directory recursively and return "prefix/relative/path.ext" entries.
+ */
+function scanDirectoryRecursively(rootDir, prefix = '') {
+  const results = [];
+  if (!fs.existsSync(rootDir)) return results;
+
+  try {
+    const items = fs.readdirSync(rootDir, { withFileTypes: true });
+
+    for (const item of items) {
+      const full = path.join(rootDir, item.name);
+      const rel = `${prefix}${item.name}`;
+
+      if (item.isDirectory()) {
+        results.push(...scanDirectoryRecursively(full, `${rel}/`));
+      } else if (MEDIA_EXT_RE.test(item.name)) {
+        results.push(rel);
+      }
+    }
+  } catch (e) {
+    console.error(`Error scanning ${rootDir}:`, e);
+  }
+
+  return results;
+}
+
+/**
+ * Files may come from:
+ * - botImagesPath/<category>/...
+ * - for sprites category: also botFilesPath/characters/<char>/... (character sprites)
+ *
+ * Returns entries like:
+ * - backgrounds/foo.png
+ * - sprites/charA/happy.png
+ * - characters/charB/sprite.png
+ */
+function listCategoryFiles({ botImagesPath, botFilesPath }, category) {
+  if (category === 'sprites') {
+    const a = scanDirectoryRecursively(path.join(botImagesPath, 'sprites'), 'sprites/');
+    const b = scanDirectoryRecursively(path.join(botFilesPath, 'characters'), 'characters/');
+    return [...a, ...b];
+  }
+
+  return scanDirectoryRecursively(path.join(botImagesPath, category), `${category}/`);
+}
+
+/**
+ * Given a manifest object and category file list, ensure every file has a label entry.
+ * (UI expects manifest[category][file] exists for listing.)
+ */
+function ensureManifestCoverage(manifest, category, files) {
+  if (!manifest[category]) manifest[category] = {};
+  for (const f of files) {
+    if (!manifest[category][f]) manifest[category][f] = f;
+  }
+}
+
+function createTreeList(files, category, manifest) {
+  if (!Array.isArray(files) || files.length === 0) return null;
+
+  const tree = {};
+
+  for (const file of files) {
+    const parts = file.split('/');
+    const filename = parts.pop();
+    const nameWithoutExt = path.parse(filename).name;
+
+    // Heuristic grouping:
+    // - If it's under "<knownPrefix>/<group>/file" → group = <group>
+    // - else group = last folder or Common
+    let group = 'Common';
+    if (parts.length > 0) {
+      const first = parts[0];
+      if (SPRITES_SPECIAL_PREFIXES.has(first) && parts.length > 1) group = parts[1];
+      else group = parts[parts.length - 1];
+    }
+
+    // Remove duplicated group prefix in filename, e.g. "jessica_happy" inside group "jessica"
+    let cleanName = nameWithoutExt;
+    if (group !== 'Common' && cleanName.toLowerCase().startsWith(group.toLowerCase())) {
+      const potential = cleanName.slice(group.length).replace(/^[_\-\s]+/, '');
+      if (potential) cleanName = potential;
+    }
+
+    if (!tree[group]) tree[group] = [];
+
+    const desc = manifest?.[category]?.[file] ?? '';
+    let entry = cleanName;
+
+    // Append description only if it adds information vs the name
+    if (desc) {
+      const d = String(desc).trim();
+      const dn = d.toLowerCase();
+      const nn = cleanName.toLowerCase();
+      if (dn && dn !== nn && !dn.includes(nn)) {
+        entry += ` : ${d}`;
+      }
+    }
+
+    tree[group].push(entry);
+  }
+
+  const lines = [];
+  for (const group of Object.keys(tree).sort()) {
+    const items = tree[group].sort().join(', ');
+    lines.push(group === 'Common' ? items : `${group}: ${items}`);
+  }
+
+  return lines.join('\n');
+}
+
+/* ------------------------------ CACHE ------------------------------------ */
+
+function createCache() {
+  // Separate timestamps per key to avoid “manifest refresh invalidates file lists”
+  return {
+    ttlMs: CACHE_TTL_MS,
+    entries: new Map(), // key -> { ts, value }
+    get(key) {
+      const hit = this.entries.get(key);
+      if (!hit) return null;
+      if (Date.now() - hit.ts > this.ttlMs) return null;
+      return hit.value;
+    },
+    set(key, value) {
+      this.entries.set(key, { ts: Date.now(), value });
+      return value;
+    },
+    invalidate(key) {
+      if (key) this.entries.delete(key);
+      else this.entries.clear();
+    },
+  };
+}
+
+/* ------------------------------ PROMPT BUILD ----------------------------- */
+
+function filterRelevantAssets(files, recentText) {
+  if (!files || files.length === 0) return [];
+  // If list is small, just return it all
+  if (files.length <= 30) return files;
+
+  const text = (recentText || '').toLowerCase();
+  // 1. Priority: Files mentioned in recent text
+  const relevant = files.filter(f => text.includes(path.parse(f).name.toLowerCase()));
+  
+  // 2. Fill remaining slots with other files up to a limit (e.g. 20)
+  const others = files.filter(f => !relevant.includes(f));
+  return [...relevant, ...others.slice(0, 20)];
+}
+
+/** render(id, values) fills a prompt template (app/main/ipc/prompt-templates.js). */
+function buildVisualPrompt({ botImagesPath, botFilesPath }, manifest, options, recentText, { sceneTools = false, render = renderDefault } = {}) {
+  // Destructure with defaults
+  const { activeCharacters = [] } = options;
+
+  // Filter lists to prevent token explosion
+  const allBackgrounds = listCategoryFiles({ botImagesPath, botFilesPath }, 'backgrounds');
+  const backgrounds = filterRelevantAssets(allBackgrounds, recentText);
+  const splashes = filterRelevantAssets(listCategoryFiles({ botImagesPath, botFilesPath }, 'splash'), recentText);
+  const music = filterRelevantAssets(listCategoryFiles({ botImagesPath, botFilesPath }, 'music'), recentText);
+
+  // --- Sprite Filtering Logic ---
+  const allSprites = listCategoryFiles({ botImagesPath, botFilesPath }, 'sprites');
+  const activeChars = new Set(activeCharacters.map(c => String(c).toLowerCase()));
+  
+  const visibleSprites = [];
+  const availableGroups = new Set();
+
+  for (const file of allSprites) {
+    const parts = file.split('/');
+    parts.pop(); // remove filename to look at directory structure
+    
+    let group = 'Common';
+    if (parts.length > 0) {
+      const first = parts[0];
+      if (SPRITES_SPECIAL_PREFIXES.has(first) && parts.length > 1) group = parts[1];
+      else group = parts[parts.length - 1];
+    }
+
+    availableGroups.add(group);
+
+    // If group is Common or Active, include it
+    if (group === 'Common' || activeChars.has(group.toLowerCase())) {
+      visibleSprites.push(file);
+    }
+  }
+  
+  // Calculate inactive characters (Available but not shown)
+  const inactiveChars = [...availableGroups].filter(g => g !== 'Common' && !activeChars.has(g.toLowerCase())).sort();
+
+  const bgList = createTreeList(backgrounds, 'backgrounds', manifest);
+  const spriteList = createTreeList(visibleSprites, 'sprites', manifest);
+  const splashList = createTreeList(splashes, 'splash', manifest);
+  const musicList = createTreeList(music, 'music', manifest);
+
+  const values = {
+    backgrounds: bgList || '',
+    sprites: spriteList || '',
+    inactiveCharacters: inactiveChars.join(', '),
+    splash: splashList || '',
+    music: musicList || '',
+  };
+  return `\n${render(sceneTools ? 'visualNovelTools' : 'visualNovel', values)}`;
+}
+
+// Scene objects and inventory change turn to turn, so they go out with the
+// per-turn context rather than in the (cached) visual prompt.
+function buildStageInjection({ inventory = [], sceneObjects = [] } = {}) {
+  let out = '';
+  if (sceneObjects.length > 0) {
+    out += `\n\n[SCENE_OBJECTS]\n- ${sceneObjects.join('\n- ')}`;
+  }
+  if (inventory.length > 0) {
+    out += `\n\n[PLAYER_INVENTORY]\n- You are carrying: ${inventory.join(', ')}`;
+  }
+  return out;
+}
+
+function buildStateInjection(characterState, activeCharacters) {
+  if (!characterState || typeof characterState !== 'object') return '';
+  if (!Array.isArray(activeCharacters) || !activeCharacters.length) return '';
+
+  const keys = Object.keys(characterState);
+  if (!keys.length) return '';
+
+  let out = `\n\n[CURRENT CHARACTER STATES (DYNAMIC)]`;
+
+  for (const char of activeCharacters) {
+    const key = keys.find(k => k.toLowerCase() === String(char).toLowerCase());
+    if (key && characterState[key]) {
+      out += `\n${key}: ${JSON.stringify(characterState[key])}`;
+    }
+  }
+
+  return out === `\n\n[CURRENT CHARACTER STATES (DYNAMIC)]` ? '' : out;
+}
+
+// Static rules only: state and lore injections are per-turn context.
+function buildEnforcementRules({ advancedPromptContent, render = renderDefault }) {
+  return `\n\n${render('enforcement')}${advancedPromptContent ? `\n\n${advancedPromptContent}` : ''}`;
+}
+
+/* ------------------------------ CATALOG ---------------------------------- */
+
+/**
+ * Cached manifest + per-category file lists for one bot folder.
+ * Returns: { cache, getManifest(force), getFiles(category, force) }
+ */
+function createAssetCatalog({ botFilesPath, botImagesPath, readJsonSafe }) {
+  const cache = createCache();
+
+  function getManifest(force = false) {
+    const key = 'manifest';
+    if (!force) {
+      const hit = cache.get(key);
+      if (hit) return hit;
+    }
+
+    const manifestPath = path.join(botFilesPath, 'images.json');
+    const manifest = readJsonSafe(manifestPath, {});
+    for (const k of PROVIDER_CATEGORIES) {
+      if (!manifest[k]) manifest[k] = {};
+    }
+
+    return cache.set(key, manifest);
+  }
+
+  function getFiles(category, force = false) {
+    const key = `files:${category}`;
+    if (!force) {
+      const hit = cache.get(key);
+      if (hit) return hit;
+    }
+
+    const files = listCategoryFiles({ botImagesPath, botFilesPath }, category);
+    return cache.set(key, files);
+  }
+
+  return { cache, getManifest, getFiles };
+}
+
+module.exports = {
+  PROVIDER_CATEGORIES,
+  listCategoryFiles,
+  ensureManifestCoverage,
+  createAssetCatalog,
+  buildVisualPrompt,
+  buildStageInjection,
+  buildStateInjection,
+  buildEnforcementRules,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+/* ============================================================================
+   STORY PROMPT (text front ends)
+   Node port of app/renderer/modules/prompt-engine.js for front ends that keep
+   the scene in plain objects instead of on-screen sprites.
+   render(id, values) fills a prompt template (app/main/ipc/prompt-templates.js).
+   ========================================================================== */
+
+const { renderDefault } = require('../app/main/ipc/prompt-templates');
+
+function extractCharacterSummary(charText) {
+  if (!charText) return '';
+  const match = String(charText).match(/###\s*SUMMARY:([\s\S]*?)(?=###|$)/i);
+  const raw = match ? match[1].trim() : String(charText).slice(0, 150).replace(/\n/g, ' ') + '...';
+  return raw.length > 200 ? raw.slice(0, 200) + '...' : raw;
+}
+
+function findCharacterName(botInfo, nameLower) {
+  return Object.keys(botInfo.characters || {}).find((k) => k.toLowerCase() === nameLower);
+}
+
+/** Lowercased names of the characters on stage plus any the user mentioned. */
+function getSceneCharacters(botInfo, onStage, userText) {
+  const names = new Set(onStage.keys());
+  const lower = String(userText || '').toLowerCase();
+  for (const name of Object.keys(botInfo.characters || {})) {
+    if (lower.includes(name.toLowerCase())) names.add(name.toLowerCase());
+  }
+  return Array.from(names);
+}
+
+/** Stable part of the prompt: bot, persona, cast and story summary. */
+function buildSystemPrompt({ botInfo, persona, summary, sceneCharacters, render = renderDefault }) {
+  let systemContent = [botInfo.personality, botInfo.scenario].filter(Boolean).join('\n\n');
+
+  systemContent += `\n\n${render('userInfo', { user: persona.name, persona: persona.details })}`;
+
+  for (const nameLower of sceneCharacters) {
+    const realName = findCharacterName(botInfo, nameLower);
+    if (!realName) continue;
+    systemContent += `\n\n${render('character', { char: realName, personality: botInfo.characters[realName] })}`;
+  }
+
+  const inactive = Object.keys(botInfo.characters || {}).filter((n) => !sceneCharacters.includes(n.toLowerCase()));
+  if (inactive.length) {
+    const characters = inactive.map((name) => `- ${name}: ${extractCharacterSummary(botInfo.characters[name])}`).join('\n');
+    systemContent += `\n\n${render('otherCharacters', { characters })}`;
+  }
+
+  if (summary?.content) {
+    systemContent += `\n\n${render('storySummary', { summary: summary.content })}`;
+  }
+
+  return systemContent.replace(/{{user}}/g, persona.name).trim();
+}
+
+/**
+ * Per-turn scene state. onStage maps lowercased character names to their
+ * current expression; location and music are asset base names.
+ */
+function buildTurnContext({ botInfo, persona, sceneCharacters, onStage, location, music, render = renderDefault }) {
+  const notes = [];
+  for (const nameLower of sceneCharacters) {
+    const realName = findCharacterName(botInfo, nameLower);
+    if (!realName) continue;
+
+    if (onStage.has(nameLower)) {
+      notes.push(render('characterExpression', { char: realName, expression: onStage.get(nameLower) || 'default' }));
+    } else {
+      notes.push(render('characterOffstage', { char: realName }));
+    }
+  }
+
+  const context = render('sceneState', {
+    location: location ? location.replace(/[_-]/g, ' ') : 'Unknown',
+    music: music ? music.replace(/[_-]/g, ' ') : '',
+    notes: notes.join('\n'),
+  });
+  return context.replace(/{{user}}/g, persona.name);
+}
+
+module.exports = {
+  getSceneCharacters,
+  buildSystemPrompt,
+  buildTurnContext,
+};
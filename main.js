@@ -3,6 +3,7 @@
 const { app, BrowserWindow, protocol } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { createBotResourceResolver } = require('./app/main/ipc/media-paths');
 
 let paths = {};
 
@@ -54,87 +55,14 @@ protocol.registerSchemesAsPrivileged([
   },
 ]);
 
-/**
- * Normalize a protocol URL path and prevent escaping the allowed root dir.
- */
-function resolveSafeResourcePath(rootDir, requestedPath) {
-  // decode + remove leading slash
-  let rel = decodeURIComponent(String(requestedPath || '')).replace(/^\/+/, '');
-
-  // Normalize to remove ../ and weird separators
-  rel = rel.replace(/\\/g, '/'); // unify
-  const normalized = path.normalize(rel);
-
-  // If normalized path tries to escape, reject
-  if (normalized.startsWith('..') || path.isAbsolute(normalized)) {
-    return null;
-  }
-
-  const full = path.join(rootDir, normalized);
-
-  // Enforce root containment
-  const rootResolved = path.resolve(rootDir);
-  const fullResolved = path.resolve(full);
-  if (!fullResolved.startsWith(rootResolved + path.sep) && fullResolved !== rootResolved) {
-    return null;
-  }
-
-  return fullResolved;
-}
-
 function registerBotResourceProtocol(paths) {
-  const cache = new Map(); // requestedRel -> resolved absolute
-
-  const tryExtensions = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.mp3', '.wav', '.ogg'];
-  const subdirs = ['characters', 'sprites', 'backgrounds', 'splash', 'music', 'sfx', 'title'];
+  const resolveBotResource = createBotResourceResolver(paths.botImagesPath);
 
   protocol.registerFileProtocol('bot-resource', (request, callback) => {
     try {
       const url = String(request.url || '');
-      const rel = url.replace(/^bot-resource:\/\//, '');
-
-      // fast cache
-      if (cache.has(rel)) {
-        return callback({ path: cache.get(rel) });
-      }
-
-      // 1) direct resolve under root
-      let resolved = resolveSafeResourcePath(paths.botImagesPath, rel);
-
-      // If unsafe, abort
-      if (!resolved) {
-        return callback({ error: -6 }); // FILE_NOT_FOUND
-      }
-
-      // 2) If not exists, try subdir fallbacks & extension fallbacks
-      if (!fs.existsSync(resolved)) {
-        // Try searching in known subdirectories
-        for (const sub of subdirs) {
-          const candidate = resolveSafeResourcePath(paths.botImagesPath, path.join(sub, rel));
-          if (candidate && fs.existsSync(candidate)) {
-            resolved = candidate;
-            break;
-          }
-        }
-
-        // Try adding extensions if still missing
-        if (!fs.existsSync(resolved)) {
-          for (const ext of tryExtensions) {
-            if (fs.existsSync(resolved + ext)) {
-              resolved = resolved + ext;
-              break;
-            }
-          }
-        }
-      }
-
-      // Still missing
-      if (!fs.existsSync(resolved)) {
-        return callback({ error: -6 }); // FILE_NOT_FOUND
-      }
-
-      cache.set(rel, resolved);
-      return callback({ path: resolved });
+      const resolved = resolveBotResource(url.replace(/^bot-resource:\/\//, ''));
+      return resolved ? callback({ path: resolved }) : callback({ error: -6 }); // FILE_NOT_FOUND
     } catch (e) {
       console.error('[Protocol] bot-resource error:', e);
       return callback({ error: -2 }); // FAILED
@@ -222,6 +150,7 @@ app.whenReady().then(() => {
     lorebookPath: path.join(userDataPath, 'aura_lorebook.json'),
     voiceMapPath: path.join(userDataPath, 'voice_map.json'),
     voiceBucketsPath: path.join(userDataPath, 'voice_buckets.json'),
+    usageLedgerPath: path.join(userDataPath, 'usage_ledger.jsonl'),
     phoneThreadsPath: path.join(userDataPath, 'phone_threads.json'),
     phoneContactsPath: path.join(userDataPath, 'phone_contacts.json'),
   };
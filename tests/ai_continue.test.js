@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { CONTINUE_PROMPT, buildContinuationMessages, joinContinuation } = require('../app/main/ipc/ai-continue');
+const { extractFinishReason } = require('../app/main/ipc/ai-parsers');
+const { attachTurnContext } = require('../app/main/ipc/context-window');
+const { generateStream } = require('../app/main/ai_services');
+
+test('extractFinishReason normalizes truncation across providers', () => {
+  assert.equal(extractFinishReason('openai', { choices: [{ finish_reason: 'length' }] }), 'length');
+  assert.equal(extractFinishReason('openai', { choices: [{ delta: { content: 'x' }, finish_reason: null }] }), null);
+  assert.equal(extractFinishReason('gemini', { candidates: [{ finishReason: 'MAX_TOKENS' }] }), 'length');
+  assert.equal(extractFinishReason('gemini', { candidates: [{ finishReason: 'SAFETY' }] }), 'content_filter');
+  assert.equal(extractFinishReason('anthropic', { type: 'message_delta', delta: { stop_reason: 'max_tokens' } }), 'length');
+  assert.equal(extractFinishReason('anthropic', { type: 'message_delta', delta: { stop_reason: 'end_turn' } }), 'stop');
+  assert.equal(extractFinishReason('ollama', { done: true, done_reason: 'length' }), 'length');
+  assert.equal(extractFinishReason('ollama', { done: false }), null);
+});
+
+test('buildContinuationMessages prefills where supported and nudges elsewhere', () => {
+  const messages = [{ role: 'user', content: 'Tell me a story.' }, { role: 'assistant', content: 'Once upon a ' }];
+
+  assert.deepEqual(buildContinuationMessages(messages, { provider: 'anthropic' }).at(-1), { role: 'assistant', content: 'Once upon a' });
+  assert.deepEqual(buildContinuationMessages(messages, { provider: 'openai' }).slice(-2), [
+    { role: 'assistant', content: 'Once upon a ' },
+    { role: 'user', content: CONTINUE_PROMPT },
+  ]);
+  assert.equal(buildContinuationMessages(messages, { provider: 'local', providerOptions: { assistantPrefill: true } }).length, 2);
+  assert.equal(buildContinuationMessages(messages.slice(0, 1), { provider: 'openai' }).length, 1);
+});
+
+test('joinContinuation appends, and drops an opening the model repeated', () => {
+  assert.equal(joinContinuation('She opened the do', 'or slowly.'), 'She opened the door slowly.');
+  assert.equal(joinContinuation('She opened ', ' the door.'), 'She opened the door.');
+  assert.equal(joinContinuation('She opened the', 'She opened the door.'), 'She opened the door.');
+});
+
+test('turn context stays on the user message while a reply is continued', () => {
+  const out = attachTurnContext([
+    { role: 'system', content: 'sys' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hel' },
+  ], 'scene');
+  assert.equal(out[0].content, 'sys');
+  assert.match(out[1].content, /^\[CONTEXT FOR THIS TURN\]\nscene\n\[\/CONTEXT\]\n\nHi$/);
+  assert.equal(out[2].content, 'Hel');
+});
+
+test('generateStream reports the finish reason and sends the continue nudge', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      const chunks = [{ choices: [{ delta: { content: 'lo there' } }] }, { choices: [{ delta: {}, finish_reason: 'length' }] }];
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(chunks.map((c) => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = { activeProvider: 'local', baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` } };
+    const runInfo = {};
+    const text = await generateStream(config, [
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hel' },
+    ], () => {}, { runInfo, continuation: true });
+
+    assert.equal(text, 'lo there');
+    assert.equal(runInfo.finishReason, 'length');
+    assert.deepEqual(bodies[0].messages.at(-1), { role: 'user', content: CONTINUE_PROMPT });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,184 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toLlamaChatHistory, createSequencePool, createModelLoader, createEmbedder } = require('../app/main/ipc/ai-embedded');
+
+test('toLlamaChatHistory maps roles to node-llama-cpp v3 history items', () => {
+  const history = toLlamaChatHistory([
+    { role: 'system', content: 'Stay in character.' },
+    { role: 'user', content: [{ type: 'text', text: 'Hi' }, { type: 'image_url', image_url: { url: 'x' } }] },
+    { role: 'assistant', content: 'Hello there.' },
+  ]);
+
+  assert.deepEqual(history, [
+    { type: 'system', text: 'Stay in character.' },
+    { type: 'user', text: 'Hi' },
+    { type: 'model', response: ['Hello there.'] },
+  ]);
+});
+
+function createFakeContext() {
+  let nextId = 1;
+  const live = new Set();
+  return {
+    live,
+    getSequence() {
+      const seq = {
+        id: nextId++,
+        disposed: false,
+        dispose() {
+          this.disposed = true;
+          live.delete(this);
+        },
+      };
+      live.add(seq);
+      return seq;
+    },
+  };
+}
+
+test('sequence pool keeps a slot reserved for chat while utility work queues', async () => {
+  const context = createFakeContext();
+  const pool = createSequencePool(context, { size: 3, reservedForChat: 1 });
+
+  const u1 = await pool.acquire('utility');
+  const u2 = await pool.acquire('utility');
+
+  let u3Granted = false;
+  const u3 = pool.acquire('utility').then((lease) => { u3Granted = true; return lease; });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(u3Granted, false);
+
+  const chat = await pool.acquire('chat');
+  assert.equal(pool.stats().busyChat, 1);
+  assert.equal(context.live.size, 3);
+
+  u1.release();
+  const lease = await u3;
+  assert.equal(u3Granted, true);
+  assert.equal(u1.sequence.disposed, true);
+
+  lease.release();
+  u2.release();
+  chat.release();
+  assert.equal(context.live.size, 0);
+  assert.deepEqual(pool.stats(), { size: 3, busyChat: 0, busyUtility: 0, waiting: 0 });
+});
+
+test('sequence pool serves queued chat before queued utility and honours abort', async () => {
+  const context = createFakeContext();
+  const pool = createSequencePool(context, { size: 2, reservedForChat: 1 });
+
+  const busyChat = await pool.acquire('chat');
+  const busyUtility = await pool.acquire('utility');
+
+  const order = [];
+  const utilityWaiter = pool.acquire('utility').then((l) => { order.push('utility'); return l; });
+  const chatWaiter = pool.acquire('chat').then((l) => { order.push('chat'); return l; });
+
+  const controller = new AbortController();
+  const aborted = pool.acquire('utility', controller.signal);
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+
+  busyUtility.release();
+  const chatLease = await chatWaiter;
+  busyChat.release();
+  const utilityLease = await utilityWaiter;
+
+  assert.deepEqual(order, ['chat', 'utility']);
+  chatLease.release();
+  utilityLease.release();
+  assert.equal(pool.stats().waiting, 0);
+});
+
+test('sequence pool parks a kept chat sequence for the next reusing chat turn', async () => {
+  const context = createFakeContext();
+  const pool = createSequencePool(context, { size: 2, reservedForChat: 1 });
+
+  const first = await pool.acquire('chat', undefined, { reuse: true });
+  first.release({ keep: true });
+  assert.equal(first.sequence.disposed, false);
+
+  const second = await pool.acquire('chat', undefined, { reuse: true });
+  assert.equal(second.sequence, first.sequence);
+  second.release({ keep: true });
+
+  // The parked sequence keeps its slot while there is room, and gives it up when there isn't.
+  const utility = await pool.acquire('utility');
+  assert.equal(first.sequence.disposed, false);
+  const otherChat = await pool.acquire('chat');
+  assert.equal(first.sequence.disposed, true);
+  assert.equal(context.live.size, 2);
+
+  utility.release();
+  otherChat.release();
+  assert.deepEqual(pool.stats(), { size: 2, busyChat: 0, busyUtility: 0, waiting: 0 });
+});
+
+test('model loader shares an in-flight load and disposes the model it replaces', async () => {
+  const loads = [];
+  const disposed = [];
+  let failNext = false;
+  const loader = createModelLoader({
+    load: async (modelName, size) => {
+      loads.push(`${modelName}#${size}`);
+      await new Promise((resolve) => setImmediate(resolve));
+      if (failNext) {
+        failNext = false;
+        throw new Error('no memory');
+      }
+      return { modelName, size };
+    },
+    dispose: async (state) => { disposed.push(`${state.modelName}#${state.size}`); },
+  });
+
+  const [a, b, c] = await Promise.all([loader.get('a.gguf', 3), loader.get('a.gguf', 3), loader.get('a.gguf', 3)]);
+  assert.equal(a, b);
+  assert.equal(b, c);
+  assert.deepEqual(loads, ['a.gguf#3']);
+
+  const wider = await loader.get('a.gguf', 4);
+  assert.equal(wider.size, 4);
+  assert.deepEqual(disposed, ['a.gguf#3']);
+
+  failNext = true;
+  await assert.rejects(loader.get('b.gguf', 4), /no memory/);
+  assert.deepEqual(disposed, ['a.gguf#3', 'a.gguf#4']);
+  const retried = await loader.get('b.gguf', 4);
+  assert.equal(retried.modelName, 'b.gguf');
+  assert.deepEqual(loads, ['a.gguf#3', 'a.gguf#4', 'b.gguf#4', 'b.gguf#4']);
+});
+
+test('parallel embeds share one model load and a replaced model is disposed unless the chat model owns it', async () => {
+  const loads = [];
+  const disposed = [];
+  const fakeModel = (name) => ({
+    dispose: async () => { disposed.push(`model:${name}`); },
+    createEmbeddingContext: async () => ({
+      dispose: async () => { disposed.push(`context:${name}`); },
+      getEmbeddingFor: async (text) => ({ vector: new Float32Array([text.length]) }),
+    }),
+  });
+  const chat = { modelName: 'chat.gguf', model: fakeModel('chat.gguf') };
+  const embedder = createEmbedder({
+    loadModel: async (name) => {
+      loads.push(name);
+      await new Promise((resolve) => setImmediate(resolve));
+      return fakeModel(name);
+    },
+    getChatState: () => chat,
+  });
+
+  const [a, b] = await Promise.all([embedder.embed('embed.gguf', 'ab'), embedder.embed('embed.gguf', 'abc')]);
+  assert.deepEqual([a, b], [[2], [3]]);
+  assert.deepEqual(loads, ['embed.gguf']);
+
+  await embedder.embed('chat.gguf', 'x');
+  assert.deepEqual(loads, ['embed.gguf']);
+  assert.deepEqual(disposed, ['context:embed.gguf', 'model:embed.gguf']);
+
+  await embedder.embed('embed.gguf', 'x');
+  assert.deepEqual(disposed, ['context:embed.gguf', 'model:embed.gguf', 'context:chat.gguf']);
+});
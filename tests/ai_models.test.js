@@ -0,0 +1,161 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { readGgufMetadata, describeGguf, GGUF_VALUE_TYPES: T } = require('../app/main/ipc/gguf-reader');
+const { normalizeOpenAIModels, normalizeGeminiModels, createModelCatalog } = require('../app/main/ipc/ai-models');
+
+function u32(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(n);
+  return b;
+}
+
+function u64(n) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64LE(BigInt(n));
+  return b;
+}
+
+function str(s) {
+  const bytes = Buffer.from(s, 'utf8');
+  return Buffer.concat([u64(bytes.length), bytes]);
+}
+
+function kv(key, type, value) {
+  return Buffer.concat([str(key), u32(type), value]);
+}
+
+function writeGguf(entries) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gguf-')), 'tiny-llama.Q5_K_M.gguf');
+  fs.writeFileSync(file, Buffer.concat([Buffer.from('GGUF', 'ascii'), u32(3), u64(0), u64(entries.length), ...entries]));
+  return file;
+}
+
+test('readGgufMetadata reads scalars and strings and skips arrays', async () => {
+  const tokens = Array.from({ length: 5000 }, (_, i) => str(`tok${i}`));
+  const file = writeGguf([
+    kv('general.architecture', T.STRING, str('llama')),
+    kv('general.name', T.STRING, str('Tiny Llama')),
+    kv('general.size_label', T.STRING, str('1.1B')),
+    kv('tokenizer.ggml.tokens', T.ARRAY, Buffer.concat([u32(T.STRING), u64(tokens.length), ...tokens])),
+    kv('tokenizer.ggml.scores', T.ARRAY, Buffer.concat([u32(T.FLOAT32), u64(20000), Buffer.alloc(80000)])),
+    kv('llama.context_length', T.UINT32, u32(8192)),
+    kv('general.file_type', T.UINT32, u32(15)),
+    kv('tokenizer.chat_template', T.STRING, str('{{ messages }}')),
+  ]);
+
+  const { version, metadata } = await readGgufMetadata(file);
+  assert.equal(version, 3);
+  assert.deepEqual(metadata['tokenizer.ggml.tokens'], { type: 'array', itemType: T.STRING, length: 5000 });
+  assert.equal(metadata['llama.context_length'], 8192);
+
+  assert.deepEqual(describeGguf(metadata, path.basename(file)), {
+    architecture: 'llama',
+    name: 'Tiny Llama',
+    contextLength: 8192,
+    quantization: 'Q4_K_M',
+    parameterSize: '1.1B',
+    chatTemplate: '{{ messages }}',
+  });
+  // Without general.file_type the quantization comes from the file name.
+  assert.equal(describeGguf({ 'general.architecture': 'llama' }, 'tiny-llama.Q5_K_M.gguf').quantization, 'Q5_K_M');
+
+  const bad = path.join(path.dirname(file), 'bad.gguf');
+  fs.writeFileSync(bad, 'not a model');
+  await assert.rejects(readGgufMetadata(bad), /Not a GGUF file/);
+});
+
+test('model lists normalize context length across hosts', () => {
+  assert.deepEqual(
+    normalizeOpenAIModels({
+      data: [
+        { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', context_length: 200000, architecture: { input_modalities: ['text', 'image'] } },
+        { id: 'llama-3.1-8b-instant', context_window: 131072 },
+        { id: 'my-merge', meta: { n_ctx_train: 32768 } },
+        { id: 'gpt-4o-mini' },
+      ],
+    }).map((m) => [m.id, m.contextLength, m.vision]),
+    [
+      ['anthropic/claude-3.5-sonnet', 200000, true],
+      ['llama-3.1-8b-instant', 131072, null],
+      ['my-merge', 32768, null],
+      ['gpt-4o-mini', null, null],
+    ]
+  );
+
+  const gemini = normalizeGeminiModels({
+    models: [
+      { name: 'models/gemini-2.5-flash', displayName: 'Gemini 2.5 Flash', inputTokenLimit: 1048576, supportedGenerationMethods: ['generateContent'] },
+      { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] },
+    ],
+  });
+  assert.deepEqual(gemini.map((m) => [m.id, m.name, m.contextLength]), [['gemini-2.5-flash', 'Gemini 2.5 Flash', 1048576]]);
+});
+
+test('model catalog caches per provider and key until refreshed or expired', async () => {
+  let clock = 0;
+  const calls = [];
+  const catalog = createModelCatalog({
+    now: () => clock,
+    get: async (url, options) => {
+      calls.push({ url, options });
+      return { data: { data: [{ id: 'zeta' }, { id: 'alpha', context_length: 4096 }] } };
+    },
+    listOllamaModels: async () => [],
+    listEmbeddedModels: async () => [{ id: 'model.gguf', architecture: 'llama', contextLength: 4096, quantization: 'Q8_0' }],
+  });
+  const settings = { provider: 'openrouter', apiKey: 'sk-1', baseURL: 'https://openrouter.ai/api/v1' };
+
+  const first = await catalog.list(settings);
+  assert.deepEqual(first.map((m) => m.id), ['alpha', 'zeta']);
+  assert.equal(calls[0].url, 'https://openrouter.ai/api/v1/models');
+  assert.equal(calls[0].options.headers.Authorization, 'Bearer sk-1');
+
+  await catalog.list(settings);
+  assert.equal(calls.length, 1);
+  await catalog.list({ ...settings, apiKey: 'sk-2' });
+  assert.equal(calls.length, 2);
+  await catalog.list(settings, { refresh: true });
+  assert.equal(calls.length, 3);
+  clock += 11 * 60 * 1000;
+  await catalog.list(settings);
+  assert.equal(calls.length, 4);
+
+  const [gguf] = await catalog.list({ provider: 'embedded' });
+  assert.equal(gguf.family, 'llama');
+  assert.equal(gguf.contextLength, 4096);
+  assert.deepEqual(await catalog.list({ provider: 'scripted' }), []);
+});
+
+test('listModels only sends the saved key to the saved host', async () => {
+  const http = require('node:http');
+  const { listModels } = require('../app/main/ai_services');
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.headers.authorization ?? null);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: [{ id: 'model-a' }] }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const stubUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    const config = { activeProvider: 'openai', apiKeys: { openai: 'saved-key' } };
+
+    await assert.rejects(listModels(config, 'openai', { baseUrl: stubUrl }), /API key/);
+    assert.deepEqual(seen, []);
+
+    await listModels(config, 'openai', { baseUrl: stubUrl, apiKey: 'typed-key' });
+    assert.deepEqual(seen, ['Bearer typed-key']);
+
+    const savedHost = { ...config, baseUrls: { openai: stubUrl } };
+    await listModels(savedHost, 'openai', { baseUrl: `${stubUrl}/`, refresh: true });
+    assert.deepEqual(seen, ['Bearer typed-key', 'Bearer saved-key']);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createThinkTagSplitter, splitReasoning, withReasoning } = require('../app/main/ipc/ai-reasoning');
+const { createOpenAISSEParser, createAnthropicSSEParser, createOllamaNDJSONParser } = require('../app/main/ipc/ai-parsers');
+const { generateStream } = require('../app/main/ai_services');
+
+function runSplitter(chunks, options = {}) {
+  const out = { text: '', reasoning: '' };
+  const splitter = createThinkTagSplitter({
+    ...options,
+    onText: (t) => { out.text += t; },
+    onReasoning: (t) => { out.reasoning += t; },
+  });
+  chunks.forEach((c) => splitter.push(c));
+  splitter.flush();
+  return out;
+}
+
+test('createThinkTagSplitter separates <think> blocks even when tags are split across chunks', () => {
+  assert.deepEqual(
+    runSplitter(['<thi', 'nk>Plan the', ' scene.</th', 'ink>\n\n', 'Hello ', 'there <b>']),
+    { text: 'Hello there <b>', reasoning: 'Plan the scene.' }
+  );
+  assert.deepEqual(runSplitter(['a < b', ' and <t', 'able>']), { text: 'a < b and <table>', reasoning: '' });
+  // Cut off mid-thought: what arrived is still reasoning.
+  assert.deepEqual(runSplitter(['<think>still go']), { text: '', reasoning: 'still go' });
+});
+
+test('createThinkTagSplitter can start inside a <think> the template opened', () => {
+  const opened = { startThinking: true };
+  assert.deepEqual(runSplitter(['Plan the', ' scene.</thi', 'nk>\n\nHello.'], opened), { text: 'Hello.', reasoning: 'Plan the scene.' });
+  // The model opened it anyway.
+  assert.deepEqual(runSplitter(['\n<th', 'ink>Plan.</think>Hello.'], opened), { text: 'Hello.', reasoning: 'Plan.' });
+});
+
+test('splitReasoning handles several blocks, an orphan close tag and replies without any', () => {
+  assert.deepEqual(splitReasoning('<think> one </think>Hi.<think>two</think> Bye.'), { text: 'Hi. Bye.', reasoning: 'one\n\ntwo' });
+  assert.deepEqual(splitReasoning('opened by the template</think>\n\nReply.'), { text: 'Reply.', reasoning: 'opened by the template' });
+  assert.deepEqual(splitReasoning('  Plain reply.'), { text: '  Plain reply.', reasoning: '' });
+  assert.equal(withReasoning('Reply.', ' why '), '<think>\nwhy\n</think>\n\nReply.');
+  assert.equal(withReasoning('Reply.', ''), 'Reply.');
+});
+
+test('stream parsers route reasoning deltas away from the reply', () => {
+  const seen = [];
+  const token = (t) => seen.push(['text', t]);
+  const reasoning = (t) => seen.push(['reasoning', t]);
+
+  createOpenAISSEParser(token, null, reasoning)(
+    `data: ${JSON.stringify({ choices: [{ delta: { reasoning_content: 'A' } }] })}\n` +
+    `data: ${JSON.stringify({ choices: [{ delta: { reasoning: 'B' } }] })}\n` +
+    `data: ${JSON.stringify({ choices: [{ delta: { content: 'C' } }] })}\n`
+  );
+  createAnthropicSSEParser(token, null, reasoning)(
+    `data: ${JSON.stringify({ type: 'content_block_delta', delta: { type: 'thinking_delta', thinking: 'D' } })}\n`
+  );
+  createOllamaNDJSONParser(token, null, reasoning)(`${JSON.stringify({ message: { thinking: 'E', content: '' } })}\n`);
+
+  assert.deepEqual(seen, [['reasoning', 'A'], ['reasoning', 'B'], ['text', 'C'], ['reasoning', 'D'], ['reasoning', 'E']]);
+});
+
+test('generateStream keeps reasoning out of the streamed and returned reply', async () => {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const deltas = [{ reasoning_content: 'Delta thought.' }, { content: '<think>Inline' }, { content: ' thought.</think>\n' }, { content: 'Hello!' }];
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(deltas.map((delta) => `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`).join('') + 'data: [DONE]\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = {
+      activeProvider: 'local',
+      baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` },
+    };
+    const chunks = [];
+    const thoughts = [];
+    const runInfo = {};
+    const text = await generateStream(config, [{ role: 'user', content: 'Hi' }], (c) => chunks.push(c), {
+      runInfo,
+      onReasoning: (c) => thoughts.push(c),
+    });
+
+    assert.equal(text, 'Hello!');
+    assert.equal(chunks.join(''), 'Hello!');
+    assert.equal(thoughts.join(''), 'Delta thought.Inline thought.');
+    assert.equal(runInfo.reasoning, 'Delta thought.\n\nInline thought.');
+  } finally {
+    server.close();
+  }
+});
+
+test('generateStream streams a reply whose <think> the template opened as reasoning', async () => {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const deltas = [{ content: 'Plan the' }, { content: ' scene.</th' }, { content: 'ink>\n\nHello!' }];
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(deltas.map((delta) => `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`).join('') + 'data: [DONE]\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const stream = async (config) => {
+    const chunks = [];
+    const thoughts = [];
+    const text = await generateStream(config, [{ role: 'user', content: 'Hi' }], (c) => chunks.push(c), {
+      onReasoning: (c) => thoughts.push(c),
+    });
+    return { text, streamed: chunks.join(''), thoughts: thoughts.join('') };
+  };
+
+  try {
+    const baseUrls = { local: `http://127.0.0.1:${server.address().port}/v1` };
+    const expected = { text: 'Hello!', streamed: 'Hello!', thoughts: 'Plan the scene.' };
+
+    const opened = { activeProvider: 'local', baseUrls, models: { local: 'r1-opened' }, providerOptions: { local: { thinkOpened: true } } };
+    assert.deepEqual(await stream(opened), expected);
+
+    // Without the option the first reply gives it away; later ones stream clean.
+    const learned = { activeProvider: 'local', baseUrls, models: { local: 'r1-learned' } };
+    assert.equal((await stream(learned)).text, 'Hello!');
+    assert.deepEqual(await stream(learned), expected);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const aiService = require('../app/main/ai_services');
+const { createCassette, requestHash, playChunks } = require('../app/main/ipc/ai-replay');
+
+function tmpCassette(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aura-replay-')), name);
+}
+
+/** OpenAI-compatible stand-in: SSE chat, JSON completions and embeddings. */
+function startLocalStandIn() {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+
+      if (req.url === '/v1/embeddings') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: [{ embedding: [0.5, 0.25] }] }));
+        return;
+      }
+
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const frames = ['Once', ' upon', ' a time.']
+          .map((content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        res.write(frames[0]);
+        setTimeout(() => {
+          res.write(frames[1] + frames[2]);
+          res.end('data: [DONE]\n\n');
+        }, 30);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: 'Chapter One' } }] }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/v1` }));
+  });
+}
+
+test('cassette serves repeated requests in recorded order, keyed by request hash', () => {
+  const file = tmpCassette('order.json');
+  const cassette = createCassette(file);
+  cassette.record('completion', { task: 't', messages: [] }, { text: 'first' });
+  cassette.record('completion', { task: 't', messages: [] }, { text: 'second' });
+
+  const reloaded = createCassette(file);
+  assert.equal(reloaded.find('completion', { messages: [], task: 't' }).text, 'first');
+  assert.equal(reloaded.find('completion', { task: 't', messages: [] }).text, 'second');
+  assert.equal(reloaded.find('completion', { task: 't', messages: [] }).text, 'second');
+  assert.equal(reloaded.find('completion', { task: 'other', messages: [] }), null);
+  assert.equal(requestHash('stream', { a: 1, b: 2 }), requestHash('stream', { b: 2, a: 1 }));
+});
+
+test('playChunks keeps chunk boundaries and scales recorded delays', async () => {
+  const chunks = [];
+  const startedAt = Date.now();
+  const text = await playChunks(
+    { chunks: [{ delayMs: 0, text: 'a' }, { delayMs: 80, text: 'b' }] },
+    (c) => chunks.push(c),
+    { speed: 2 }
+  );
+  assert.equal(text, 'ab');
+  assert.deepEqual(chunks, ['a', 'b']);
+  assert.ok(Date.now() - startedAt >= 35);
+});
+
+test('record mode captures stream, completion and embedding; replay serves them offline', async () => {
+  const cassette = tmpCassette('session.json');
+  const { server, baseUrl } = await startLocalStandIn();
+  const messages = [{ role: 'user', content: 'Tell me a story.' }];
+
+  const recordConfig = {
+    activeProvider: 'local',
+    baseUrls: { local: baseUrl },
+    embedding: { model: 'embed-model' },
+    replay: { mode: 'record', cassette },
+  };
+
+  const liveChunks = [];
+  try {
+    const text = await aiService.generateStream(recordConfig, messages, (c) => liveChunks.push(c));
+    assert.equal(text, 'Once upon a time.');
+    assert.equal(await aiService.generateCompletion(recordConfig, messages, { task: 'generateChapterTitle' }), 'Chapter One');
+    assert.deepEqual(await aiService.generateEmbedding(recordConfig, 'castle'), [0.5, 0.25]);
+  } finally {
+    server.close();
+  }
+
+  const saved = JSON.parse(fs.readFileSync(cassette, 'utf8'));
+  assert.deepEqual(saved.interactions.map((i) => i.kind), ['stream', 'completion', 'embedding']);
+  assert.deepEqual(saved.interactions[0].response.chunks.map((c) => c.text), liveChunks);
+
+  const replayConfig = { activeProvider: 'replay', replay: { cassette, speed: 0 } };
+  const replayed = [];
+  const runInfo = {};
+  assert.equal(await aiService.generateStream(replayConfig, messages, (c) => replayed.push(c), { runInfo }), 'Once upon a time.');
+  assert.deepEqual(replayed, liveChunks);
+  assert.equal(runInfo.provider, 'replay');
+  assert.equal(await aiService.generateCompletion(replayConfig, messages, { task: 'generateChapterTitle' }), 'Chapter One');
+  assert.deepEqual(await aiService.generateEmbedding(replayConfig, 'castle'), [0.5, 0.25]);
+
+  await assert.rejects(
+    aiService.generateStream(replayConfig, [{ role: 'user', content: 'Unrecorded' }], () => {}),
+    /no recorded reply/
+  );
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveRetryPolicy,
+  parseRetryAfter,
+  isRetryableError,
+  computeRetryDelay,
+  withRetry,
+} = require('../app/main/ipc/ai-retry');
+
+function httpError(status, headers = {}) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, headers };
+  return err;
+}
+
+test('parseRetryAfter handles seconds, HTTP dates and junk', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('3', now), 3000);
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now), 10_000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test('retry policy merges config and classifies errors', () => {
+  const policy = resolveRetryPolicy({ retry: { retries: 5, statuses: [429] } });
+  assert.equal(policy.retries, 5);
+  assert.equal(isRetryableError(httpError(429), policy), true);
+  assert.equal(isRetryableError(httpError(503), policy), false);
+  assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), policy), true);
+  assert.equal(isRetryableError(Object.assign(new Error('x'), { name: 'AbortError' }), policy), false);
+});
+
+test('computeRetryDelay prefers Retry-After and jitters otherwise', () => {
+  const policy = resolveRetryPolicy({});
+  assert.equal(computeRetryDelay(0, policy, httpError(429, { 'retry-after': '2' })), 2000);
+  assert.equal(computeRetryDelay(0, policy, httpError(429, { 'retry-after': '120' })), null);
+  assert.equal(computeRetryDelay(2, policy, httpError(503), () => 0.5), 1000);
+  assert.equal(computeRetryDelay(10, policy, httpError(503), () => 1), policy.maxDelayMs);
+});
+
+test('withRetry retries transient failures and logs each attempt', async () => {
+  const logs = [];
+  let calls = 0;
+
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(503);
+    return 'ok';
+  }, {
+    policy: resolveRetryPolicy({ retry: { retries: 3, baseDelayMs: 1 } }),
+    log: (message, data) => logs.push({ message, data }),
+  });
+
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+  assert.equal(logs.length, 2);
+  assert.equal(logs[0].data.status, 503);
+});
+
+test('withRetry gives up on abort while waiting', async () => {
+  const controller = new AbortController();
+  const pending = withRetry(async () => { throw httpError(429, { 'retry-after': '5' }); }, {
+    policy: resolveRetryPolicy({}),
+    signal: controller.signal,
+  });
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(pending, { name: 'AbortError' });
+});
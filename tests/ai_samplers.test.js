@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeSampler,
+  resolveSamplerPreset,
+  samplerForProvider,
+  toLlamaPromptSampler,
+} = require('../app/main/ipc/ai-samplers');
+const {
+  buildChatCompletionsBody,
+  buildGeminiBody,
+  buildAnthropicBody,
+  buildOllamaChatBody,
+} = require('../app/main/ipc/ai-provider');
+
+const PRESET = {
+  topP: '0.9',
+  topK: 40.7,
+  minP: 0.05,
+  repetitionPenalty: 1.1,
+  frequencyPenalty: 0.2,
+  presencePenalty: '',
+  seed: 42,
+  stop: ['\nUser:', '', 'END', 'A', 'B', 'C'],
+  temperature: 2,
+};
+
+test('normalizeSampler keeps known, well-typed fields only', () => {
+  assert.deepEqual(normalizeSampler(PRESET), {
+    topP: 0.9,
+    topK: 40,
+    minP: 0.05,
+    repetitionPenalty: 1.1,
+    frequencyPenalty: 0.2,
+    seed: 42,
+    stop: ['\nUser:', 'END', 'A', 'B', 'C'],
+  });
+  assert.deepEqual(normalizeSampler({ stop: 'a\nb' }), { stop: ['a', 'b'] });
+  assert.deepEqual(normalizeSampler(null), {});
+});
+
+test('resolveSamplerPreset reads the active preset from config', () => {
+  const config = { samplerPresets: { Creative: { topP: 0.95 } }, activeSamplerPreset: 'Creative' };
+  assert.deepEqual(resolveSamplerPreset(config), { topP: 0.95 });
+  assert.deepEqual(resolveSamplerPreset({ ...config, activeSamplerPreset: 'Missing' }), {});
+  assert.deepEqual(resolveSamplerPreset({}), {});
+});
+
+test('samplerForProvider drops unsupported fields and caps stop sequences', () => {
+  const sampler = normalizeSampler(PRESET);
+
+  assert.deepEqual(samplerForProvider(sampler, 'openai'), {
+    topP: 0.9,
+    frequencyPenalty: 0.2,
+    seed: 42,
+    stop: ['\nUser:', 'END', 'A', 'B'],
+  });
+  assert.deepEqual(samplerForProvider(sampler, 'anthropic'), { topK: 40, stop: sampler.stop });
+  assert.deepEqual(samplerForProvider(sampler, 'openrouter'), sampler);
+});
+
+test('body builders map sampler fields to each wire format', () => {
+  const messages = [{ role: 'user', content: 'hi' }];
+  const sampler = { topP: 0.9, topK: 40, minP: 0.05, repetitionPenalty: 1.1, seed: 7, stop: ['END'] };
+
+  const openai = buildChatCompletionsBody(messages, { model: 'm', temperature: 0.8, sampler });
+  assert.equal(openai.top_p, 0.9);
+  assert.equal(openai.min_p, 0.05);
+  assert.equal(openai.repetition_penalty, 1.1);
+  assert.deepEqual(openai.stop, ['END']);
+
+  const gemini = buildGeminiBody(messages, { temperature: 0.8, sampler: samplerForProvider(sampler, 'gemini') });
+  assert.deepEqual(gemini.generationConfig, { topP: 0.9, topK: 40, seed: 7, stopSequences: ['END'], temperature: 0.8 });
+
+  const anthropic = buildAnthropicBody(messages, { model: 'c', sampler: samplerForProvider(sampler, 'anthropic') });
+  assert.equal(anthropic.top_k, 40);
+  assert.deepEqual(anthropic.stop_sequences, ['END']);
+  // temperature and top_p together are rejected by newer Claude models.
+  assert.equal(anthropic.temperature, 0.5);
+  assert.equal('top_p' in anthropic, false);
+  assert.equal('top_p' in buildAnthropicBody(messages, { model: 'c', temperature: 0.8, sampler }), false);
+
+  const ollama = buildOllamaChatBody(messages, { model: 'l', sampler, providerOptions: { repeat_penalty: 1.3 } });
+  assert.equal(ollama.options.min_p, 0.05);
+  assert.equal(ollama.options.repeat_penalty, 1.3);
+  assert.deepEqual(ollama.options.stop, ['END']);
+
+  assert.equal(buildChatCompletionsBody(messages, { model: 'm' }).top_p, undefined);
+});
+
+test('toLlamaPromptSampler nests penalties under repeatPenalty', () => {
+  assert.deepEqual(toLlamaPromptSampler({ topK: 40, repetitionPenalty: 1.1, presencePenalty: 0.3, stop: ['END'] }), {
+    topK: 40,
+    customStopTriggers: ['END'],
+    repeatPenalty: { penalty: 1.1, presencePenalty: 0.3 },
+  });
+  assert.deepEqual(toLlamaPromptSampler(undefined), {});
+});
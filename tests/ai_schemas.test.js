@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const {
+  SCHEMAS,
+  validateJson,
+  toGeminiSchema,
+  toGbnfJsonSchema,
+  supportsJsonSchema,
+} = require('../app/main/ipc/ai-schemas');
+const { generateJson, __private } = require('../app/main/ai_services');
+
+test('validateJson reports paths for type, enum, range and shape errors', () => {
+  assert.deepEqual(validateJson(SCHEMAS.affinity, { score: 72, status: 'Friends' }), []);
+  assert.deepEqual(validateJson(SCHEMAS.affinity, { score: 140, status: 'Friends' }), ['$.score: must be <= 100']);
+  assert.deepEqual(validateJson(SCHEMAS.affinity, { score: '72' }), [
+    '$: missing "status"',
+    '$.score: expected number, got string',
+  ]);
+
+  const plan = { actions: [{ type: 'bg', name: 'cafe' }, { type: 'teleport', extra: 1 }] };
+  assert.deepEqual(validateJson(SCHEMAS.scenePlan, plan), [
+    '$.actions[1].type: must be one of bg, music, sprite, hide, sfx, fx, camera, take, drop',
+    '$.actions[1]: unexpected "extra"',
+  ]);
+
+  assert.deepEqual(validateJson(SCHEMAS.replySuggestions, { suggestions: [] }), ['$.suggestions: needs at least 1 items']);
+});
+
+test('validateJson checks free-form keys and anyOf branches', () => {
+  const state = {
+    Jessica: { Mood: 'calm', Trust: 60, Thoughts: 'He came back.', NewLore: null },
+    Mika: { Mood: 'tense', Trust: 'low', Thoughts: '...', NewLore: { keywords: ['ring'], scenario: 'Mika lost a ring.' } },
+  };
+  assert.deepEqual(validateJson(SCHEMAS.characterState, state), []);
+
+  const bad = { Jessica: { Mood: 'calm', Trust: 60, Thoughts: 'x', NewLore: 'a fact' } };
+  assert.deepEqual(validateJson(SCHEMAS.characterState, bad), ['$.Jessica.NewLore: does not match any allowed shape']);
+});
+
+test('schemas convert to Gemini and GBNF shapes, or bow out', () => {
+  const gemini = toGeminiSchema(SCHEMAS.affinity);
+  assert.equal(gemini.type, 'OBJECT');
+  assert.equal(gemini.properties.score.type, 'NUMBER');
+  assert.equal(gemini.properties.score.maximum, 100);
+  assert.deepEqual(gemini.required, ['score', 'status']);
+  assert.equal(toGeminiSchema(SCHEMAS.characterState), null);
+
+  const body = __private.buildGeminiBody([{ role: 'user', content: 'Hi' }], {
+    jsonSchema: { name: 'characterState', schema: SCHEMAS.characterState },
+  });
+  assert.equal(body.generationConfig.responseMimeType, 'application/json');
+  assert.equal(body.generationConfig.responseSchema, undefined);
+
+  const gbnf = toGbnfJsonSchema(SCHEMAS.characterState);
+  assert.equal(gbnf.additionalProperties.properties.NewLore.oneOf.length, 2);
+  assert.equal(gbnf.additionalProperties.required, undefined);
+
+  assert.equal(supportsJsonSchema('openai'), true);
+  assert.equal(supportsJsonSchema('anthropic'), false);
+});
+
+test('generateJson sends the schema and repairs an invalid reply once', async () => {
+  const bodies = [];
+  const replies = ['{"score": "high", "status": "Friends"}', 'Sorry! {"score": 80, "status": "Friends"}'];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: replies[bodies.length - 1] } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = {
+      activeProvider: 'openai',
+      apiKeys: { openai: 'sk-test' },
+      baseUrls: { openai: `http://127.0.0.1:${server.address().port}/v1` },
+    };
+    const messages = [{ role: 'user', content: 'How does Jessica feel?' }];
+    const result = await generateJson(config, messages, { schema: SCHEMAS.affinity, task: 'analyzeAffinity' });
+
+    assert.deepEqual(result.value, { score: 80, status: 'Friends' });
+    assert.equal(bodies.length, 2);
+    assert.equal(bodies[0].response_format.type, 'json_schema');
+    assert.equal(bodies[0].response_format.json_schema.name, 'analyzeAffinity');
+    assert.deepEqual(bodies[0].response_format.json_schema.schema, SCHEMAS.affinity);
+
+    const repair = bodies[1].messages;
+    assert.equal(repair.length, 3);
+    assert.equal(repair[1].role, 'assistant');
+    assert.match(repair[2].content, /\$\.score: expected number, got string/);
+
+    replies.push('nope', 'still nope');
+    const failed = await generateJson(config, messages, { schema: SCHEMAS.affinity, task: 'analyzeAffinity' });
+    assert.equal(failed.value, null);
+    assert.equal(failed.raw, 'still nope');
+    assert.equal(bodies.length, 4);
+  } finally {
+    server.close();
+  }
+});
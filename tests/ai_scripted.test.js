@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const aiService = require('../app/main/ai_services');
+const { parseScript, scriptedReply, scriptedTaskAnswer, chunkReply } = require('../app/main/ipc/ai-scripted');
+const { toTagPlanFromJson } = require('../app/main/ipc/ai-parsers');
+
+const SCRIPT_YAML = `
+turns:
+  - reply: 'Jessica: "You came back!"'
+    scene: ['[BG: cafe]', '[SPRITE: Jessica/happy]']
+  - match: 'number|phone'
+    reply: 'Jessica: "Here, text me sometime."'
+    scene:
+      actions:
+        - { type: music, name: jazz }
+  - reply: 'Jessica: "See you around."'
+default: '*Jessica waves.*'
+tasks:
+  summarizeChat: They met again at the cafe.
+  generateReplySuggestions: ['Ask about her ring', 'Order a coffee']
+  analyzeScene:
+    answers: ['[BG: cafe]', '[BG: park]']
+`;
+
+const user = (content) => ({ role: 'user', content });
+const bot = (content) => ({ role: 'assistant', content });
+
+test('scriptedReply walks turns, honouring match guards and scene blocks', () => {
+  const script = parseScript(SCRIPT_YAML, 'playtest.yaml');
+  const opts = { toTagPlan: toTagPlanFromJson };
+
+  assert.equal(
+    scriptedReply(script, [user('Hi!')], opts),
+    'Jessica: "You came back!"\n\n[BG: cafe]\n[SPRITE: Jessica/happy]'
+  );
+
+  // "How are you?" doesn't match the phone turn, so it skips ahead to the unguarded one.
+  assert.equal(scriptedReply(script, [user('Hi!'), bot('...'), user('How are you?')], opts), 'Jessica: "See you around."');
+  assert.equal(
+    scriptedReply(script, [user('Hi!'), bot('...'), user('Can I get your number?')], opts),
+    'Jessica: "Here, text me sometime."\n\n[MUSIC: jazz]'
+  );
+  assert.equal(scriptedReply(script, [user('a'), user('b'), user('c'), user('d')], opts), '*Jessica waves.*');
+});
+
+test('scriptedTaskAnswer serves fixed, JSON and ordered answers', () => {
+  const script = parseScript(SCRIPT_YAML, 'playtest.yaml');
+
+  assert.equal(scriptedTaskAnswer(script, 'summarizeChat'), 'They met again at the cafe.');
+  assert.equal(scriptedTaskAnswer(script, 'generateReplySuggestions'), '["Ask about her ring","Order a coffee"]');
+  assert.equal(scriptedTaskAnswer(script, 'analyzeScene'), '[BG: cafe]');
+  assert.equal(scriptedTaskAnswer(script, 'analyzeScene'), '[BG: park]');
+  assert.equal(scriptedTaskAnswer(script, 'analyzeScene'), '[BG: park]');
+  assert.equal(scriptedTaskAnswer(script, 'generateChapterTitle'), null);
+});
+
+test('chunkReply keeps every character across chunks', () => {
+  const text = 'Jessica: "Hi there."\n\n[BG: cafe]';
+  assert.equal(chunkReply(text).join(''), text);
+  assert.ok(chunkReply(text).length > 3);
+});
+
+test('scripted provider streams through generateStream and answers sidecar tasks', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aura-script-'));
+  const scriptPath = path.join(dir, 'playtest.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({
+    turns: [{ reply: 'Hello!', scene: '[BG: cafe]' }],
+    tasks: { summarizeChat: 'A greeting.' },
+  }));
+
+  const config = {
+    activeProvider: 'scripted',
+    models: { scripted: scriptPath },
+    providerOptions: { scripted: { delayMs: 0 } },
+  };
+
+  const chunks = [];
+  const text = await aiService.generateStream(config, [user('Hi')], (c) => chunks.push(c));
+  assert.equal(text, 'Hello!\n\n[BG: cafe]');
+  assert.equal(chunks.join(''), text);
+
+  assert.equal(
+    await aiService.generateCompletion(config, [user('Summarize')], { useUtility: true, task: 'summarizeChat' }),
+    'A greeting.'
+  );
+  assert.equal(await aiService.generateCompletion(config, [user('?')], { useUtility: true, task: 'generateChapterTitle' }), null);
+});
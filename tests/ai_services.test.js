@@ -62,3 +62,208 @@ test('parseFirstJsonObject still parses object payloads', () => {
   const parsed = __private.parseFirstJsonObject('debug {"score":88,"status":"Good"} tail');
   assert.deepEqual(parsed, { score: 88, status: 'Good' });
 });
+
+test('buildAnthropicBody hoists system prompt and maps image parts', () => {
+  const body = __private.buildAnthropicBody(
+    [
+      { role: 'system', content: 'You are helpful.' },
+      { role: 'assistant', content: 'Hello there.' },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'describe this' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,Zm9v' } },
+        ],
+      },
+    ],
+    { model: 'claude-test', temperature: 0.3, stream: true }
+  );
+
+  assert.equal(body.system, 'You are helpful.');
+  assert.equal(body.model, 'claude-test');
+  assert.equal(body.stream, true);
+  assert.equal(typeof body.max_tokens, 'number');
+  assert.equal(body.messages[0].role, 'user');
+  assert.equal(body.messages[1].role, 'assistant');
+  assert.equal(body.messages[2].content[1].type, 'image');
+  assert.deepEqual(body.messages[2].content[1].source, { type: 'base64', media_type: 'image/png', data: 'Zm9v' });
+});
+
+test('createAnthropicSSEParser emits text deltas across split chunks', () => {
+  const tokens = [];
+  const events = [];
+  const parser = __private.createAnthropicSSEParser((t) => tokens.push(t), (e) => events.push(e.type));
+
+  parser('event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hel');
+  parser('lo"}}\n\n');
+  parser('data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" world"}}\n');
+  parser('data: {"type":"message_stop"}\n');
+
+  assert.deepEqual(tokens, ['Hello', ' world']);
+  assert.deepEqual(events, ['content_block_delta', 'content_block_delta', 'message_stop']);
+});
+
+test('getProviderChain orders fallbacks and skips providers without credentials', () => {
+  const { getProviderSettings, getProviderChain } = require('../app/main/ipc/ai-provider');
+  const config = {
+    activeProvider: 'openrouter',
+    apiKeys: { openrouter: 'or-key', local: '' },
+    fallbackProviders: ['openai', 'local', 'embedded', 'openrouter'],
+  };
+
+  const chain = getProviderChain(config, getProviderSettings(config), { hasEmbeddedModel: () => false });
+  assert.deepEqual(chain.map((s) => s.provider), ['openrouter', 'local']);
+
+  const withModel = getProviderChain(config, getProviderSettings(config), { hasEmbeddedModel: () => true });
+  assert.deepEqual(withModel.map((s) => s.provider), ['openrouter', 'local', 'embedded']);
+});
+
+test('runWithFailover moves on for 5xx/429 and records the answering provider', async () => {
+  const chain = [{ provider: 'openrouter', model: 'a' }, { provider: 'local', model: 'b' }];
+  const runInfo = {};
+
+  const result = await __private.runWithFailover(chain, async (settings) => {
+    if (settings.provider === 'openrouter') {
+      const err = new Error('Request failed with status code 503');
+      err.response = { status: 503 };
+      throw err;
+    }
+    return `from ${settings.provider}`;
+  }, { runInfo });
+
+  assert.equal(result, 'from local');
+  assert.equal(runInfo.provider, 'local');
+  assert.equal(runInfo.fallbackFrom, 'openrouter');
+  assert.deepEqual(runInfo.failures, [{ provider: 'openrouter', reason: 'HTTP 503' }]);
+});
+
+test('runWithFailover does not fail over on client errors or once streaming started', async () => {
+  const chain = [{ provider: 'openrouter' }, { provider: 'local' }];
+  const badRequest = Object.assign(new Error('bad'), { response: { status: 400 } });
+  const refused = Object.assign(new Error('refused'), { code: 'ECONNREFUSED' });
+
+  await assert.rejects(
+    __private.runWithFailover(chain, async () => { throw badRequest; }),
+    badRequest
+  );
+  await assert.rejects(
+    __private.runWithFailover(chain, async () => { throw refused; }, { canFailover: () => false }),
+    refused
+  );
+  assert.equal(__private.isFailoverError(refused), true);
+});
+
+test('getTaskRoute reads per-task overrides and ignores blank routes', () => {
+  const { getTaskRoute } = require('../app/main/ipc/ai-provider');
+  const config = {
+    taskRouting: {
+      summarizeChat: { provider: 'openai', model: 'gpt-4o', temperature: '0.2', maxTokens: 400 },
+      analyzeScene: { provider: '', model: '', temperature: '', maxTokens: '' },
+    },
+  };
+
+  assert.deepEqual(getTaskRoute(config, 'summarizeChat'), {
+    provider: 'openai',
+    model: 'gpt-4o',
+    temperature: 0.2,
+    maxTokens: 400,
+  });
+  assert.equal(getTaskRoute(config, 'analyzeScene'), null);
+  assert.equal(getTaskRoute(config, 'reviewVisuals'), null);
+});
+
+test('getEmbeddingSettings is configured apart from the chat model', () => {
+  const { getEmbeddingSettings } = require('../app/main/ipc/ai-provider');
+
+  const local = { activeProvider: 'local', models: { local: 'chat-model' } };
+  assert.equal(getEmbeddingSettings(local), null);
+
+  const configured = { ...local, embedding: { model: 'nomic-embed-text' } };
+  assert.equal(getEmbeddingSettings(configured).model, 'nomic-embed-text');
+  assert.equal(getEmbeddingSettings(configured).provider, 'local');
+
+  const openai = { activeProvider: 'openai', apiKeys: { openai: 'sk' }, models: { openai: 'gpt-4o' } };
+  assert.equal(getEmbeddingSettings(openai).model, 'text-embedding-3-small');
+
+  const embedded = { ...openai, embedding: { provider: 'embedded', model: 'embed.gguf' } };
+  assert.deepEqual(
+    [getEmbeddingSettings(embedded).provider, getEmbeddingSettings(embedded).model],
+    ['embedded', 'embed.gguf']
+  );
+});
+
+test('generateEmbedding sends the embedding model, not the chat model, to /embeddings', async () => {
+  const http = require('node:http');
+  const { generateEmbedding } = require('../app/main/ai_services');
+  const bodies = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2] }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = {
+      activeProvider: 'local',
+      models: { local: 'chat-model' },
+      baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` },
+    };
+    assert.equal(await generateEmbedding(config, 'hello'), null);
+    assert.equal(bodies.length, 0);
+
+    const vector = await generateEmbedding({ ...config, embedding: { model: 'nomic-embed-text' } }, 'hello');
+    assert.deepEqual(vector, [0.1, 0.2]);
+    assert.deepEqual(bodies, [{ input: 'hello', model: 'nomic-embed-text' }]);
+  } finally {
+    server.close();
+  }
+});
+
+test('generateJson retries without response_format when the host rejects it', async () => {
+  const http = require('node:http');
+  const { generateJson } = require('../app/main/ai_services');
+  const { SCHEMAS } = require('../app/main/ipc/ai-schemas');
+  const bodies = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      bodies.push(body);
+      if (body.response_format) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'response_format is not supported by this model' } }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: '{"score": 70, "status": "Friendly"}' } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = {
+      activeProvider: 'local',
+      models: { local: 'no-schema-model' },
+      baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` },
+    };
+    const messages = [{ role: 'user', content: 'rate' }];
+
+    const first = await generateJson(config, messages, { schema: SCHEMAS.affinity, task: 'analyzeAffinity' });
+    assert.deepEqual(first.value, { score: 70, status: 'Friendly' });
+    assert.deepEqual(bodies.map((b) => Boolean(b.response_format)), [true, false]);
+
+    // The rejection is remembered for this provider/model.
+    await generateJson(config, messages, { schema: SCHEMAS.affinity, task: 'analyzeAffinity' });
+    assert.deepEqual(bodies.map((b) => Boolean(b.response_format)), [true, false, false]);
+  } finally {
+    server.close();
+  }
+});
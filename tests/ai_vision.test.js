@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const {
+  supportsVision,
+  attachmentsToContent,
+  collectImageUrls,
+  replaceImagesWithCaptions,
+} = require('../app/main/ipc/ai-vision');
+const { generateStream } = require('../app/main/ai_services');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const JPG = 'data:image/jpeg;base64,/9j/4AAQ';
+
+test('supportsVision goes by provider, then model, then the explicit override', () => {
+  assert.equal(supportsVision({ provider: 'gemini', model: 'gemini-1.5-flash' }), true);
+  assert.equal(supportsVision({ provider: 'embedded', model: 'llava.gguf' }), false);
+  assert.equal(supportsVision({ provider: 'openai', model: 'gpt-4o-mini' }), true);
+  assert.equal(supportsVision({ provider: 'openai', model: 'gpt-3.5-turbo' }), false);
+  assert.equal(supportsVision({ provider: 'openrouter', model: 'qwen/qwen2.5-vl-72b-instruct' }), true);
+  assert.equal(supportsVision({ provider: 'ollama', model: 'llama3.1' }), false);
+  assert.equal(supportsVision({ provider: 'local', model: 'my-merge', providerOptions: { vision: true } }), true);
+});
+
+test('attachmentsToContent sends recent images as parts and older ones as notes', () => {
+  const image = (dataUrl, name) => ({ type: 'image', name, mimeType: 'image/png', dataUrl });
+  const messages = [
+    { role: 'user', content: 'old', attachments: [image(PNG, 'map.png')] },
+    { role: 'assistant', content: 'Nice map.', renderReport: 'bg ok' },
+    { role: 'user', content: 'look', attachments: [image(PNG, 'a.png'), image(JPG, 'b.jpg')] },
+    { role: 'user', content: '', attachments: [image(JPG, 'c.jpg'), { type: 'image', dataUrl: 'https://x/y.png' }] },
+  ];
+
+  const out = attachmentsToContent(messages);
+  assert.equal(out[0].content, 'old\n[Image shared earlier: map.png]');
+  assert.deepEqual(out[1], { role: 'assistant', content: 'Nice map.' });
+  assert.deepEqual(out[2].content.map((p) => p.type), ['text', 'image_url', 'image_url']);
+  assert.deepEqual(out[3].content, [{ type: 'image_url', image_url: { url: JPG } }]);
+  assert.deepEqual(collectImageUrls(out), [PNG, JPG, JPG]);
+
+  const captioned = replaceImagesWithCaptions(out, new Map([[PNG, 'A cat on a sofa.']]));
+  assert.deepEqual(captioned[2].content.slice(1), [
+    { type: 'text', text: '[Image: A cat on a sofa.]' },
+    { type: 'text', text: '[Image attached; it could not be described.]' },
+  ]);
+  assert.equal(captioned[0], out[0]);
+});
+
+test('generateStream captions images for a text-only model through the captionImage route', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      bodies.push(body);
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(`data: ${JSON.stringify({ choices: [{ delta: { content: 'What a cute cat!' } }] })}\n\ndata: [DONE]\n\n`);
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: 'A grey cat asleep on a red sofa.' } }] }));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    const config = {
+      activeProvider: 'local',
+      apiKeys: { openai: 'sk-test' },
+      baseUrls: { local: baseUrl, openai: baseUrl },
+      taskRouting: { captionImage: { provider: 'openai', model: 'gpt-4o-mini' } },
+    };
+    const messages = [{
+      role: 'user',
+      content: [{ type: 'text', text: 'Look!' }, { type: 'image_url', image_url: { url: PNG } }],
+    }];
+
+    const text = await generateStream(config, messages, () => {});
+    assert.equal(text, 'What a cute cat!');
+    assert.equal(bodies.length, 2);
+
+    const [caption, chat] = bodies;
+    assert.equal(caption.model, 'gpt-4o-mini');
+    assert.equal(caption.messages[0].content[1].image_url.url, PNG);
+    assert.deepEqual(chat.messages[0].content, [
+      { type: 'text', text: 'Look!' },
+      { type: 'text', text: '[Image: A grey cat asleep on a red sofa.]' },
+    ]);
+
+    // Same picture again: the cached caption is reused.
+    await generateStream(config, messages, () => {});
+    assert.equal(bodies.length, 3);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const { createEngine } = require('../engine');
+const { createCliSession, loadCliConfig } = require('../engine/cli');
+const { createTagFilter, formatSceneLine, parseSceneTags, stripSceneTags } = require('../engine/scene-tags');
+
+test('scene tags become one compact line and never reach the story text', () => {
+  const reply = '[SCENE][BG: "backgrounds/cafe.png"][SPRITE: characters/jessica/happy.png][HIDE: Danny][/SCENE]Jessica: "Hi!" [MUSIC: x]';
+  assert.equal(formatSceneLine(parseSceneTags(reply)), '[scene: bg=cafe, +Jessica(happy), -Danny]');
+  assert.equal(stripSceneTags(reply), 'Jessica: "Hi!"');
+
+  let streamed = '';
+  const filter = createTagFilter((text) => { streamed += text; });
+  for (const chunk of ['[SCE', 'NE][BG: cafe][/SC', 'ENE]She [smiles', '] and waves [SFX: door]', '.']) filter.push(chunk);
+  filter.flush();
+  assert.equal(streamed, 'She [smiles] and waves .');
+});
+
+test('command-line flags override the saved provider', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-config-'));
+  try {
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ activeProvider: 'openai', apiKeysEncrypted: { openai: 'enc:xyz' } }));
+    const config = loadCliConfig(configPath, { replay: 'session.json' });
+    assert.equal(config.activeProvider, 'replay');
+    assert.equal(config.replay.cassette, path.resolve('session.json'));
+    assert.deepEqual(config.apiKeys, {});
+
+    const local = loadCliConfig(configPath, { provider: 'local', 'base-url': 'http://127.0.0.1:1234/v1', model: 'qwen' });
+    assert.equal(local.baseUrls.local, 'http://127.0.0.1:1234/v1');
+    assert.equal(local.models.local, 'qwen');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a terminal session plays, swipes, and saves in the app format', async () => {
+  let replies = 0;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      replies++;
+      const text = `[SCENE][BG: cafe][SPRITE: Jessica/happy][/SCENE]Jessica: "Take ${replies}."`;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\ndata: [DONE]\n\n`);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-session-'));
+  const userDataPath = path.join(root, 'user');
+  const botFilesPath = path.join(root, 'bot');
+  fs.mkdirSync(path.join(botFilesPath, 'characters', 'Jessica'), { recursive: true });
+  fs.writeFileSync(path.join(botFilesPath, 'characters', 'Jessica', 'personality.txt'), 'Cheerful barista.');
+  fs.writeFileSync(path.join(botFilesPath, 'initial.txt'), 'Welcome, {{user}}.');
+
+  let engine = null;
+  try {
+    engine = createEngine({
+      paths: { userDataPath, botFilesPath },
+      config: { activeProvider: 'local', baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` } },
+    });
+    let out = '';
+    const session = createCliSession({ engine, write: (text) => { out += text; } });
+
+    session.start();
+    assert.match(out, /^Welcome, Jim\.\n/);
+
+    await session.handleLine('Hello Jessica');
+    assert.match(out, /Jessica: "Take 1\."\n\[scene: bg=cafe, \+Jessica\(happy\)\]\n/);
+    assert.equal(session.getScene().onStage.get('jessica'), 'happy');
+
+    await session.handleLine('/swipe');
+    const last = session.getMessages().at(-1);
+    assert.equal(last.swipes.length, 2);
+    assert.equal(last.swipeId, 1);
+    assert.match(last.content, /Take 2/);
+
+    await session.handleLine('/save Cafe');
+    await session.handleLine('/swipe 1');
+    assert.match(session.getMessages().at(-1).content, /Take 1/);
+
+    await session.handleLine('/load Cafe');
+    assert.equal(session.getMessages().length, 3);
+    assert.match(session.getMessages().at(-1).content, /Take 2/);
+
+    await session.handleLine('/lore add cafe, coffee: Jessica works at the cafe.');
+    assert.deepEqual(engine.lore.load(), [{ keywords: ['cafe', 'coffee'], scenario: 'Jessica works at the cafe.' }]);
+    assert.equal(await session.handleLine('/quit'), false);
+  } finally {
+    engine?.dispose();
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
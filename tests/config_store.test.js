@@ -70,3 +70,32 @@ test('config store can load legacy plaintext apiKeys', () => {
   assert.equal(loaded.apiKeys.local, 'plaintext-key');
   assert.equal(loaded.activeProvider, 'local');
 });
+
+test('config store encrypts the LAN pairing token and keeps it out of public config', () => {
+  const memory = makeMemoryStore({ lanServer: { enabled: true, port: 8765, token: 'legacy-token' } });
+  const safeStorage = {
+    isEncryptionAvailable: () => true,
+    encryptString: (s) => Buffer.from(`enc:${s}`, 'utf8'),
+    decryptString: (buf) => buf.toString('utf8').replace(/^enc:/, ''),
+  };
+  const store = createConfigStore({
+    configPath: 'fake.json',
+    readJsonSafe: () => structuredClone(memory.get()),
+    writeJsonSafe: memory.writeJsonSafe,
+    clone: (x) => structuredClone(x),
+    safeStorage,
+  });
+
+  const legacy = store.load();
+  assert.equal(legacy.lanServer.token, 'legacy-token');
+
+  store.save({ ...legacy, lanServer: { ...legacy.lanServer, token: 'fresh-token' } });
+  const written = memory.get();
+  assert.equal(written.lanServer.token, undefined);
+  assert.match(written.lanServer.tokenEncrypted, /^enc:/);
+  assert.doesNotMatch(JSON.stringify(written), /fresh-token/);
+
+  const loaded = store.load();
+  assert.deepEqual(loaded.lanServer, { enabled: true, port: 8765, token: 'fresh-token' });
+  assert.deepEqual(store.toPublic(loaded).lanServer, { enabled: true, port: 8765 });
+});
@@ -42,3 +42,14 @@ test('applyContextWindow drops older history when context is tight', () => {
   assert.ok(nonSystem.length < 20);
   assert.ok(nonSystem.length > 0);
 });
+
+test('applyContextWindow budgets with an injected token counter', () => {
+  const msgs = [{ role: 'system', content: 'sys' }];
+  for (let i = 0; i < 10; i++) msgs.push({ role: 'user', content: `message ${i}` });
+
+  // One "token" per character: 1030 - 1000 reserve - 3 for "sys" leaves 27, i.e. three 9-char turns.
+  const out = applyContextWindow(msgs, { maxContext: 1030, systemSuffix: '', countTokens: (s) => s.length });
+  const kept = out.filter((m) => m.role !== 'system').map((m) => m.content);
+
+  assert.deepEqual(kept, ['message 7', 'message 8', 'message 9']);
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const defaultAiService = require('../app/main/ai_services');
+const { createEngine: createEngineUnderTest } = require('../engine');
+
+// One engine per aiService at a time; hand it back after every test.
+const engines = [];
+function createEngine(options) {
+  const engine = createEngineUnderTest(options);
+  engines.push(engine);
+  return engine;
+}
+test.afterEach(() => {
+  while (engines.length) engines.pop().dispose();
+});
+
+function makeDirs() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-test-'));
+  const userDataPath = path.join(root, 'user');
+  const botFilesPath = path.join(root, 'bot');
+  fs.mkdirSync(path.join(userDataPath, 'chats'), { recursive: true });
+  fs.mkdirSync(path.join(botFilesPath, 'characters', 'Jessica'), { recursive: true });
+  return { root, userDataPath, botFilesPath };
+}
+
+test('sendChat drives a full turn without Electron', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      const chunks = [{ choices: [{ delta: { content: 'Jessica: "Hi!"' } }] }, { choices: [{ delta: {}, finish_reason: 'stop' }] }];
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(chunks.map((c) => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const dirs = makeDirs();
+
+  try {
+    const engine = createEngine({
+      paths: dirs,
+      config: { activeProvider: 'local', baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` } },
+    });
+    const streamed = [];
+    const result = await engine.sendChat([
+      { role: 'system', content: 'You are the narrator.' },
+      { role: 'user', content: 'Hello' },
+    ], { activeCharacters: ['Jessica'], inventory: ['key'] }, { onChunk: (c) => streamed.push(c) });
+
+    assert.equal(result.ok, true);
+    assert.equal(result.data, 'Jessica: "Hi!"');
+    assert.equal(result.meta.finishReason, 'stop');
+    assert.equal(streamed.join(''), 'Jessica: "Hi!"');
+
+    const sent = bodies[0].messages;
+    assert.match(sent[0].content, /^You are the narrator\./);
+    assert.match(sent.at(-1).content, /\[CONTEXT FOR THIS TURN\][\s\S]*key[\s\S]*Hello$/);
+    assert.equal(fs.existsSync(path.join(dirs.userDataPath, 'config.json')), false);
+  } finally {
+    server.close();
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('sendChat refuses to continue without an assistant reply', async () => {
+  const dirs = makeDirs();
+  try {
+    const engine = createEngine({ paths: dirs, config: { activeProvider: 'local' } });
+    const result = await engine.sendChat([{ role: 'user', content: 'Hi' }], { continue: true });
+    assert.equal(result.ok, false);
+    assert.equal(result.error.code, 'INVALID_CONTINUE');
+  } finally {
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('continuing a reply prefills the partial text without its render report', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      const chunks = [{ choices: [{ delta: { content: 'lo!"' } }] }, { choices: [{ delta: {}, finish_reason: 'stop' }] }];
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(chunks.map((c) => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const dirs = makeDirs();
+
+  try {
+    const engine = createEngine({
+      paths: dirs,
+      config: {
+        activeProvider: 'local',
+        baseUrls: { local: `http://127.0.0.1:${server.address().port}/v1` },
+        providerOptions: { local: { assistantPrefill: true } },
+      },
+    });
+    const result = await engine.sendChat([
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', content: 'Jessica: "Hel', renderReport: 'bg=park' },
+    ], { continue: true });
+
+    assert.equal(result.ok, true);
+    assert.equal(bodies[0].messages.at(-1).role, 'assistant');
+    assert.equal(bodies[0].messages.at(-1).content, 'Jessica: "Hel');
+  } finally {
+    server.close();
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('scene tools mode keeps the tag instructions when a fallback cannot take tools', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi.' }, finish_reason: 'stop' }] })}\n\ndata: [DONE]\n\n`);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const dirs = makeDirs();
+
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    const config = {
+      activeProvider: 'openai',
+      apiKeys: { openai: 'sk-test' },
+      baseUrls: { openai: baseUrl, local: baseUrl },
+      sceneDirectives: 'tools',
+    };
+    const turn = [{ role: 'system', content: 'sys' }, { role: 'user', content: 'Hello' }];
+
+    const toolsOnly = createEngine({ paths: dirs, config });
+    await toolsOnly.sendChat(turn);
+    assert.equal(bodies[0].tools.length > 0, true);
+    assert.doesNotMatch(bodies[0].messages[0].content, /\[BG:/);
+    toolsOnly.dispose();
+
+    await createEngine({ paths: dirs, config: { ...config, fallbackProviders: ['local'] } }).sendChat(turn);
+    assert.equal(bodies[1].tools, undefined);
+    assert.match(bodies[1].messages[0].content, /\[BG:/);
+  } finally {
+    server.close();
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('saves restore the character state and lorebook they were made with', () => {
+  const dirs = makeDirs();
+  try {
+    const engine = createEngine({ paths: dirs, config: {} });
+    const { characterStatePath } = engine.paths;
+    fs.writeFileSync(characterStatePath, JSON.stringify({ Jessica: { Mood: 'happy' } }));
+    engine.lore.save([{ keywords: ['park'], scenario: 'They met at the park.' }]);
+
+    assert.equal(engine.saves.save('Day 1', [{ role: 'user', content: 'Hi' }]).ok, true);
+    assert.deepEqual(engine.saves.list().data, ['day_1']);
+
+    fs.writeFileSync(characterStatePath, JSON.stringify({ Jessica: { Mood: 'angry' } }));
+    engine.lore.save([]);
+
+    const loaded = engine.saves.load('Day 1');
+    assert.deepEqual(loaded.data, [{ role: 'user', content: 'Hi' }]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(characterStatePath, 'utf8')), { Jessica: { Mood: 'happy' } });
+    assert.equal(engine.lore.load().length, 1);
+  } finally {
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('phone threads and state evolution are plain calls', async () => {
+  const dirs = makeDirs();
+  try {
+    const engine = createEngine({ paths: dirs, config: {} });
+    engine.phone.setContactKnown('Jessica', true);
+    const created = engine.phone.createThread({ title: 'Plans', participants: ['You', 'Jessica'] });
+    assert.equal(created.ok, true);
+    assert.deepEqual(engine.phone.listThreads().data.map((t) => t.title), ['Plans']);
+
+    const evolved = await engine.evolveCharacterState([], []);
+    assert.equal(evolved.ok, true);
+    assert.equal(evolved.data, null);
+  } finally {
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('a second engine over the same aiService waits for the first to be disposed', () => {
+  const dirs = makeDirs();
+  try {
+    const first = createEngine({ paths: dirs, config: {} });
+    assert.throws(() => createEngine({ paths: dirs, config: {} }), /dispose\(\)/);
+
+    first.dispose();
+    first.dispose();
+    const second = createEngine({ paths: dirs, config: {} });
+    assert.equal(typeof second.sendChat, 'function');
+  } finally {
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('scripted match guards see what the user typed, not the lore attached to it', async () => {
+  const dirs = makeDirs();
+  const scriptPath = path.join(dirs.botFilesPath, 'playtest.json');
+  fs.writeFileSync(scriptPath, JSON.stringify({
+    turns: [{ match: 'phone', reply: 'Phone turn.' }, { reply: 'Greeting turn.' }],
+  }));
+  try {
+    const engine = createEngine({
+      paths: dirs,
+      config: { activeProvider: 'scripted', models: { scripted: scriptPath }, providerOptions: { scripted: { delayMs: 0 } } },
+    });
+    engine.lore.save([{ keywords: ['hello'], scenario: 'Jessica lost her phone yesterday.' }]);
+
+    // The lore entry puts "phone" into the turn context in front of "Hello".
+    const result = await engine.sendChat([{ role: 'system', content: 'sys' }, { role: 'user', content: 'Hello' }]);
+    assert.equal(result.ok, true);
+    assert.equal(result.data, 'Greeting turn.');
+  } finally {
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
+
+test('a tokenizer that fails to load comes back as a failed turn, not a rejection', async () => {
+  const dirs = makeDirs();
+  try {
+    const aiService = {
+      ...defaultAiService,
+      getTokenCounter: async () => { throw new Error('gpt-tokenizer encoding missing'); },
+    };
+    const engine = createEngine({ paths: dirs, config: { activeProvider: 'local' }, aiService });
+    const result = await engine.sendChat([{ role: 'user', content: 'Hi' }]);
+    assert.equal(result.ok, false);
+    assert.equal(result.error.code, 'AI_STREAM_ERROR');
+    assert.match(result.error.message, /encoding missing/);
+  } finally {
+    fs.rmSync(dirs.root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { WebSocket } = require('ws');
+const { createLanServer, LAN_CHANNELS } = require('../app/main/ipc/lan-server');
+const { registerLanHandlers } = require('../app/main/ipc/handlers-lan');
+const trace = require('../app/main/ipc/trace');
+
+const TOKEN = 'pairing-token-for-tests';
+
+function makeAppRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'lan-server-'));
+  fs.mkdirSync(path.join(root, 'app', 'renderer'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'bot', 'files', 'backgrounds'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'index.html'), '<html><head><title>x</title></head><body></body></html>');
+  fs.writeFileSync(path.join(root, 'app', 'renderer', 'ui.js'), 'console.log("ui");');
+  fs.writeFileSync(path.join(root, 'bot', 'files', 'backgrounds', 'cafe.png'), 'png-bytes');
+  fs.writeFileSync(path.join(root, 'secret.txt'), 'do not serve');
+  return root;
+}
+
+async function startServer(channels) {
+  const root = makeAppRoot();
+  const server = createLanServer({
+    channels,
+    appRoot: root,
+    botImagesPath: path.join(root, 'bot', 'files'),
+    token: TOKEN,
+    port: 0,
+    host: '127.0.0.1',
+  });
+  const { port } = await server.start();
+  return { server, base: `http://127.0.0.1:${port}` };
+}
+
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+function invoke(base, channel, args, headers = {}) {
+  return fetch(`${base}/api/invoke/${channel}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...auth, ...headers },
+    body: JSON.stringify({ args }),
+  });
+}
+
+test('LAN server rejects requests without the pairing token', async (t) => {
+  const { server, base } = await startServer(new Map());
+  t.after(() => server.stop());
+
+  assert.equal((await fetch(`${base}/`)).status, 401);
+  assert.equal((await fetch(`${base}/?token=wrong`)).status, 401);
+  assert.equal((await fetch(`${base}/`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+});
+
+test('pairing link sets a cookie that authorizes later requests', async (t) => {
+  const { server, base } = await startServer(new Map());
+  t.after(() => server.stop());
+
+  const res = await fetch(`${base}/?token=${TOKEN}`, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/');
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  assert.match(res.headers.get('set-cookie'), /HttpOnly/);
+
+  const page = await fetch(`${base}/`, { headers: { Cookie: cookie } });
+  assert.equal(page.status, 200);
+  const html = await page.text();
+  assert.match(html, /<script src="app\/renderer\/web-api.js"><\/script>\s*<\/head>/);
+});
+
+test('invoke calls the registered handler and returns its result', async (t) => {
+  const calls = [];
+  const channels = new Map([
+    ['get-config', (event, ...args) => {
+      calls.push({ sender: event.sender.id, args });
+      return { ok: true, data: { activeProvider: 'openai' }, meta: { correlationId: 'c1' } };
+    }],
+    ['save-temperature', () => undefined],
+    ['toggle-dev-tools', () => assert.fail('desktop-only channel was called')],
+    ['save-api-key', () => assert.fail('key channel was called')],
+  ]);
+  const { server, base } = await startServer(channels);
+  t.after(() => server.stop());
+
+  const res = await invoke(base, 'get-config', [1, 'two'], { 'X-Client-Id': 'tablet' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    result: { ok: true, data: { activeProvider: 'openai' }, meta: { correlationId: 'c1' } },
+  });
+  assert.deepEqual(calls, [{ sender: 'lan:tablet', args: [1, 'two'] }]);
+
+  assert.deepEqual(await (await invoke(base, 'save-temperature', [0.5])).json(), { result: null });
+  assert.equal((await invoke(base, 'toggle-dev-tools', [])).status, 404);
+  assert.equal((await invoke(base, 'save-api-key', ['openai', 'sk-evil'])).status, 404);
+  assert.equal((await invoke(base, 'no-such-channel', [])).status, 404);
+});
+
+test('bot resources and renderer files stay inside their roots', async (t) => {
+  const { server, base } = await startServer(new Map());
+  t.after(() => server.stop());
+
+  const img = await fetch(`${base}/bot-resource/backgrounds/cafe.png`, { headers: auth });
+  assert.equal(img.status, 200);
+  assert.equal(img.headers.get('content-type'), 'image/png');
+  assert.equal(await img.text(), 'png-bytes');
+
+  // Extension fallback, like the bot-resource:// protocol.
+  assert.equal((await fetch(`${base}/bot-resource/backgrounds/cafe`, { headers: auth })).status, 200);
+
+  assert.equal((await fetch(`${base}/app/renderer/ui.js`, { headers: auth })).status, 200);
+  assert.equal((await fetch(`${base}/bot-resource/..%2F..%2Fsecret.txt`, { headers: auth })).status, 404);
+  assert.equal((await fetch(`${base}/app/renderer/..%2F..%2Fsecret.txt`, { headers: auth })).status, 404);
+  assert.equal((await fetch(`${base}/secret.txt`, { headers: auth })).status, 404);
+});
+
+test('events sent to a LAN sender reach that client over the WebSocket', async (t) => {
+  const channels = new Map([
+    ['send-chat', (event) => {
+      event.sender.send('chat-reply-chunk', 'Hel');
+      event.sender.send('chat-reply-chunk', 'lo');
+      return 'Hello';
+    }],
+  ]);
+  const { server, base } = await startServer(channels);
+  t.after(() => server.stop());
+
+  const wsUrl = `${base.replace('http', 'ws')}/ws?client=tablet`;
+  const ws = new WebSocket(wsUrl, { headers: auth });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  const received = [];
+  ws.on('message', (data) => received.push(JSON.parse(String(data))));
+
+  const res = await invoke(base, 'send-chat', [[]], { 'X-Client-Id': 'tablet' });
+  assert.deepEqual(await res.json(), { result: 'Hello' });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  ws.close();
+
+  assert.deepEqual(received, [
+    { channel: 'chat-reply-chunk', payload: 'Hel' },
+    { channel: 'chat-reply-chunk', payload: 'lo' },
+  ]);
+
+  const outcome = (socket) => new Promise((resolve) => {
+    socket.once('open', () => resolve('open'));
+    socket.once('unexpected-response', (_req, res) => resolve(res.statusCode));
+    socket.once('error', () => resolve('error'));
+  });
+  assert.equal(await outcome(new WebSocket(wsUrl)), 401);
+
+  // The cookie also rides along from other pages open in the paired browser.
+  const sameOrigin = new WebSocket(wsUrl, { headers: auth, origin: base });
+  assert.equal(await outcome(sameOrigin), 'open');
+  sameOrigin.close();
+  assert.equal(await outcome(new WebSocket(wsUrl, { headers: auth, origin: 'http://evil.example' })), 403);
+});
+
+test('LAN clients cannot point list-models at another host', async (t) => {
+  const calls = [];
+  const channels = new Map([['list-models', (_event, ...args) => { calls.push(args); return []; }]]);
+  const { server, base } = await startServer(channels);
+  t.after(() => server.stop());
+
+  await invoke(base, 'list-models', ['openai', { baseUrl: 'http://169.254.169.254/', refresh: true }]);
+  assert.deepEqual(calls, [['openai', { refresh: true }]]);
+});
+
+test('lan handlers start the server only when enabled and keep the token out of public results', async () => {
+  const handlers = new Map();
+  let config = {};
+  const started = [];
+  const lan = registerLanHandlers({
+    ipcMain: { handle: (name, fn) => handlers.set(name, fn) },
+    loadConfig: () => structuredClone(config),
+    saveConfig: (next) => {
+      config = structuredClone(next);
+      return true;
+    },
+    createServer: ({ token, port }) => ({
+      start: async () => {
+        started.push({ token, port });
+        return { port, urls: [`http://192.168.1.5:${port}/`] };
+      },
+      stop: async () => {},
+      setToken: () => {},
+    }),
+    trace,
+  });
+  await lan.ready;
+  assert.equal(started.length, 0);
+
+  const off = await handlers.get('get-lan-server')();
+  assert.deepEqual(off.data, { enabled: false, port: 8765, running: false, error: null, pairingUrls: [] });
+
+  const bad = await handlers.get('save-lan-server')(null, true, 'abc');
+  assert.equal(bad.ok, false);
+  assert.equal(bad.error.code, 'INVALID_PORT');
+
+  const on = await handlers.get('save-lan-server')(null, true, 9000);
+  assert.equal(on.ok, true);
+  assert.equal(started.length, 1);
+  assert.equal(started[0].port, 9000);
+  assert.match(started[0].token, /^[0-9a-f]{32}$/);
+  assert.deepEqual(on.data.pairingUrls, [`http://192.168.1.5:9000/?token=${started[0].token}`]);
+  assert.equal(config.lanServer.token, started[0].token);
+
+  const reset = await handlers.get('reset-lan-token')();
+  assert.notEqual(config.lanServer.token, started[0].token);
+  assert.deepEqual(reset.data.pairingUrls, [`http://192.168.1.5:9000/?token=${config.lanServer.token}`]);
+
+  await lan.stop();
+});
+
+test('web client api matches the preload api apart from desktop-only methods', () => {
+  const methodNames = (file) => {
+    const src = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    return Array.from(src.matchAll(/^\s+(\w+): (?:async )?\(/gm), (m) => m[1]).sort();
+  };
+  const desktopOnly = ['getLanServer', 'saveLanServer', 'resetLanToken'];
+
+  const preload = methodNames('app/main/preload.js').filter((name) => !desktopOnly.includes(name));
+  assert.ok(preload.length > 50);
+  assert.deepEqual(methodNames('app/renderer/web-api.js'), preload);
+});
+
+test('the LAN allowlist is exactly the channels the web client calls', () => {
+  const src = fs.readFileSync(path.join(__dirname, '..', 'app/renderer/web-api.js'), 'utf8');
+  const used = new Set(Array.from(src.matchAll(/invoke(?:Safe|WithMeta)\('([a-z-]+)'/g), (m) => m[1]));
+
+  assert.deepEqual([...LAN_CHANNELS].sort(), [...used].sort());
+  for (const channel of ['save-api-key', 'delete-api-key', 'save-pollinations-key', 'toggle-dev-tools', 'save-lan-server']) {
+    assert.equal(LAN_CHANNELS.has(channel), false, channel);
+  }
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoreIndex, hashText } = require('../app/main/ipc/lore-index');
+
+function memoryStore(initial = {}) {
+  const files = { ...initial };
+  return {
+    files,
+    readJsonSafe: (p, fallback) => (p in files ? structuredClone(files[p]) : fallback),
+    writeJsonSafe: (p, data) => { files[p] = structuredClone(data); },
+  };
+}
+
+const LORE = [
+  { entry: 'The castle sits on a cliff.', keywords: ['castle'] },
+  { scenario: 'Dragons fear silver.' },
+  { keywords: ['empty'] },
+];
+
+const GEMINI = { provider: 'gemini', model: 'text-embedding-004' };
+const OPENAI = { provider: 'openai', model: 'text-embedding-3-small' };
+
+test('sync embeds each entry once per model and reports progress', async () => {
+  const store = memoryStore();
+  const index = createLoreIndex({ indexPath: 'idx.json', ...store });
+  const calls = [];
+  const progress = [];
+  const embed = async (text) => { calls.push(text); return [1, 0, 0]; };
+
+  const first = await index.sync(LORE, GEMINI, embed, { onProgress: (p) => progress.push(p) });
+  assert.deepEqual(first, { embedded: 2, failed: 0, evicted: 0, total: 2 });
+  assert.deepEqual(progress, [{ done: 1, total: 2 }, { done: 2, total: 2 }]);
+
+  const again = await index.sync(LORE, GEMINI, embed);
+  assert.equal(again.total, 0);
+  assert.equal(calls.length, 2);
+
+  const saved = store.files['idx.json'];
+  assert.equal(saved.version, 2);
+  const record = saved.entries[`gemini|text-embedding-004|${hashText('Dragons fear silver.')}`];
+  assert.equal(record.dim, 3);
+});
+
+test('search never mixes vectors from different models or dimensions', async () => {
+  const store = memoryStore();
+  const index = createLoreIndex({ indexPath: 'idx.json', ...store });
+
+  await index.sync(LORE, GEMINI, async (text) => (text.includes('castle') ? [1, 0, 0] : [0, 1, 0]));
+  assert.deepEqual(index.search(LORE, GEMINI, [1, 0, 0]).map((c) => c.text), ['The castle sits on a cliff.']);
+
+  // Switching models: nothing is indexed for OpenAI yet, so nothing matches.
+  assert.deepEqual(index.search(LORE, OPENAI, [1, 0, 0, 0]), []);
+
+  await index.sync(LORE, OPENAI, async () => [0, 0, 0, 1]);
+  assert.deepEqual(index.search(LORE, OPENAI, [0, 0, 0, 1]).length, 2);
+  assert.equal(index.size(), 4);
+});
+
+test('sync evicts deleted lore and discards the legacy text-keyed cache', async () => {
+  const store = memoryStore({ 'idx.json': { 'The castle sits on a cliff.': [1, 2, 3] } });
+  const index = createLoreIndex({ indexPath: 'idx.json', ...store });
+  assert.equal(index.size(), 0);
+
+  await index.sync(LORE, GEMINI, async () => [1, 1]);
+  const result = await index.sync(LORE.slice(1), GEMINI, async () => [1, 1]);
+  assert.deepEqual(result, { embedded: 0, failed: 0, evicted: 1, total: 0 });
+  assert.equal(Object.keys(store.files['idx.json'].entries).length, 1);
+});
+
+test('forced sync re-embeds only the current model', async () => {
+  const store = memoryStore();
+  const index = createLoreIndex({ indexPath: 'idx.json', ...store });
+  await index.sync(LORE, GEMINI, async () => [1, 0]);
+  await index.sync(LORE, OPENAI, async () => [0, 1]);
+
+  const result = await index.sync(LORE, GEMINI, async () => null, { force: true });
+  assert.deepEqual(result, { embedded: 0, failed: 2, evicted: 0, total: 2 });
+  assert.equal(index.size(), 2);
+});
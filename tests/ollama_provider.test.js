@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const aiService = require('../app/main/ai_services');
+
+const { createOllamaNDJSONParser, buildOllamaChatBody } = aiService.__private;
+
+/**
+ * Minimal Ollama stand-in: /api/tags lists one model, /api/chat streams NDJSON
+ * in awkward chunk boundaries so the parser has to carry partial lines.
+ */
+function startOllamaStandIn() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: raw ? JSON.parse(raw) : null });
+
+      if (req.url === '/api/tags') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          models: [{
+            name: 'llama3.1:latest',
+            size: 4920753328,
+            modified_at: '2024-08-01T00:00:00Z',
+            details: { family: 'llama', parameter_size: '8.0B', quantization_level: 'Q4_K_M' },
+          }],
+        }));
+        return;
+      }
+
+      if (req.url === '/api/chat') {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        const lines = [
+          { message: { role: 'assistant', content: 'Hel' }, done: false },
+          { message: { role: 'assistant', content: 'lo' }, done: false },
+          { message: { role: 'assistant', content: '!' }, done: true, done_reason: 'stop' },
+        ].map((l) => JSON.stringify(l)).join('\n');
+
+        // Split mid-object and omit the trailing newline on the final line.
+        res.write(lines.slice(0, 20));
+        setTimeout(() => {
+          res.write(lines.slice(20, 70));
+          setTimeout(() => res.end(lines.slice(70)), 5);
+        }, 5);
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+function ollamaConfig(baseUrl, extra = {}) {
+  return {
+    activeProvider: 'ollama',
+    apiKeys: { ollama: '' },
+    models: { ollama: 'llama3.1' },
+    baseUrls: { ollama: baseUrl },
+    ...extra,
+  };
+}
+
+test('createOllamaNDJSONParser emits tokens across split lines', () => {
+  const tokens = [];
+  const events = [];
+  const feed = createOllamaNDJSONParser((t) => tokens.push(t), (e) => events.push(e));
+
+  feed('{"message":{"content":"A"}}\n{"message":{"con');
+  feed('tent":"B"}}\n');
+  feed('{"done":true}');
+  assert.deepEqual(tokens, ['A', 'B']);
+
+  feed('\n');
+  assert.equal(events.length, 3);
+  assert.equal(events[2].done, true);
+});
+
+test('buildOllamaChatBody maps provider options and inline images', () => {
+  const body = buildOllamaChatBody(
+    [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'what is this' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,Zm9v' } },
+      ],
+    }],
+    {
+      model: 'llava',
+      maxTokens: 64,
+      temperature: 0.3,
+      stream: true,
+      providerOptions: { num_ctx: 8192, repeat_penalty: 1.1, keep_alive: '10m' },
+    }
+  );
+
+  assert.equal(body.model, 'llava');
+  assert.equal(body.stream, true);
+  assert.equal(body.keep_alive, '10m');
+  assert.deepEqual(body.options, { temperature: 0.3, num_predict: 64, num_ctx: 8192, repeat_penalty: 1.1 });
+  assert.equal(body.messages[0].content, 'what is this');
+  assert.deepEqual(body.messages[0].images, ['Zm9v']);
+});
+
+test('generateStream talks to /api/chat and streams NDJSON tokens', async () => {
+  const { server, requests, baseUrl } = await startOllamaStandIn();
+
+  try {
+    const chunks = [];
+    const config = ollamaConfig(`${baseUrl}/v1`, { providerOptions: { ollama: { num_ctx: 4096 } } });
+    const text = await aiService.generateStream(
+      config,
+      [{ role: 'user', content: 'Hi' }],
+      (chunk) => chunks.push(chunk),
+      { temperature: 0.4 }
+    );
+
+    assert.equal(text, 'Hello!');
+    assert.deepEqual(chunks, ['Hel', 'lo', '!']);
+
+    const chat = requests.find((r) => r.url === '/api/chat');
+    assert.equal(chat.body.model, 'llama3.1');
+    assert.equal(chat.body.stream, true);
+    assert.equal(chat.body.options.num_ctx, 4096);
+  } finally {
+    server.close();
+  }
+});
+
+test('listOllamaModels reads installed models from /api/tags', async () => {
+  const { server, baseUrl } = await startOllamaStandIn();
+
+  try {
+    const models = await aiService.listOllamaModels(ollamaConfig(baseUrl));
+    assert.equal(models.length, 1);
+    assert.equal(models[0].id, 'llama3.1:latest');
+    assert.equal(models[0].parameterSize, '8.0B');
+    assert.equal(models[0].quantization, 'Q4_K_M');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { usesCacheControl, withCacheControl, createGeminiContextCache } = require('../app/main/ipc/prompt-cache');
+const { applyContextWindow } = require('../app/main/ipc/context-window');
+const { buildAnthropicBody, buildGeminiBody } = require('../app/main/ipc/ai-provider');
+const { extractUsage } = require('../app/main/ipc/ai-parsers');
+const { generateStream } = require('../app/main/ai_services');
+
+const LONG_PROMPT = 'You are Jessica. '.repeat(400);
+
+test('per-turn context rides on the latest user message and leaves the system prompt stable', () => {
+  const turn = (context) => applyContextWindow(
+    [
+      { role: 'system', content: 'base' },
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: 'hello' },
+      { role: 'user', content: 'look at this' },
+    ],
+    { maxContext: 4096, systemSuffix: '\n[rules]', turnContext: context }
+  );
+
+  const a = turn('[CURRENT SCENE STATE]\nLocation: cafe');
+  const b = turn('[CURRENT SCENE STATE]\nLocation: park');
+  assert.equal(a[0].content, 'base\n[rules]');
+  assert.equal(a[0].content, b[0].content);
+  assert.deepEqual(a[1], { role: 'user', content: 'hi' });
+  assert.equal(a[3].content, '[CONTEXT FOR THIS TURN]\n[CURRENT SCENE STATE]\nLocation: cafe\n[/CONTEXT]\n\nlook at this');
+
+  const image = applyContextWindow(
+    [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,x' } }] }],
+    { maxContext: 4096, systemSuffix: 'rules', turnContext: 'ctx' }
+  );
+  assert.deepEqual(image[1].content[0], { type: 'text', text: '[CONTEXT FOR THIS TURN]\nctx\n[/CONTEXT]' });
+
+  const noUser = applyContextWindow([{ role: 'assistant', content: 'Welcome.' }], {
+    maxContext: 4096,
+    systemSuffix: 'rules',
+    turnContext: 'ctx',
+  });
+  assert.equal(noUser[0].content, 'rules\n\n[CONTEXT FOR THIS TURN]\nctx\n[/CONTEXT]');
+});
+
+test('cache breakpoints for Anthropic and OpenRouter, cachedContent for Gemini', () => {
+  assert.equal(usesCacheControl({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' }), true);
+  assert.equal(usesCacheControl({ provider: 'openrouter', model: 'anthropic/claude-3.5-sonnet' }), true);
+  assert.equal(usesCacheControl({ provider: 'openrouter', model: 'meta-llama/llama-3.1-70b-instruct' }), false);
+  assert.equal(usesCacheControl({ provider: 'anthropic', providerOptions: { promptCache: false } }), false);
+
+  const messages = [{ role: 'system', content: 'Stay in character.' }, { role: 'user', content: 'Hi' }];
+  assert.deepEqual(withCacheControl(messages)[0].content, [
+    { type: 'text', text: 'Stay in character.', cache_control: { type: 'ephemeral' } },
+  ]);
+  assert.equal(messages[0].content, 'Stay in character.');
+
+  const anthropic = buildAnthropicBody(messages, { model: 'm', cacheSystem: true });
+  assert.deepEqual(anthropic.system, [{ type: 'text', text: 'Stay in character.', cache_control: { type: 'ephemeral' } }]);
+  assert.equal(buildAnthropicBody(messages, { model: 'm' }).system, 'Stay in character.');
+
+  const gemini = buildGeminiBody(messages, { cachedContent: 'cachedContents/abc' });
+  assert.equal(gemini.cachedContent, 'cachedContents/abc');
+  assert.equal(gemini.systemInstruction, undefined);
+});
+
+test('extractUsage reports cached prompt tokens', () => {
+  assert.deepEqual(
+    extractUsage('openai', { usage: { prompt_tokens: 900, completion_tokens: 20, prompt_tokens_details: { cached_tokens: 768 } } }),
+    { promptTokens: 900, completionTokens: 20, cachedTokens: 768 }
+  );
+  assert.deepEqual(
+    extractUsage('anthropic', { type: 'message_start', message: { usage: { input_tokens: 12, cache_read_input_tokens: 2048, cache_creation_input_tokens: 0 } } }),
+    { promptTokens: 12, cachedTokens: 2048, cacheWriteTokens: 0 }
+  );
+  assert.deepEqual(
+    extractUsage('gemini', { usageMetadata: { promptTokenCount: 3000, candidatesTokenCount: 40, cachedContentTokenCount: 2800 } }),
+    { promptTokens: 3000, completionTokens: 40, cachedTokens: 2800 }
+  );
+});
+
+test('Gemini context cache is created once per prompt, remembers failures and expires', async () => {
+  let clock = 0;
+  const posts = [];
+  let fail = false;
+  const cache = createGeminiContextCache({
+    now: () => clock,
+    post: async (url, body) => {
+      posts.push({ url, body });
+      if (fail) throw new Error('Cached content is too small');
+      return { data: { name: `cachedContents/${posts.length}` } };
+    },
+  });
+  const settings = { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: 'k' };
+
+  assert.equal(await cache.resolve(settings, 'short prompt'), null);
+  assert.equal(posts.length, 0);
+
+  assert.equal(await cache.resolve(settings, LONG_PROMPT), 'cachedContents/1');
+  assert.equal(await cache.resolve(settings, LONG_PROMPT), 'cachedContents/1');
+  assert.equal(posts.length, 1);
+  assert.match(posts[0].url, /\/v1beta\/cachedContents\?key=k$/);
+  assert.equal(posts[0].body.model, 'models/gemini-2.5-flash');
+  assert.equal(posts[0].body.ttl, '3600s');
+  assert.equal(posts[0].body.systemInstruction.parts[0].text, LONG_PROMPT);
+
+  clock += 3600 * 1000;
+  assert.equal(await cache.resolve(settings, LONG_PROMPT), 'cachedContents/2');
+
+  fail = true;
+  const other = `${LONG_PROMPT} Mika is here.`;
+  assert.equal(await cache.resolve(settings, other), null);
+  assert.equal(await cache.resolve(settings, other), null);
+  assert.equal(posts.length, 3);
+
+  cache.forget(settings, LONG_PROMPT);
+  fail = false;
+  assert.equal(await cache.resolve(settings, LONG_PROMPT), 'cachedContents/4');
+});
+
+test('generateStream marks the system prompt for OpenRouter Anthropic models and reports cache hits', async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const usage = { prompt_tokens: 2100, completion_tokens: 3, prompt_tokens_details: { cached_tokens: 2048 } };
+      res.end(
+        `data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello.' } }] })}\n\n` +
+        `data: ${JSON.stringify({ choices: [], usage })}\n\ndata: [DONE]\n\n`
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = {
+      activeProvider: 'openrouter',
+      apiKeys: { openrouter: 'sk-or-test' },
+      baseUrls: { openrouter: `http://127.0.0.1:${server.address().port}/v1` },
+      models: { openrouter: 'anthropic/claude-3.5-sonnet' },
+    };
+    const messages = [{ role: 'system', content: LONG_PROMPT }, { role: 'user', content: 'Hi' }];
+    const runInfo = {};
+
+    const text = await generateStream(config, messages, () => {}, { runInfo, promptCache: true });
+    assert.equal(text, 'Hello.');
+    assert.deepEqual(bodies[0].messages[0].content, [
+      { type: 'text', text: LONG_PROMPT, cache_control: { type: 'ephemeral' } },
+    ]);
+    assert.equal(runInfo.usage.cachedTokens, 2048);
+
+    await generateStream(config, messages, () => {}, {});
+    assert.equal(bodies[1].messages[0].content, LONG_PROMPT);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_IDS,
+  renderTemplate,
+  renderDefault,
+  validateTemplate,
+  createPromptTemplates,
+} = require('../app/main/ipc/prompt-templates');
+const { registerPromptTemplateHandlers } = require('../app/main/ipc/handlers-templates');
+const { buildEnforcementRules } = require('../engine/stage-assets');
+const { buildTurnContext } = require('../engine/story-prompt');
+const trace = require('../app/main/ipc/trace');
+
+function tempPromptsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jessica-prompts-'));
+  for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+  return dir;
+}
+
+test('every built-in template passes its own validation', () => {
+  for (const id of TEMPLATE_IDS) {
+    assert.deepEqual(validateTemplate(id, DEFAULT_TEMPLATES[id].text), [], id);
+  }
+});
+
+test('renderTemplate fills values, drops empty sections and keeps unknown placeholders', () => {
+  const text = 'Hi {{char}}\n{{#music}}\nMusic: {{music}}\n{{/music}}\n{{^music}}Silence{{/music}} {{user}}';
+  assert.equal(renderTemplate(text, { char: 'Amy', music: 'calm' }), 'Hi Amy\nMusic: calm\n {{user}}');
+  assert.equal(renderTemplate(text, { char: 'Amy', music: '' }), 'Hi Amy\nSilence {{user}}');
+});
+
+test('values are inserted verbatim, not re-rendered', () => {
+  assert.equal(renderTemplate('{{a}}', { a: '{{b}}', b: 'x' }), '{{b}}');
+});
+
+test('default story sections match the built-in prompt text', () => {
+  assert.equal(
+    renderDefault('sceneState', { location: 'park', music: 'calm song', notes: '(note)' }),
+    '[CURRENT SCENE STATE]\nLocation: park\nBackground Music: "calm song"\n(note)',
+  );
+  assert.equal(renderDefault('sceneState', { location: 'Unknown', music: '', notes: '' }), '[CURRENT SCENE STATE]\nLocation: Unknown');
+  assert.equal(renderDefault('lore', { lore: '- a', semantic: true }), '[RELEVANT LORE (Semantic)]\n- a');
+  assert.equal(renderDefault('lore', { lore: '- a', semantic: false }), '[RELEVANT LORE]\n- a');
+  assert.match(buildEnforcementRules({ advancedPromptContent: 'Extra' }), /^\n\n\[SYSTEM ENFORCEMENT\][\s\S]*\n\nExtra$/);
+});
+
+test('validation reports dropped tag instructions and unknown placeholders', () => {
+  const errors = validateTemplate('enforcement', 'Be nice. {{location}}');
+  assert.ok(errors.includes('Missing required [HIDE:'));
+  assert.ok(errors.includes('Unknown placeholder {{location}}'));
+  assert.deepEqual(validateTemplate('storySummary', '{{#summary}}{{summary}}'), ['Unbalanced {{#section}} / {{/section}} tags.']);
+  assert.deepEqual(validateTemplate('nope', 'x'), ['Unknown prompt template: nope']);
+});
+
+test('the scene functions variant asks for function calls, not tags', () => {
+  const text = renderDefault('visualNovelTools', { inactiveCharacters: 'Amy' });
+  assert.match(text, /Characters \(Inactive - Bring on stage with show_sprite\):\nAmy/);
+  assert.doesNotMatch(text, /\[(?:SPRITE|BG|HIDE|MUSIC):/);
+
+  const tagged = DEFAULT_TEMPLATES.visualNovel.text;
+  assert.deepEqual(validateTemplate('visualNovelTools', tagged), [
+    'Missing required set_background',
+    'Missing required show_sprite',
+    'Missing required hide_character',
+    'Missing required play_music',
+  ]);
+});
+
+test('bot prompts folder overrides the default and the user overrides the bot', () => {
+  const dir = tempPromptsDir({
+    'storySummary.txt': '\uFEFF[PREVIOUSLY]\n{{summary}}\n',
+    'notATemplate.txt': 'ignored',
+  });
+  try {
+    const templates = createPromptTemplates({ botPromptsPath: dir });
+
+    const resolved = templates.resolve({});
+    assert.equal(resolved.storySummary.source, 'bot');
+    assert.equal(templates.render({}, 'storySummary', { summary: 'S' }), '[PREVIOUSLY]\nS');
+    assert.equal(resolved.userInfo.source, 'default');
+
+    const config = { promptTemplates: { storySummary: 'Recap: {{summary}}' } };
+    assert.equal(templates.resolve(config).storySummary.source, 'user');
+    assert.equal(templates.render(config, 'storySummary', { summary: 'S' }), 'Recap: S');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an invalid override is ignored and its problems are reported', () => {
+  const templates = createPromptTemplates();
+  const config = { promptTemplates: { characterOffstage: '{{char}} is away.' } };
+  const entry = templates.resolve(config).characterOffstage;
+
+  assert.equal(entry.source, 'default');
+  assert.deepEqual(entry.errors, ['Missing required [SPRITE:']);
+  const render = (id, values) => templates.render(config, id, values);
+  const context = buildTurnContext({
+    botInfo: { characters: { Amy: '' } },
+    persona: { name: 'Jim' },
+    sceneCharacters: ['amy'],
+    onStage: new Map(),
+    location: 'park',
+    render,
+  });
+  assert.match(context, /you MUST output \[SPRITE: Amy\]/);
+});
+
+test('save-prompt-template validates before storing and reset removes the override', () => {
+  const handlers = new Map();
+  let stored = {};
+  registerPromptTemplateHandlers({
+    ipcMain: { handle: (name, fn) => handlers.set(name, fn) },
+    loadConfig: () => JSON.parse(JSON.stringify(stored)),
+    saveConfig: (config) => { stored = config; return true; },
+    templates: createPromptTemplates(),
+    trace,
+  });
+
+  const bad = handlers.get('save-prompt-template')({}, 'visualNovel', 'Describe the scene.');
+  assert.equal(bad.ok, false);
+  assert.equal(bad.error.code, 'INVALID_TEMPLATE');
+  assert.ok(bad.error.details.errors.includes('Missing required [BG:'));
+  assert.equal(stored.promptTemplates, undefined);
+
+  const unknown = handlers.get('save-prompt-template')({}, 'nope', 'x');
+  assert.equal(unknown.error.code, 'UNKNOWN_TEMPLATE');
+
+  const good = handlers.get('save-prompt-template')({}, 'userInfo', 'Player: {{user}}');
+  assert.equal(good.ok, true);
+  assert.equal(good.data.userInfo.source, 'user');
+  assert.equal(stored.promptTemplates.userInfo, 'Player: {{user}}');
+
+  const reset = handlers.get('reset-prompt-template')({}, 'userInfo');
+  assert.equal(reset.data.userInfo.source, 'default');
+  assert.equal(stored.promptTemplates, undefined);
+});
+
+test('ids that are not own template keys are rejected, not thrown on', () => {
+  assert.deepEqual(validateTemplate('constructor', 'x'), ['Unknown prompt template: constructor']);
+  assert.throws(() => createPromptTemplates().get({}, '__proto__'), /Unknown prompt template/);
+
+  const handlers = new Map();
+  registerPromptTemplateHandlers({
+    ipcMain: { handle: (name, fn) => handlers.set(name, fn) },
+    loadConfig: () => ({}),
+    saveConfig: () => assert.fail('nothing should be saved'),
+    templates: createPromptTemplates(),
+    trace,
+  });
+  assert.equal(handlers.get('save-prompt-template')({}, 'constructor', 'x').error.code, 'UNKNOWN_TEMPLATE');
+  assert.equal(handlers.get('reset-prompt-template')({}, 'toString').error.code, 'UNKNOWN_TEMPLATE');
+});
+
+test('bot overrides are read once and again only after a file changes', () => {
+  const dir = tempPromptsDir({ 'storySummary.txt': 'Recap: {{summary}}' });
+  const reads = [];
+  const countingFs = {
+    ...fs,
+    readdirSync: (...args) => { reads.push('dir'); return fs.readdirSync(...args); },
+    readFileSync: (...args) => { reads.push('file'); return fs.readFileSync(...args); },
+  };
+  try {
+    const templates = createPromptTemplates({ botPromptsPath: dir, fs: countingFs });
+    for (let i = 0; i < 5; i++) templates.render({}, 'storySummary', { summary: 'S' });
+    assert.deepEqual(reads, ['dir', 'file']);
+
+    const file = path.join(dir, 'storySummary.txt');
+    fs.writeFileSync(file, 'Earlier: {{summary}}');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+    assert.equal(templates.render({}, 'storySummary', { summary: 'S' }), 'Earlier: S');
+    assert.deepEqual(reads, ['dir', 'file', 'dir', 'file']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the renderer loads the same renderer and section defaults as a classic script', () => {
+  const vm = require('node:vm');
+  const src = fs.readFileSync(path.join(__dirname, '..', 'app', 'renderer', 'prompt-render.js'), 'utf8');
+  const context = { window: {} };
+  vm.runInNewContext(src, context);
+
+  const { renderTemplate: rendererRender, SECTION_DEFAULTS } = context.window.PromptRender;
+  for (const [id, text] of Object.entries(SECTION_DEFAULTS)) {
+    assert.equal(DEFAULT_TEMPLATES[id].text, text, id);
+  }
+  const values = { location: 'park', music: '', notes: '(note)' };
+  assert.equal(rendererRender(SECTION_DEFAULTS.sceneState, values), renderDefault('sceneState', values));
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const {
+  SCENE_TOOLS,
+  supportsSceneTools,
+  toOpenAITools,
+  toGeminiTools,
+  createToolCallAccumulator,
+  fromGeminiFunctionCall,
+  toolCallToTag,
+  toolCallsToSceneBlock,
+  toolResultMessages,
+} = require('../app/main/ipc/scene-tool-schema');
+const { generateStream, __private } = require('../app/main/ai_services');
+
+test('scene tools are exposed in OpenAI and Gemini shapes', () => {
+  const openai = toOpenAITools();
+  assert.equal(openai.length, SCENE_TOOLS.length);
+  const sprite = openai.find((t) => t.function.name === 'show_sprite');
+  assert.equal(sprite.type, 'function');
+  assert.equal(sprite.function.parameters.type, 'object');
+  assert.deepEqual(sprite.function.parameters.required, ['character']);
+
+  const [gemini] = toGeminiTools();
+  const camera = gemini.functionDeclarations.find((d) => d.name === 'camera');
+  assert.equal(camera.parameters.type, 'OBJECT');
+  assert.equal(camera.parameters.properties.mode.type, 'STRING');
+
+  assert.equal(supportsSceneTools('openrouter'), true);
+  assert.equal(supportsSceneTools('ollama'), false);
+});
+
+test('createToolCallAccumulator joins argument fragments by index', () => {
+  const acc = createToolCallAccumulator();
+  acc.push([{ index: 0, id: 'call_a', function: { name: 'set_background', arguments: '{"na' } }]);
+  acc.push([{ index: 1, id: 'call_b', function: { name: 'show_sprite', arguments: '' } }]);
+  acc.push([{ index: 0, function: { arguments: 'me":"cafe"}' } }]);
+  acc.push([{ index: 1, function: { arguments: '{"character":"Jessica","emotion":"happy"}' } }]);
+  acc.push(undefined);
+
+  const calls = acc.finish();
+  assert.deepEqual(calls.map((c) => [c.id, c.name, c.args]), [
+    ['call_a', 'set_background', { name: 'cafe' }],
+    ['call_b', 'show_sprite', { character: 'Jessica', emotion: 'happy' }],
+  ]);
+});
+
+test('tool calls convert to the tags processVisualTags reads', () => {
+  assert.equal(toolCallToTag({ name: 'set_background', args: { name: 'cafe' } }), '[BG: cafe]');
+  assert.equal(toolCallToTag({ name: 'show_sprite', rawArguments: '{"character":"Jessica"}' }), '[SPRITE: Jessica/default]');
+  assert.equal(toolCallToTag({ name: 'camera', args: { mode: 'zoom_in', target: 'Jessica' } }), '[CAMERA: zoom_in, Jessica]');
+  assert.equal(toolCallToTag({ name: 'take_item', args: { item: 'key' } }), '[TAKE: key]');
+  assert.equal(toolCallToTag({ name: 'set_background', args: {} }), null);
+  assert.equal(toolCallToTag({ name: 'summon_dragon', args: { name: 'x' } }), null);
+
+  const block = toolCallsToSceneBlock([
+    fromGeminiFunctionCall({ name: 'play_music', args: { name: 'jazz' } }),
+    { name: 'hide_character', args: { character: 'Mika' } },
+  ]);
+  assert.equal(block, '[SCENE]\n[MUSIC: jazz]\n[HIDE: Mika]\n[/SCENE]');
+  assert.equal(toolCallsToSceneBlock([]), '');
+});
+
+test('buildGeminiBody translates tool calls and results into function parts', () => {
+  const calls = [
+    { id: 'call_0', name: 'set_background', rawArguments: '{"name":"cafe"}', args: { name: 'cafe' } },
+    { id: 'call_1', name: 'sfx', rawArguments: '{"name":"door"}', args: { name: 'door' } },
+  ];
+  const body = __private.buildGeminiBody(
+    [{ role: 'user', content: 'Hi' }, ...toolResultMessages(calls)],
+    { tools: toGeminiTools(), toolMode: 'NONE' }
+  );
+
+  assert.equal(body.contents.length, 3);
+  assert.deepEqual(body.contents[1], {
+    role: 'model',
+    parts: [
+      { functionCall: { name: 'set_background', args: { name: 'cafe' } } },
+      { functionCall: { name: 'sfx', args: { name: 'door' } } },
+    ],
+  });
+  assert.deepEqual(body.contents[2].parts.map((p) => p.functionResponse.name), ['set_background', 'sfx']);
+  assert.equal(body.toolConfig.functionCallingConfig.mode, 'NONE');
+});
+
+test('generateStream turns a tool-only reply into narration plus a [SCENE] block', async () => {
+  const bodies = [];
+  const sse = (events) => events.map((e) => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      if (bodies.length === 1) {
+        res.end(sse([
+          { choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'set_background', arguments: '{"name":' } }] } }] },
+          { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"park"}' } }] } }] },
+          { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+        ]));
+      } else {
+        res.end(sse([{ choices: [{ delta: { content: 'Jessica: "Nice day."' } }] }]));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const config = {
+      activeProvider: 'openai',
+      apiKeys: { openai: 'sk-test' },
+      baseUrls: { openai: `http://127.0.0.1:${server.address().port}/v1` },
+    };
+    const chunks = [];
+    const text = await generateStream(config, [{ role: 'user', content: 'Go outside' }], (c) => chunks.push(c), {
+      sceneTools: true,
+    });
+
+    assert.equal(text, 'Jessica: "Nice day."\n\n[SCENE]\n[BG: park]\n[/SCENE]');
+    assert.equal(chunks.join(''), text);
+    assert.equal(bodies.length, 2);
+    assert.equal(bodies[0].tool_choice, 'auto');
+    assert.equal(bodies[0].tools.length, SCENE_TOOLS.length);
+    assert.equal(bodies[1].tool_choice, 'none');
+    assert.deepEqual(bodies[1].messages.slice(-2).map((m) => m.role), ['assistant', 'tool']);
+    assert.equal(bodies[1].messages[1].tool_calls[0].function.arguments, '{"name":"park"}');
+  } finally {
+    server.close();
+  }
+});
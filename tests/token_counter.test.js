@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HEURISTIC_COUNTER,
+  pickEncodingName,
+  resolveTokenCounter,
+  countContentTokens,
+} = require('../app/main/ipc/token-counter');
+
+test('pickEncodingName maps OpenAI-family models to their BPE vocabulary', () => {
+  assert.equal(pickEncodingName('openai', 'gpt-4o-mini'), 'o200k_base');
+  assert.equal(pickEncodingName('openrouter', 'openai/gpt-4.1'), 'o200k_base');
+  assert.equal(pickEncodingName('openai', 'gpt-3.5-turbo'), 'cl100k_base');
+  assert.equal(pickEncodingName('openai', 'some-new-model'), 'o200k_base');
+  assert.equal(pickEncodingName('anthropic', 'claude-3-5-sonnet-latest'), null);
+  assert.equal(pickEncodingName('ollama', 'llama3.1'), null);
+});
+
+test('resolveTokenCounter uses BPE for OpenAI models and the heuristic otherwise', async () => {
+  const bpe = await resolveTokenCounter({ provider: 'openai', model: 'gpt-4o' });
+  assert.equal(bpe.name, 'o200k_base');
+  assert.equal(bpe.count('hello world'), 2);
+
+  const other = await resolveTokenCounter({ provider: 'gemini', model: 'gemini-2.0-flash' });
+  assert.equal(other, HEURISTIC_COUNTER);
+  assert.equal(other.count('abcdefgh'), 2);
+});
+
+test('resolveTokenCounter uses the embedded model tokenizer and falls back on failure', async () => {
+  const model = { tokenize: (text) => text.split(' ') };
+  const embedded = await resolveTokenCounter(
+    { provider: 'embedded', model: 'tiny.gguf' },
+    { getEmbeddedModel: async () => model }
+  );
+  assert.equal(embedded.name, 'embedded:tiny.gguf');
+  assert.equal(embedded.count('one two three'), 3);
+
+  const missing = await resolveTokenCounter(
+    { provider: 'embedded', model: 'missing.gguf' },
+    {
+      getEmbeddedModel: async () => {
+        throw new Error('not found');
+      },
+    }
+  );
+  assert.equal(missing, HEURISTIC_COUNTER);
+});
+
+test('countContentTokens counts text parts and a flat cost per image', () => {
+  const count = (s) => s.length;
+  assert.equal(countContentTokens(null, count), 0);
+  assert.equal(countContentTokens('abc', count), 3);
+  assert.equal(
+    countContentTokens([{ type: 'text', text: 'abcd' }, { type: 'image_url', image_url: { url: 'x' } }], count),
+    54
+  );
+});
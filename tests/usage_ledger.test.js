@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createUsageLedger, estimateCost } = require('../app/main/ipc/usage-ledger');
+const { extractUsage } = require('../app/main/ipc/ai-parsers');
+
+test('extractUsage normalizes provider usage blocks', () => {
+  assert.deepEqual(extractUsage('openai', { usage: { prompt_tokens: 10, completion_tokens: 5 } }), { promptTokens: 10, completionTokens: 5 });
+  assert.deepEqual(extractUsage('gemini', { usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3 } }), { promptTokens: 7, completionTokens: 3 });
+  assert.deepEqual(extractUsage('anthropic', { type: 'message_start', message: { usage: { input_tokens: 12 } } }), { promptTokens: 12 });
+  assert.deepEqual(extractUsage('ollama', { done: true, prompt_eval_count: 4, eval_count: 9 }), { promptTokens: 4, completionTokens: 9 });
+  assert.equal(extractUsage('openai', { choices: [] }), null);
+});
+
+test('usage ledger persists entries and aggregates by day, provider, task and chat', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'jessica-usage-test-'));
+
+  try {
+    const ledgerPath = path.join(tempRoot, 'usage_ledger.jsonl');
+    let clock = new Date('2024-05-01T10:00:00Z');
+    const ledger = createUsageLedger({ ledgerPath, fs, now: () => clock });
+
+    ledger.setActiveChat('chat_a');
+    ledger.record({ scope: 'send-chat', provider: 'openai', model: 'gpt-4o', promptTokens: 1000, completionTokens: 200 });
+    ledger.record({ scope: 'generate-completion', task: 'summarizeChat', provider: 'openai', model: 'gpt-4o-mini', promptTokens: 500, completionTokens: 100 });
+    clock = new Date('2024-05-02T10:00:00Z');
+    ledger.record({ scope: 'generate-completion', task: 'analyzeScene', provider: 'local', chatId: 'chat_b', promptTokens: 300, completionTokens: 50 });
+    fs.appendFileSync(ledgerPath, '{"torn":', 'utf8');
+
+    const pricing = { openai: { prompt: 2, completion: 8, models: { 'gpt-4o-mini': { prompt: 0.5, completion: 1 } } } };
+    const reloaded = createUsageLedger({ ledgerPath, fs });
+    const stats = reloaded.getStats({ pricing });
+
+    assert.equal(stats.totals.calls, 3);
+    assert.equal(stats.totals.promptTokens, 1800);
+    assert.equal(stats.byDay['2024-05-01'].calls, 2);
+    assert.equal(stats.byProvider.local.cost, null);
+    assert.equal(stats.byProvider.openai.cost, 0.00395);
+    assert.equal(stats.byTask.summarizeChat.completionTokens, 100);
+    assert.equal(stats.byTask['send-chat'].calls, 1);
+    assert.equal(stats.byChat.chat_a.calls, 2);
+    assert.equal(stats.byChat.chat_b.calls, 1);
+
+    assert.equal(reloaded.getStats({ since: '2024-05-02' }).totals.calls, 1);
+  } finally {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+});
+
+test('estimateCost returns null for unpriced providers', () => {
+  assert.equal(estimateCost({ provider: 'grok', promptTokens: 10 }, { openai: { prompt: 1 } }), null);
+  assert.equal(estimateCost({ provider: 'openai', promptTokens: 1_000_000, completionTokens: 0 }, { openai: { prompt: 1, completion: 2 } }), 1);
+});